@@ -32,6 +32,10 @@ const getSequelizeConfig = () => {
       ...baseConfig,
       dialect: 'sqlite',
       storage: path.resolve(process.cwd(), storagePath),
+      // Take the write lock when a transaction begins, so concurrent
+      // read-then-write transactions wait for each other instead of
+      // failing with SQLITE_BUSY
+      transactionType: 'IMMEDIATE',
     };
   }
 
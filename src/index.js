@@ -13,12 +13,16 @@ const fs = require('fs');
 
 const { sequelize, testConnection } = require('./config/database');
 const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { startDecayScheduler } = require('./services/decayScheduler');
+const { recoverIngestionJobs } = require('./services/bulkIngestion');
 
 // Import routes
 const documentsRouter = require('./routes/documents');
 const decayRouter = require('./routes/decay');
 const uploadRouter = require('./routes/upload');
 const chatRouter = require('./routes/chat');
+const workspacesRouter = require('./routes/workspaces');
+const contradictionsRouter = require('./routes/contradictions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,6 +66,8 @@ app.use('/api/documents', documentsRouter);
 app.use('/api/decay', decayRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/chat', chatRouter);
+app.use('/api/workspaces', workspacesRouter);
+app.use('/api/contradictions', contradictionsRouter);
 
 // API info
 app.get('/api', (req, res) => {
@@ -86,6 +92,8 @@ app.get('/api', (req, res) => {
                 report: 'GET /api/decay/reports/:docId',
                 review: 'PUT /api/decay/reports/:id/review',
                 summary: 'GET /api/decay/summary',
+                runs: 'GET /api/decay/runs',
+                run: 'GET /api/decay/runs/:id',
             },
             upload: {
                 upload: 'POST /api/upload (multipart/form-data)',
@@ -98,6 +106,26 @@ app.get('/api', (req, res) => {
                 feedback: 'PUT /api/chat/:id/feedback',
                 status: 'GET /api/chat/status',
             },
+            contradictions: {
+                list: 'GET /api/contradictions?workspaceId=',
+                get: 'GET /api/contradictions/:id',
+                resolve: 'PUT /api/contradictions/:id/resolve',
+            },
+            workspaces: {
+                settings: 'GET /api/workspaces/:workspaceId/settings',
+                updateSettings: 'PUT /api/workspaces/:workspaceId/settings',
+                policy: 'GET /api/workspaces/:workspaceId/policy',
+                updatePolicy: 'PUT /api/workspaces/:workspaceId/policy',
+                resetPolicy: 'DELETE /api/workspaces/:workspaceId/policy',
+                policyVersions: 'GET /api/workspaces/:workspaceId/policy/versions',
+                documentTypes: 'GET /api/workspaces/:workspaceId/document-types',
+                createDocumentType: 'POST /api/workspaces/:workspaceId/document-types',
+                updateDocumentType: 'PUT /api/workspaces/:workspaceId/document-types/:name',
+                deleteDocumentType: 'DELETE /api/workspaces/:workspaceId/document-types/:name',
+                decaySchedule: 'GET /api/workspaces/:workspaceId/decay-schedule',
+                updateDecaySchedule: 'PUT /api/workspaces/:workspaceId/decay-schedule',
+                deleteDecaySchedule: 'DELETE /api/workspaces/:workspaceId/decay-schedule',
+            },
         },
     });
 });
@@ -125,6 +153,15 @@ async function startServer() {
         await sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
         console.log('✓ Database models synchronized');
 
+        const interruptedJobs = await recoverIngestionJobs();
+        if (interruptedJobs > 0) {
+            console.log(`✓ Failed ${interruptedJobs} ingestion job(s) interrupted by the last shutdown`);
+        }
+
+        if (startDecayScheduler()) {
+            console.log('✓ Decay scheduler started');
+        }
+
         // Start server
         app.listen(PORT, () => {
             console.log(`
@@ -0,0 +1,128 @@
+/**
+ * Contradiction Model
+ * 
+ * A conflicting statement pair between two documents.
+ * Deduplicated across analyses by pairKey (order-independent hash of
+ * both document IDs and statements) and tracked through resolution.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Contradiction = sequelize.define('Contradiction', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'workspace_id',
+    },
+    pairKey: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        field: 'pair_key',
+    },
+    // Document in which the contradiction was first detected
+    documentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'document_id',
+        references: {
+            model: 'documents',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    statement: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+    },
+    conflictingDocumentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'conflicting_document_id',
+        references: {
+            model: 'documents',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    conflictingStatement: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        field: 'conflicting_statement',
+    },
+    reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+    severity: {
+        type: DataTypes.ENUM('medium', 'high'),
+        allowNull: false,
+        defaultValue: 'medium',
+    },
+    // Raw and normalized values of both sides of a numerical conflict
+    quantities: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    // 'rules' or the model provider whose verdict flagged the pair
+    detectedBy: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'rules',
+        field: 'detected_by',
+    },
+    // Resolution workflow
+    status: {
+        type: DataTypes.ENUM('open', 'resolved_by_editing', 'accepted_as_intended', 'false_positive'),
+        allowNull: false,
+        defaultValue: 'open',
+    },
+    occurrences: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+    },
+    firstDetectedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'first_detected_at',
+    },
+    lastDetectedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'last_detected_at',
+    },
+    resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'resolved_at',
+    },
+    resolvedBy: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'resolved_by',
+    },
+    resolutionNotes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'resolution_notes',
+    },
+}, {
+    tableName: 'contradictions',
+    indexes: [
+        { fields: ['workspace_id'] },
+        { fields: ['document_id'] },
+        { fields: ['conflicting_document_id'] },
+        { fields: ['status'] },
+    ],
+});
+
+module.exports = Contradiction;
@@ -0,0 +1,62 @@
+/**
+ * ContradictionVerdict Model
+ * 
+ * Cached model verdict for a statement pair (entail, contradict or
+ * neutral), keyed by an order-independent hash of both statements so
+ * the same pair is never sent to the model twice.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ContradictionVerdict = sequelize.define('ContradictionVerdict', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    statementHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        field: 'statement_hash',
+    },
+    statementA: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        field: 'statement_a',
+    },
+    statementB: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        field: 'statement_b',
+    },
+    verdict: {
+        type: DataTypes.ENUM('entail', 'contradict', 'neutral'),
+        allowNull: false,
+    },
+    confidence: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0.5,
+    },
+    rationale: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+    provider: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+    },
+    // Model that produced the verdict; verdicts are cached per model
+    model: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+    },
+}, {
+    tableName: 'contradiction_verdicts',
+    indexes: [
+        { fields: ['statement_hash', 'model'], unique: true },
+    ],
+});
+
+module.exports = ContradictionVerdict;
@@ -67,6 +67,14 @@ const DecayAnalysis = sequelize.define('DecayAnalysis', {
         allowNull: true,
         defaultValue: [],
     },
+    // Per-section scores for documents split by headings
+    // Stores: [{ section, title, level, confidence_score, risk_level, penalties }]
+    sectionScores: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: [],
+        field: 'section_scores',
+    },
     // Internal confidence breakdown for auditing
     // (As recommended: log the breakdown, not just final score)
     confidenceBreakdown: {
@@ -75,6 +83,19 @@ const DecayAnalysis = sequelize.define('DecayAnalysis', {
         field: 'confidence_breakdown',
         // Stores: { age_penalty, contradiction_penalty, drift_penalty, support_penalty }
     },
+    // Workspace decay policy version in effect (0 = global defaults)
+    policyVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'policy_version',
+    },
+    // Hash of the analysis inputs; unchanged inputs skip re-analysis
+    inputFingerprint: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        field: 'input_fingerprint',
+    },
     // Analysis metadata
     analyzedAt: {
         type: DataTypes.DATE,
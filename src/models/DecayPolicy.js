@@ -0,0 +1,73 @@
+/**
+ * DecayPolicy Model
+ * 
+ * Versioned per-workspace overrides for decay scoring.
+ * Every change creates a new version; the highest version is active.
+ * Sections left empty fall back to the global defaults.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DecayPolicy = sequelize.define('DecayPolicy', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'workspace_id',
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    // { [documentType]: { warning, critical } } in days
+    thresholds: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+    },
+    // { age, contradiction, drift, support } maximum penalties
+    penaltyCaps: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        field: 'penalty_caps',
+    },
+    // { high, medium } confidence cutoffs for determineRiskLevel()
+    riskCutoffs: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        field: 'risk_cutoffs',
+    },
+    // { belowConfidence, riskLevels } for shouldFlagDecay()
+    flagRule: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        field: 'flag_rule',
+    },
+    // { horizonDays, fiscalYearEndMonth } for the content staleness analyzer
+    contentStaleness: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        field: 'content_staleness',
+    },
+    updatedBy: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'updated_by',
+    },
+}, {
+    tableName: 'decay_policies',
+    indexes: [
+        { fields: ['workspace_id', 'version'], unique: true },
+    ],
+});
+
+module.exports = DecayPolicy;
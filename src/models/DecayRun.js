@@ -0,0 +1,98 @@
+/**
+ * DecayRun Model
+ * 
+ * Run history for workspace-wide decay analysis,
+ * whether started by the scheduler or through the batch endpoint.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DecayRun = sequelize.define('DecayRun', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'workspace_id',
+    },
+    scheduleId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'schedule_id',
+        references: {
+            model: 'decay_schedules',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    trigger: {
+        type: DataTypes.ENUM('scheduled', 'manual'),
+        allowNull: false,
+        defaultValue: 'manual',
+    },
+    status: {
+        type: DataTypes.ENUM('running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'running',
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'started_at',
+    },
+    finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at',
+    },
+    // Counts
+    documentsAnalyzed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'documents_analyzed',
+    },
+    // Documents whose inputs were unchanged since their last analysis
+    documentsSkipped: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'documents_skipped',
+    },
+    decayDetected: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'decay_detected',
+    },
+    failures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // Per-document failures: [{ documentId, documentTitle, error }]
+    errors: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+    },
+    // Set when the run as a whole failed
+    errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'error_message',
+    },
+}, {
+    tableName: 'decay_runs',
+    indexes: [
+        { fields: ['workspace_id'] },
+        { fields: ['started_at'] },
+    ],
+});
+
+module.exports = DecayRun;
@@ -0,0 +1,52 @@
+/**
+ * DecaySchedule Model
+ * 
+ * Cron-style schedule for automatic decay analysis of a workspace.
+ * nextRunAt is computed from cronExpression whenever the schedule
+ * is saved or runs, so the scheduler only needs to poll for due rows.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DecaySchedule = sequelize.define('DecaySchedule', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        field: 'workspace_id',
+    },
+    // Five-field cron expression evaluated in UTC, e.g. "0 2 * * *"
+    cronExpression: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        field: 'cron_expression',
+    },
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+    lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_run_at',
+    },
+    nextRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'next_run_at',
+    },
+}, {
+    tableName: 'decay_schedules',
+    indexes: [
+        { fields: ['enabled', 'next_run_at'] },
+    ],
+});
+
+module.exports = DecaySchedule;
@@ -24,8 +24,9 @@ const Document = sequelize.define('Document', {
         type: DataTypes.STRING(500),
         allowNull: false,
     },
+    // Built-in type (SOP, Policy, Guide, Spec, Notes) or a workspace DocumentType name
     type: {
-        type: DataTypes.ENUM('SOP', 'Policy', 'Guide', 'Spec', 'Notes'),
+        type: DataTypes.STRING(100),
         allowNull: false,
         defaultValue: 'Notes',
     },
@@ -59,6 +60,52 @@ const Document = sequelize.define('Document', {
         allowNull: true,
         field: 'verified_by',
     },
+    // Owner-set review cadence; overrides the type thresholds
+    // (warning after one interval, critical after two)
+    reviewIntervalDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'review_interval_days',
+        validate: {
+            min: 1,
+        },
+    },
+    // Date after which the document is no longer valid
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'expires_at',
+    },
+    // draft, active, deprecated or archived; deprecated and archived
+    // documents are left out of retrieval and contradiction checks
+    lifecycleState: {
+        type: DataTypes.ENUM('draft', 'active', 'deprecated', 'archived'),
+        allowNull: false,
+        defaultValue: 'active',
+        field: 'lifecycle_state',
+    },
+    // Document that replaces this one (set directly or by merging duplicates)
+    supersededBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'superseded_by',
+        references: {
+            model: 'documents',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    supersededAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'superseded_at',
+    },
+    // Headings captured from DOCX styles or PDF bookmarks ([{ title, level }]),
+    // used to split plain-text content into sections
+    outline: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
     // AI-generated fields
     aiSummary: {
         type: DataTypes.TEXT,
@@ -86,12 +133,36 @@ const Document = sequelize.define('Document', {
         allowNull: true,
         field: 'file_size',
     },
+    // Where an imported document came from (confluence, notion), its page ID
+    // and place in the source's page hierarchy ("Space > Parent > Page")
+    source: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    sourceId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'source_id',
+    },
+    sourcePath: {
+        type: DataTypes.STRING(2000),
+        allowNull: true,
+        field: 'source_path',
+    },
+    // Last modified in the source; imported documents age from this date
+    sourceUpdatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'source_updated_at',
+    },
 }, {
     tableName: 'documents',
     indexes: [
         { fields: ['workspace_id'] },
         { fields: ['type'] },
         { fields: ['updated_at'] },
+        { fields: ['lifecycle_state'] },
+        { fields: ['workspace_id', 'source', 'source_id'] },
     ],
 });
 
@@ -0,0 +1,76 @@
+/**
+ * DocumentReference Model
+ * 
+ * A dependency of one document on another, e.g. an SOP that
+ * implements a Policy. References are either declared through the API
+ * or detected from title mentions and links in the content.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DocumentReference = sequelize.define('DocumentReference', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'workspace_id',
+    },
+    // The dependent document (the one doing the referencing)
+    documentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'document_id',
+        references: {
+            model: 'documents',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    // The upstream document; null once it has been deleted
+    targetDocumentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'target_document_id',
+        references: {
+            model: 'documents',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    // Title of the upstream document when the reference was recorded
+    targetTitle: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        field: 'target_title',
+    },
+    origin: {
+        type: DataTypes.ENUM('declared', 'detected'),
+        allowNull: false,
+        defaultValue: 'declared',
+    },
+    // Text in the content that produced a detected reference
+    matchedText: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'matched_text',
+    },
+    note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+}, {
+    tableName: 'document_references',
+    indexes: [
+        { fields: ['workspace_id'] },
+        { fields: ['document_id'] },
+        { fields: ['target_document_id'] },
+        { fields: ['document_id', 'target_document_id'], unique: true },
+    ],
+});
+
+module.exports = DocumentReference;
@@ -0,0 +1,58 @@
+/**
+ * DocumentType Model
+ * 
+ * Workspace-defined document types (Runbook, ADR, FAQ, ...) in addition
+ * to the built-in SOP, Policy, Guide, Spec and Notes. Documents refer
+ * to a type by its name.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DocumentType = sequelize.define('DocumentType', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'workspace_id',
+    },
+    // Stored in Document.type
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+    },
+    displayName: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        field: 'display_name',
+    },
+    // Freshness thresholds (days)
+    warningDays: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'warning_days',
+    },
+    criticalDays: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'critical_days',
+    },
+    // Higher ranks win contradictions against older documents (Notes = 1, SOP = 5)
+    authorityRank: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'authority_rank',
+    },
+}, {
+    tableName: 'document_types',
+    indexes: [
+        { fields: ['workspace_id', 'name'], unique: true },
+    ],
+});
+
+module.exports = DocumentType;
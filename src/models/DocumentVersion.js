@@ -53,6 +53,35 @@ const DocumentVersion = sequelize.define('DocumentVersion', {
         allowNull: true,
         field: 'change_notes',
     },
+    // Line and drift statistics against the previous version
+    // ({ linesAdded, linesRemoved, linesMoved, hunks, driftScore })
+    changeStats: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'change_stats',
+    },
+    // File upload metadata, for versions created from an uploaded file
+    originalFilename: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'original_filename',
+    },
+    fileSize: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'file_size',
+    },
+    mimeType: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'mime_type',
+    },
+    // Parser metadata (page count, outline, warnings, ...)
+    uploadMetadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'upload_metadata',
+    },
 }, {
     tableName: 'document_versions',
     indexes: [
@@ -0,0 +1,119 @@
+/**
+ * IngestionJob Model
+ * 
+ * Progress and per-file results of a bulk upload (ZIP archive),
+ * processed in the background and polled by the client.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IngestionJob = sequelize.define('IngestionJob', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'workspace_id',
+    },
+    archiveName: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        field: 'archive_name',
+    },
+    // Default author and type of documents in the archive
+    author: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    type: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    // Archive layout: files, confluence or notion (auto-detected unless given)
+    format: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'auto',
+    },
+    status: {
+        type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'queued',
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'started_at',
+    },
+    finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at',
+    },
+    // Progress
+    totalFiles: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'total_files',
+    },
+    processedFiles: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'processed_files',
+    },
+    // Counts by outcome
+    created: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    updated: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    skipped: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    failed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    // Per-file report, written when the job finishes:
+    // [{ file, status, documentId?, title?, type?, versionNumber?, reason? }]
+    results: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+    },
+    // Uploaded archive, removed when the job finishes
+    archivePath: {
+        type: DataTypes.STRING(1000),
+        allowNull: true,
+        field: 'archive_path',
+    },
+    // Set when the job as a whole failed (e.g. unreadable archive)
+    errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'error_message',
+    },
+}, {
+    tableName: 'ingestion_jobs',
+    indexes: [
+        { fields: ['workspace_id'] },
+        { fields: ['status'] },
+        { fields: ['created_at'] },
+    ],
+});
+
+module.exports = IngestionJob;
@@ -0,0 +1,42 @@
+/**
+ * WorkspaceCorpus Model
+ * 
+ * Document frequency statistics for a workspace.
+ * Provides the IDF half of TF-IDF so document, chunk and query
+ * vectors are weighted against the rest of the workspace.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WorkspaceCorpus = sequelize.define('WorkspaceCorpus', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        field: 'workspace_id',
+    },
+    // Number of documents counted into the frequencies
+    documentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'document_count',
+    },
+    // Stemmed term -> number of documents containing it
+    documentFrequencies: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        field: 'document_frequencies',
+    },
+}, {
+    tableName: 'workspace_corpora',
+});
+
+module.exports = WorkspaceCorpus;
@@ -0,0 +1,36 @@
+/**
+ * WorkspaceSettings Model
+ * 
+ * Per-workspace behaviour switches.
+ * A workspace without a row uses the defaults below.
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WorkspaceSettings = sequelize.define('WorkspaceSettings', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    workspaceId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        field: 'workspace_id',
+    },
+    // How RAG retrieval treats decayed sources:
+    // off = ignore decay, downrank = weight by source confidence,
+    // exclude = drop high-risk, critical or contradicted sources
+    retrievalFreshnessMode: {
+        type: DataTypes.ENUM('off', 'downrank', 'exclude'),
+        allowNull: false,
+        defaultValue: 'downrank',
+        field: 'retrieval_freshness_mode',
+    },
+}, {
+    tableName: 'workspace_settings',
+});
+
+module.exports = WorkspaceSettings;
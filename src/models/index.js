@@ -9,6 +9,16 @@ const DocumentVersion = require('./DocumentVersion');
 const DecayAnalysis = require('./DecayAnalysis');
 const DocumentChunk = require('./DocumentChunk');
 const ChatHistory = require('./ChatHistory');
+const WorkspaceCorpus = require('./WorkspaceCorpus');
+const WorkspaceSettings = require('./WorkspaceSettings');
+const Contradiction = require('./Contradiction');
+const DecaySchedule = require('./DecaySchedule');
+const DecayRun = require('./DecayRun');
+const DecayPolicy = require('./DecayPolicy');
+const DocumentType = require('./DocumentType');
+const DocumentReference = require('./DocumentReference');
+const ContradictionVerdict = require('./ContradictionVerdict');
+const IngestionJob = require('./IngestionJob');
 
 // Define associations
 Document.hasMany(DocumentVersion, {
@@ -41,10 +51,60 @@ DocumentChunk.belongsTo(Document, {
     as: 'document',
 });
 
+Contradiction.belongsTo(Document, {
+    foreignKey: 'documentId',
+    as: 'document',
+});
+
+Contradiction.belongsTo(Document, {
+    foreignKey: 'conflictingDocumentId',
+    as: 'conflictingDocument',
+});
+
+DecaySchedule.hasMany(DecayRun, {
+    foreignKey: 'scheduleId',
+    as: 'runs',
+});
+
+DecayRun.belongsTo(DecaySchedule, {
+    foreignKey: 'scheduleId',
+    as: 'schedule',
+});
+
+Document.belongsTo(Document, {
+    foreignKey: 'supersededBy',
+    as: 'supersededByDocument',
+});
+
+Document.hasMany(DocumentReference, {
+    foreignKey: 'documentId',
+    as: 'references',
+});
+
+DocumentReference.belongsTo(Document, {
+    foreignKey: 'documentId',
+    as: 'document',
+});
+
+DocumentReference.belongsTo(Document, {
+    foreignKey: 'targetDocumentId',
+    as: 'targetDocument',
+});
+
 module.exports = {
     Document,
     DocumentVersion,
     DecayAnalysis,
     DocumentChunk,
     ChatHistory,
+    WorkspaceCorpus,
+    WorkspaceSettings,
+    Contradiction,
+    DecaySchedule,
+    DecayRun,
+    DecayPolicy,
+    DocumentType,
+    DocumentReference,
+    ContradictionVerdict,
+    IngestionJob,
 };
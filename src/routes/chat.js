@@ -7,7 +7,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { askQuestion, isRAGAvailable } = require('../services/ragEngine');
-const { searchDocuments } = require('../services/vectorSearch');
+const { hybridSearch, SEARCH_MODES } = require('../services/hybridSearch');
 const { ChatHistory } = require('../models');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 
@@ -60,10 +60,10 @@ router.post('/', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/chat/search
- * Search for relevant documents
+ * Search for relevant documents (lexical, vector or hybrid)
  */
 router.post('/search', asyncHandler(async (req, res) => {
-    const { workspaceId, query, limit = 5 } = req.body;
+    const { workspaceId, query, limit = 5, mode = 'hybrid' } = req.body;
 
     if (!workspaceId) {
         throw new ApiError(400, 'workspaceId is required');
@@ -73,10 +73,18 @@ router.post('/search', asyncHandler(async (req, res) => {
         throw new ApiError(400, 'query is required');
     }
 
-    const results = await searchDocuments(query.trim(), workspaceId, Math.min(limit, 10));
+    if (!SEARCH_MODES.includes(mode)) {
+        throw new ApiError(400, `Invalid mode. Must be: ${SEARCH_MODES.join(', ')}`);
+    }
+
+    const results = await hybridSearch(query.trim(), workspaceId, {
+        mode,
+        topK: Math.min(limit, 10),
+    });
 
     res.json({
         query,
+        mode,
         results,
         count: results.length,
     });
@@ -0,0 +1,111 @@
+/**
+ * Contradiction Routes
+ * 
+ * Lists persisted contradictions and records reviewer resolutions.
+ */
+
+const express = require('express');
+const { Contradiction, Document } = require('../models');
+const { CONTRADICTION_STATUSES } = require('../services/contradictionRegistry');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+
+const DOCUMENT_ATTRIBUTES = ['id', 'title', 'type', 'updatedAt'];
+
+/**
+ * GET /api/contradictions
+ * List contradictions for a workspace
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { workspaceId, status, documentId, limit = 50, offset = 0 } = req.query;
+
+    if (!workspaceId) {
+        throw new ApiError(400, 'workspaceId is required');
+    }
+
+    if (status && !CONTRADICTION_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status. Must be: ${CONTRADICTION_STATUSES.join(', ')}`);
+    }
+
+    const where = { workspaceId };
+    if (status) where.status = status;
+    if (documentId) {
+        where[Op.or] = [{ documentId }, { conflictingDocumentId: documentId }];
+    }
+
+    const contradictions = await Contradiction.findAndCountAll({
+        where,
+        include: [
+            { model: Document, as: 'document', attributes: DOCUMENT_ATTRIBUTES },
+            { model: Document, as: 'conflictingDocument', attributes: DOCUMENT_ATTRIBUTES },
+        ],
+        order: [['lastDetectedAt', 'DESC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+    });
+
+    res.json({
+        contradictions: contradictions.rows,
+        total: contradictions.count,
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+    });
+}));
+
+/**
+ * GET /api/contradictions/:id
+ * Get a single contradiction
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const contradiction = await Contradiction.findByPk(req.params.id, {
+        include: [
+            { model: Document, as: 'document', attributes: DOCUMENT_ATTRIBUTES },
+            { model: Document, as: 'conflictingDocument', attributes: DOCUMENT_ATTRIBUTES },
+        ],
+    });
+
+    if (!contradiction) {
+        throw new ApiError(404, 'Contradiction not found');
+    }
+
+    res.json(contradiction);
+}));
+
+/**
+ * PUT /api/contradictions/:id/resolve
+ * Resolve (or reopen) a contradiction
+ * false_positive resolutions suppress the pair in future analyses.
+ */
+router.put('/:id/resolve', asyncHandler(async (req, res) => {
+    const contradiction = await Contradiction.findByPk(req.params.id);
+
+    if (!contradiction) {
+        throw new ApiError(404, 'Contradiction not found');
+    }
+
+    const { status, resolvedBy, notes } = req.body;
+
+    if (!CONTRADICTION_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status. Must be: ${CONTRADICTION_STATUSES.join(', ')}`);
+    }
+
+    if (status !== 'open' && !resolvedBy) {
+        throw new ApiError(400, 'resolvedBy is required');
+    }
+
+    await contradiction.update({
+        status,
+        resolvedBy: status === 'open' ? null : resolvedBy,
+        resolvedAt: status === 'open' ? null : new Date(),
+        resolutionNotes: notes || null,
+    });
+
+    res.json({
+        message: status === 'open' ? 'Contradiction reopened' : 'Contradiction resolved',
+        contradiction,
+    });
+}));
+
+module.exports = router;
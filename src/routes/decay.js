@@ -6,16 +6,28 @@
 
 const express = require('express');
 const router = express.Router();
-const { Document, DocumentVersion, DecayAnalysis } = require('../models');
-const { analyzeDocument, batchAnalyze } = require('../services/decayEngine');
+const { Document, DocumentVersion, DecayAnalysis, DecayRun } = require('../models');
+const { analyzeDocument } = require('../services/decayEngine');
+const { getSuppressedPairKeys, recordContradictions } = require('../services/contradictionRegistry');
+const { getActivePolicy } = require('../services/decayPolicy');
+const { getUpstreamDocuments, getStoredReferences } = require('../services/documentReferences');
+const { getContradictionChecker } = require('../services/llmContradictionChecker');
+const {
+    runDecayAnalysis,
+    saveAnalysis,
+    getLatestAnalyses,
+    refreshAnalysis,
+    RELATED_DOC_ATTRIBUTES,
+} = require('../services/decayRunner');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 
 /**
  * POST /api/decay/analyze
  * Analyze a single document for decay
+ * Unchanged inputs since the last analysis only refresh its timestamp unless force is set.
  */
 router.post('/analyze', asyncHandler(async (req, res) => {
-    const { documentId, includeRelated = true } = req.body;
+    const { documentId, includeRelated = true, force = false } = req.body;
 
     if (!documentId) {
         throw new ApiError(400, 'documentId is required');
@@ -39,31 +51,40 @@ router.post('/analyze', asyncHandler(async (req, res) => {
     if (includeRelated) {
         allDocs = await Document.findAll({
             where: { workspaceId: document.workspaceId },
-            attributes: ['id', 'title', 'type', 'content', 'embedding', 'updatedAt'],
+            attributes: RELATED_DOC_ATTRIBUTES,
         });
     }
 
+    const latest = (await getLatestAnalyses([document.id])).get(document.id);
+    const upstreamByDocument = await getUpstreamDocuments([document.id]);
+    const referencesByDocument = await getStoredReferences([document.id]);
+
     // Run analysis
     const result = await analyzeDocument({
         document: document.toJSON(),
         versions: document.versions.map(v => v.toJSON()),
         allDocs: allDocs.map(d => d.toJSON()),
+        suppressedPairs: await getSuppressedPairKeys(document.workspaceId),
+        previousFingerprint: latest ? latest.inputFingerprint : null,
+        force: force === true,
+        policy: await getActivePolicy(document.workspaceId),
+        upstreamDocs: upstreamByDocument.get(document.id),
+        references: referencesByDocument.get(document.id),
+        contradictionChecker: getContradictionChecker(),
     });
 
+    if (result.unchanged) {
+        return res.json({
+            documentId: document.id,
+            documentTitle: document.title,
+            ...(await refreshAnalysis(latest)),
+        });
+    }
+
+    await recordContradictions(document.workspaceId, result._internal.contradictions);
+
     // Store analysis result
-    const analysis = await DecayAnalysis.create({
-        documentId: document.id,
-        decayDetected: result.decay_detected,
-        confidenceScore: result.confidence_score,
-        riskLevel: result.risk_level,
-        decayReasons: result.decay_reasons,
-        whatChangedSummary: result.what_changed_summary,
-        updateRecommendations: result.update_recommendations,
-        citations: result.citations,
-        confidenceBreakdown: result._internal.confidence_breakdown,
-        analyzedAt: new Date(),
-        analyzedBy: 'system',
-    });
+    const analysis = await saveAnalysis(document.id, result);
 
     // Return result in required format (no internal fields)
     res.json({
@@ -77,86 +98,52 @@ router.post('/analyze', asyncHandler(async (req, res) => {
         what_changed_summary: result.what_changed_summary,
         update_recommendations: result.update_recommendations,
         citations: result.citations,
+        section_scores: result.section_scores,
     });
 }));
 
 /**
  * POST /api/decay/batch
  * Batch analyze multiple documents
+ * Documents with unchanged inputs are skipped unless force is set.
  */
 router.post('/batch', asyncHandler(async (req, res) => {
-    const { workspaceId, documentIds, limit = 50 } = req.body;
+    const { workspaceId, documentIds, limit = 50, force = false } = req.body;
 
     if (!workspaceId && !documentIds) {
         throw new ApiError(400, 'Either workspaceId or documentIds is required');
     }
 
-    // Fetch documents
-    let documents;
-    if (documentIds && documentIds.length > 0) {
-        documents = await Document.findAll({
-            where: { id: documentIds },
-            include: [{
-                model: DocumentVersion,
-                as: 'versions',
-                order: [['versionNumber', 'DESC']],
-            }],
-            limit: parseInt(limit, 10),
-        });
-    } else {
-        documents = await Document.findAll({
-            where: { workspaceId },
-            include: [{
-                model: DocumentVersion,
-                as: 'versions',
-                order: [['versionNumber', 'DESC']],
-            }],
-            limit: parseInt(limit, 10),
-        });
-    }
-
-    if (documents.length === 0) {
-        return res.json({ results: [], message: 'No documents found' });
+    // A run analyzes documents against one workspace
+    if (!workspaceId && Array.isArray(documentIds)) {
+        const workspaceCount = await Document.count({ where: { id: documentIds }, distinct: true, col: 'workspaceId' });
+        if (workspaceCount > 1) {
+            throw new ApiError(400, 'documentIds must belong to one workspace; pass workspaceId to choose it');
+        }
     }
 
-    // Get all docs for cross-reference
-    const allDocs = await Document.findAll({
-        where: { workspaceId: documents[0].workspaceId },
-        attributes: ['id', 'title', 'type', 'content', 'embedding', 'updatedAt'],
+    const { run, results } = await runDecayAnalysis({
+        workspaceId,
+        documentIds,
+        limit: parseInt(limit, 10),
+        trigger: 'manual',
+        force: force === true,
     });
 
-    // Run batch analysis
-    const results = await batchAnalyze(
-        documents.map(d => ({ ...d.toJSON(), versions: d.versions.map(v => v.toJSON()) })),
-        allDocs.map(d => d.toJSON())
-    );
-
-    // Store each result
-    for (const result of results) {
-        if (!result.error) {
-            await DecayAnalysis.create({
-                documentId: result.documentId,
-                decayDetected: result.decay_detected,
-                confidenceScore: result.confidence_score,
-                riskLevel: result.risk_level,
-                decayReasons: result.decay_reasons,
-                whatChangedSummary: result.what_changed_summary,
-                updateRecommendations: result.update_recommendations,
-                citations: result.citations,
-                confidenceBreakdown: result._internal?.confidence_breakdown,
-                analyzedAt: new Date(),
-                analyzedBy: 'system',
-            });
-        }
+    if (results.length === 0) {
+        return res.json({ runId: run ? run.id : null, results: [], message: 'No documents found' });
     }
 
     // Return results without internal fields
     res.json({
-        analyzed: results.length,
+        runId: run.id,
+        analyzed: results.length - run.documentsSkipped,
+        skipped: run.documentsSkipped,
         decayDetected: results.filter(r => r.decay_detected).length,
         results: results.map(r => ({
             documentId: r.documentId,
             documentTitle: r.documentTitle,
+            skipped: !!r.skipped,
             decay_detected: r.decay_detected,
             confidence_score: r.confidence_score,
             risk_level: r.risk_level,
@@ -165,6 +152,47 @@ router.post('/batch', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/decay/runs
+ * List past analysis runs, newest first
+ */
+router.get('/runs', asyncHandler(async (req, res) => {
+    const { workspaceId, trigger, status, limit = 50, offset = 0 } = req.query;
+
+    const where = {};
+    if (workspaceId) where.workspaceId = workspaceId;
+    if (trigger) where.trigger = trigger;
+    if (status) where.status = status;
+
+    const runs = await DecayRun.findAndCountAll({
+        where,
+        order: [['startedAt', 'DESC']],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+    });
+
+    res.json({
+        runs: runs.rows,
+        total: runs.count,
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+    });
+}));
+
+/**
+ * GET /api/decay/runs/:id
+ * Get a single analysis run
+ */
+router.get('/runs/:id', asyncHandler(async (req, res) => {
+    const run = await DecayRun.findByPk(req.params.id);
+
+    if (!run) {
+        throw new ApiError(404, 'Decay run not found');
+    }
+
+    res.json(run);
+}));
+
 /**
  * GET /api/decay/reports
  * Get all decay reports with filters
@@ -6,20 +6,127 @@
 
 const express = require('express');
 const router = express.Router();
-const { Document, DocumentVersion } = require('../models');
+const { sequelize } = require('../config/database');
+const { Document, DocumentVersion, DocumentReference } = require('../models');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
-const { getEmbedding } = require('../utils/vectorUtils');
+const { updateCorpus } = require('../services/workspaceCorpus');
+const { invalidateLexicalIndex } = require('../services/lexicalSearch');
+const { isValidDocumentType, DEFAULT_DOCUMENT_TYPE } = require('../services/documentTypes');
+const {
+    syncDetectedReferences,
+    declareReference,
+    getReferences,
+} = require('../services/documentReferences');
+const { findDuplicateClusters } = require('../services/duplicateDetector');
+const { mergeDuplicates } = require('../services/documentMerge');
+const { LIFECYCLE_STATES } = require('../services/documentLifecycle');
+const { freshnessDate } = require('../services/freshnessEvaluator');
+const { diffVersions, DEFAULT_CONTEXT_LINES } = require('../services/versionDiff');
+const { createDocument, createVersion, restoreNotes } = require('../services/documentVersions');
+const { runDecayAnalysis } = require('../services/decayRunner');
+
+/**
+ * Read review cadence and expiry fields from a request body
+ * Only fields present are returned; null clears a field.
+ * @param {Object} body - Request body
+ * @returns {Object} { reviewIntervalDays?, expiresAt? }
+ */
+function parseReviewFields(body) {
+    const fields = {};
+
+    if (body.reviewIntervalDays !== undefined) {
+        const interval = body.reviewIntervalDays;
+        if (interval !== null && !(Number.isInteger(interval) && interval > 0)) {
+            throw new ApiError(400, 'reviewIntervalDays must be a positive whole number of days or null');
+        }
+        fields.reviewIntervalDays = interval;
+    }
+
+    if (body.expiresAt !== undefined) {
+        const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+        if (expiresAt && isNaN(expiresAt.getTime())) {
+            throw new ApiError(400, 'expiresAt must be a date or null');
+        }
+        fields.expiresAt = expiresAt;
+    }
+
+    return fields;
+}
+
+/**
+ * Check whether the supersededBy chain starting at a document reaches another
+ * @param {Object} start - Document to start from (id, supersededBy)
+ * @param {string} documentId - Document to look for
+ * @returns {Promise<boolean>}
+ */
+async function supersessionChainReaches(start, documentId) {
+    const visited = new Set();
+    let current = start;
+
+    while (current && current.supersededBy && !visited.has(current.id)) {
+        if (current.supersededBy === documentId) {
+            return true;
+        }
+        visited.add(current.id);
+        current = await Document.findByPk(current.supersededBy, { attributes: ['id', 'supersededBy'] });
+    }
+
+    return false;
+}
+
+/**
+ * Read lifecycle fields from a request body
+ * Setting supersededBy deprecates the document unless lifecycleState is given;
+ * null clears it.
+ * @param {Object} body - Request body
+ * @param {Object} document - Document being updated (omit on create)
+ * @returns {Promise<Object>} { lifecycleState?, supersededBy?, supersededAt? }
+ */
+async function parseLifecycleFields(body, document = null) {
+    const fields = {};
+
+    if (body.lifecycleState !== undefined) {
+        if (!LIFECYCLE_STATES.includes(body.lifecycleState)) {
+            throw new ApiError(400, `lifecycleState must be one of: ${LIFECYCLE_STATES.join(', ')}`);
+        }
+        fields.lifecycleState = body.lifecycleState;
+    }
+
+    if (document && body.supersededBy !== undefined) {
+        if (body.supersededBy === null) {
+            fields.supersededBy = null;
+            fields.supersededAt = null;
+        } else {
+            const replacement = await Document.findByPk(body.supersededBy);
+
+            if (!replacement || replacement.workspaceId !== document.workspaceId) {
+                throw new ApiError(404, 'supersededBy document not found in this workspace');
+            }
+            // The replacement, or whatever replaces it in turn, must not lead back here
+            if (replacement.id === document.id || await supersessionChainReaches(replacement, document.id)) {
+                throw new ApiError(400, 'A document cannot be superseded by itself or by a document it supersedes');
+            }
+
+            fields.supersededBy = replacement.id;
+            fields.supersededAt = new Date();
+            if (!fields.lifecycleState) fields.lifecycleState = 'deprecated';
+        }
+    }
+
+    return fields;
+}
 
 /**
  * GET /api/documents
  * List all documents with optional filters
  */
 router.get('/', asyncHandler(async (req, res) => {
-    const { workspaceId, type, limit = 50, offset = 0 } = req.query;
+    const { workspaceId, type, lifecycleState, limit = 50, offset = 0 } = req.query;
 
     const where = {};
     if (workspaceId) where.workspaceId = workspaceId;
     if (type) where.type = type;
+    if (lifecycleState) where.lifecycleState = lifecycleState;
 
     const documents = await Document.findAndCountAll({
         where,
@@ -37,6 +144,56 @@ router.get('/', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/documents/duplicates
+ * Clusters of near-duplicate or overlapping documents in a workspace
+ * Superseded documents are left out.
+ */
+router.get('/duplicates', asyncHandler(async (req, res) => {
+    const { workspaceId, threshold, overlapThreshold } = req.query;
+
+    if (!workspaceId) {
+        throw new ApiError(400, 'workspaceId is required');
+    }
+
+    const options = {};
+    for (const [key, value] of [['threshold', threshold], ['overlapThreshold', overlapThreshold]]) {
+        if (value === undefined) continue;
+        const parsed = parseFloat(value);
+        if (!(parsed > 0 && parsed <= 1)) {
+            throw new ApiError(400, `${key} must be a number between 0 and 1`);
+        }
+        options[key] = parsed;
+    }
+
+    const documents = await Document.findAll({
+        where: { workspaceId, supersededBy: null },
+        attributes: ['id', 'title', 'type', 'content', 'currentVersion', 'updatedAt', 'lastVerifiedAt', 'sourceUpdatedAt'],
+    });
+    const byId = new Map(documents.map(d => [d.id, d]));
+
+    const clusters = findDuplicateClusters(documents.map(d => d.toJSON()), options).map(cluster => {
+        const members = cluster.documentIds.map(id => byId.get(id));
+        // Suggest the most recently verified (or updated) document as canonical
+        const [canonical] = [...members].sort((a, b) => new Date(freshnessDate(b)) - new Date(freshnessDate(a)));
+
+        return {
+            suggestedCanonicalId: canonical.id,
+            documents: members.map(d => ({
+                id: d.id,
+                title: d.title,
+                type: d.type,
+                currentVersion: d.currentVersion,
+                updatedAt: d.updatedAt,
+                lastVerifiedAt: d.lastVerifiedAt,
+            })),
+            pairs: cluster.pairs,
+        };
+    });
+
+    res.json({ workspaceId, clusters });
+}));
+
 /**
  * GET /api/documents/:id
  * Get a single document by ID
@@ -71,27 +228,20 @@ router.post('/', asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Missing required fields: workspaceId, title, author, content');
     }
 
-    // Generate embedding
-    const embedding = await getEmbedding(content);
+    if (type && !(await isValidDocumentType(workspaceId, type))) {
+        throw new ApiError(400, `Unknown document type "${type}" for this workspace`);
+    }
+
+    const reviewFields = parseReviewFields(req.body);
+    const lifecycleFields = await parseLifecycleFields(req.body);
 
-    const document = await Document.create({
+    const document = await createDocument({
         workspaceId,
         title,
-        type: type || 'Notes',
+        type: type || DEFAULT_DOCUMENT_TYPE,
         author,
         content,
-        embedding,
-        currentVersion: 1,
-    });
-
-    // Create initial version
-    await DocumentVersion.create({
-        documentId: document.id,
-        versionNumber: 1,
-        content,
-        summary: 'Initial version',
-        embedding,
-        author,
+        fields: { ...reviewFields, ...lifecycleFields },
     });
 
     res.status(201).json(document);
@@ -110,36 +260,38 @@ router.put('/:id', asyncHandler(async (req, res) => {
 
     const { title, type, content, author, changeNotes } = req.body;
 
+    if (type && type !== document.type && !(await isValidDocumentType(document.workspaceId, type))) {
+        throw new ApiError(400, `Unknown document type "${type}" for this workspace`);
+    }
+
+    const reviewFields = parseReviewFields(req.body);
+    const lifecycleFields = await parseLifecycleFields(req.body, document);
+    const contentChanged = Boolean(content) && content !== document.content;
+    const titleChanged = Boolean(title) && title !== document.title;
+
+    const fields = {
+        title: title || document.title,
+        type: type || document.type,
+        ...reviewFields,
+        ...lifecycleFields,
+    };
+
     // If content changed, create new version
-    if (content && content !== document.content) {
-        const newVersion = document.currentVersion + 1;
-        const newEmbedding = await getEmbedding(content);
-
-        // Create version record
-        await DocumentVersion.create({
-            documentId: document.id,
-            versionNumber: newVersion,
-            content,
-            summary: changeNotes || `Version ${newVersion}`,
-            embedding: newEmbedding,
-            author: author || document.author,
-            changeNotes,
-        });
-
-        // Update document
-        await document.update({
-            title: title || document.title,
-            type: type || document.type,
-            content,
-            embedding: newEmbedding,
-            currentVersion: newVersion,
-        });
+    if (contentChanged) {
+        await createVersion(document, content, { author, changeNotes, fields });
     } else {
         // Just update metadata
-        await document.update({
-            title: title || document.title,
-            type: type || document.type,
-        });
+        await document.update(fields);
+
+        // Retired documents drop out of the lexical index
+        if (Object.keys(lifecycleFields).length > 0) {
+            invalidateLexicalIndex(document.workspaceId);
+        }
+
+        // Mentions to and from this document may have appeared or gone
+        if (titleChanged) {
+            await syncDetectedReferences(document);
+        }
     }
 
     res.json(await Document.findByPk(req.params.id));
@@ -156,7 +308,11 @@ router.delete('/:id', asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Document not found');
     }
 
-    await document.destroy(); // Cascades to versions due to onDelete: CASCADE
+    await sequelize.transaction(async (transaction) => {
+        await updateCorpus(document.workspaceId, { removed: document.content }, { transaction });
+        await document.destroy({ transaction }); // Cascades to versions and chunks due to onDelete: CASCADE
+    });
+    invalidateLexicalIndex(document.workspaceId);
 
     res.status(204).send();
 }));
@@ -204,6 +360,131 @@ router.get('/:id/versions/:version', asyncHandler(async (req, res) => {
     res.json(version);
 }));
 
+/**
+ * POST /api/documents/:id/versions/:version/restore
+ * Roll back to an earlier version by saving its content as a new version,
+ * then re-analyze the document
+ * Body: { restoredBy, reason? }
+ */
+router.post('/:id/versions/:version/restore', asyncHandler(async (req, res) => {
+    const document = await Document.findByPk(req.params.id);
+
+    if (!document) {
+        throw new ApiError(404, 'Document not found');
+    }
+
+    const { restoredBy, reason } = req.body;
+
+    if (!restoredBy) {
+        throw new ApiError(400, 'restoredBy is required');
+    }
+
+    const versionNumber = parseInt(req.params.version, 10);
+    const restored = await DocumentVersion.findOne({
+        where: { documentId: document.id, versionNumber },
+    });
+
+    if (!restored) {
+        throw new ApiError(404, 'Version not found');
+    }
+
+    if (restored.content === document.content) {
+        throw new ApiError(400, `Version ${versionNumber} has the same content as the current version`);
+    }
+
+    const version = await createVersion(document, restored.content, {
+        author: restoredBy,
+        summary: `Restored version ${versionNumber}`,
+        changeNotes: restoreNotes(versionNumber, restoredBy, reason),
+    });
+
+    // The old content may bring back contradictions or stale facts
+    let analysis = null;
+    try {
+        const { run, results } = await runDecayAnalysis({ documentIds: [document.id], trigger: 'manual' });
+        const [result] = results;
+        analysis = result && !result.error
+            ? {
+                runId: run.id,
+                decay_detected: result.decay_detected,
+                confidence_score: result.confidence_score,
+                risk_level: result.risk_level,
+            }
+            : null;
+    } catch (error) {
+        console.error(`Re-analysis after restoring document ${document.id} failed:`, error.message);
+    }
+
+    res.status(201).json({
+        message: `Restored version ${versionNumber} as version ${version.versionNumber}`,
+        restoredFrom: versionNumber,
+        version: {
+            id: version.id,
+            versionNumber: version.versionNumber,
+            summary: version.summary,
+            author: version.author,
+            changeNotes: version.changeNotes,
+            createdAt: version.createdAt,
+        },
+        analysis,
+    });
+}));
+
+/**
+ * GET /api/documents/:id/diff?from=&to=
+ * Diff two versions (default: the previous version against the current one)
+ * Optional: granularity=line|word, context=<lines around each change>
+ */
+router.get('/:id/diff', asyncHandler(async (req, res) => {
+    const { granularity = 'line' } = req.query;
+
+    const document = await Document.findByPk(req.params.id, {
+        attributes: ['id', 'title', 'currentVersion', 'outline'],
+    });
+    if (!document) {
+        throw new ApiError(404, 'Document not found');
+    }
+
+    const to = req.query.to !== undefined ? Number(req.query.to) : document.currentVersion;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    const context = req.query.context !== undefined ? Number(req.query.context) : DEFAULT_CONTEXT_LINES;
+
+    if (![from, to].every(v => Number.isInteger(v) && v >= 1)) {
+        throw new ApiError(400, 'from and to must be version numbers (the document may have only one version)');
+    }
+    if (!Number.isInteger(context) || context < 0) {
+        throw new ApiError(400, 'context must be a non-negative whole number of lines');
+    }
+    if (!['line', 'word'].includes(granularity)) {
+        throw new ApiError(400, 'granularity must be line or word');
+    }
+
+    const versions = await DocumentVersion.findAll({
+        where: { documentId: document.id, versionNumber: [from, to] },
+        attributes: ['versionNumber', 'content', 'createdAt'],
+    });
+    const fromVersion = versions.find(v => v.versionNumber === from);
+    const toVersion = versions.find(v => v.versionNumber === to);
+
+    if (!fromVersion || !toVersion) {
+        throw new ApiError(404, `Version ${!fromVersion ? from : to} not found`);
+    }
+
+    const diff = diffVersions(fromVersion, toVersion, {
+        context,
+        granularity,
+        outline: document.outline,
+    });
+
+    res.json({
+        documentId: document.id,
+        from,
+        to,
+        granularity,
+        ...diff,
+    });
+}));
+
 /**
  * POST /api/documents/:id/verify
  * Mark document as verified (human review)
@@ -232,4 +513,117 @@ router.post('/:id/verify', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /api/documents/:id/merge
+ * Keep this document as the canonical copy and mark the duplicates as superseded by it (and deprecated)
+ */
+router.post('/:id/merge', asyncHandler(async (req, res) => {
+    const canonical = await Document.findByPk(req.params.id);
+
+    if (!canonical) {
+        throw new ApiError(404, 'Document not found');
+    }
+
+    if (canonical.supersededBy) {
+        throw new ApiError(400, 'Document is itself superseded; merge into its canonical document instead');
+    }
+
+    const { duplicateIds } = req.body;
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+        throw new ApiError(400, 'duplicateIds must be a non-empty array');
+    }
+
+    if (duplicateIds.includes(canonical.id)) {
+        throw new ApiError(400, 'A document cannot be merged into itself');
+    }
+
+    const duplicates = await Document.findAll({
+        where: { id: duplicateIds, workspaceId: canonical.workspaceId },
+    });
+
+    if (duplicates.length !== new Set(duplicateIds).size) {
+        const found = new Set(duplicates.map(d => d.id));
+        const missing = duplicateIds.filter(id => !found.has(id));
+        throw new ApiError(404, `Documents not found in this workspace: ${missing.join(', ')}`);
+    }
+
+    const { supersededAt } = await mergeDuplicates(canonical, duplicates);
+
+    res.json({
+        message: `Merged ${duplicates.length} document(s) into "${canonical.title}"`,
+        canonicalId: canonical.id,
+        superseded: duplicates.map(d => ({ id: d.id, title: d.title })),
+        supersededAt,
+    });
+}));
+
+/**
+ * GET /api/documents/:id/references
+ * Get the documents this document depends on and the documents that depend on it
+ */
+router.get('/:id/references', asyncHandler(async (req, res) => {
+    const document = await Document.findByPk(req.params.id);
+
+    if (!document) {
+        throw new ApiError(404, 'Document not found');
+    }
+
+    const { upstream, dependents } = await getReferences(document.id);
+
+    res.json({
+        documentId: document.id,
+        upstream,
+        dependents,
+    });
+}));
+
+/**
+ * POST /api/documents/:id/references
+ * Declare that this document depends on another document in its workspace
+ */
+router.post('/:id/references', asyncHandler(async (req, res) => {
+    const document = await Document.findByPk(req.params.id);
+
+    if (!document) {
+        throw new ApiError(404, 'Document not found');
+    }
+
+    const { targetDocumentId, note } = req.body;
+
+    if (!targetDocumentId) {
+        throw new ApiError(400, 'targetDocumentId is required');
+    }
+
+    if (targetDocumentId === document.id) {
+        throw new ApiError(400, 'A document cannot reference itself');
+    }
+
+    const target = await Document.findByPk(targetDocumentId);
+
+    if (!target || target.workspaceId !== document.workspaceId) {
+        throw new ApiError(404, 'Target document not found in this workspace');
+    }
+
+    const reference = await declareReference(document, target, note);
+
+    res.status(201).json(reference);
+}));
+
+/**
+ * DELETE /api/documents/:id/references/:targetId
+ * Remove a reference (detected references come back if the content still mentions the target)
+ */
+router.delete('/:id/references/:targetId', asyncHandler(async (req, res) => {
+    const deleted = await DocumentReference.destroy({
+        where: { documentId: req.params.id, targetDocumentId: req.params.targetId },
+    });
+
+    if (!deleted) {
+        throw new ApiError(404, 'Reference not found');
+    }
+
+    res.status(204).send();
+}));
+
 module.exports = router;
@@ -1,7 +1,7 @@
 /**
  * Upload Routes
  * 
- * Handles file uploads for documents (PDF, DOCX, TXT).
+ * Handles file uploads for documents (PDF, DOCX, ODT, HTML, TXT, presentations, spreadsheets).
  */
 
 const express = require('express');
@@ -9,10 +9,12 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { Document } = require('../models');
+const { Document, IngestionJob } = require('../models');
 const { parseDocument, isSupported, getMaxFileSize } = require('../services/documentParser');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
-const { getEmbedding } = require('../utils/vectorUtils');
+const { isValidDocumentType, DEFAULT_DOCUMENT_TYPE } = require('../services/documentTypes');
+const { createDocument, createVersion } = require('../services/documentVersions');
+const { startIngestionJob, MAX_ARCHIVE_SIZE, ARCHIVE_FORMATS } = require('../services/bulkIngestion');
 
 const router = express.Router();
 
@@ -37,7 +39,7 @@ const fileFilter = (req, file, cb) => {
     if (isSupported(file.originalname)) {
         cb(null, true);
     } else {
-        cb(new ApiError(400, `Unsupported file type. Allowed: PDF, DOCX, TXT, MD`), false);
+        cb(new ApiError(400, `Unsupported file type. Allowed: PDF, DOCX, ODT, HTML, TXT, MD, PPTX, ODP, XLSX, ODS, CSV`), false);
     }
 };
 
@@ -49,16 +51,61 @@ const upload = multer({
     },
 });
 
+// ZIP archives for bulk upload
+const archiveUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.zip') {
+            cb(null, true);
+        } else {
+            cb(new ApiError(400, 'Bulk upload expects a ZIP archive'), false);
+        }
+    },
+    limits: {
+        fileSize: MAX_ARCHIVE_SIZE,
+    },
+});
+
+/**
+ * Parse an uploaded file
+ * @param {Object} file - File from multer
+ * @returns {Promise<Object>} { content, metadata }
+ */
+async function parseUpload(file) {
+    const parsed = await parseDocument(file.path, file.mimetype);
+
+    if (!parsed.content || parsed.content.length === 0) {
+        throw new ApiError(400, 'Could not extract text from file. File may be empty or image-based.');
+    }
+
+    return parsed;
+}
+
+/**
+ * Upload metadata kept on each version created from a file
+ * @param {Object} file - File from multer
+ * @param {Object} parsed - Result of parseUpload()
+ * @returns {Object} DocumentVersion fields
+ */
+function versionUploadFields(file, parsed) {
+    return {
+        originalFilename: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        uploadMetadata: parsed.metadata,
+    };
+}
+
 /**
  * POST /api/upload
- * Upload a document file (PDF, DOCX, TXT)
+ * Upload a document file (PDF, DOCX, ODT, HTML, TXT, PPTX, ODP, XLSX, ODS, CSV)
  */
 router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
     if (!req.file) {
         throw new ApiError(400, 'No file uploaded');
     }
 
-    const { workspaceId, type = 'Notes', author = 'system' } = req.body;
+    const { workspaceId, type = DEFAULT_DOCUMENT_TYPE, author = 'system' } = req.body;
 
     if (!workspaceId) {
         // Clean up uploaded file
@@ -67,36 +114,30 @@ router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
     }
 
     try {
-        // Parse the document
-        const parsed = await parseDocument(req.file.path, req.file.mimetype);
-
-        if (!parsed.content || parsed.content.length === 0) {
-            throw new ApiError(400, 'Could not extract text from file. File may be empty or image-based.');
+        if (!(await isValidDocumentType(workspaceId, type))) {
+            throw new ApiError(400, `Unknown document type "${type}" for this workspace`);
         }
 
-        // Generate title from filename if not provided
-        const title = req.body.title || path.basename(req.file.originalname, path.extname(req.file.originalname));
+        // Parse the document
+        const parsed = await parseUpload(req.file);
 
-        // Generate embedding for the content
-        let embedding = null;
-        try {
-            embedding = await getEmbedding(parsed.content.substring(0, 5000)); // Limit for embedding
-        } catch (embError) {
-            console.warn('Embedding generation failed, continuing without:', embError.message);
-        }
+        // Generate title from the document's own title (HTML, presentations, ODT) or filename if not provided
+        const title = req.body.title || parsed.metadata.title ||
+            path.basename(req.file.originalname, path.extname(req.file.originalname));
 
-        // Create document in database
-        const document = await Document.create({
-            id: uuidv4(),
+        // Create document in database, with version 1
+        const document = await createDocument({
             workspaceId,
             title,
             type,
             author,
             content: parsed.content,
-            currentVersion: 1,
-            embedding,
-            originalFilename: req.file.originalname,
-            fileSize: req.file.size,
+            fields: {
+                originalFilename: req.file.originalname,
+                fileSize: req.file.size,
+                outline: parsed.metadata.outline || null,
+            },
+            versionFields: versionUploadFields(req.file, parsed),
         });
 
         // Generate AI summary (async, non-blocking)
@@ -124,6 +165,7 @@ router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
             type: document.type,
             author: document.author,
             workspaceId: document.workspaceId,
+            currentVersion: document.currentVersion,
             contentLength: parsed.content.length,
             ai: {
                 summary: aiData.summary,
@@ -146,6 +188,136 @@ router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * POST /api/upload/bulk
+ * Upload a ZIP archive of documents (or a Confluence or Notion export), imported in the background
+ * Optional: author, type (default type; manifest.json and folder names take precedence),
+ * format (auto, files, confluence, notion; default auto)
+ * Poll GET /api/upload/bulk/:jobId for progress and the per-file report.
+ */
+router.post('/bulk', archiveUpload.single('file'), asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ApiError(400, 'No file uploaded');
+    }
+
+    const { workspaceId, type, author = 'system', format = 'auto' } = req.body;
+
+    try {
+        if (!workspaceId) {
+            throw new ApiError(400, 'workspaceId is required');
+        }
+
+        if (!ARCHIVE_FORMATS.includes(format)) {
+            throw new ApiError(400, `format must be one of: ${ARCHIVE_FORMATS.join(', ')}`);
+        }
+
+        if (type && !(await isValidDocumentType(workspaceId, type))) {
+            throw new ApiError(400, `Unknown document type "${type}" for this workspace`);
+        }
+    } catch (error) {
+        await fs.unlink(req.file.path).catch(() => { });
+        throw error;
+    }
+
+    const job = await startIngestionJob({
+        workspaceId,
+        author,
+        type: type || null,
+        format,
+        archiveName: req.file.originalname,
+        archivePath: req.file.path,
+    });
+
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        archiveName: job.archiveName,
+        statusUrl: `${req.baseUrl}/bulk/${job.id}`,
+    });
+}));
+
+/**
+ * GET /api/upload/bulk/:jobId
+ * Progress and per-file report of a bulk upload
+ */
+router.get('/bulk/:jobId', asyncHandler(async (req, res) => {
+    const job = await IngestionJob.findByPk(req.params.jobId);
+
+    if (!job) {
+        throw new ApiError(404, 'Ingestion job not found');
+    }
+
+    let progress = job.status === 'completed' ? 100 : 0;
+    if (job.status === 'running' && job.totalFiles > 0) {
+        progress = Math.round((job.processedFiles / job.totalFiles) * 100);
+    }
+
+    // The archive's location on the server is not part of the report
+    res.json({ ...job.toJSON(), archivePath: undefined, progress });
+}));
+
+/**
+ * POST /api/upload/:documentId
+ * Upload an updated file of an existing document as its next version
+ * Optional: author, changeNotes, title
+ */
+router.post('/:documentId', upload.single('file'), asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ApiError(400, 'No file uploaded');
+    }
+
+    try {
+        const document = await Document.findByPk(req.params.documentId);
+
+        if (!document) {
+            throw new ApiError(404, 'Document not found');
+        }
+
+        const parsed = await parseUpload(req.file);
+
+        if (parsed.content === document.content) {
+            throw new ApiError(400, 'Uploaded file has the same content as the current version');
+        }
+
+        const { author, changeNotes, title } = req.body;
+        const version = await createVersion(document, parsed.content, {
+            author,
+            changeNotes: changeNotes || `Uploaded ${req.file.originalname}`,
+            fields: {
+                title: title || document.title,
+                originalFilename: req.file.originalname,
+                fileSize: req.file.size,
+                outline: parsed.metadata.outline || null,
+            },
+            versionFields: versionUploadFields(req.file, parsed),
+        });
+
+        await fs.unlink(req.file.path).catch(() => { });
+
+        res.status(201).json({
+            id: document.id,
+            title: document.title,
+            versionNumber: version.versionNumber,
+            previousVersion: version.versionNumber - 1,
+            author: version.author,
+            changeNotes: version.changeNotes,
+            changeStats: version.changeStats,
+            contentLength: parsed.content.length,
+            metadata: {
+                originalFilename: req.file.originalname,
+                fileSize: req.file.size,
+                ...parsed.metadata,
+            },
+            createdAt: version.createdAt,
+        });
+
+    } catch (error) {
+        // Clean up file on error
+        await fs.unlink(req.file.path).catch(() => { });
+        throw error;
+    }
+}));
+
 /**
  * GET /api/upload/supported
  * Get list of supported file types
@@ -155,8 +327,16 @@ router.get('/supported', (req, res) => {
         supportedFormats: [
             { extension: '.pdf', mimeType: 'application/pdf', maxSize: '10MB' },
             { extension: '.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', maxSize: '10MB' },
+            { extension: '.odt', mimeType: 'application/vnd.oasis.opendocument.text', maxSize: '10MB' },
+            { extension: '.pptx', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', maxSize: '10MB' },
+            { extension: '.odp', mimeType: 'application/vnd.oasis.opendocument.presentation', maxSize: '10MB' },
             { extension: '.txt', mimeType: 'text/plain', maxSize: '5MB' },
             { extension: '.md', mimeType: 'text/markdown', maxSize: '5MB' },
+            { extension: '.html', mimeType: 'text/html', maxSize: '5MB' },
+            { extension: '.htm', mimeType: 'text/html', maxSize: '5MB' },
+            { extension: '.xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', maxSize: '10MB' },
+            { extension: '.ods', mimeType: 'application/vnd.oasis.opendocument.spreadsheet', maxSize: '10MB' },
+            { extension: '.csv', mimeType: 'text/csv', maxSize: '5MB' },
         ],
         maxFileSize: getMaxFileSize(),
     });
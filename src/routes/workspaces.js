@@ -0,0 +1,329 @@
+/**
+ * Workspace Routes
+ * 
+ * Per-workspace configuration.
+ */
+
+const express = require('express');
+const { Document, DocumentType, WorkspaceSettings, DecaySchedule, DecayPolicy } = require('../models');
+const {
+    RETRIEVAL_FRESHNESS_MODES,
+    DEFAULT_RETRIEVAL_FRESHNESS_MODE,
+} = require('../services/retrievalFreshness');
+const {
+    getLatestPolicyRecord,
+    resolvePolicy,
+    validatePolicy,
+    savePolicy,
+} = require('../services/decayPolicy');
+const { getDocumentTypes, validateDocumentType } = require('../services/documentTypes');
+const { getWorkspaceGraph } = require('../services/documentReferences');
+const { isValidCron, getNextRun } = require('../utils/cron');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * GET /api/workspaces/:workspaceId/settings
+ * Get workspace settings (defaults if never set)
+ */
+router.get('/:workspaceId/settings', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const settings = await WorkspaceSettings.findOne({ where: { workspaceId } });
+
+    res.json({
+        workspaceId,
+        retrievalFreshnessMode: settings ? settings.retrievalFreshnessMode : DEFAULT_RETRIEVAL_FRESHNESS_MODE,
+        updatedAt: settings ? settings.updatedAt : null,
+    });
+}));
+
+/**
+ * PUT /api/workspaces/:workspaceId/settings
+ * Update workspace settings
+ */
+router.put('/:workspaceId/settings', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const { retrievalFreshnessMode } = req.body;
+
+    if (retrievalFreshnessMode !== undefined && !RETRIEVAL_FRESHNESS_MODES.includes(retrievalFreshnessMode)) {
+        throw new ApiError(400, `Invalid retrievalFreshnessMode. Must be: ${RETRIEVAL_FRESHNESS_MODES.join(', ')}`);
+    }
+
+    const [settings] = await WorkspaceSettings.findOrCreate({
+        where: { workspaceId },
+        defaults: { workspaceId },
+    });
+
+    if (retrievalFreshnessMode !== undefined) {
+        await settings.update({ retrievalFreshnessMode });
+    }
+
+    res.json({
+        workspaceId,
+        retrievalFreshnessMode: settings.retrievalFreshnessMode,
+        updatedAt: settings.updatedAt,
+    });
+}));
+
+const POLICY_SECTIONS = ['thresholds', 'penaltyCaps', 'riskCutoffs', 'flagRule', 'contentStaleness'];
+
+/**
+ * Format a policy record (or the defaults) for responses
+ */
+function formatPolicy(workspaceId, record, documentTypes) {
+    // Types are listed under /document-types
+    const { documentTypes: _types, ...effective } = resolvePolicy(record, documentTypes);
+
+    return {
+        workspaceId,
+        version: record ? record.version : 0,
+        overrides: Object.fromEntries(POLICY_SECTIONS.map(key => [key, record ? record[key] : {}])),
+        effective,
+        updatedBy: record ? record.updatedBy : null,
+        updatedAt: record ? record.createdAt : null,
+    };
+}
+
+/**
+ * GET /api/workspaces/:workspaceId/policy
+ * Get the active decay policy (overrides and effective values)
+ */
+router.get('/:workspaceId/policy', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const [record, documentTypes] = await Promise.all([
+        getLatestPolicyRecord(workspaceId),
+        getDocumentTypes(workspaceId),
+    ]);
+
+    res.json(formatPolicy(workspaceId, record, documentTypes));
+}));
+
+/**
+ * GET /api/workspaces/:workspaceId/policy/versions
+ * List all policy versions, newest first
+ */
+router.get('/:workspaceId/policy/versions', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const versions = await DecayPolicy.findAll({
+        where: { workspaceId },
+        order: [['version', 'DESC']],
+    });
+
+    res.json({
+        workspaceId,
+        versions,
+    });
+}));
+
+/**
+ * PUT /api/workspaces/:workspaceId/policy
+ * Replace the policy overrides, creating a new version
+ */
+router.put('/:workspaceId/policy', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const { updatedBy } = req.body;
+
+    const overrides = {};
+    for (const key of POLICY_SECTIONS) {
+        const value = req.body[key];
+        if (value === undefined) continue;
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ApiError(400, `${key} must be an object`);
+        }
+        overrides[key] = value;
+    }
+
+    const documentTypes = await getDocumentTypes(workspaceId);
+    const errors = validatePolicy(overrides, documentTypes);
+    if (errors.length > 0) {
+        throw new ApiError(400, `Invalid policy: ${errors.join('; ')}`);
+    }
+
+    const record = await savePolicy(workspaceId, overrides, updatedBy || null);
+
+    res.json(formatPolicy(workspaceId, record, documentTypes));
+}));
+
+/**
+ * DELETE /api/workspaces/:workspaceId/policy
+ * Reset to the global defaults (recorded as a new, empty version)
+ */
+router.delete('/:workspaceId/policy', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const record = await savePolicy(workspaceId, {}, req.body?.updatedBy || null);
+
+    res.json(formatPolicy(workspaceId, record, await getDocumentTypes(workspaceId)));
+}));
+
+/**
+ * GET /api/workspaces/:workspaceId/document-types
+ * List built-in and workspace-defined document types
+ */
+router.get('/:workspaceId/document-types', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const types = await getDocumentTypes(workspaceId);
+
+    res.json({
+        workspaceId,
+        documentTypes: Object.values(types),
+    });
+}));
+
+/**
+ * POST /api/workspaces/:workspaceId/document-types
+ * Define a document type ({ name, displayName, warningDays, criticalDays, authorityRank })
+ */
+router.post('/:workspaceId/document-types', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const { name, displayName, warningDays, criticalDays, authorityRank = 1 } = req.body;
+
+    const errors = validateDocumentType({ name, displayName, warningDays, criticalDays, authorityRank });
+    if (errors.length > 0) {
+        throw new ApiError(400, `Invalid document type: ${errors.join('; ')}`);
+    }
+
+    const documentType = await DocumentType.create({
+        workspaceId,
+        name,
+        displayName: displayName || name,
+        warningDays,
+        criticalDays,
+        authorityRank,
+    });
+
+    res.status(201).json(documentType);
+}));
+
+/**
+ * PUT /api/workspaces/:workspaceId/document-types/:name
+ * Update a workspace-defined document type (the name cannot change)
+ */
+router.put('/:workspaceId/document-types/:name', asyncHandler(async (req, res) => {
+    const { workspaceId, name } = req.params;
+    const documentType = await DocumentType.findOne({ where: { workspaceId, name } });
+
+    if (!documentType) {
+        throw new ApiError(404, 'Document type not found (built-in types cannot be changed)');
+    }
+
+    const updates = {};
+    for (const key of ['displayName', 'warningDays', 'criticalDays', 'authorityRank']) {
+        if (req.body[key] !== undefined) updates[key] = req.body[key];
+    }
+
+    const errors = validateDocumentType({
+        name,
+        displayName: documentType.displayName,
+        warningDays: documentType.warningDays,
+        criticalDays: documentType.criticalDays,
+        authorityRank: documentType.authorityRank,
+        ...updates,
+    });
+    if (errors.length > 0) {
+        throw new ApiError(400, `Invalid document type: ${errors.join('; ')}`);
+    }
+
+    res.json(await documentType.update(updates));
+}));
+
+/**
+ * DELETE /api/workspaces/:workspaceId/document-types/:name
+ * Delete a workspace-defined document type that no document uses
+ */
+router.delete('/:workspaceId/document-types/:name', asyncHandler(async (req, res) => {
+    const { workspaceId, name } = req.params;
+    const documentType = await DocumentType.findOne({ where: { workspaceId, name } });
+
+    if (!documentType) {
+        throw new ApiError(404, 'Document type not found (built-in types cannot be deleted)');
+    }
+
+    const inUse = await Document.count({ where: { workspaceId, type: name } });
+    if (inUse > 0) {
+        throw new ApiError(409, `Document type "${name}" is used by ${inUse} document(s)`);
+    }
+
+    await documentType.destroy();
+
+    res.json({ message: 'Document type deleted', name });
+}));
+
+/**
+ * GET /api/workspaces/:workspaceId/decay-schedule
+ * Get the automatic decay analysis schedule
+ */
+router.get('/:workspaceId/decay-schedule', asyncHandler(async (req, res) => {
+    const schedule = await DecaySchedule.findOne({ where: { workspaceId: req.params.workspaceId } });
+
+    if (!schedule) {
+        throw new ApiError(404, 'No decay schedule for this workspace');
+    }
+
+    res.json(schedule);
+}));
+
+/**
+ * PUT /api/workspaces/:workspaceId/decay-schedule
+ * Create or update the schedule ({ cronExpression, enabled })
+ */
+router.put('/:workspaceId/decay-schedule', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const { cronExpression, enabled } = req.body;
+
+    const existing = await DecaySchedule.findOne({ where: { workspaceId } });
+
+    if (!existing && !cronExpression) {
+        throw new ApiError(400, 'cronExpression is required');
+    }
+
+    if (cronExpression !== undefined && !isValidCron(cronExpression)) {
+        throw new ApiError(400, `Invalid cronExpression: "${cronExpression}"`);
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new ApiError(400, 'enabled must be a boolean');
+    }
+
+    const expression = cronExpression || existing.cronExpression;
+    const values = {
+        cronExpression: expression,
+        enabled: enabled !== undefined ? enabled : (existing ? existing.enabled : true),
+        nextRunAt: getNextRun(expression),
+    };
+
+    const schedule = existing
+        ? await existing.update(values)
+        : await DecaySchedule.create({ workspaceId, ...values });
+
+    res.status(existing ? 200 : 201).json(schedule);
+}));
+
+/**
+ * DELETE /api/workspaces/:workspaceId/decay-schedule
+ * Remove the schedule (run history is kept)
+ */
+router.delete('/:workspaceId/decay-schedule', asyncHandler(async (req, res) => {
+    const schedule = await DecaySchedule.findOne({ where: { workspaceId: req.params.workspaceId } });
+
+    if (!schedule) {
+        throw new ApiError(404, 'No decay schedule for this workspace');
+    }
+
+    await schedule.destroy();
+
+    res.json({ message: 'Decay schedule deleted', workspaceId: req.params.workspaceId });
+}));
+
+/**
+ * GET /api/workspaces/:workspaceId/document-graph
+ * Dependency graph of the workspace's documents (edges point from dependent to upstream)
+ */
+router.get('/:workspaceId/document-graph', asyncHandler(async (req, res) => {
+    const { workspaceId } = req.params;
+    const { nodes, edges } = await getWorkspaceGraph(workspaceId);
+
+    res.json({ workspaceId, nodes, edges });
+}));
+
+module.exports = router;
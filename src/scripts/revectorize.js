@@ -0,0 +1,45 @@
+/**
+ * Re-vectorization Job
+ * 
+ * Rebuilds workspace TF-IDF corpora and recomputes stored embeddings
+ * for documents, chunks and versions.
+ * 
+ * Usage:
+ *   npm run db:revectorize              # all workspaces
+ *   npm run db:revectorize -- <wsId>    # single workspace
+ */
+
+require('dotenv').config();
+const { sequelize, testConnection } = require('../config/database');
+const { Document } = require('../models');
+const { revectorizeWorkspace } = require('../services/workspaceCorpus');
+
+async function run() {
+    const dbConnected = await testConnection();
+    if (!dbConnected) {
+        throw new Error('Database connection failed');
+    }
+
+    await sequelize.sync();
+
+    let workspaceIds = process.argv.slice(2);
+    if (workspaceIds.length === 0) {
+        const rows = await Document.findAll({
+            attributes: ['workspaceId'],
+            group: ['workspaceId'],
+        });
+        workspaceIds = rows.map(r => r.workspaceId);
+    }
+
+    for (const workspaceId of workspaceIds) {
+        const counts = await revectorizeWorkspace(workspaceId);
+        console.log(`✓ ${workspaceId}: ${counts.documents} documents, ${counts.chunks} chunks, ${counts.versions} versions re-vectorized`);
+    }
+
+    await sequelize.close();
+}
+
+run().catch((error) => {
+    console.error('Re-vectorization failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,528 @@
+/**
+ * Bulk Ingestion Service
+ *
+ * Imports a ZIP archive of documents as a background job. Each file is
+ * parsed with parseDocument() and typed from the archive's manifest.json
+ * or from folder names matching a workspace document type. Files whose
+ * content is already in the workspace are skipped, files titled like an
+ * existing document become its next version, and the rest become new
+ * documents. Progress counts and a per-file report are kept on the
+ * IngestionJob. Jobs run in this process; jobs a restart interrupted are
+ * failed by recoverIngestionJobs().
+ *
+ * Confluence space exports and Notion exports are recognized: their
+ * pages keep the source's title, page hierarchy, author and last-modified
+ * date, and re-importing an export updates the pages imported before.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Document, IngestionJob } = require('../models');
+const { loadZip, readZipEntry, declaredSize } = require('../utils/zipArchive');
+const { parseDocument, isSupported, getMaxFileSize } = require('./documentParser');
+const { getDocumentTypes, DEFAULT_DOCUMENT_TYPE } = require('./documentTypes');
+const { createDocument, createVersion } = require('./documentVersions');
+const confluenceImporter = require('./confluenceImporter');
+const notionImporter = require('./notionImporter');
+
+const MANIFEST_NAME = 'manifest.json';
+
+// Export layouts understood besides plain files, in detection order
+const IMPORTERS = {
+    confluence: confluenceImporter,
+    notion: notionImporter,
+};
+const ARCHIVE_FORMATS = ['auto', 'files', ...Object.keys(IMPORTERS)];
+
+// Limits for one archive
+const MAX_ARCHIVE_FILES = parseInt(process.env.BULK_MAX_FILES, 10) || 1000;
+const MAX_ARCHIVE_SIZE = parseInt(process.env.BULK_MAX_ARCHIVE_SIZE, 10) || 100 * 1024 * 1024; // 100MB
+const MAX_UNCOMPRESSED_SIZE = parseInt(process.env.BULK_MAX_UNCOMPRESSED_SIZE, 10) || 1024 * 1024 * 1024; // 1GB
+
+/**
+ * Hidden files and macOS resource forks are archive noise, not documents
+ */
+function isIgnoredEntry(name) {
+    return name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+/**
+ * Normalize a folder or type name for matching ("Policies" and "policy" match)
+ */
+function normalizeName(name) {
+    const key = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (key.endsWith('ies')) return key.replace(/ies$/, 'y');
+    if (key.length > 3 && key.endsWith('s') && !key.endsWith('ss')) return key.slice(0, -1);
+    return key;
+}
+
+/**
+ * Validate and normalize a manifest
+ * Format: { type?, folders?: { folder: type }, files?: { path: { type?, title?, author? } } }
+ * File paths are relative to the folder holding manifest.json.
+ * @param {string} text - manifest.json content
+ * @returns {Object} { type, folders, files }
+ */
+function parseManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid ${MANIFEST_NAME}: ${error.message}`);
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(manifest)) {
+        throw new Error(`Invalid ${MANIFEST_NAME}: expected an object`);
+    }
+    for (const key of ['folders', 'files']) {
+        if (manifest[key] !== undefined && !isObject(manifest[key])) {
+            throw new Error(`Invalid ${MANIFEST_NAME}: "${key}" must be an object`);
+        }
+    }
+
+    return {
+        type: typeof manifest.type === 'string' ? manifest.type : null,
+        folders: Object.fromEntries(
+            Object.entries(manifest.folders || {}).map(([folder, type]) => [normalizeName(folder), type])
+        ),
+        files: manifest.files || {},
+    };
+}
+
+/**
+ * Read the document entries and manifest of a ZIP archive
+ * Archives declaring more than BULK_MAX_UNCOMPRESSED_SIZE are rejected,
+ * and entries read later share that size as their budget.
+ * @param {Buffer} buffer - Archive content
+ * @returns {Promise<Object>} { zip, files: [{ path, entry }], manifest }
+ */
+async function readArchive(buffer) {
+    let zip;
+    try {
+        zip = await loadZip(buffer, { maxTotalSize: MAX_UNCOMPRESSED_SIZE });
+    } catch (error) {
+        throw new Error(`Could not read ZIP archive: ${error.message}`);
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnoredEntry(entry.name));
+
+    // The outermost manifest applies; its paths are relative to its folder
+    const manifestEntry = entries
+        .filter(entry => path.posix.basename(entry.name) === MANIFEST_NAME)
+        .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+
+    let manifest = null;
+    let base = '';
+    if (manifestEntry) {
+        manifest = parseManifest((await readZipEntry(zip, manifestEntry, getMaxFileSize())).toString('utf-8'));
+        base = path.posix.dirname(manifestEntry.name);
+        base = base === '.' ? '' : `${base}/`;
+    }
+
+    const files = entries
+        .filter(entry => entry !== manifestEntry)
+        .map(entry => ({
+            path: base && entry.name.startsWith(base) ? entry.name.slice(base.length) : entry.name,
+            entry,
+        }));
+
+    return { zip, files, manifest };
+}
+
+/**
+ * Infer the document type of an archive file
+ * Order: the manifest entry for the file, then the closest folder mapped
+ * in the manifest or named like a workspace type, then the manifest's
+ * default type, then the fallback.
+ * @param {string} filePath - Path within the archive
+ * @param {Object} options - Inference inputs
+ * @param {Object} options.manifest - From parseManifest() (optional)
+ * @param {Object} options.types - Workspace document types by name
+ * @param {string} options.fallback - Type when nothing else matches
+ * @returns {string} Document type name
+ */
+function inferDocumentType(filePath, { manifest = null, types = {}, fallback = DEFAULT_DOCUMENT_TYPE } = {}) {
+    const fileEntry = manifest && manifest.files[filePath];
+    if (fileEntry && fileEntry.type) {
+        return fileEntry.type;
+    }
+
+    const folders = path.posix.dirname(filePath).split('/').filter(f => f && f !== '.').reverse();
+    for (const folder of folders) {
+        const key = normalizeName(folder);
+        if (manifest && manifest.folders[key]) {
+            return manifest.folders[key];
+        }
+        const match = Object.values(types).find(t =>
+            normalizeName(t.name) === key || normalizeName(t.displayName || '') === key
+        );
+        if (match) {
+            return match.name;
+        }
+    }
+
+    return (manifest && manifest.type) || fallback;
+}
+
+/**
+ * Detect the layout of an archive
+ * @param {Array<string>} paths - File paths in the archive
+ * @returns {string} 'confluence', 'notion' or 'files'
+ */
+function detectArchiveFormat(paths) {
+    const format = Object.keys(IMPORTERS).find(name => IMPORTERS[name].isExport(paths));
+    return format || 'files';
+}
+
+/**
+ * Inflate one archive file, checking its declared size before inflating it
+ */
+async function readEntry(zip, file) {
+    const maxSize = getMaxFileSize();
+    if (declaredSize(file.entry) > maxSize) {
+        throw new Error(`File exceeds the ${Math.round(maxSize / (1024 * 1024))}MB limit`);
+    }
+    return readZipEntry(zip, file.entry, maxSize);
+}
+
+/**
+ * Parse one archive file through a temporary file (parsers read from disk)
+ */
+async function parseEntry(file, buffer, tempDir, index) {
+    const tempPath = path.join(tempDir, `${index}${path.extname(file.path).toLowerCase()}`);
+    await fs.writeFile(tempPath, buffer);
+    try {
+        const parsed = await parseDocument(tempPath);
+        if (!parsed.content || parsed.content.length === 0) {
+            throw new Error('Could not extract text from file. File may be empty or image-based.');
+        }
+        return parsed;
+    } finally {
+        await fs.unlink(tempPath).catch(() => { });
+    }
+}
+
+/**
+ * Import one archive file
+ * @returns {Promise<Object>} Report entry { file, status, ... }
+ */
+async function ingestFile(file, index, context) {
+    const { zip, workspaceId, author, archiveName, manifest, types, fallbackType, importer, tempDir } = context;
+    const { byContent, byTitle, bySource } = context;
+
+    if (!isSupported(file.path)) {
+        return { file: file.path, status: 'skipped', reason: 'Unsupported file type' };
+    }
+
+    const buffer = await readEntry(zip, file);
+    const page = importer ? importer.describePage(file.path, buffer.toString('utf-8')) : null;
+    if (page && page.skip) {
+        return { file: file.path, status: 'skipped', reason: page.skip };
+    }
+
+    const options = (manifest && manifest.files[file.path]) || {};
+    const title = options.title || (page && page.title) ||
+        path.posix.basename(file.path, path.posix.extname(file.path));
+
+    // Pages are typed by their place in the source's hierarchy
+    const typePath = page ? [...page.hierarchy, title].join('/') : file.path;
+    const type = options.type || inferDocumentType(typePath, { manifest, types, fallback: fallbackType });
+
+    if (!types[type]) {
+        return { file: file.path, status: 'failed', reason: `Unknown document type "${type}" for this workspace` };
+    }
+
+    const parsed = await parseEntry(file, buffer, tempDir, index);
+    const content = page && page.content !== undefined ? page.content : parsed.content;
+    if (!content) {
+        throw new Error('Could not extract text from file. File may be empty or image-based.');
+    }
+
+    // Pages imported before are matched by source page ID, other files by title
+    const existing = page
+        ? bySource.get(`${page.source}:${page.sourceId}`)
+        : byTitle.get(title.toLowerCase());
+
+    const duplicate = byContent.get(content);
+    if (duplicate) {
+        return {
+            file: file.path,
+            status: 'skipped',
+            reason: existing && existing.id === duplicate.id
+                ? 'Unchanged since the last import'
+                : `Duplicate of "${duplicate.title}"`,
+            documentId: duplicate.id,
+        };
+    }
+
+    const fields = {
+        originalFilename: path.posix.basename(file.path),
+        fileSize: buffer.length,
+        outline: parsed.metadata.outline || null,
+        ...(page ? {
+            source: page.source,
+            sourceId: page.sourceId,
+            sourcePath: page.sourcePath,
+            sourceUpdatedAt: page.lastModified,
+        } : {}),
+    };
+    const versionFields = {
+        originalFilename: fields.originalFilename,
+        fileSize: fields.fileSize,
+        uploadMetadata: parsed.metadata,
+    };
+    const pageAuthor = options.author || (page && page.author) || author;
+    const report = page ? { sourcePath: page.sourcePath } : {};
+
+    // A file titled like an existing document (or a page imported before) is its next version
+    if (existing) {
+        const document = await Document.findByPk(existing.id);
+        // Pages follow their title in the source; files keep the document's
+        const updatedTitle = page ? title : document.title;
+        const version = await createVersion(document, content, {
+            author: pageAuthor,
+            changeNotes: `Uploaded ${file.path} from ${archiveName}`,
+            fields: { ...fields, title: updatedTitle },
+            versionFields,
+        });
+        byContent.set(content, { id: document.id, title: updatedTitle });
+
+        return {
+            file: file.path,
+            status: 'updated',
+            documentId: document.id,
+            title: updatedTitle,
+            type: document.type,
+            versionNumber: version.versionNumber,
+            ...report,
+        };
+    }
+
+    const document = await createDocument({
+        workspaceId,
+        title,
+        type,
+        author: pageAuthor,
+        content,
+        fields,
+        versionFields,
+    });
+
+    const entry = { id: document.id, title };
+    byContent.set(content, entry);
+    if (page) {
+        bySource.set(`${page.source}:${page.sourceId}`, entry);
+    } else {
+        byTitle.set(title.toLowerCase(), entry);
+    }
+
+    return {
+        file: file.path,
+        status: 'created',
+        documentId: document.id,
+        title,
+        type,
+        versionNumber: 1,
+        ...report,
+    };
+}
+
+/**
+ * Import every document in a ZIP archive into a workspace
+ * Files are processed one at a time; a failing file is reported and skipped.
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} options - Import options
+ * @param {string} options.workspaceId - Workspace to import into
+ * @param {string} options.author - Default author
+ * @param {string} options.type - Default document type (default: Notes)
+ * @param {string} options.archiveName - Archive file name, for change notes
+ * @param {string} options.format - 'auto' (default), 'files', 'confluence' or 'notion'
+ * @param {Function} options.onStart - Called with the number of files and the format before processing
+ * @param {Function} options.onProgress - Called with the results so far after each file
+ * @returns {Promise<Array<Object>>} Per-file results
+ */
+async function ingestArchive(buffer, {
+    workspaceId,
+    author,
+    type = null,
+    archiveName = 'archive.zip',
+    format = 'auto',
+    onStart = async () => { },
+    onProgress = async () => { },
+}) {
+    const { zip, files, manifest } = await readArchive(buffer);
+    if (files.length > MAX_ARCHIVE_FILES) {
+        throw new Error(`Archive has ${files.length} files; at most ${MAX_ARCHIVE_FILES} are allowed`);
+    }
+    const resolvedFormat = format === 'auto' ? detectArchiveFormat(files.map(f => f.path)) : format;
+    await onStart(files.length, resolvedFormat);
+
+    const workspaceDocs = await Document.findAll({
+        where: { workspaceId },
+        attributes: ['id', 'title', 'content', 'source', 'sourceId'],
+    });
+
+    const context = {
+        zip,
+        workspaceId,
+        author,
+        archiveName,
+        manifest,
+        types: await getDocumentTypes(workspaceId),
+        fallbackType: type || DEFAULT_DOCUMENT_TYPE,
+        byContent: new Map(workspaceDocs.map(d => [d.content, { id: d.id, title: d.title }])),
+        byTitle: new Map(workspaceDocs.map(d => [d.title.toLowerCase(), { id: d.id, title: d.title }])),
+        bySource: new Map(workspaceDocs
+            .filter(d => d.source && d.sourceId)
+            .map(d => [`${d.source}:${d.sourceId}`, { id: d.id, title: d.title }])),
+        importer: IMPORTERS[resolvedFormat] || null,
+        tempDir: await fs.mkdtemp(path.join(os.tmpdir(), 'ingest-')),
+    };
+
+    const results = [];
+    try {
+        for (let i = 0; i < files.length; i++) {
+            let result;
+            try {
+                result = await ingestFile(files[i], i, context);
+            } catch (error) {
+                result = { file: files[i].path, status: 'failed', reason: error.message };
+            }
+            results.push(result);
+            await onProgress(results);
+        }
+    } finally {
+        await fs.rm(context.tempDir, { recursive: true, force: true });
+    }
+
+    return results;
+}
+
+/**
+ * Count results by status
+ * @param {Array<Object>} results - From ingestArchive()
+ * @returns {Object} { created, updated, skipped, failed }
+ */
+function countResults(results) {
+    const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    for (const result of results) {
+        counts[result.status]++;
+    }
+    return counts;
+}
+
+/**
+ * Process a queued ingestion job and record its progress
+ * Only the counts are updated after each file; the per-file report is
+ * written once, when the job finishes. The archive file is removed afterwards.
+ * @param {string} jobId - IngestionJob ID
+ * @returns {Promise<Object>} The finished job
+ */
+async function runIngestionJob(jobId) {
+    const job = await IngestionJob.findByPk(jobId);
+    const { archivePath } = job;
+    let resultsSoFar = [];
+
+    try {
+        await job.update({ status: 'running', startedAt: new Date() });
+
+        const results = await ingestArchive(await fs.readFile(archivePath), {
+            workspaceId: job.workspaceId,
+            author: job.author,
+            type: job.type,
+            archiveName: job.archiveName,
+            format: job.format,
+            onStart: (total, format) => job.update({ totalFiles: total, format }),
+            onProgress: (soFar) => {
+                resultsSoFar = soFar;
+                return job.update({ processedFiles: soFar.length, ...countResults(soFar) });
+            },
+        });
+
+        await job.update({
+            status: 'completed',
+            finishedAt: new Date(),
+            processedFiles: results.length,
+            ...countResults(results),
+            results,
+            archivePath: null,
+        });
+    } catch (error) {
+        await job.update({
+            status: 'failed',
+            finishedAt: new Date(),
+            errorMessage: error.message,
+            results: [...resultsSoFar],
+            archivePath: null,
+        });
+    } finally {
+        await fs.unlink(archivePath).catch(() => { });
+    }
+
+    return job;
+}
+
+/**
+ * Fail the jobs a previous process left queued or running
+ * Jobs run in-process, so nothing will finish them after a restart.
+ * Their uploaded archives are deleted; the archive has to be uploaded again.
+ * @returns {Promise<number>} Number of jobs failed
+ */
+async function recoverIngestionJobs() {
+    const jobs = await IngestionJob.findAll({ where: { status: ['queued', 'running'] } });
+
+    for (const job of jobs) {
+        if (job.archivePath) {
+            await fs.unlink(job.archivePath).catch(() => { });
+        }
+        await job.update({
+            status: 'failed',
+            finishedAt: new Date(),
+            errorMessage: 'Interrupted by a server restart; upload the archive again',
+            archivePath: null,
+        });
+    }
+
+    return jobs.length;
+}
+
+/**
+ * Queue an uploaded archive for ingestion and start it in the background
+ * @param {Object} params - Job parameters
+ * @param {string} params.workspaceId - Workspace to import into
+ * @param {string} params.author - Default author
+ * @param {string} params.type - Default document type (optional)
+ * @param {string} params.format - Archive layout (default: detected)
+ * @param {string} params.archiveName - Original archive file name
+ * @param {string} params.archivePath - Path of the uploaded archive
+ * @returns {Promise<Object>} The queued IngestionJob
+ */
+async function startIngestionJob({ workspaceId, author, type = null, format = 'auto', archiveName, archivePath }) {
+    const job = await IngestionJob.create({ workspaceId, author, type, format, archiveName, archivePath });
+
+    setImmediate(() => {
+        runIngestionJob(job.id).catch((error) => {
+            console.error(`Ingestion job ${job.id} failed:`, error.message);
+        });
+    });
+
+    return job;
+}
+
+module.exports = {
+    startIngestionJob,
+    runIngestionJob,
+    recoverIngestionJobs,
+    ingestArchive,
+    readArchive,
+    parseManifest,
+    inferDocumentType,
+    detectArchiveFormat,
+    countResults,
+    ARCHIVE_FORMATS,
+    MAX_ARCHIVE_FILES,
+    MAX_ARCHIVE_SIZE,
+    MAX_UNCOMPRESSED_SIZE,
+};
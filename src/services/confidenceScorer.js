@@ -12,6 +12,33 @@ const MAX_AGE_PENALTY = parseFloat(process.env.WEIGHT_AGE_PENALTY) || 0.3;
 const MAX_CONTRADICTION_PENALTY = parseFloat(process.env.WEIGHT_CONTRADICTION_PENALTY) || 0.4;
 const MAX_DRIFT_PENALTY = parseFloat(process.env.WEIGHT_DRIFT_PENALTY) || 0.2;
 const MAX_SUPPORT_PENALTY = parseFloat(process.env.WEIGHT_SUPPORT_PENALTY) || 0.1;
+const MAX_CONTENT_STALENESS_PENALTY = parseFloat(process.env.WEIGHT_CONTENT_STALENESS_PENALTY) || 0.2;
+const MAX_UPSTREAM_PENALTY = parseFloat(process.env.WEIGHT_UPSTREAM_PENALTY) || 0.2;
+const MAX_BROKEN_REFERENCE_PENALTY = parseFloat(process.env.WEIGHT_BROKEN_REFERENCE_PENALTY) || 0.15;
+const MAX_SUPERSEDED_REFERENCE_PENALTY = parseFloat(process.env.WEIGHT_SUPERSEDED_REFERENCE_PENALTY) || 0.1;
+
+const DEFAULT_PENALTY_CAPS = {
+    age: MAX_AGE_PENALTY,
+    contradiction: MAX_CONTRADICTION_PENALTY,
+    drift: MAX_DRIFT_PENALTY,
+    support: MAX_SUPPORT_PENALTY,
+    contentStaleness: MAX_CONTENT_STALENESS_PENALTY,
+    upstream: MAX_UPSTREAM_PENALTY,
+    brokenReference: MAX_BROKEN_REFERENCE_PENALTY,
+    supersededReference: MAX_SUPERSEDED_REFERENCE_PENALTY,
+};
+
+// Confidence below `high` is high risk, below `medium` is medium risk
+const DEFAULT_RISK_CUTOFFS = {
+    high: 0.4,
+    medium: 0.7,
+};
+
+// Flag when confidence is below `belowConfidence` or risk is one of `riskLevels`
+const DEFAULT_FLAG_RULE = {
+    belowConfidence: 1.0,
+    riskLevels: ['medium', 'high'],
+};
 
 /**
  * Calculate confidence score with full breakdown
@@ -20,6 +47,11 @@ const MAX_SUPPORT_PENALTY = parseFloat(process.env.WEIGHT_SUPPORT_PENALTY) || 0.
  * @param {number} params.contradictionPenalty - Penalty from contradiction detection
  * @param {number} params.driftPenalty - Penalty from version drift
  * @param {number} params.supportingDocsCount - Number of supporting documents
+ * @param {number} params.contentStalenessPenalty - Penalty from stale dates/versions in the content
+ * @param {number} params.upstreamPenalty - Penalty from upstream documents changed since last verification
+ * @param {number} params.brokenReferencePenalty - Penalty from references to deleted or renamed documents
+ * @param {number} params.supersededReferencePenalty - Penalty from references to superseded or deprecated documents
+ * @param {Object} params.penaltyCaps - Maximum penalty per signal (default: DEFAULT_PENALTY_CAPS)
  * @returns {Object} Score and breakdown for auditing
  */
 function calculateConfidence({
@@ -27,29 +59,52 @@ function calculateConfidence({
     contradictionPenalty = 0,
     driftPenalty = 0,
     supportingDocsCount = 0,
+    contentStalenessPenalty = 0,
+    upstreamPenalty = 0,
+    brokenReferencePenalty = 0,
+    supersededReferencePenalty = 0,
+    penaltyCaps = DEFAULT_PENALTY_CAPS,
 }) {
+    const caps = { ...DEFAULT_PENALTY_CAPS, ...penaltyCaps };
+
     // Start with perfect confidence
     let confidence = 1.0;
 
     // Apply age penalty (capped at max)
-    const appliedAgePenalty = Math.min(agePenalty, MAX_AGE_PENALTY);
+    const appliedAgePenalty = Math.min(agePenalty, caps.age);
     confidence -= appliedAgePenalty;
 
     // Apply contradiction penalty (capped at max)
-    const appliedContradictionPenalty = Math.min(contradictionPenalty, MAX_CONTRADICTION_PENALTY);
+    const appliedContradictionPenalty = Math.min(contradictionPenalty, caps.contradiction);
     confidence -= appliedContradictionPenalty;
 
     // Apply drift penalty (capped at max)
-    const appliedDriftPenalty = Math.min(driftPenalty, MAX_DRIFT_PENALTY);
+    const appliedDriftPenalty = Math.min(driftPenalty, caps.drift);
     confidence -= appliedDriftPenalty;
 
+    // Apply content staleness penalty (capped at max)
+    const appliedContentStalenessPenalty = Math.min(contentStalenessPenalty, caps.contentStaleness);
+    confidence -= appliedContentStalenessPenalty;
+
+    // Apply upstream change penalty (capped at max)
+    const appliedUpstreamPenalty = Math.min(upstreamPenalty, caps.upstream);
+    confidence -= appliedUpstreamPenalty;
+
+    // Apply broken reference penalty (capped at max)
+    const appliedBrokenReferencePenalty = Math.min(brokenReferencePenalty, caps.brokenReference);
+    confidence -= appliedBrokenReferencePenalty;
+
+    // Apply superseded reference penalty (capped at max)
+    const appliedSupersededReferencePenalty = Math.min(supersededReferencePenalty, caps.supersededReference);
+    confidence -= appliedSupersededReferencePenalty;
+
     // Apply support penalty (fewer supporting docs = higher penalty)
     // 0 docs = full penalty, 3+ docs = no penalty
     let appliedSupportPenalty = 0;
     if (supportingDocsCount === 0) {
-        appliedSupportPenalty = MAX_SUPPORT_PENALTY;
+        appliedSupportPenalty = caps.support;
     } else if (supportingDocsCount < 3) {
-        appliedSupportPenalty = MAX_SUPPORT_PENALTY * (1 - supportingDocsCount / 3);
+        appliedSupportPenalty = caps.support * (1 - supportingDocsCount / 3);
     }
     confidence -= appliedSupportPenalty;
 
@@ -65,6 +120,10 @@ function calculateConfidence({
         age_penalty: Math.round(appliedAgePenalty * 1000) / 1000,
         contradiction_penalty: Math.round(appliedContradictionPenalty * 1000) / 1000,
         drift_penalty: Math.round(appliedDriftPenalty * 1000) / 1000,
+        content_staleness_penalty: Math.round(appliedContentStalenessPenalty * 1000) / 1000,
+        upstream_penalty: Math.round(appliedUpstreamPenalty * 1000) / 1000,
+        broken_reference_penalty: Math.round(appliedBrokenReferencePenalty * 1000) / 1000,
+        superseded_reference_penalty: Math.round(appliedSupersededReferencePenalty * 1000) / 1000,
         support_penalty: Math.round(appliedSupportPenalty * 1000) / 1000,
         total_penalty: Math.round((1.0 - confidence) * 1000) / 1000,
         final_confidence: confidence,
@@ -80,18 +139,20 @@ function calculateConfidence({
  * Determine risk level based on confidence and signals
  * @param {number} confidence - Confidence score
  * @param {Object} signals - Decay signals
+ * @param {Object} cutoffs - Confidence cutoffs (default: DEFAULT_RISK_CUTOFFS)
  * @returns {string} 'low' | 'medium' | 'high'
  */
-function determineRiskLevel(confidence, signals = {}) {
+function determineRiskLevel(confidence, signals = {}, cutoffs = DEFAULT_RISK_CUTOFFS) {
     const { hasContradictions, hasSignificantDrift, freshnessStatus } = signals;
+    const { high, medium } = { ...DEFAULT_RISK_CUTOFFS, ...cutoffs };
 
-    // High risk: contradictions OR very low confidence
-    if (hasContradictions || confidence < 0.4) {
+    // High risk: contradictions OR expired OR very low confidence
+    if (hasContradictions || freshnessStatus === 'expired' || confidence < high) {
         return 'high';
     }
 
     // Medium risk: significant drift OR warning freshness OR moderate confidence
-    if (hasSignificantDrift || freshnessStatus === 'critical' || confidence < 0.7) {
+    if (hasSignificantDrift || freshnessStatus === 'critical' || confidence < medium) {
         return 'medium';
     }
 
@@ -103,12 +164,15 @@ function determineRiskLevel(confidence, signals = {}) {
  * Check if decay should be flagged
  * @param {number} confidence - Confidence score
  * @param {string} riskLevel - Risk level
+ * @param {Object} rule - Flagging rule (default: DEFAULT_FLAG_RULE)
  * @returns {boolean}
  */
-function shouldFlagDecay(confidence, riskLevel) {
-    // Flag if not perfect confidence
+function shouldFlagDecay(confidence, riskLevel, rule = DEFAULT_FLAG_RULE) {
+    const { belowConfidence, riskLevels } = { ...DEFAULT_FLAG_RULE, ...rule };
+
+    // Default: flag if not perfect confidence
     // Conservative approach: when uncertain, flag for human review
-    return confidence < 1.0 || riskLevel !== 'low';
+    return confidence < belowConfidence || riskLevels.includes(riskLevel);
 }
 
 module.exports = {
@@ -119,4 +183,11 @@ module.exports = {
     MAX_CONTRADICTION_PENALTY,
     MAX_DRIFT_PENALTY,
     MAX_SUPPORT_PENALTY,
+    MAX_CONTENT_STALENESS_PENALTY,
+    MAX_UPSTREAM_PENALTY,
+    MAX_BROKEN_REFERENCE_PENALTY,
+    MAX_SUPERSEDED_REFERENCE_PENALTY,
+    DEFAULT_PENALTY_CAPS,
+    DEFAULT_RISK_CUTOFFS,
+    DEFAULT_FLAG_RULE,
 };
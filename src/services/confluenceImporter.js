@@ -0,0 +1,113 @@
+/**
+ * Confluence Importer
+ *
+ * Reads pages of a Confluence space HTML export: the page title without
+ * the space prefix, the page hierarchy from the breadcrumbs, the page ID
+ * from the file name, and the author and last-modified date from the
+ * "Created by ..., last modified by ... on ..." line.
+ */
+
+const path = require('path');
+const { parseHtml, findFirst, findAll, textContent, hasClass } = require('../utils/htmlText');
+
+const SOURCE = 'confluence';
+
+// Page files are "Page-Title_123456.html" or "123456.html"
+const PAGE_ID = /(?:^|_)(\d+)\.html?$/i;
+
+/**
+ * Check whether archive paths look like a Confluence space export
+ * @param {Array<string>} paths - File paths in the archive
+ * @returns {boolean}
+ */
+function isExport(paths) {
+    const hasIndex = paths.some(p => path.posix.basename(p).toLowerCase() === 'index.html');
+    return paths.some(p => /(^|\/)styles\/site\.css$/i.test(p)) ||
+        (hasIndex && paths.some(p => PAGE_ID.test(path.posix.basename(p))));
+}
+
+/**
+ * Parse a Confluence date ("Mar 03, 2023" or "Mar 03, 2023 14:05")
+ * @returns {Date|null}
+ */
+function parseDate(text) {
+    const date = text ? new Date(text.trim()) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Read author and last-modified date from the page metadata line
+ * @param {string} text - e.g. "Created by Jane Doe, last modified by Bob Roe on Mar 03, 2023"
+ * @returns {Object} { createdBy, modifiedBy, lastModified }
+ */
+function parsePageMetadata(text) {
+    const createdBy = text.match(/created by (.+?)(?:,| on |$)/i);
+    const modifiedBy = text.match(/last (?:modified|updated) by (.+?)(?: on |$)/i);
+    const date = text.match(/.* on (.+)$/i);
+
+    return {
+        createdBy: createdBy ? createdBy[1].trim() : null,
+        modifiedBy: modifiedBy ? modifiedBy[1].trim() : null,
+        lastModified: date ? parseDate(date[1]) : null,
+    };
+}
+
+/**
+ * Describe a file of a Confluence export
+ * @param {string} filePath - Path within the export
+ * @param {string} html - File content
+ * @returns {Object|null} { source, sourceId, title, hierarchy, sourcePath, author, lastModified },
+ *   { skip: reason } for export files that are not pages, or null for other files
+ */
+function describePage(filePath, html) {
+    const name = path.posix.basename(filePath);
+
+    if (/(^|\/)attachments\//i.test(filePath)) {
+        return { skip: 'Confluence attachment' };
+    }
+    if (!/\.html?$/i.test(name)) {
+        return null;
+    }
+    if (name.toLowerCase() === 'index.html') {
+        return { skip: 'Confluence space index' };
+    }
+
+    const root = parseHtml(html);
+
+    const crumbs = findAll(root, n => n.attrs.id === 'breadcrumbs' || n.attrs.id === 'breadcrumb-section')
+        .slice(0, 1)
+        .flatMap(n => findAll(n, li => li.tag === 'li'))
+        .map(textContent)
+        .filter(Boolean);
+    const space = crumbs[0] || null;
+
+    const titleNode = findFirst(root, n => n.attrs.id === 'title-text') || findFirst(root, n => n.tag === 'title');
+    let title = titleNode ? textContent(titleNode) : '';
+    if (space && title.startsWith(`${space} : `)) {
+        title = title.slice(space.length + 3);
+    }
+    if (!title) {
+        title = name.replace(PAGE_ID, '').replace(/\.html?$/i, '').replace(/[-_]+/g, ' ').trim() || name;
+    }
+
+    const metadataNode = findFirst(root, n => hasClass(n, 'page-metadata'));
+    const metadata = metadataNode ? parsePageMetadata(textContent(metadataNode)) : {};
+    const idMatch = name.match(PAGE_ID);
+
+    return {
+        source: SOURCE,
+        sourceId: idMatch ? idMatch[1] : filePath,
+        title,
+        hierarchy: crumbs,
+        sourcePath: [...crumbs, title].join(' > '),
+        author: metadata.modifiedBy || metadata.createdBy || null,
+        lastModified: metadata.lastModified || null,
+    };
+}
+
+module.exports = {
+    SOURCE,
+    isExport,
+    describePage,
+    parsePageMetadata,
+};
@@ -0,0 +1,321 @@
+/**
+ * Content Staleness Analyzer Service
+ *
+ * Finds staleness signals inside the text itself: absolute dates,
+ * fiscal years, quarters and software versions. A recently edited
+ * document that still says "valid through 2023" or "requires Node 14"
+ * is flagged even though its timestamps look fresh.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reference dates older than this are considered outdated (days)
+const DEFAULT_HORIZON_DAYS = parseInt(process.env.CONTENT_STALENESS_HORIZON_DAYS, 10) || 365;
+
+// Penalty per finding; calculateConfidence() caps the total
+const FINDING_PENALTIES = {
+    past_deadline: 0.1,
+    end_of_life: 0.08,
+    outdated_reference: 0.05,
+};
+
+// End-of-life dates for commonly referenced software (extend as needed)
+const END_OF_LIFE = [
+    {
+        product: 'Node.js',
+        pattern: /\bnode(?:\.?js)?\s+v?(\d{1,2})(?:\.\d+)*\b/gi,
+        versions: {
+            8: '2019-12-31', 10: '2021-04-30', 12: '2022-04-30', 14: '2023-04-30', 15: '2021-06-01',
+            16: '2023-09-11', 17: '2022-06-01', 18: '2025-04-30', 19: '2023-06-01', 20: '2026-04-30',
+            21: '2024-06-01', 22: '2027-04-30',
+        },
+    },
+    {
+        product: 'Python',
+        pattern: /\bpython\s+(\d\.\d{1,2})(?:\.\d+)?\b/gi,
+        versions: {
+            '2.7': '2020-01-01', '3.5': '2020-09-13', '3.6': '2021-12-23', '3.7': '2023-06-27',
+            '3.8': '2024-10-07', '3.9': '2025-10-31', '3.10': '2026-10-31', '3.11': '2027-10-31',
+        },
+    },
+    {
+        product: 'Ubuntu',
+        pattern: /\bubuntu\s+(\d{2}\.04)(?:\.\d+)?\b/gi,
+        versions: {
+            '14.04': '2019-04-30', '16.04': '2021-04-30', '18.04': '2023-05-31',
+            '20.04': '2025-05-31', '22.04': '2027-06-01',
+        },
+    },
+    {
+        product: 'PostgreSQL',
+        pattern: /\bpostgres(?:ql)?\s+(9\.6|\d{2})\b/gi,
+        versions: {
+            '9.6': '2021-11-11', 10: '2022-11-10', 11: '2023-11-09', 12: '2024-11-21',
+            13: '2025-11-13', 14: '2026-11-12',
+        },
+    },
+    {
+        product: 'CentOS',
+        pattern: /\bcentos\s+(\d)\b/gi,
+        versions: { 6: '2020-11-30', 7: '2024-06-30', 8: '2021-12-31' },
+    },
+    {
+        product: 'Windows Server',
+        pattern: /\bwindows\s+server\s+(20\d{2})\b/gi,
+        versions: { 2008: '2020-01-14', 2012: '2023-10-10', 2016: '2027-01-12' },
+    },
+];
+
+const MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// Words right before a date that make it a deadline rather than a mention
+const DEADLINE_CONTEXT = /(?:\b(?:valid|effective|good|available|supported|applies)\s+(?:through|thru|until|till)|\b(?:expires?|expiring|expiry|deadline|due|until|till|through|thru|before|no later than|ends?|ending|sunset(?:s|ting)?)(?:\s+(?:on|date|in|by))?)\s*:?\s*(?:the\s+)?(?:end\s+of\s+)?$/i;
+
+function monthIndex(name) {
+    return MONTHS[name.toLowerCase().slice(0, 3)];
+}
+
+function fullYear(text) {
+    const year = parseInt(text, 10);
+    return text.length === 2 ? 2000 + year : year;
+}
+
+// Last moment of a calendar period (UTC)
+function endOfMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0, 23, 59, 59));
+}
+
+function endOfDay(year, month, day) {
+    return new Date(Date.UTC(year, month, day, 23, 59, 59));
+}
+
+/**
+ * Date patterns, most specific first. Each returns the end of the period referenced.
+ */
+const DATE_PATTERNS = [
+    {
+        kind: 'date',
+        regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+        toDate: m => endOfDay(+m[1], +m[2] - 1, +m[3]),
+    },
+    {
+        kind: 'date',
+        regex: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'),
+        toDate: m => endOfDay(+m[3], monthIndex(m[1]), +m[2]),
+    },
+    {
+        kind: 'date',
+        regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'gi'),
+        toDate: m => endOfDay(+m[3], monthIndex(m[2]), +m[1]),
+    },
+    {
+        kind: 'date',
+        regex: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{4})\\b`, 'gi'),
+        toDate: m => endOfMonth(+m[2], monthIndex(m[1])),
+    },
+    {
+        kind: 'quarter',
+        regex: /\bQ([1-4])\s*(?:FY\s?)?'?(\d{4}|\d{2})\b/gi,
+        toDate: (m, fy) => quarterEnd(fullYear(m[2]), +m[1], fy),
+    },
+    {
+        kind: 'quarter',
+        regex: /\b(?:FY\s?)?(\d{4})\s*Q([1-4])\b/gi,
+        toDate: (m, fy) => quarterEnd(+m[1], +m[2], fy),
+    },
+    {
+        kind: 'fiscal_year',
+        regex: /\b(?:FY\s?'?(\d{4}|\d{2})|fiscal\s+(?:year\s+)?(\d{4}))\b/gi,
+        toDate: (m, fy) => fiscalYearEnd(fullYear(m[1] || m[2]), fy),
+    },
+    {
+        // Bare years only count in a deadline phrase ("valid through 2023")
+        kind: 'year',
+        regex: /\b(20\d{2}|19\d{2})\b/g,
+        toDate: m => endOfDay(+m[1], 11, 31),
+        deadlineOnly: true,
+    },
+];
+
+/**
+ * End of a fiscal year
+ * @param {number} year - Fiscal year (named after the calendar year it ends in)
+ * @param {number} fiscalYearEndMonth - Month the fiscal year ends (1-12)
+ */
+function fiscalYearEnd(year, fiscalYearEndMonth) {
+    return endOfMonth(year, fiscalYearEndMonth - 1);
+}
+
+/**
+ * End of a (fiscal) quarter
+ */
+function quarterEnd(year, quarter, fiscalYearEndMonth) {
+    // Q4 ends with the fiscal year; earlier quarters 3 months apart
+    const end = fiscalYearEnd(year, fiscalYearEndMonth);
+    return endOfMonth(end.getUTCFullYear(), end.getUTCMonth() - (4 - quarter) * 3);
+}
+
+/**
+ * Extract date, fiscal year and quarter references from text
+ * @param {string} content - Document content
+ * @param {Object} options - Extraction options
+ * @param {number} options.fiscalYearEndMonth - Month the fiscal year ends (1-12, default 12)
+ * @returns {Array<Object>} { kind, text, date, isDeadline, index }
+ */
+function extractTemporalReferences(content, { fiscalYearEndMonth = 12 } = {}) {
+    if (!content) return [];
+
+    const references = [];
+    const taken = [];
+    const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+
+    for (const pattern of DATE_PATTERNS) {
+        pattern.regex.lastIndex = 0;
+        let match;
+
+        while ((match = pattern.regex.exec(content)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (overlaps(start, end)) continue;
+
+            const preceding = content.slice(Math.max(0, start - 40), start);
+            const isDeadline = DEADLINE_CONTEXT.test(preceding);
+            if (pattern.deadlineOnly && !isDeadline) continue;
+
+            const date = pattern.toDate(match, fiscalYearEndMonth);
+            if (isNaN(date.getTime())) continue;
+
+            taken.push([start, end]);
+            references.push({
+                kind: pattern.kind,
+                text: match[0],
+                date,
+                isDeadline,
+                index: start,
+            });
+        }
+    }
+
+    return references.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Extract software version mentions that have reached end of life
+ * @param {string} content - Document content
+ * @param {Date} now - Reference time
+ * @returns {Array<Object>} { product, version, text, endOfLife, index }
+ */
+function extractEndOfLifeVersions(content, now = new Date()) {
+    if (!content) return [];
+
+    const mentions = [];
+    for (const { product, pattern, versions } of END_OF_LIFE) {
+        pattern.lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(content)) !== null) {
+            const eol = versions[match[1]];
+            if (eol && new Date(eol) < now) {
+                mentions.push({
+                    product,
+                    version: match[1],
+                    text: match[0],
+                    endOfLife: new Date(eol),
+                    index: match.index,
+                });
+            }
+        }
+    }
+
+    return mentions.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Analyze content for stale dates, deadlines and versions
+ * @param {string} content - Document content
+ * @param {Object} options - Analysis options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {number} options.horizonDays - Age after which a date reference is outdated
+ * @param {number} options.fiscalYearEndMonth - Month the fiscal year ends (1-12)
+ * @returns {Object} { findings, penalty, decayReason }
+ */
+function analyzeContentStaleness(content, {
+    now = new Date(),
+    horizonDays = DEFAULT_HORIZON_DAYS,
+    fiscalYearEndMonth = 12,
+} = {}) {
+    const findings = [];
+    const seen = new Set();
+    const addFinding = (finding) => {
+        const key = `${finding.type}:${finding.text.toLowerCase()}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            findings.push(finding);
+        }
+    };
+
+    const horizon = new Date(now.getTime() - horizonDays * DAY_MS);
+
+    for (const ref of extractTemporalReferences(content, { fiscalYearEndMonth })) {
+        if (ref.isDeadline && ref.date < now) {
+            addFinding({ type: 'past_deadline', kind: ref.kind, text: ref.text, date: ref.date });
+        } else if (!ref.isDeadline && ref.date < horizon) {
+            addFinding({ type: 'outdated_reference', kind: ref.kind, text: ref.text, date: ref.date });
+        }
+    }
+
+    for (const mention of extractEndOfLifeVersions(content, now)) {
+        addFinding({ type: 'end_of_life', kind: 'version', text: mention.text, date: mention.endOfLife });
+    }
+
+    if (findings.length === 0) {
+        return { findings, penalty: 0, decayReason: null };
+    }
+
+    const penalty = findings.reduce((sum, f) => sum + FINDING_PENALTIES[f.type], 0);
+
+    return {
+        findings,
+        penalty: Math.round(penalty * 1000) / 1000,
+        decayReason: {
+            type: 'content_staleness',
+            description: `Content references ${findings.length} outdated item(s): ${findings
+                .slice(0, 3)
+                .map(describeFinding)
+                .join('; ')}${findings.length > 3 ? '; ...' : ''}`,
+            sources: [],
+            findings: findings.map(f => ({
+                type: f.type,
+                text: f.text,
+                date: f.date.toISOString().slice(0, 10),
+            })),
+        },
+    };
+}
+
+/**
+ * One-line description of a finding
+ */
+function describeFinding(finding) {
+    const date = finding.date.toISOString().slice(0, 10);
+    switch (finding.type) {
+        case 'past_deadline':
+            return `"${finding.text}" (deadline passed ${date})`;
+        case 'end_of_life':
+            return `"${finding.text}" (end of life ${date})`;
+        default:
+            return `"${finding.text}" (dated ${date})`;
+    }
+}
+
+module.exports = {
+    analyzeContentStaleness,
+    extractTemporalReferences,
+    extractEndOfLifeVersions,
+    DEFAULT_HORIZON_DAYS,
+    END_OF_LIFE,
+};
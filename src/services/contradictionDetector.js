@@ -5,30 +5,49 @@
  * Flags when factual statements conflict between documents.
  */
 
+const crypto = require('crypto');
 const {
     extractKeyStatements,
+    locateKeyStatements,
     detectStatementContradiction,
     cosineSimilarity,
     generateTfIdfEmbedding,
 } = require('../utils/textAnalysis');
+const { isRetired } = require('./documentLifecycle');
+
+// Authority of the built-in document types (higher wins a conflict)
+const AUTHORITY_RANKS = {
+    SOP: 5,
+    Policy: 4,
+    Spec: 3,
+    Guide: 2,
+    Notes: 1,
+};
 
 /**
- * Find contradictions between a document and related documents
+ * List the statement pairs to compare between a document and related documents
+ * Related documents are only compared when they are newer or more authoritative.
+ * Retired (deprecated, archived or superseded) documents are not compared.
  * @param {Object} document - Document under review
  * @param {Array<Object>} relatedDocs - Array of related documents
- * @returns {Object} Contradiction detection results
+ * @param {Object} options - Selection options
+ * @param {Set<string>} options.suppressedPairs - Pair keys marked as false positives
+ * @param {Object} options.authorityRanks - Authority rank per document type (default: AUTHORITY_RANKS)
+ * @returns {Array<Object>} { pairKey, statement, offset, relatedDoc, relatedStatement }
+ *   offset is where the statement starts in the document (null if unknown)
  */
-function detectContradictions(document, relatedDocs) {
-    if (!relatedDocs || relatedDocs.length === 0) {
-        return {
-            hasContradictions: false,
-            contradictions: [],
-            penalty: 0,
-        };
+function listStatementPairs(document, relatedDocs, {
+    suppressedPairs = new Set(),
+    authorityRanks = AUTHORITY_RANKS,
+} = {}) {
+    relatedDocs = (relatedDocs || []).filter(d => !isRetired(d));
+
+    if (relatedDocs.length === 0 || isRetired(document)) {
+        return [];
     }
 
-    const docStatements = extractKeyStatements(document.content);
-    const contradictions = [];
+    const docStatements = locateKeyStatements(document.content);
+    const pairs = [];
 
     for (const relatedDoc of relatedDocs) {
         // Only check documents that are newer or recently updated
@@ -36,35 +55,86 @@ function detectContradictions(document, relatedDocs) {
         const relatedDate = new Date(relatedDoc.updatedAt);
 
         // Skip if related doc is older and not more authoritative
-        if (relatedDate < docDate && !isMoreAuthoritative(relatedDoc, document)) {
+        if (relatedDate < docDate && !isMoreAuthoritative(relatedDoc, document, authorityRanks)) {
             continue;
         }
 
         const relatedStatements = extractKeyStatements(relatedDoc.content);
 
-        for (const stmt1 of docStatements) {
-            for (const stmt2 of relatedStatements) {
-                const result = detectStatementContradiction(stmt1, stmt2);
-
-                if (result.isContradiction) {
-                    contradictions.push({
-                        thisDocument: {
-                            statement: stmt1,
-                            documentId: document.id,
-                        },
-                        conflictsWith: {
-                            statement: stmt2,
-                            documentId: relatedDoc.id,
-                            documentTitle: relatedDoc.title,
-                        },
-                        severity: result.score > 0.6 ? 'high' : 'medium',
-                        reason: result.reason,
-                    });
+        for (const { statement, offset } of docStatements) {
+            for (const relatedStatement of relatedStatements) {
+                const pairKey = contradictionPairKey(document.id, statement, relatedDoc.id, relatedStatement);
+                if (!suppressedPairs.has(pairKey)) {
+                    pairs.push({ pairKey, statement, offset, relatedDoc, relatedStatement });
                 }
             }
         }
     }
 
+    return pairs;
+}
+
+/**
+ * Find contradictions between a document and related documents
+ * Pairs with a model verdict (see llmContradictionChecker) use it; the
+ * rest go through the rule-based detectStatementContradiction().
+ * @param {Object} document - Document under review
+ * @param {Array<Object>} relatedDocs - Array of related documents
+ * @param {Object} options - Detection options
+ * @param {Set<string>} options.suppressedPairs - Pair keys marked as false positives
+ * @param {Object} options.authorityRanks - Authority rank per document type (default: AUTHORITY_RANKS)
+ * @param {Map<string, Object>} options.verdicts - Model verdicts by statementPairHash()
+ *   ({ verdict: 'entail'|'contradict'|'neutral', confidence, rationale })
+ * @returns {Object} Contradiction detection results
+ */
+function detectContradictions(document, relatedDocs, {
+    suppressedPairs = new Set(),
+    authorityRanks = AUTHORITY_RANKS,
+    verdicts = new Map(),
+} = {}) {
+    const pairs = listStatementPairs(document, relatedDocs, { suppressedPairs, authorityRanks });
+
+    if (pairs.length === 0) {
+        return {
+            hasContradictions: false,
+            contradictions: [],
+            penalty: 0,
+        };
+    }
+
+    const contradictions = [];
+
+    for (const { pairKey, statement: stmt1, offset, relatedDoc, relatedStatement: stmt2 } of pairs) {
+        const verdict = verdicts.get(statementPairHash(stmt1, stmt2));
+        const result = verdict
+            ? {
+                isContradiction: verdict.verdict === 'contradict',
+                score: verdict.confidence,
+                reason: verdict.rationale,
+            }
+            : detectStatementContradiction(stmt1, stmt2);
+
+        if (result.isContradiction) {
+            contradictions.push({
+                pairKey,
+                thisDocument: {
+                    statement: stmt1,
+                    documentId: document.id,
+                    offset,
+                },
+                conflictsWith: {
+                    statement: stmt2,
+                    documentId: relatedDoc.id,
+                    documentTitle: relatedDoc.title,
+                },
+                severity: result.score > 0.6 ? 'high' : 'medium',
+                reason: result.reason,
+                quantities: result.quantities || null,
+                detectedBy: verdict ? verdict.provider : 'rules',
+            });
+        }
+    }
+
     // Calculate penalty based on contradictions found
     const penalty = calculateContradictionPenalty(contradictions);
 
@@ -83,23 +153,48 @@ function detectContradictions(document, relatedDocs) {
     };
 }
 
+/**
+ * Stable key for a statement pair, independent of which side was analyzed
+ * @param {string} docIdA - First document ID
+ * @param {string} statementA - Statement in first document
+ * @param {string} docIdB - Second document ID
+ * @param {string} statementB - Statement in second document
+ * @returns {string} SHA-256 hex digest
+ */
+function contradictionPairKey(docIdA, statementA, docIdB, statementB) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const sides = [
+        `${docIdA}:${normalize(statementA)}`,
+        `${docIdB}:${normalize(statementB)}`,
+    ].sort();
+
+    return crypto.createHash('sha256').update(sides.join('\n')).digest('hex');
+}
+
+/**
+ * Key for a statement pair regardless of document or order, used to cache model verdicts
+ * @param {string} statementA - First statement
+ * @param {string} statementB - Second statement
+ * @returns {string} SHA-256 hex digest
+ */
+function statementPairHash(statementA, statementB) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const sides = [normalize(statementA), normalize(statementB)].sort();
+
+    return crypto.createHash('sha256').update(sides.join('\n')).digest('hex');
+}
+
 /**
  * Check if doc2 is more authoritative than doc1
  * @param {Object} doc1 - First document
  * @param {Object} doc2 - Second document
+ * @param {Object} ranks - Authority rank per document type (default: AUTHORITY_RANKS)
  * @returns {boolean}
  */
-function isMoreAuthoritative(doc1, doc2) {
-    // SOPs and Policies are more authoritative than Notes
-    const typeRank = {
-        SOP: 5,
-        Policy: 4,
-        Spec: 3,
-        Guide: 2,
-        Notes: 1,
-    };
-
-    return (typeRank[doc1.type] || 1) > (typeRank[doc2.type] || 1);
+function isMoreAuthoritative(doc1, doc2, ranks = AUTHORITY_RANKS) {
+    // SOPs and Policies are more authoritative than Notes;
+    // unknown types rank with Notes
+    return (ranks[doc1.type] || 1) > (ranks[doc2.type] || 1);
 }
 
 /**
@@ -155,5 +250,10 @@ function findRelatedDocuments(document, allDocs, threshold = 0.3) {
 module.exports = {
     detectContradictions,
     findRelatedDocuments,
+    listStatementPairs,
     isMoreAuthoritative,
+    contradictionPairKey,
+    statementPairHash,
+    calculateContradictionPenalty,
+    AUTHORITY_RANKS,
 };
@@ -0,0 +1,88 @@
+/**
+ * Contradiction Registry Service
+ * 
+ * Persists contradictions found by decay analysis, deduplicated
+ * across runs, and feeds false-positive resolutions back into
+ * detection so the same pair is not flagged again.
+ */
+
+const { Contradiction } = require('../models');
+
+const CONTRADICTION_STATUSES = ['open', 'resolved_by_editing', 'accepted_as_intended', 'false_positive'];
+
+/**
+ * Get pair keys that reviewers marked as false positives
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Set<string>>} Suppressed pair keys
+ */
+async function getSuppressedPairKeys(workspaceId) {
+    const suppressed = await Contradiction.findAll({
+        where: { workspaceId, status: 'false_positive' },
+        attributes: ['pairKey'],
+    });
+
+    return new Set(suppressed.map(c => c.pairKey));
+}
+
+/**
+ * Record contradictions detected in one analysis
+ * Existing pairs are updated in place; a pair resolved by editing that
+ * shows up again is reopened. Accepted pairs keep their status.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array<Object>} contradictions - From detectContradictions()
+ * @returns {Promise<Array>} Contradiction records
+ */
+async function recordContradictions(workspaceId, contradictions = []) {
+    const records = [];
+    const now = new Date();
+
+    for (const c of contradictions) {
+        const existing = await Contradiction.findOne({ where: { pairKey: c.pairKey } });
+
+        if (existing) {
+            const updates = {
+                occurrences: existing.occurrences + 1,
+                lastDetectedAt: now,
+                severity: c.severity,
+                reason: c.reason,
+                quantities: c.quantities || null,
+                detectedBy: c.detectedBy || 'rules',
+            };
+
+            if (existing.status === 'resolved_by_editing') {
+                Object.assign(updates, {
+                    status: 'open',
+                    resolvedAt: null,
+                    resolvedBy: null,
+                    resolutionNotes: null,
+                });
+            }
+
+            records.push(await existing.update(updates));
+            continue;
+        }
+
+        records.push(await Contradiction.create({
+            workspaceId,
+            pairKey: c.pairKey,
+            documentId: c.thisDocument.documentId,
+            statement: c.thisDocument.statement,
+            conflictingDocumentId: c.conflictsWith.documentId,
+            conflictingStatement: c.conflictsWith.statement,
+            reason: c.reason,
+            severity: c.severity,
+            quantities: c.quantities || null,
+            detectedBy: c.detectedBy || 'rules',
+            firstDetectedAt: now,
+            lastDetectedAt: now,
+        }));
+    }
+
+    return records;
+}
+
+module.exports = {
+    getSuppressedPairKeys,
+    recordContradictions,
+    CONTRADICTION_STATUSES,
+};
@@ -7,13 +7,91 @@
  * This is the core of the InsightOps system.
  */
 
-const { evaluateFreshness } = require('./freshnessEvaluator');
-const { detectContradictions, findRelatedDocuments } = require('./contradictionDetector');
+const crypto = require('crypto');
+const { evaluateFreshness, freshnessDate, calculateAgeDays, getThresholds } = require('./freshnessEvaluator');
+const { detectContradictions, listStatementPairs, findRelatedDocuments } = require('./contradictionDetector');
 const { analyzeVersionDrift } = require('./versionDriftAnalyzer');
+const { analyzeContentStaleness } = require('./contentStalenessAnalyzer');
+const {
+    analyzeUpstreamChanges,
+    analyzeBrokenReferences,
+    analyzeSupersededReferences,
+} = require('./dependencyAnalyzer');
+const { isRetired } = require('./documentLifecycle');
+const { splitSections } = require('./sectionSplitter');
+const { analyzeSections } = require('./sectionAnalyzer');
 const { calculateConfidence, determineRiskLevel, shouldFlagDecay } = require('./confidenceScorer');
 const { generateUpdateRecommendations } = require('./updateGenerator');
 const { getEmbedding } = require('../utils/vectorUtils');
 
+function toTimestamp(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Authority rank per document type from the policy's type registry
+ * @param {Object|null} policy - Workspace decay policy
+ * @returns {Object|undefined} { [type]: rank }, undefined for the built-in ranks
+ */
+function authorityRanksOf(policy) {
+    if (!policy || !policy.documentTypes) return undefined;
+    return Object.fromEntries(
+        Object.values(policy.documentTypes).map(t => [t.name, t.authorityRank])
+    );
+}
+
+/**
+ * Fingerprint everything an analysis depends on.
+ * Same fingerprint as the last analysis means the result would not change.
+ * @param {Object} params - Fingerprint inputs
+ * @param {Object} params.document - Document being analyzed
+ * @param {Array<Object>} params.relatedDocs - Related documents (id, currentVersion, updatedAt)
+ * @param {Set<string>} params.suppressedPairs - Contradiction pair keys resolved as false positives
+ * @param {Object} params.policy - Workspace decay policy (optional)
+ * @param {Array<Object>} params.upstreamDocs - Documents this one depends on (id, currentVersion)
+ * @param {Array<Object>} params.references - Stored references (targetDocumentId, targetTitle, currentTitle)
+ * @param {string} params.contradictionModel - Model giving contradiction verdicts ('rules' if none)
+ * @returns {string} SHA-256 hex digest
+ */
+function computeInputFingerprint({
+    document,
+    relatedDocs = [],
+    suppressedPairs = new Set(),
+    policy = null,
+    upstreamDocs = [],
+    references = [],
+    contradictionModel = 'rules',
+}) {
+    const inputs = {
+        document: [document.id, document.currentVersion, toTimestamp(document.updatedAt)],
+        lastVerifiedAt: toTimestamp(document.lastVerifiedAt),
+        sourceUpdatedAt: toTimestamp(document.sourceUpdatedAt),
+        reviewIntervalDays: document.reviewIntervalDays || null,
+        expiresAt: toTimestamp(document.expiresAt),
+        expired: Boolean(document.expiresAt && new Date(document.expiresAt) <= new Date()),
+        policyVersion: policy ? policy.version : 0,
+        thresholds: getThresholds(document.type, policy ? policy.thresholds : undefined),
+        // Authority ranks and display names feed contradiction checks and recommendations
+        documentTypes: policy ? policy.documentTypes : null,
+        // Day bucket: age-based results only move once a day
+        ageDays: calculateAgeDays(freshnessDate(document)),
+        related: relatedDocs
+            .map(d => `${d.id}:${d.currentVersion}:${toTimestamp(d.updatedAt)}`)
+            .sort(),
+        suppressedPairs: [...suppressedPairs].sort(),
+        upstream: upstreamDocs.map(d => `${d.id}:${d.currentVersion}`).sort(),
+        references: references
+            .map(r => [
+                r.targetDocumentId, r.targetTitle, r.currentTitle, r.matchedText,
+                r.targetLifecycleState, r.supersededBy && r.supersededBy.id,
+            ].join(':'))
+            .sort(),
+        contradictionModel,
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
 /**
  * Analyze a document for decay
  * @param {Object} params - Analysis parameters
@@ -21,47 +99,108 @@ const { getEmbedding } = require('../utils/vectorUtils');
  * @param {Array<Object>} params.versions - Previous versions of the document
  * @param {Array<Object>} params.relatedDocs - Related documents for contradiction check
  * @param {Array<Object>} params.allDocs - All workspace documents (optional, for auto-finding related)
- * @returns {Object} Decay analysis result in required format
+ * @param {Set<string>} params.suppressedPairs - Contradiction pair keys resolved as false positives
+ * @param {string} params.previousFingerprint - Input fingerprint of the last analysis (optional)
+ * @param {boolean} params.force - Analyze even if the inputs are unchanged
+ * @param {Object} params.policy - Workspace decay policy from getActivePolicy() (default: global defaults)
+ * @param {Array<Object>} params.upstreamDocs - Documents this one depends on, with versions
+ * @param {Array<Object>} params.references - Stored references, to find deleted or renamed targets
+ * @param {Object} params.contradictionChecker - From getContradictionChecker() (optional; rules only if null)
+ * @returns {Object} Decay analysis result in required format,
+ *   or { unchanged: true, input_fingerprint } when the inputs match previousFingerprint
  */
 async function analyzeDocument({
     document,
     versions = [],
     relatedDocs = [],
     allDocs = [],
+    suppressedPairs = new Set(),
+    previousFingerprint = null,
+    force = false,
+    policy = null,
+    upstreamDocs = [],
+    references = [],
+    contradictionChecker = null,
 }) {
     // Ensure document has embedding
     if (!document.embedding) {
         document.embedding = await getEmbedding(document.content);
     }
 
-    // Auto-find related documents if not provided
+    // Auto-find related documents if not provided; retired documents give no support
     if (relatedDocs.length === 0 && allDocs.length > 0) {
-        relatedDocs = findRelatedDocuments(document, allDocs);
+        relatedDocs = findRelatedDocuments(document, allDocs.filter(d => !isRetired(d)));
+    }
+
+    const inputFingerprint = computeInputFingerprint({
+        document,
+        relatedDocs,
+        suppressedPairs,
+        policy,
+        upstreamDocs,
+        references,
+        contradictionModel: contradictionChecker ? contradictionChecker.model : 'rules',
+    });
+    if (!force && previousFingerprint && previousFingerprint === inputFingerprint) {
+        return { unchanged: true, input_fingerprint: inputFingerprint };
     }
 
     // 1. Evaluate freshness (time-based)
-    const freshnessResult = evaluateFreshness(document);
+    const freshnessResult = evaluateFreshness(document, policy ? policy.thresholds : undefined);
 
-    // 2. Detect contradictions
-    const contradictionResult = detectContradictions(document, relatedDocs);
+    // 2. Detect contradictions (model verdicts first, rules for the rest)
+    const contradictionOptions = { suppressedPairs, authorityRanks: authorityRanksOf(policy) };
+    const verdicts = contradictionChecker
+        ? await contradictionChecker.checkPairs(listStatementPairs(document, relatedDocs, contradictionOptions))
+        : new Map();
+    const contradictionResult = detectContradictions(document, relatedDocs, { ...contradictionOptions, verdicts });
 
     // 3. Analyze version drift
     const driftResult = analyzeVersionDrift(document, versions);
 
+    // 3b. Look for stale dates, deadlines and versions in the content
+    const contentResult = analyzeContentStaleness(document.content, policy ? policy.contentStaleness : undefined);
+
+    // 3c. Check whether documents this one depends on changed since it was verified
+    const upstreamResult = analyzeUpstreamChanges(document, upstreamDocs);
+
+    // 3d. Find references to deleted or renamed documents
+    const brokenResult = await analyzeBrokenReferences(document, references, allDocs);
+
+    // 3e. Find references to superseded or deprecated documents
+    const supersededResult = analyzeSupersededReferences(document, references);
+
+    // 3f. Score each section of a long document; a stale section only costs its share
+    const sections = splitSections(document.content, { outline: document.outline });
+    const sectionResult = sections.length > 0
+        ? analyzeSections(document, sections, {
+            contradictions: contradictionResult.contradictions,
+            versions,
+            contentStaleness: policy ? policy.contentStaleness : undefined,
+            penaltyCaps: policy ? policy.penaltyCaps : undefined,
+            riskCutoffs: policy ? policy.riskCutoffs : undefined,
+        })
+        : null;
+
     // 4. Calculate confidence score with breakdown
     const { confidence, breakdown } = calculateConfidence({
         agePenalty: freshnessResult.penalty,
-        contradictionPenalty: contradictionResult.penalty,
-        driftPenalty: driftResult.penalty,
+        contradictionPenalty: sectionResult ? sectionResult.penalties.contradiction : contradictionResult.penalty,
+        driftPenalty: sectionResult ? sectionResult.penalties.drift : driftResult.penalty,
+        contentStalenessPenalty: sectionResult ? sectionResult.penalties.contentStaleness : contentResult.penalty,
+        upstreamPenalty: upstreamResult.penalty,
+        brokenReferencePenalty: brokenResult.penalty,
+        supersededReferencePenalty: supersededResult.penalty,
         supportingDocsCount: relatedDocs.length,
+        penaltyCaps: policy ? policy.penaltyCaps : undefined,
     });
 
     // 5. Determine risk level
     const riskLevel = determineRiskLevel(confidence, {
         hasContradictions: contradictionResult.hasContradictions,
-        hasSignificantDrift: driftResult.hasSignificantDrift,
+        hasSignificantDrift: sectionResult ? sectionResult.hasSignificantDrift : driftResult.hasSignificantDrift,
         freshnessStatus: freshnessResult.status,
-    });
+    }, policy ? policy.riskCutoffs : undefined);
 
     // 6. Compile decay reasons
     const decayReasons = [];
@@ -71,11 +210,36 @@ async function analyzeDocument({
     }
 
     if (contradictionResult.decayReasons) {
-        decayReasons.push(...contradictionResult.decayReasons);
+        decayReasons.push(...contradictionResult.decayReasons.map((reason, i) => {
+            const section = sectionResult && sectionResult.contradictionSections[i];
+            return section ? { ...reason, section } : reason;
+        }));
+    }
+
+    if (sectionResult) {
+        // Drift and stale content are reported per section
+        decayReasons.push(...sectionResult.decayReasons.filter(r => r.type === 'version_drift'));
+        decayReasons.push(...sectionResult.decayReasons.filter(r => r.type === 'content_staleness'));
+    } else {
+        if (driftResult.decayReason) {
+            decayReasons.push(driftResult.decayReason);
+        }
+
+        if (contentResult.decayReason) {
+            decayReasons.push(contentResult.decayReason);
+        }
+    }
+
+    if (upstreamResult.decayReason) {
+        decayReasons.push(upstreamResult.decayReason);
+    }
+
+    if (brokenResult.decayReason) {
+        decayReasons.push(brokenResult.decayReason);
     }
 
-    if (driftResult.decayReason) {
-        decayReasons.push(driftResult.decayReason);
+    if (supersededResult.decayReason) {
+        decayReasons.push(supersededResult.decayReason);
     }
 
     // Add low support reason if applicable
@@ -88,7 +252,7 @@ async function analyzeDocument({
     }
 
     // 7. Determine if decay detected
-    const decayDetected = shouldFlagDecay(confidence, riskLevel);
+    const decayDetected = shouldFlagDecay(confidence, riskLevel, policy ? policy.flagRule : undefined);
 
     // 8. Generate update recommendations if decay detected
     let updateResult = {
@@ -100,7 +264,8 @@ async function analyzeDocument({
         updateResult = generateUpdateRecommendations(
             document,
             { decayReasons },
-            relatedDocs.filter(d => new Date(d.updatedAt) > new Date(document.updatedAt))
+            relatedDocs.filter(d => new Date(d.updatedAt) > new Date(document.updatedAt)),
+            { documentTypes: policy ? policy.documentTypes : undefined }
         );
     }
 
@@ -124,8 +289,11 @@ async function analyzeDocument({
             suggested_text: r.suggested_text,
         })),
         citations,
+        section_scores: sectionResult ? sectionResult.sections : [],
         // Internal fields for storage (not exposed in API)
         _internal: {
+            input_fingerprint: inputFingerprint,
+            policy_version: policy ? policy.version : 0,
             confidence_breakdown: breakdown,
             freshness: {
                 status: freshnessResult.status,
@@ -136,6 +304,17 @@ async function analyzeDocument({
                 score: driftResult.driftScore,
                 has_significant_drift: driftResult.hasSignificantDrift,
             },
+            content_staleness: contentResult.findings.map(f => ({
+                type: f.type,
+                text: f.text,
+                date: f.date.toISOString().slice(0, 10),
+            })),
+            upstream_changes: upstreamResult.changes.map(c => ({
+                document_id: c.documentId,
+                version: c.version,
+            })),
+            broken_references: brokenResult.brokenReferences.length,
+            superseded_references: supersededResult.supersededReferences.length,
         },
     };
 }
@@ -144,9 +323,25 @@ async function analyzeDocument({
  * Batch analyze multiple documents
  * @param {Array<Object>} documents - Documents to analyze
  * @param {Array<Object>} allDocs - All workspace documents
- * @returns {Array<Object>} Analysis results
+ * @param {Object} options - Analysis options
+ * @param {Set<string>} options.suppressedPairs - Contradiction pair keys resolved as false positives
+ * @param {Map<string, string>} options.previousFingerprints - Last input fingerprint per document ID
+ * @param {boolean} options.force - Re-analyze documents whose inputs are unchanged
+ * @param {Object} options.policy - Workspace decay policy (default: global defaults)
+ * @param {Map<string, Array<Object>>} options.upstreamByDocument - Upstream documents per document ID
+ * @param {Map<string, Array<Object>>} options.referencesByDocument - Stored references per document ID
+ * @param {Object} options.contradictionChecker - From getContradictionChecker() (optional)
+ * @returns {Array<Object>} Analysis results (unchanged documents have unchanged: true)
  */
-async function batchAnalyze(documents, allDocs = []) {
+async function batchAnalyze(documents, allDocs = [], {
+    suppressedPairs = new Set(),
+    previousFingerprints = new Map(),
+    force = false,
+    policy = null,
+    upstreamByDocument = new Map(),
+    referencesByDocument = new Map(),
+    contradictionChecker = null,
+} = {}) {
     const results = [];
 
     for (const document of documents) {
@@ -159,6 +354,13 @@ async function batchAnalyze(documents, allDocs = []) {
                 document,
                 versions,
                 allDocs,
+                suppressedPairs,
+                previousFingerprint: previousFingerprints.get(document.id),
+                force,
+                policy,
+                upstreamDocs: upstreamByDocument.get(document.id) || [],
+                references: referencesByDocument.get(document.id) || [],
+                contradictionChecker,
             });
 
             results.push({
@@ -189,4 +391,5 @@ async function batchAnalyze(documents, allDocs = []) {
 module.exports = {
     analyzeDocument,
     batchAnalyze,
+    computeInputFingerprint,
 };
@@ -0,0 +1,183 @@
+/**
+ * Decay Policy Service
+ *
+ * Resolves the decay scoring policy in effect for a workspace:
+ * stored overrides merged onto the global defaults
+ * (DECAY_THRESHOLDS and the WEIGHT_* penalty caps) and the
+ * workspace's document types.
+ */
+
+const { DecayPolicy } = require('../models');
+const { DECAY_THRESHOLDS } = require('./freshnessEvaluator');
+const { getDocumentTypes, BUILTIN_DOCUMENT_TYPES } = require('./documentTypes');
+const {
+    DEFAULT_PENALTY_CAPS,
+    DEFAULT_RISK_CUTOFFS,
+    DEFAULT_FLAG_RULE,
+} = require('./confidenceScorer');
+const { DEFAULT_HORIZON_DAYS } = require('./contentStalenessAnalyzer');
+
+const PENALTY_KEYS = Object.keys(DEFAULT_PENALTY_CAPS);
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const DEFAULT_CONTENT_STALENESS = {
+    horizonDays: DEFAULT_HORIZON_DAYS,
+    fiscalYearEndMonth: 12,
+};
+
+/**
+ * Freshness thresholds defined by the document types
+ * @param {Object} documentTypes - Registry entries by type name
+ * @returns {Object} { [type]: { warning, critical } }
+ */
+function thresholdsOf(documentTypes) {
+    return Object.fromEntries(
+        Object.values(documentTypes).map(t => [t.name, { warning: t.warning, critical: t.critical }])
+    );
+}
+
+/**
+ * Merge stored overrides onto the defaults
+ * @param {Object|null} record - DecayPolicy record (null = defaults)
+ * @param {Object} documentTypes - Workspace document types (default: built-in types)
+ * @returns {Object} Effective policy
+ */
+function resolvePolicy(record = null, documentTypes = BUILTIN_DOCUMENT_TYPES) {
+    const overrides = record || {};
+    const base = thresholdsOf(documentTypes);
+    const thresholds = { ...base };
+
+    for (const [type, values] of Object.entries(overrides.thresholds || {})) {
+        thresholds[type] = { ...(base[type] || DECAY_THRESHOLDS.Notes), ...values };
+    }
+
+    return {
+        version: record ? record.version : 0,
+        thresholds,
+        penaltyCaps: { ...DEFAULT_PENALTY_CAPS, ...overrides.penaltyCaps },
+        riskCutoffs: { ...DEFAULT_RISK_CUTOFFS, ...overrides.riskCutoffs },
+        flagRule: { ...DEFAULT_FLAG_RULE, ...overrides.flagRule },
+        contentStaleness: { ...DEFAULT_CONTENT_STALENESS, ...overrides.contentStaleness },
+        documentTypes,
+    };
+}
+
+/**
+ * Get the latest stored policy record for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} DecayPolicy record
+ */
+async function getLatestPolicyRecord(workspaceId) {
+    return DecayPolicy.findOne({
+        where: { workspaceId },
+        order: [['version', 'DESC']],
+    });
+}
+
+/**
+ * Get the effective policy for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Effective policy (version 0 if none stored)
+ */
+async function getActivePolicy(workspaceId) {
+    const [record, documentTypes] = await Promise.all([
+        getLatestPolicyRecord(workspaceId),
+        getDocumentTypes(workspaceId),
+    ]);
+    return resolvePolicy(record, documentTypes);
+}
+
+function isFraction(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Validate policy overrides
+ * @param {Object} overrides - { thresholds, penaltyCaps, riskCutoffs, flagRule, contentStaleness }
+ * @param {Object} documentTypes - Workspace document types (default: built-in types)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validatePolicy(overrides = {}, documentTypes = BUILTIN_DOCUMENT_TYPES) {
+    const base = thresholdsOf(documentTypes);
+    const errors = [];
+    const {
+        thresholds = {},
+        penaltyCaps = {},
+        riskCutoffs = {},
+        flagRule = {},
+        contentStaleness = {},
+    } = overrides;
+
+    for (const [type, values] of Object.entries(thresholds)) {
+        const merged = { ...(base[type] || DECAY_THRESHOLDS.Notes), ...values };
+        if (![merged.warning, merged.critical].every(d => Number.isInteger(d) && d > 0)) {
+            errors.push(`thresholds.${type}: warning and critical must be positive whole days`);
+        } else if (merged.warning >= merged.critical) {
+            errors.push(`thresholds.${type}: warning must be less than critical`);
+        }
+    }
+
+    for (const [key, value] of Object.entries(penaltyCaps)) {
+        if (!PENALTY_KEYS.includes(key)) {
+            errors.push(`penaltyCaps.${key}: unknown penalty (expected ${PENALTY_KEYS.join(', ')})`);
+        } else if (!isFraction(value)) {
+            errors.push(`penaltyCaps.${key}: must be between 0 and 1`);
+        }
+    }
+
+    const cutoffs = { ...DEFAULT_RISK_CUTOFFS, ...riskCutoffs };
+    if (!isFraction(cutoffs.high) || !isFraction(cutoffs.medium)) {
+        errors.push('riskCutoffs: high and medium must be between 0 and 1');
+    } else if (cutoffs.high > cutoffs.medium) {
+        errors.push('riskCutoffs: high must not exceed medium');
+    }
+
+    if (flagRule.belowConfidence !== undefined && !isFraction(flagRule.belowConfidence)) {
+        errors.push('flagRule.belowConfidence: must be between 0 and 1');
+    }
+    if (flagRule.riskLevels !== undefined &&
+        (!Array.isArray(flagRule.riskLevels) || !flagRule.riskLevels.every(r => RISK_LEVELS.includes(r)))) {
+        errors.push(`flagRule.riskLevels: must be a list of ${RISK_LEVELS.join(', ')}`);
+    }
+
+    const { horizonDays, fiscalYearEndMonth } = contentStaleness;
+    if (horizonDays !== undefined && !(Number.isInteger(horizonDays) && horizonDays > 0)) {
+        errors.push('contentStaleness.horizonDays: must be a positive whole number of days');
+    }
+    if (fiscalYearEndMonth !== undefined &&
+        !(Number.isInteger(fiscalYearEndMonth) && fiscalYearEndMonth >= 1 && fiscalYearEndMonth <= 12)) {
+        errors.push('contentStaleness.fiscalYearEndMonth: must be a month number from 1 to 12');
+    }
+
+    return errors;
+}
+
+/**
+ * Store new policy overrides as the next version
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} overrides - { thresholds, penaltyCaps, riskCutoffs, flagRule, contentStaleness }
+ * @param {string} updatedBy - Who made the change
+ * @returns {Promise<Object>} Created DecayPolicy record
+ */
+async function savePolicy(workspaceId, overrides = {}, updatedBy = null) {
+    const latest = await getLatestPolicyRecord(workspaceId);
+
+    return DecayPolicy.create({
+        workspaceId,
+        version: latest ? latest.version + 1 : 1,
+        thresholds: overrides.thresholds || {},
+        penaltyCaps: overrides.penaltyCaps || {},
+        riskCutoffs: overrides.riskCutoffs || {},
+        flagRule: overrides.flagRule || {},
+        contentStaleness: overrides.contentStaleness || {},
+        updatedBy,
+    });
+}
+
+module.exports = {
+    getActivePolicy,
+    getLatestPolicyRecord,
+    resolvePolicy,
+    validatePolicy,
+    savePolicy,
+};
@@ -0,0 +1,260 @@
+/**
+ * Decay Runner Service
+ *
+ * Loads workspace documents, runs batch decay analysis, persists the
+ * results and records the run in the run history. Shared by the
+ * batch endpoint and the scheduler.
+ */
+
+const { Op, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Document, DocumentVersion, DecayAnalysis, DecayRun } = require('../models');
+const { batchAnalyze } = require('./decayEngine');
+const { getSuppressedPairKeys, recordContradictions } = require('./contradictionRegistry');
+const { getActivePolicy } = require('./decayPolicy');
+const { getUpstreamDocuments, getStoredReferences } = require('./documentReferences');
+const { getContradictionChecker } = require('./llmContradictionChecker');
+
+const RELATED_DOC_ATTRIBUTES = [
+    'id', 'title', 'type', 'content', 'embedding', 'currentVersion', 'updatedAt', 'lifecycleState', 'supersededBy',
+];
+
+/**
+ * Persist an analysis result as a DecayAnalysis snapshot
+ * @param {string} documentId - Analyzed document ID
+ * @param {Object} result - Result from analyzeDocument()
+ * @returns {Promise<Object>} Created DecayAnalysis
+ */
+async function saveAnalysis(documentId, result) {
+    return DecayAnalysis.create({
+        documentId,
+        decayDetected: result.decay_detected,
+        confidenceScore: result.confidence_score,
+        riskLevel: result.risk_level,
+        decayReasons: result.decay_reasons,
+        whatChangedSummary: result.what_changed_summary,
+        updateRecommendations: result.update_recommendations,
+        citations: result.citations,
+        sectionScores: result.section_scores || [],
+        confidenceBreakdown: result._internal?.confidence_breakdown,
+        inputFingerprint: result._internal?.input_fingerprint,
+        policyVersion: result._internal?.policy_version || 0,
+        analyzedAt: new Date(),
+        analyzedBy: 'system',
+    });
+}
+
+/**
+ * Where clause keeping only the latest DecayAnalysis of each document,
+ * so history is not loaded just to be discarded
+ * (documents analyzed twice at the same instant match both rows)
+ * @returns {Object} Sequelize where fragment for DecayAnalysis queries
+ */
+function latestAnalysisWhere() {
+    const quote = name => sequelize.getQueryInterface().quoteIdentifier(name);
+    const latest = quote('latest');
+    const analyzedAt = quote(DecayAnalysis.rawAttributes.analyzedAt.field);
+    const documentId = quote(DecayAnalysis.rawAttributes.documentId.field);
+
+    return {
+        analyzedAt: {
+            [Op.eq]: literal(
+                `(SELECT MAX(${latest}.${analyzedAt}) FROM ${quote(DecayAnalysis.getTableName())} AS ${latest} ` +
+                `WHERE ${latest}.${documentId} = ${quote(DecayAnalysis.name)}.${documentId})`
+            ),
+        },
+    };
+}
+
+/**
+ * Get the latest analysis for each document
+ * @param {Array<string>} documentIds - Document IDs
+ * @returns {Promise<Map<string, Object>>} Latest DecayAnalysis by document ID
+ */
+async function getLatestAnalyses(documentIds) {
+    const analyses = await DecayAnalysis.findAll({
+        where: { documentId: documentIds, ...latestAnalysisWhere() },
+        order: [['analyzedAt', 'DESC']],
+    });
+
+    const latestByDoc = new Map();
+    for (const a of analyses) {
+        if (!latestByDoc.has(a.documentId)) {
+            latestByDoc.set(a.documentId, a);
+        }
+    }
+    return latestByDoc;
+}
+
+/**
+ * Get last input fingerprints for documents
+ * @param {Map<string, Object>} latestByDoc - From getLatestAnalyses()
+ * @returns {Map<string, string>} Fingerprint by document ID
+ */
+function fingerprintsOf(latestByDoc) {
+    const fingerprints = new Map();
+    for (const [documentId, analysis] of latestByDoc) {
+        if (analysis.inputFingerprint) {
+            fingerprints.set(documentId, analysis.inputFingerprint);
+        }
+    }
+    return fingerprints;
+}
+
+/**
+ * Mark an unchanged document's last analysis as current
+ * Only analyzedAt is refreshed; no new row is written.
+ * @param {Object} analysis - Latest DecayAnalysis for the document
+ * @returns {Promise<Object>} Result in analyzeDocument() format with skipped: true
+ */
+async function refreshAnalysis(analysis) {
+    await analysis.update({ analyzedAt: new Date() });
+
+    return {
+        analysisId: analysis.id,
+        skipped: true,
+        decay_detected: analysis.decayDetected,
+        confidence_score: analysis.confidenceScore,
+        risk_level: analysis.riskLevel,
+        decay_reasons: analysis.decayReasons,
+        what_changed_summary: analysis.whatChangedSummary,
+        update_recommendations: analysis.updateRecommendations,
+        citations: analysis.citations,
+        section_scores: analysis.sectionScores || [],
+    };
+}
+
+/**
+ * Run decay analysis over a workspace (or a set of documents) and record the run
+ * Documents are analyzed against the documents and policy of one
+ * workspace, so documentIds from several workspaces are rejected.
+ * @param {Object} params - Run parameters
+ * @param {string} params.workspaceId - Workspace to analyze
+ * @param {Array<string>} params.documentIds - Restrict to these documents (optional; within workspaceId when given)
+ * @param {number} params.limit - Maximum documents to analyze (optional)
+ * @param {string} params.trigger - 'manual' or 'scheduled'
+ * @param {string} params.scheduleId - Schedule that started the run (optional)
+ * @param {boolean} params.force - Re-analyze documents whose inputs are unchanged
+ * @returns {Promise<Object>} { run, results } - run is null if nothing matched
+ */
+async function runDecayAnalysis({
+    workspaceId,
+    documentIds,
+    limit,
+    trigger = 'manual',
+    scheduleId = null,
+    force = false,
+}) {
+    const where = {
+        ...(workspaceId ? { workspaceId } : {}),
+        ...(documentIds && documentIds.length > 0 ? { id: documentIds } : {}),
+    };
+    if (Object.keys(where).length === 0) {
+        return { run: null, results: [] };
+    }
+
+    const documents = await Document.findAll({
+        where,
+        include: [{
+            model: DocumentVersion,
+            as: 'versions',
+            order: [['versionNumber', 'DESC']],
+        }],
+        ...(limit ? { limit } : {}),
+    });
+
+    const runWorkspaceId = documents.length > 0 ? documents[0].workspaceId : workspaceId;
+    if (!runWorkspaceId) {
+        return { run: null, results: [] };
+    }
+    if (documents.some(d => d.workspaceId !== runWorkspaceId)) {
+        throw new Error('Documents to analyze belong to different workspaces');
+    }
+
+    const run = await DecayRun.create({
+        workspaceId: runWorkspaceId,
+        scheduleId,
+        trigger,
+        status: 'running',
+        startedAt: new Date(),
+    });
+
+    try {
+        let results = [];
+
+        if (documents.length > 0) {
+            // Get all docs for cross-reference
+            const allDocs = await Document.findAll({
+                where: { workspaceId: runWorkspaceId },
+                attributes: RELATED_DOC_ATTRIBUTES,
+            });
+
+            const latestByDoc = await getLatestAnalyses(documents.map(d => d.id));
+
+            results = await batchAnalyze(
+                documents.map(d => ({ ...d.toJSON(), versions: d.versions.map(v => v.toJSON()) })),
+                allDocs.map(d => d.toJSON()),
+                {
+                    suppressedPairs: await getSuppressedPairKeys(runWorkspaceId),
+                    previousFingerprints: fingerprintsOf(latestByDoc),
+                    force,
+                    policy: await getActivePolicy(runWorkspaceId),
+                    upstreamByDocument: await getUpstreamDocuments(documents.map(d => d.id)),
+                    referencesByDocument: await getStoredReferences(documents.map(d => d.id)),
+                    contradictionChecker: getContradictionChecker(),
+                }
+            );
+
+            // Store each result
+            for (let i = 0; i < results.length; i++) {
+                const result = results[i];
+
+                if (result.unchanged) {
+                    results[i] = {
+                        documentId: result.documentId,
+                        documentTitle: result.documentTitle,
+                        ...(await refreshAnalysis(latestByDoc.get(result.documentId))),
+                    };
+                } else if (!result.error) {
+                    await recordContradictions(runWorkspaceId, result._internal.contradictions);
+                    await saveAnalysis(result.documentId, result);
+                }
+            }
+        }
+
+        const failed = results.filter(r => r.error);
+        const skipped = results.filter(r => r.skipped);
+
+        await run.update({
+            status: 'completed',
+            finishedAt: new Date(),
+            documentsAnalyzed: results.length - failed.length - skipped.length,
+            documentsSkipped: skipped.length,
+            decayDetected: results.filter(r => r.decay_detected).length,
+            failures: failed.length,
+            errors: failed.map(r => ({
+                documentId: r.documentId,
+                documentTitle: r.documentTitle,
+                error: r.error,
+            })),
+        });
+
+        return { run, results };
+    } catch (error) {
+        await run.update({
+            status: 'failed',
+            finishedAt: new Date(),
+            errorMessage: error.message,
+        });
+        throw error;
+    }
+}
+
+module.exports = {
+    runDecayAnalysis,
+    saveAnalysis,
+    getLatestAnalyses,
+    latestAnalysisWhere,
+    refreshAnalysis,
+    RELATED_DOC_ATTRIBUTES,
+};
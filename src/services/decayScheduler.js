@@ -0,0 +1,107 @@
+/**
+ * Decay Scheduler Service
+ *
+ * In-process scheduler for automatic decay analysis. Polls for
+ * workspace schedules whose nextRunAt has passed, runs them one at a
+ * time and advances nextRunAt from the cron expression.
+ *
+ * Configure with DECAY_SCHEDULER_ENABLED (default true) and
+ * DECAY_SCHEDULER_POLL_SECONDS (default 60).
+ */
+
+const { Op } = require('sequelize');
+const { DecaySchedule } = require('../models');
+const { runDecayAnalysis } = require('./decayRunner');
+const { getNextRun } = require('../utils/cron');
+
+const DEFAULT_POLL_SECONDS = 60;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Run every enabled schedule that is due
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array<Object>>} Runs started in this tick
+ */
+async function runDueSchedules(now = new Date()) {
+    const due = await DecaySchedule.findAll({
+        where: {
+            enabled: true,
+            nextRunAt: { [Op.lte]: now },
+        },
+        order: [['nextRunAt', 'ASC']],
+    });
+
+    const runs = [];
+
+    for (const schedule of due) {
+        // Advance first so a slow or failing run is not retried every tick
+        await schedule.update({
+            lastRunAt: now,
+            nextRunAt: getNextRun(schedule.cronExpression, now),
+        });
+
+        try {
+            const { run } = await runDecayAnalysis({
+                workspaceId: schedule.workspaceId,
+                trigger: 'scheduled',
+                scheduleId: schedule.id,
+            });
+            if (run) runs.push(run);
+        } catch (error) {
+            // The run record already holds the error; keep other workspaces going
+            console.error(`Scheduled decay analysis failed for workspace ${schedule.workspaceId}:`, error.message);
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Start polling for due schedules
+ * @param {Object} options - Scheduler options
+ * @param {number} options.pollSeconds - Poll interval in seconds
+ * @returns {boolean} True if the scheduler was started
+ */
+function startDecayScheduler({
+    pollSeconds = parseInt(process.env.DECAY_SCHEDULER_POLL_SECONDS, 10) || DEFAULT_POLL_SECONDS,
+} = {}) {
+    if (timer || process.env.DECAY_SCHEDULER_ENABLED === 'false') {
+        return false;
+    }
+
+    timer = setInterval(async () => {
+        // Skip the tick if the previous one is still running
+        if (ticking) return;
+        ticking = true;
+        try {
+            await runDueSchedules();
+        } catch (error) {
+            console.error('Decay scheduler tick failed:', error.message);
+        } finally {
+            ticking = false;
+        }
+    }, pollSeconds * 1000);
+
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+
+    return true;
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopDecayScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runDueSchedules,
+    startDecayScheduler,
+    stopDecayScheduler,
+};
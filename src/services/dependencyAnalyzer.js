@@ -0,0 +1,350 @@
+/**
+ * Dependency Analyzer Service
+ *
+ * Finds which documents a document depends on (title mentions and
+ * links in its content), flags dependents whose upstream documents
+ * changed after they were last verified, and finds references to
+ * documents that were deleted, renamed, superseded or deprecated.
+ */
+
+const { findRelatedDocuments } = require('./contradictionDetector');
+const { getEmbedding } = require('../utils/vectorUtils');
+const { isRetired, RETIRED_STATES } = require('./documentLifecycle');
+
+// Titles shorter than this are too generic to match as mentions
+const MIN_TITLE_LENGTH = 4;
+
+// Penalty per changed upstream document; calculateConfidence() caps the total
+const UPSTREAM_CHANGE_PENALTY = 0.1;
+
+// Penalty per broken reference; calculateConfidence() caps the total
+const BROKEN_REFERENCE_PENALTY = 0.05;
+
+// Penalty per reference to a superseded or deprecated document
+const SUPERSEDED_REFERENCE_PENALTY = 0.05;
+
+// Minimum similarity for a suggested replacement document
+const REPLACEMENT_SIMILARITY_THRESHOLD = 0.1;
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const DOCUMENT_LINK_PATTERN = /\/documents\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\b/gi;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detect references to other documents in a document's content
+ * Matches document IDs (e.g. links to /api/documents/:id) and whole-phrase title mentions.
+ * @param {Object} document - Document with id and content
+ * @param {Array<Object>} candidates - Workspace documents (id, title)
+ * @returns {Array<Object>} { targetDocumentId, targetTitle, matchedText }, one per target
+ */
+function detectReferences(document, candidates = []) {
+    const content = document.content || '';
+    const found = new Map();
+    const others = candidates.filter(d => d.id !== document.id);
+
+    // Links and ID mentions
+    const byId = new Map(others.map(d => [d.id.toLowerCase(), d]));
+    for (const match of content.matchAll(UUID_PATTERN)) {
+        const target = byId.get(match[0].toLowerCase());
+        if (target && !found.has(target.id)) {
+            found.set(target.id, {
+                targetDocumentId: target.id,
+                targetTitle: target.title,
+                matchedText: match[0],
+            });
+        }
+    }
+
+    // Title mentions, longest titles first so "Security Policy Appendix" wins over "Security Policy"
+    const byTitleLength = others
+        .filter(d => d.title && d.title.trim().length >= MIN_TITLE_LENGTH)
+        .sort((a, b) => b.title.length - a.title.length);
+
+    for (const target of byTitleLength) {
+        if (found.has(target.id)) continue;
+
+        const pattern = new RegExp(`(?:^|[^\\w])(${escapeRegExp(target.title.trim())})(?![\\w])`, 'i');
+        const match = content.match(pattern);
+        if (match) {
+            found.set(target.id, {
+                targetDocumentId: target.id,
+                targetTitle: target.title,
+                matchedText: match[1],
+            });
+        }
+    }
+
+    return [...found.values()];
+}
+
+/**
+ * Find upstream documents that changed after the document was last verified
+ * @param {Object} document - Dependent document (lastVerifiedAt, updatedAt)
+ * @param {Array<Object>} upstreamDocs - Upstream documents with versions ({ versionNumber, createdAt, changeNotes })
+ * @returns {Object} { changes, penalty, decayReason }
+ */
+function analyzeUpstreamChanges(document, upstreamDocs = []) {
+    const since = new Date(document.lastVerifiedAt || document.updatedAt);
+    const changes = [];
+
+    for (const upstream of upstreamDocs) {
+        // Version 1 is the upstream's creation, not a change to it
+        const newer = (upstream.versions || [])
+            .filter(v => v.versionNumber > 1 && new Date(v.createdAt) > since)
+            .sort((a, b) => b.versionNumber - a.versionNumber);
+
+        if (newer.length > 0) {
+            changes.push({
+                documentId: upstream.id,
+                title: upstream.title,
+                version: newer[0].versionNumber,
+                changedAt: new Date(newer[0].createdAt),
+                versionsSince: newer.length,
+                changeNotes: newer[0].changeNotes || null,
+            });
+        }
+    }
+
+    if (changes.length === 0) {
+        return { changes, penalty: 0, decayReason: null };
+    }
+
+    const described = changes.map(c =>
+        `"${c.title}" (now v${c.version}${c.changeNotes ? `: ${c.changeNotes}` : ''})`
+    );
+
+    return {
+        changes,
+        penalty: Math.round(changes.length * UPSTREAM_CHANGE_PENALTY * 1000) / 1000,
+        decayReason: {
+            type: 'upstream_change',
+            description: `Upstream document${changes.length > 1 ? 's' : ''} changed since this document was last verified: ${described.join('; ')}`,
+            sources: changes.map(c => c.documentId),
+            upstream: changes.map(c => ({
+                documentId: c.documentId,
+                title: c.title,
+                version: c.version,
+                changedAt: c.changedAt.toISOString(),
+            })),
+        },
+    };
+}
+
+/**
+ * Locate text in content (case-insensitive)
+ * @returns {Object|null} { text, start, end } as it appears in the content
+ */
+function findSpan(content, text) {
+    if (!content || !text) return null;
+    const start = content.toLowerCase().indexOf(text.toLowerCase());
+    if (start === -1) return null;
+    return { text: content.slice(start, start + text.length), start, end: start + text.length };
+}
+
+/**
+ * Find references to documents that were deleted or renamed
+ * @param {Object} document - Document with id and content
+ * @param {Array<Object>} references - Stored references of the document
+ *   ({ targetDocumentId, targetTitle, currentTitle, matchedText, origin })
+ * @param {Array<Object>} allDocs - Workspace documents, to check links by ID (optional)
+ * @returns {Array<Object>} { status, targetDocumentId, targetTitle, currentTitle, span }
+ *   status is 'deleted', 'renamed' or 'missing' (links to IDs that never existed here)
+ */
+function findBrokenReferences(document, references = [], allDocs = []) {
+    const content = document.content || '';
+    const broken = [];
+
+    for (const ref of references) {
+        const span = findSpan(content, ref.matchedText);
+
+        if (!ref.targetDocumentId) {
+            // Detected references only count while the text is still there
+            if (span || ref.origin === 'declared') {
+                broken.push({
+                    status: 'deleted',
+                    targetDocumentId: null,
+                    targetTitle: ref.targetTitle,
+                    currentTitle: null,
+                    span,
+                });
+            }
+            continue;
+        }
+
+        const stillMatches = ref.matchedText && ref.currentTitle && (
+            ref.matchedText.toLowerCase() === ref.currentTitle.trim().toLowerCase() ||
+            ref.matchedText.toLowerCase() === ref.targetDocumentId.toLowerCase()
+        );
+        if (ref.origin === 'detected' && span && !stillMatches) {
+            broken.push({
+                status: 'renamed',
+                targetDocumentId: ref.targetDocumentId,
+                targetTitle: ref.targetTitle,
+                currentTitle: ref.currentTitle,
+                span,
+            });
+        }
+    }
+
+    if (allDocs.length > 0) {
+        const knownIds = new Set([document.id, ...allDocs.map(d => d.id)].map(id => String(id).toLowerCase()));
+        // IDs already reported through a stored reference
+        const seen = new Set(broken.filter(r => r.span).map(r => r.span.text.toLowerCase()));
+
+        for (const match of content.matchAll(DOCUMENT_LINK_PATTERN)) {
+            const id = match[1].toLowerCase();
+            if (knownIds.has(id) || seen.has(id)) continue;
+            seen.add(id);
+
+            const start = match.index + match[0].length - match[1].length;
+            broken.push({
+                status: 'missing',
+                targetDocumentId: null,
+                targetTitle: null,
+                currentTitle: null,
+                span: { text: match[1], start, end: start + match[1].length },
+            });
+        }
+    }
+
+    return broken;
+}
+
+/**
+ * Sentence around a span, used to find a replacement document
+ */
+function spanContext(content, span) {
+    if (!span) return '';
+    const before = content.slice(0, span.start);
+    const after = content.slice(span.end);
+    const sentenceStart = Math.max(before.lastIndexOf('.'), before.lastIndexOf('\n')) + 1;
+    const nextBreak = after.search(/[.\n]/);
+    return content.slice(sentenceStart, nextBreak === -1 ? content.length : span.end + nextBreak);
+}
+
+/**
+ * Analyze broken references and suggest the closest current document for each
+ * Renamed documents are suggested under their new title; for the rest the
+ * reference context is matched with findRelatedDocuments().
+ * @param {Object} document - Document with id and content
+ * @param {Array<Object>} references - Stored references of the document
+ * @param {Array<Object>} allDocs - Workspace documents (with embeddings)
+ * @returns {Promise<Object>} { brokenReferences, penalty, decayReason }
+ */
+async function analyzeBrokenReferences(document, references = [], allDocs = []) {
+    const brokenReferences = findBrokenReferences(document, references, allDocs);
+
+    if (brokenReferences.length === 0) {
+        return { brokenReferences, penalty: 0, decayReason: null };
+    }
+
+    for (const ref of brokenReferences) {
+        if (ref.status === 'renamed') {
+            ref.suggestedDocument = { id: ref.targetDocumentId, title: ref.currentTitle };
+            continue;
+        }
+
+        const context = [ref.targetTitle, spanContext(document.content || '', ref.span)]
+            .filter(Boolean)
+            .join(' ');
+        const candidates = allDocs.filter(d => !isRetired(d));
+        const [closest] = context && candidates.length > 0
+            ? findRelatedDocuments(
+                { id: document.id, content: context, embedding: await getEmbedding(context) },
+                candidates,
+                REPLACEMENT_SIMILARITY_THRESHOLD
+            )
+            : [];
+        ref.suggestedDocument = closest
+            ? { id: closest.id, title: closest.title, similarity: Math.round(closest.similarity * 100) / 100 }
+            : null;
+    }
+
+    const described = brokenReferences.map(r => {
+        const label = r.span ? `"${r.span.text}"` : `"${r.targetTitle}"`;
+        if (r.status === 'renamed') return `${label} (renamed to "${r.currentTitle}")`;
+        if (r.status === 'missing') return `${label} (no such document)`;
+        return `${label} (deleted)`;
+    });
+
+    return {
+        brokenReferences,
+        penalty: Math.round(brokenReferences.length * BROKEN_REFERENCE_PENALTY * 1000) / 1000,
+        decayReason: {
+            type: 'broken_reference',
+            description: `${brokenReferences.length} reference(s) to documents that no longer exist under that name: ${described.join('; ')}`,
+            sources: brokenReferences
+                .map(r => r.suggestedDocument && r.suggestedDocument.id)
+                .filter(Boolean),
+            references: brokenReferences.map(r => ({
+                status: r.status,
+                text: r.span ? r.span.text : null,
+                span: r.span ? { start: r.span.start, end: r.span.end } : null,
+                targetTitle: r.targetTitle,
+                currentTitle: r.currentTitle,
+                suggestedDocument: r.suggestedDocument,
+            })),
+        },
+    };
+}
+
+/**
+ * Find references to documents that were superseded, deprecated or archived
+ * @param {Object} document - Document with id and content
+ * @param {Array<Object>} references - Stored references of the document
+ *   ({ targetDocumentId, currentTitle, matchedText, targetLifecycleState, supersededBy })
+ * @returns {Object} { supersededReferences, penalty, decayReason }
+ */
+function analyzeSupersededReferences(document, references = []) {
+    const supersededReferences = references
+        .filter(r => r.targetDocumentId &&
+            (r.supersededBy || RETIRED_STATES.includes(r.targetLifecycleState)))
+        .map(r => ({
+            targetDocumentId: r.targetDocumentId,
+            title: r.currentTitle,
+            state: r.supersededBy ? 'superseded' : r.targetLifecycleState,
+            replacement: r.supersededBy || null,
+            span: findSpan(document.content, r.matchedText),
+        }));
+
+    if (supersededReferences.length === 0) {
+        return { supersededReferences, penalty: 0, decayReason: null };
+    }
+
+    const described = supersededReferences.map(r =>
+        r.replacement
+            ? `"${r.title}" (superseded by "${r.replacement.title}")`
+            : `"${r.title}" (${r.state})`
+    );
+
+    return {
+        supersededReferences,
+        penalty: Math.round(supersededReferences.length * SUPERSEDED_REFERENCE_PENALTY * 1000) / 1000,
+        decayReason: {
+            type: 'superseded_reference',
+            description: `References document(s) that are no longer current: ${described.join('; ')}`,
+            sources: supersededReferences.flatMap(r =>
+                [r.targetDocumentId, r.replacement && r.replacement.id].filter(Boolean)
+            ),
+            references: supersededReferences.map(r => ({
+                documentId: r.targetDocumentId,
+                title: r.title,
+                state: r.state,
+                text: r.span ? r.span.text : null,
+                replacement: r.replacement,
+            })),
+        },
+    };
+}
+
+module.exports = {
+    detectReferences,
+    analyzeUpstreamChanges,
+    findBrokenReferences,
+    analyzeBrokenReferences,
+    analyzeSupersededReferences,
+    MIN_TITLE_LENGTH,
+};
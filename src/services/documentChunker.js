@@ -4,6 +4,8 @@
  * Splits documents into smaller chunks for RAG retrieval.
  */
 
+const { sequelize } = require('../config/database');
+const { DocumentChunk } = require('../models');
 const { getEmbedding } = require('../utils/vectorUtils');
 
 /**
@@ -27,6 +29,7 @@ function chunkDocument(content, options = {}) {
     const sentences = content.split(/(?<=[.!?])\s+/);
 
     let currentChunk = '';
+    let carriedLength = 0; // Length of overlap text carried into currentChunk
     let chunkIndex = 0;
     let startPosition = 0;
 
@@ -44,20 +47,26 @@ function chunkDocument(content, options = {}) {
             const overlapText = currentChunk.slice(-overlap);
             startPosition = startPosition + currentChunk.length - overlap;
             currentChunk = overlapText + ' ';
+            carriedLength = currentChunk.length;
             chunkIndex++;
         }
 
         currentChunk += sentence + ' ';
     }
 
-    // Add final chunk
-    if (currentChunk.trim().length >= minChunkSize) {
+    // Add final chunk. A short remainder is folded into the previous chunk
+    // (or kept on its own for short documents) so no text is dropped.
+    if (currentChunk.trim().length >= minChunkSize || (chunks.length === 0 && currentChunk.trim().length > 0)) {
         chunks.push({
             chunkIndex,
             content: currentChunk.trim(),
             startPosition,
             endPosition: startPosition + currentChunk.length,
         });
+    } else if (chunks.length > 0 && currentChunk.slice(carriedLength).trim().length > 0) {
+        const lastChunk = chunks[chunks.length - 1];
+        lastChunk.content = `${lastChunk.content} ${currentChunk.slice(carriedLength).trim()}`;
+        lastChunk.endPosition = startPosition + currentChunk.length;
     }
 
     return chunks;
@@ -67,15 +76,17 @@ function chunkDocument(content, options = {}) {
  * Chunk document and generate embeddings
  * @param {string} documentId - Document ID
  * @param {string} content - Document content
+ * @param {Object} options - Embedding options
+ * @param {Object} options.corpus - Workspace corpus for IDF weighting
  * @returns {Promise<Array>} Chunks with embeddings
  */
-async function chunkWithEmbeddings(documentId, content) {
+async function chunkWithEmbeddings(documentId, content, { corpus = null } = {}) {
     const chunks = chunkDocument(content);
 
     const chunksWithEmbeddings = await Promise.all(
         chunks.map(async (chunk) => {
             try {
-                const embedding = await getEmbedding(chunk.content);
+                const embedding = await getEmbedding(chunk.content, { corpus });
                 return {
                     ...chunk,
                     documentId,
@@ -95,7 +106,42 @@ async function chunkWithEmbeddings(documentId, content) {
     return chunksWithEmbeddings;
 }
 
+/**
+ * Replace the stored chunks of a document
+ * Must be called whenever document content changes so retrieval
+ * never returns passages from a previous version. Old chunks are
+ * deleted and new ones inserted in one transaction, so the document is
+ * never left without chunks.
+ * @param {string} documentId - Document ID
+ * @param {string} content - Current document content
+ * @param {Object} options - Embedding options
+ * @param {Object} options.corpus - Workspace corpus for IDF weighting
+ * @returns {Promise<Array>} Created chunk records
+ */
+async function replaceDocumentChunks(documentId, content, { corpus = null } = {}) {
+    const chunks = await chunkWithEmbeddings(documentId, content, { corpus });
+
+    return sequelize.transaction(async (transaction) => {
+        await DocumentChunk.destroy({ where: { documentId }, transaction });
+
+        if (chunks.length === 0) {
+            return [];
+        }
+
+        return DocumentChunk.bulkCreate(chunks.map(chunk => ({
+            documentId,
+            chunkIndex: chunk.chunkIndex,
+            content: chunk.content,
+            embedding: chunk.embedding,
+            startPosition: chunk.startPosition,
+            endPosition: chunk.endPosition,
+            tokenCount: chunk.content.split(/\s+/).filter(Boolean).length,
+        })), { transaction });
+    });
+}
+
 module.exports = {
     chunkDocument,
     chunkWithEmbeddings,
+    replaceDocumentChunks,
 };
@@ -0,0 +1,42 @@
+/**
+ * Document Lifecycle Service
+ *
+ * Lifecycle states of a document and which documents count as retired:
+ * deprecated or archived documents, and documents superseded by
+ * another. Retired documents are left out of retrieval and of
+ * cross-document contradiction checks.
+ */
+
+const { Op } = require('sequelize');
+
+const LIFECYCLE_STATES = ['draft', 'active', 'deprecated', 'archived'];
+const RETIRED_STATES = ['deprecated', 'archived'];
+const DEFAULT_LIFECYCLE_STATE = 'active';
+
+/**
+ * Check whether a document is retired
+ * @param {Object} document - Document with lifecycleState and supersededBy
+ * @returns {boolean}
+ */
+function isRetired(document) {
+    return RETIRED_STATES.includes(document.lifecycleState) || Boolean(document.supersededBy);
+}
+
+/**
+ * Sequelize where clause matching documents that are not retired
+ * @returns {Object} Where clause to merge into a Document query
+ */
+function notRetiredWhere() {
+    return {
+        lifecycleState: { [Op.notIn]: RETIRED_STATES },
+        supersededBy: null,
+    };
+}
+
+module.exports = {
+    isRetired,
+    notRetiredWhere,
+    LIFECYCLE_STATES,
+    RETIRED_STATES,
+    DEFAULT_LIFECYCLE_STATE,
+};
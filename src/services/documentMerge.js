@@ -0,0 +1,52 @@
+/**
+ * Document Merge Service
+ *
+ * Merges duplicate documents into a canonical copy: the duplicates are
+ * marked as superseded by it and deprecated, so they drop out of
+ * lexical and vector retrieval, and documents merged into a duplicate
+ * earlier are re-pointed at the canonical one. Archived duplicates
+ * stay archived.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Document } = require('../models');
+const { invalidateLexicalIndex } = require('./lexicalSearch');
+const { RETIRED_STATES } = require('./documentLifecycle');
+
+/**
+ * Merge duplicates into a canonical document
+ * @param {Object} canonical - Document to keep (id, workspaceId)
+ * @param {Array<Object>} duplicates - Documents it replaces, in the same workspace
+ * @returns {Promise<Object>} { supersededAt }
+ */
+async function mergeDuplicates(canonical, duplicates) {
+    const duplicateIds = duplicates.map(d => d.id);
+    const supersededAt = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+        await Document.update(
+            { supersededBy: canonical.id, supersededAt },
+            { where: { id: duplicateIds }, transaction }
+        );
+        await Document.update(
+            { lifecycleState: 'deprecated' },
+            { where: { id: duplicateIds, lifecycleState: { [Op.notIn]: RETIRED_STATES } }, transaction }
+        );
+
+        // Documents previously merged into a duplicate now point at the canonical one
+        await Document.update(
+            { supersededBy: canonical.id },
+            { where: { supersededBy: duplicateIds, id: { [Op.ne]: canonical.id } }, transaction }
+        );
+    });
+
+    // Superseded documents are no longer indexed
+    invalidateLexicalIndex(canonical.workspaceId);
+
+    return { supersededAt };
+}
+
+module.exports = {
+    mergeDuplicates,
+};
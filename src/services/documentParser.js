@@ -1,11 +1,15 @@
 /**
  * Document Parser Service
  * 
- * Extracts text from PDF, DOCX, and plain text files.
+ * Extracts text from PDF, DOCX, ODT, HTML, presentation (PPTX, ODP),
+ * spreadsheet (XLSX, ODS, CSV) and plain text files.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { htmlToText, decodeEntities } = require('../utils/htmlText');
+const { parseSpreadsheet } = require('./spreadsheetParser');
+const { parsePresentation, parseOpenDocumentText } = require('./officeParser');
 
 /**
  * Parse document and extract text content
@@ -25,6 +29,34 @@ async function parseDocument(filePath, mimeType) {
             return await parseDOCX(filePath);
         }
 
+        if (ext === '.odt' || mimeType === 'application/vnd.oasis.opendocument.text') {
+            return await parseOpenDocumentText(filePath);
+        }
+
+        if (ext === '.pptx' || mimeType === 'application/vnd.openxmlformats-officedocument.presentationml.presentation') {
+            return await parsePresentation(filePath, 'pptx');
+        }
+
+        if (ext === '.odp' || mimeType === 'application/vnd.oasis.opendocument.presentation') {
+            return await parsePresentation(filePath, 'odp');
+        }
+
+        if (ext === '.html' || ext === '.htm' || mimeType === 'text/html') {
+            return await parseHTML(filePath);
+        }
+
+        if (ext === '.xlsx' || mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+            return await parseSpreadsheet(filePath, 'xlsx');
+        }
+
+        if (ext === '.ods' || mimeType === 'application/vnd.oasis.opendocument.spreadsheet') {
+            return await parseSpreadsheet(filePath, 'ods');
+        }
+
+        if (ext === '.csv' || mimeType === 'text/csv') {
+            return await parseSpreadsheet(filePath, 'csv');
+        }
+
         if (ext === '.txt' || ext === '.md' || mimeType?.startsWith('text/')) {
             return await parseText(filePath);
         }
@@ -37,32 +69,91 @@ async function parseDocument(filePath, mimeType) {
 
 /**
  * Parse PDF file
+ * The outline comes from the PDF's bookmarks, if it has any.
  */
 async function parsePDF(filePath) {
-    const pdfParse = require('pdf-parse');
-    const dataBuffer = await fs.readFile(filePath);
-    const data = await pdfParse(dataBuffer);
+    const { PDFParse } = require('pdf-parse');
+    const data = await fs.readFile(filePath);
+    const parser = new PDFParse({ data });
 
-    return {
-        content: data.text.trim(),
-        metadata: {
-            pageCount: data.numpages,
-            info: data.info || {},
-        },
-    };
+    try {
+        const text = await parser.getText();
+        const info = await parser.getInfo();
+
+        return {
+            content: text.text.trim(),
+            metadata: {
+                pageCount: text.total,
+                info: info.info || {},
+                outline: flattenPDFOutline(info.outline),
+            },
+        };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Flatten nested PDF bookmarks into [{ title, level }]
+ */
+function flattenPDFOutline(nodes, level = 1) {
+    return (nodes || []).flatMap(node => [
+        ...(node.title && node.title.trim() ? [{ title: node.title.trim(), level }] : []),
+        ...flattenPDFOutline(node.items, level + 1),
+    ]);
 }
 
 /**
  * Parse DOCX file
+ * The outline comes from paragraphs styled as headings.
  */
 async function parseDOCX(filePath) {
     const mammoth = require('mammoth');
     const result = await mammoth.extractRawText({ path: filePath });
+    const html = await mammoth.convertToHtml({ path: filePath });
 
     return {
         content: result.value.trim(),
         metadata: {
             warnings: result.messages,
+            outline: extractHTMLHeadings(html.value),
+        },
+    };
+}
+
+/**
+ * Extract headings from HTML as [{ title, level }]
+ */
+function extractHTMLHeadings(html) {
+    const headings = [];
+    const pattern = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        const title = decodeEntities(match[2].replace(/<[^>]+>/g, '')).trim();
+        if (title) {
+            headings.push({ title, level: parseInt(match[1], 10) });
+        }
+    }
+    return headings;
+}
+
+/**
+ * Parse HTML file
+ * Page chrome is dropped; headings, lists and tables keep their structure
+ * as Markdown, so the text splits into sections like a Markdown file.
+ */
+async function parseHTML(filePath) {
+    const html = await fs.readFile(filePath, 'utf-8');
+    const { text, title, headings, meta } = htmlToText(html);
+
+    return {
+        content: text,
+        metadata: {
+            title,
+            headingCount: headings.length,
+            ...(meta.author ? { author: meta.author } : {}),
+            ...(meta.description ? { description: meta.description } : {}),
         },
     };
 }
@@ -83,7 +174,7 @@ async function parseText(filePath) {
  * Get supported file extensions
  */
 function getSupportedExtensions() {
-    return ['.pdf', '.docx', '.txt', '.md'];
+    return ['.pdf', '.docx', '.odt', '.txt', '.md', '.html', '.htm', '.pptx', '.odp', '.xlsx', '.ods', '.csv'];
 }
 
 /**
@@ -106,6 +197,8 @@ module.exports = {
     parsePDF,
     parseDOCX,
     parseText,
+    parseHTML,
+    extractHTMLHeadings,
     getSupportedExtensions,
     isSupported,
     getMaxFileSize,
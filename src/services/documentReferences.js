@@ -0,0 +1,284 @@
+/**
+ * Document References Service
+ *
+ * Stores the dependency graph between documents: references declared
+ * through the API plus references detected from title mentions and
+ * links in content, and loads upstream documents for decay analysis.
+ */
+
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { Document, DocumentVersion, DocumentReference } = require('../models');
+const { detectReferences } = require('./dependencyAnalyzer');
+
+/**
+ * Load the workspace documents a document's content may refer to:
+ * those whose ID or title appears in it. Only IDs and titles are loaded
+ * and matched as substrings here, so the content is never sent to the
+ * database; detectReferences() then checks word boundaries.
+ * @param {Object} document - Document record (id, workspaceId, content)
+ * @returns {Promise<Array<Object>>} Candidate documents (id, title)
+ */
+async function findMentionedDocuments(document) {
+    const content = (document.content || '').toLowerCase();
+    if (!content) {
+        return [];
+    }
+
+    const documents = await Document.findAll({
+        where: {
+            workspaceId: document.workspaceId,
+            id: { [Op.ne]: document.id },
+        },
+        attributes: ['id', 'title'],
+    });
+
+    return documents.filter(d => [d.id, d.title && d.title.trim()]
+        .some(text => text && content.includes(text.toLowerCase())));
+}
+
+/**
+ * Load the workspace documents whose content may refer to a document:
+ * those mentioning its ID or title. Wildcards in the title only widen
+ * the match; detectReferences() confirms each one.
+ * @param {Object} document - Document record (id, workspaceId, title)
+ * @returns {Promise<Array<Object>>} Candidate dependents (id, title, content)
+ */
+async function findMentioningDocuments(document) {
+    const mentions = [document.id, document.title && document.title.trim()]
+        .filter(Boolean)
+        .map(text => sqlWhere(fn('LOWER', col('content')), Op.like, `%${text.toLowerCase()}%`));
+
+    return Document.findAll({
+        where: {
+            workspaceId: document.workspaceId,
+            id: { [Op.ne]: document.id },
+            [Op.or]: mentions,
+        },
+        attributes: ['id', 'title', 'content'],
+    });
+}
+
+/**
+ * Re-detect references to and from a document after it was written
+ * Outgoing detected references are replaced from the document's content,
+ * except references to deleted or renamed documents whose text is still
+ * there (reported as broken references). Other documents that mention it
+ * gain a detected reference. Declared references are left untouched.
+ * @param {Object} document - Document record (id, workspaceId, title, content)
+ * @returns {Promise<Array<Object>>} Detected outgoing references
+ */
+async function syncDetectedReferences(document) {
+    const detected = detectReferences(document, await findMentionedDocuments(document));
+    const existing = await DocumentReference.findAll({ where: { documentId: document.id } });
+    const existingByTarget = new Map(existing.map(r => [r.targetDocumentId, r]));
+    const detectedTargets = new Set(detected.map(d => d.targetDocumentId));
+    const detectedTexts = new Set(detected.map(d => d.matchedText.toLowerCase()));
+    const content = (document.content || '').toLowerCase();
+
+    for (const ref of existing) {
+        const text = ref.matchedText ? ref.matchedText.toLowerCase() : null;
+        const dangling = text && content.includes(text) && !detectedTexts.has(text);
+        if (ref.origin === 'detected' && !detectedTargets.has(ref.targetDocumentId) && !dangling) {
+            await ref.destroy();
+        }
+    }
+
+    for (const d of detected) {
+        const ref = existingByTarget.get(d.targetDocumentId);
+        if (!ref) {
+            await DocumentReference.create({
+                workspaceId: document.workspaceId,
+                documentId: document.id,
+                ...d,
+                origin: 'detected',
+            });
+        } else if (ref.origin === 'detected') {
+            await ref.update({ targetTitle: d.targetTitle, matchedText: d.matchedText });
+        }
+    }
+
+    // Documents already mentioning this one now depend on it
+    const dependents = (await findMentioningDocuments(document)).filter(d =>
+        detectReferences(d, [document]).length > 0
+    );
+    if (dependents.length > 0) {
+        const linked = await DocumentReference.findAll({
+            where: { targetDocumentId: document.id, documentId: dependents.map(d => d.id) },
+            attributes: ['documentId'],
+        });
+        const linkedIds = new Set(linked.map(r => r.documentId));
+
+        for (const dependent of dependents.filter(d => !linkedIds.has(d.id))) {
+            const [match] = detectReferences(dependent, [document]);
+            await DocumentReference.create({
+                workspaceId: document.workspaceId,
+                documentId: dependent.id,
+                ...match,
+                origin: 'detected',
+            });
+        }
+    }
+
+    return detected;
+}
+
+/**
+ * Declare that a document depends on another
+ * An existing detected reference is promoted to declared.
+ * @param {Object} document - Dependent document record
+ * @param {Object} target - Upstream document record
+ * @param {string} note - Why the dependency exists (optional)
+ * @returns {Promise<Object>} DocumentReference record
+ */
+async function declareReference(document, target, note = null) {
+    const existing = await DocumentReference.findOne({
+        where: { documentId: document.id, targetDocumentId: target.id },
+    });
+
+    if (existing) {
+        return existing.update({ origin: 'declared', targetTitle: target.title, note });
+    }
+
+    return DocumentReference.create({
+        workspaceId: document.workspaceId,
+        documentId: document.id,
+        targetDocumentId: target.id,
+        targetTitle: target.title,
+        origin: 'declared',
+        note,
+    });
+}
+
+/**
+ * Get the references from and to a document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} { upstream, dependents }
+ */
+async function getReferences(documentId) {
+    const summary = ['id', 'title', 'type', 'currentVersion', 'updatedAt'];
+    const [upstream, dependents] = await Promise.all([
+        DocumentReference.findAll({
+            where: { documentId },
+            include: [{ model: Document, as: 'targetDocument', attributes: summary }],
+            order: [['targetTitle', 'ASC']],
+        }),
+        DocumentReference.findAll({
+            where: { targetDocumentId: documentId },
+            include: [{ model: Document, as: 'document', attributes: summary }],
+            order: [['createdAt', 'ASC']],
+        }),
+    ]);
+
+    return { upstream, dependents };
+}
+
+/**
+ * Load the upstream documents (with version history) of each document
+ * @param {Array<string>} documentIds - Dependent document IDs
+ * @returns {Promise<Map<string, Array<Object>>>} Upstream documents by dependent document ID
+ */
+async function getUpstreamDocuments(documentIds) {
+    const references = await DocumentReference.findAll({
+        where: { documentId: documentIds },
+        include: [{
+            model: Document,
+            as: 'targetDocument',
+            attributes: ['id', 'title', 'type', 'currentVersion', 'updatedAt'],
+            include: [{
+                model: DocumentVersion,
+                as: 'versions',
+                attributes: ['versionNumber', 'createdAt', 'changeNotes'],
+            }],
+        }],
+    });
+
+    const upstreamByDoc = new Map(documentIds.map(id => [id, []]));
+    for (const ref of references) {
+        if (!ref.targetDocument) continue;
+        upstreamByDoc.get(ref.documentId).push({
+            ...ref.targetDocument.toJSON(),
+            origin: ref.origin,
+        });
+    }
+    return upstreamByDoc;
+}
+
+/**
+ * Load the stored references of each document with the targets' current titles
+ * @param {Array<string>} documentIds - Document IDs
+ * @returns {Promise<Map<string, Array<Object>>>} References by document ID
+ *   ({ targetDocumentId, targetTitle, currentTitle, matchedText, origin, targetLifecycleState, supersededBy })
+ */
+async function getStoredReferences(documentIds) {
+    const references = await DocumentReference.findAll({
+        where: { documentId: documentIds },
+        include: [{
+            model: Document,
+            as: 'targetDocument',
+            attributes: ['id', 'title', 'lifecycleState', 'supersededBy'],
+            include: [{ model: Document, as: 'supersededByDocument', attributes: ['id', 'title'] }],
+        }],
+    });
+
+    const referencesByDoc = new Map(documentIds.map(id => [id, []]));
+    for (const ref of references) {
+        const target = ref.targetDocument;
+        const replacement = target && target.supersededByDocument;
+        referencesByDoc.get(ref.documentId).push({
+            targetDocumentId: ref.targetDocumentId,
+            targetTitle: ref.targetTitle,
+            currentTitle: target ? target.title : null,
+            matchedText: ref.matchedText,
+            origin: ref.origin,
+            targetLifecycleState: target ? target.lifecycleState : null,
+            supersededBy: replacement ? { id: replacement.id, title: replacement.title } : null,
+        });
+    }
+    return referencesByDoc;
+}
+
+/**
+ * Get the dependency graph of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { nodes, edges } - edges point from dependent to upstream
+ */
+async function getWorkspaceGraph(workspaceId) {
+    const [documents, references] = await Promise.all([
+        Document.findAll({
+            where: { workspaceId },
+            attributes: ['id', 'title', 'type', 'currentVersion', 'updatedAt', 'lastVerifiedAt'],
+            order: [['title', 'ASC']],
+        }),
+        DocumentReference.findAll({ where: { workspaceId } }),
+    ]);
+
+    return {
+        nodes: documents.map(d => ({
+            id: d.id,
+            title: d.title,
+            type: d.type,
+            currentVersion: d.currentVersion,
+            updatedAt: d.updatedAt,
+            lastVerifiedAt: d.lastVerifiedAt,
+        })),
+        edges: references
+            .filter(r => r.targetDocumentId)
+            .map(r => ({
+                id: r.id,
+                source: r.documentId,
+                target: r.targetDocumentId,
+                origin: r.origin,
+                matchedText: r.matchedText,
+                note: r.note,
+            })),
+    };
+}
+
+module.exports = {
+    syncDetectedReferences,
+    declareReference,
+    getReferences,
+    getUpstreamDocuments,
+    getStoredReferences,
+    getWorkspaceGraph,
+};
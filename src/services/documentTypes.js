@@ -0,0 +1,116 @@
+/**
+ * Document Types Service
+ *
+ * Registry of the document types a workspace can use: the built-in
+ * types plus workspace-defined ones, each with freshness thresholds,
+ * an authority rank and a display name.
+ */
+
+const { DocumentType } = require('../models');
+const { DECAY_THRESHOLDS } = require('./freshnessEvaluator');
+const { AUTHORITY_RANKS } = require('./contradictionDetector');
+
+const BUILTIN_DOCUMENT_TYPES = Object.fromEntries(
+    Object.entries(DECAY_THRESHOLDS).map(([name, thresholds]) => [name, {
+        name,
+        displayName: name,
+        warning: thresholds.warning,
+        critical: thresholds.critical,
+        authorityRank: AUTHORITY_RANKS[name] || 1,
+        builtin: true,
+    }])
+);
+
+const DEFAULT_DOCUMENT_TYPE = 'Notes';
+
+const TYPE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9 _-]{0,99}$/;
+
+/**
+ * Convert a DocumentType record to a registry entry
+ */
+function toRegistryEntry(record) {
+    return {
+        name: record.name,
+        displayName: record.displayName,
+        warning: record.warningDays,
+        critical: record.criticalDays,
+        authorityRank: record.authorityRank,
+        builtin: false,
+    };
+}
+
+/**
+ * Get all document types available in a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Registry entries by type name
+ */
+async function getDocumentTypes(workspaceId) {
+    const custom = await DocumentType.findAll({
+        where: { workspaceId },
+        order: [['name', 'ASC']],
+    });
+
+    const types = { ...BUILTIN_DOCUMENT_TYPES };
+    for (const record of custom) {
+        types[record.name] = toRegistryEntry(record);
+    }
+    return types;
+}
+
+/**
+ * Check whether a type can be used for documents in a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} type - Document type name
+ * @returns {Promise<boolean>}
+ */
+async function isValidDocumentType(workspaceId, type) {
+    if (BUILTIN_DOCUMENT_TYPES[type]) {
+        return true;
+    }
+    const count = await DocumentType.count({ where: { workspaceId, name: type } });
+    return count > 0;
+}
+
+/**
+ * Validate a custom document type definition
+ * @param {Object} definition - { name, displayName, warningDays, criticalDays, authorityRank }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateDocumentType(definition) {
+    const errors = [];
+    const { name, displayName, warningDays, criticalDays, authorityRank } = definition;
+
+    if (typeof name !== 'string' || !TYPE_NAME_PATTERN.test(name)) {
+        errors.push('name must start with a letter and contain only letters, digits, spaces, _ or - (max 100)');
+    } else if (BUILTIN_DOCUMENT_TYPES[name]) {
+        errors.push(`name "${name}" is a built-in type`);
+    }
+
+    if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim())) {
+        errors.push('displayName must be a non-empty string');
+    }
+
+    for (const [field, value] of [['warningDays', warningDays], ['criticalDays', criticalDays]]) {
+        if (!(Number.isInteger(value) && value > 0)) {
+            errors.push(`${field} must be a positive whole number of days`);
+        }
+    }
+
+    if (Number.isInteger(warningDays) && Number.isInteger(criticalDays) && warningDays >= criticalDays) {
+        errors.push('warningDays must be less than criticalDays');
+    }
+
+    if (authorityRank !== undefined && !(Number.isInteger(authorityRank) && authorityRank >= 1)) {
+        errors.push('authorityRank must be a whole number of at least 1');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    getDocumentTypes,
+    isValidDocumentType,
+    validateDocumentType,
+    BUILTIN_DOCUMENT_TYPES,
+    DEFAULT_DOCUMENT_TYPE,
+};
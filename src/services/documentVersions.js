@@ -0,0 +1,171 @@
+/**
+ * Document Versions Service
+ *
+ * Saves uploaded documents with their first version, and new content
+ * for a document as a new version: records the version, re-embeds and
+ * re-chunks the document against the workspace corpus and refreshes
+ * its detected references.
+ */
+
+const { sequelize } = require('../config/database');
+const { Document, DocumentVersion } = require('../models');
+const { getEmbedding } = require('../utils/vectorUtils');
+const { replaceDocumentChunks } = require('./documentChunker');
+const { updateCorpus } = require('./workspaceCorpus');
+const { invalidateLexicalIndex } = require('./lexicalSearch');
+const { syncDetectedReferences } = require('./documentReferences');
+const { diffVersions } = require('./versionDiff');
+
+/**
+ * Create a document from uploaded content, with version 1
+ * Embedding failures are logged and the document is stored without one.
+ * @param {Object} params - Document details
+ * @param {string} params.workspaceId - Workspace ID
+ * @param {string} params.title - Title
+ * @param {string} params.type - Document type
+ * @param {string} params.author - Author
+ * @param {string} params.content - Extracted text
+ * @param {Object} params.fields - Other document fields (e.g. originalFilename, outline)
+ * @param {Object} params.versionFields - Other version fields (e.g. upload metadata)
+ * @returns {Promise<Object>} The new Document
+ */
+async function createDocument({ workspaceId, title, type, author, content, fields = {}, versionFields = {} }) {
+    const { document, corpus } = await sequelize.transaction(async (transaction) => {
+        // Count the document into the workspace corpus, then embed against it
+        const updatedCorpus = await updateCorpus(workspaceId, { added: content }, { transaction });
+
+        let embedding = null;
+        try {
+            embedding = await getEmbedding(content.substring(0, 5000), { corpus: updatedCorpus }); // Limit for embedding
+        } catch (embError) {
+            console.warn('Embedding generation failed, continuing without:', embError.message);
+        }
+
+        const created = await Document.create({
+            workspaceId,
+            title,
+            type,
+            author,
+            content,
+            currentVersion: 1,
+            embedding,
+            ...fields,
+        }, { transaction });
+
+        // Create initial version
+        await DocumentVersion.create({
+            documentId: created.id,
+            versionNumber: 1,
+            content,
+            summary: 'Initial version',
+            embedding,
+            author,
+            ...versionFields,
+        }, { transaction });
+
+        return { document: created, corpus: updatedCorpus };
+    });
+
+    // Chunk full content for RAG retrieval
+    await replaceDocumentChunks(document.id, content, { corpus });
+    invalidateLexicalIndex(workspaceId);
+
+    await syncDetectedReferences(document);
+
+    return document;
+}
+
+/**
+ * Create a new version of a document with the given content
+ * Embedding failures are logged and the version is stored without one.
+ * A version that does not come from an import (fields without
+ * sourceUpdatedAt) clears the source date, so the document ages from now.
+ * @param {Object} document - Document record (reloaded and updated in place)
+ * @param {string} content - New content
+ * @param {Object} options - Version details
+ * @param {string} options.author - Author of the version (default: document author)
+ * @param {string} options.summary - Version summary (default: "Version N")
+ * @param {string} options.changeNotes - Why the content changed
+ * @param {Object} options.fields - Other document fields to update with the content
+ * @param {Object} options.versionFields - Other version fields (e.g. upload metadata)
+ * @returns {Promise<Object>} The new DocumentVersion, with changeStats against the previous one
+ */
+async function createVersion(document, content, {
+    author = null,
+    summary = null,
+    changeNotes = null,
+    fields = {},
+    versionFields = {},
+} = {}) {
+    const { version, corpus } = await sequelize.transaction(async (transaction) => {
+        // Number and diff against the stored document, which a concurrent save may have moved on
+        await document.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        const versionNumber = document.currentVersion + 1;
+        const { stats: changeStats } = diffVersions(
+            { versionNumber: document.currentVersion, content: document.content },
+            { versionNumber, content },
+            { outline: fields.outline !== undefined ? fields.outline : document.outline }
+        );
+
+        const updatedCorpus = await updateCorpus(document.workspaceId, {
+            removed: document.content,
+            added: content,
+        }, { transaction });
+
+        let embedding = null;
+        try {
+            embedding = await getEmbedding(content.substring(0, 5000), { corpus: updatedCorpus }); // Limit for embedding
+        } catch (embError) {
+            console.warn('Embedding generation failed, continuing without:', embError.message);
+        }
+
+        const created = await DocumentVersion.create({
+            documentId: document.id,
+            versionNumber,
+            content,
+            summary: summary || changeNotes || `Version ${versionNumber}`,
+            embedding,
+            author: author || document.author,
+            changeNotes,
+            changeStats,
+            ...versionFields,
+        }, { transaction });
+
+        await document.update({
+            sourceUpdatedAt: null,
+            ...fields,
+            content,
+            embedding,
+            currentVersion: versionNumber,
+        }, { transaction });
+
+        return { version: created, corpus: updatedCorpus };
+    });
+
+    // Re-chunk so retrieval reflects the new content
+    await replaceDocumentChunks(document.id, content, { corpus });
+    invalidateLexicalIndex(document.workspaceId);
+
+    // Mentions to and from this document may have appeared or gone
+    await syncDetectedReferences(document);
+
+    return version;
+}
+
+/**
+ * Change notes for a restored version
+ * @param {number} versionNumber - Version that was restored
+ * @param {string} restoredBy - Who restored it
+ * @param {string} reason - Why (optional)
+ * @returns {string}
+ */
+function restoreNotes(versionNumber, restoredBy, reason) {
+    const notes = `Restored version ${versionNumber} by ${restoredBy}`;
+    return reason ? `${notes}: ${reason}` : notes;
+}
+
+module.exports = {
+    createDocument,
+    createVersion,
+    restoreNotes,
+};
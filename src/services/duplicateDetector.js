@@ -0,0 +1,227 @@
+/**
+ * Duplicate Detector Service
+ *
+ * Finds near-duplicate and overlapping documents with word shingles
+ * and MinHash. Locality-sensitive hashing over the signatures picks
+ * candidate pairs; candidates are confirmed with exact shingle
+ * similarity and grouped into clusters.
+ */
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 64;
+const LSH_BANDS = 32;
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+
+// Jaccard similarity at or above which two documents are duplicates
+const DEFAULT_DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.8;
+
+// Share of the smaller document found in the larger one for an overlap
+const DEFAULT_OVERLAP_THRESHOLD = parseFloat(process.env.DUPLICATE_OVERLAP_THRESHOLD) || 0.8;
+
+/**
+ * 32-bit FNV-1a string hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Mix a hash with a seed (murmur3 finalizer); one seed per MinHash permutation
+ */
+function mixHash(hash, seed) {
+    let h = Math.imul(hash ^ seed, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mixHash(i + 1, 0x9e3779b9));
+
+/**
+ * Hashed word shingles of a text
+ * @param {string} text - Document content
+ * @param {number} size - Words per shingle
+ * @returns {Set<number>} Shingle hashes
+ */
+function computeShingles(text, size = SHINGLE_SIZE) {
+    const words = (text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const shingles = new Set();
+    if (words.length === 0) return shingles;
+
+    if (words.length < size) {
+        shingles.add(hashString(words.join(' ')));
+        return shingles;
+    }
+
+    for (let i = 0; i <= words.length - size; i++) {
+        shingles.add(hashString(words.slice(i, i + size).join(' ')));
+    }
+    return shingles;
+}
+
+/**
+ * MinHash signature of a shingle set
+ * @param {Set<number>} shingles - From computeShingles()
+ * @returns {Array<number>} NUM_HASHES minimum hash values
+ */
+function computeMinHash(shingles) {
+    const signature = new Array(NUM_HASHES).fill(0xffffffff);
+    for (const shingle of shingles) {
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const h = mixHash(shingle, SEEDS[i]);
+            if (h < signature[i]) signature[i] = h;
+        }
+    }
+    return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of two MinHash signatures
+ */
+function estimateSimilarity(signatureA, signatureB) {
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        if (signatureA[i] === signatureB[i]) equal++;
+    }
+    return equal / NUM_HASHES;
+}
+
+/**
+ * Exact Jaccard similarity and containment of two shingle sets
+ * @returns {Object} { jaccard, containment } - containment is the share of the smaller set in the larger
+ */
+function compareShingles(shinglesA, shinglesB) {
+    const [smaller, larger] = shinglesA.size <= shinglesB.size
+        ? [shinglesA, shinglesB]
+        : [shinglesB, shinglesA];
+
+    let shared = 0;
+    for (const shingle of smaller) {
+        if (larger.has(shingle)) shared++;
+    }
+
+    const union = shinglesA.size + shinglesB.size - shared;
+    return {
+        jaccard: union === 0 ? 0 : shared / union,
+        containment: smaller.size === 0 ? 0 : shared / smaller.size,
+    };
+}
+
+/**
+ * Candidate pairs whose signatures collide in at least one LSH band
+ * @param {Array<Object>} entries - { id, signature }
+ * @returns {Array<Array<number>>} Index pairs into entries
+ */
+function findCandidatePairs(entries) {
+    const pairs = new Set();
+
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const buckets = new Map();
+        entries.forEach((entry, index) => {
+            const key = entry.signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',');
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        });
+
+        for (const bucket of buckets.values()) {
+            for (let i = 0; i < bucket.length; i++) {
+                for (let j = i + 1; j < bucket.length; j++) {
+                    pairs.add(`${bucket[i]}:${bucket[j]}`);
+                }
+            }
+        }
+    }
+
+    return [...pairs].map(p => p.split(':').map(Number));
+}
+
+/**
+ * Find clusters of near-duplicate or overlapping documents
+ * @param {Array<Object>} documents - Documents (id, title, content, ...)
+ * @param {Object} options - Detection options
+ * @param {number} options.threshold - Jaccard similarity for duplicates
+ * @param {number} options.overlapThreshold - Containment for overlaps (one document inside another)
+ * @returns {Array<Object>} Clusters { documentIds, pairs: [{ documentId, otherDocumentId, kind, similarity, containment }] },
+ *   largest first
+ */
+function findDuplicateClusters(documents, {
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+    overlapThreshold = DEFAULT_OVERLAP_THRESHOLD,
+} = {}) {
+    const entries = documents
+        .map(d => {
+            const shingles = computeShingles(d.content);
+            return { id: d.id, shingles, signature: computeMinHash(shingles) };
+        })
+        .filter(e => e.shingles.size > 0);
+
+    const matches = [];
+    for (const [i, j] of findCandidatePairs(entries)) {
+        const { jaccard, containment } = compareShingles(entries[i].shingles, entries[j].shingles);
+
+        if (jaccard >= threshold || containment >= overlapThreshold) {
+            matches.push({
+                documentId: entries[i].id,
+                otherDocumentId: entries[j].id,
+                kind: jaccard >= threshold ? 'duplicate' : 'overlap',
+                similarity: Math.round(jaccard * 1000) / 1000,
+                containment: Math.round(containment * 1000) / 1000,
+            });
+        }
+    }
+
+    // Union-find over matched pairs
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    for (const m of matches) {
+        for (const id of [m.documentId, m.otherDocumentId]) {
+            if (!parent.has(id)) parent.set(id, id);
+        }
+        parent.set(find(m.documentId), find(m.otherDocumentId));
+    }
+
+    const clusters = new Map();
+    for (const m of matches) {
+        const root = find(m.documentId);
+        if (!clusters.has(root)) clusters.set(root, { documentIds: new Set(), pairs: [] });
+        const cluster = clusters.get(root);
+        cluster.documentIds.add(m.documentId);
+        cluster.documentIds.add(m.otherDocumentId);
+        cluster.pairs.push(m);
+    }
+
+    return [...clusters.values()]
+        .map(c => ({
+            documentIds: [...c.documentIds],
+            pairs: c.pairs.sort((a, b) => b.similarity - a.similarity),
+        }))
+        .sort((a, b) => b.documentIds.length - a.documentIds.length ||
+            b.pairs[0].similarity - a.pairs[0].similarity);
+}
+
+module.exports = {
+    findDuplicateClusters,
+    computeShingles,
+    computeMinHash,
+    estimateSimilarity,
+    compareShingles,
+    DEFAULT_DUPLICATE_THRESHOLD,
+    DEFAULT_OVERLAP_THRESHOLD,
+};
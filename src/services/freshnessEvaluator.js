@@ -26,18 +26,54 @@ function calculateAgeDays(updatedAt) {
     return Math.floor(diffMs / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Date a document's age is counted from: when it was last verified,
+ * else when its source last changed (for imported pages), else when it
+ * was last updated here
+ * @param {Object} document - Document with updatedAt (optionally lastVerifiedAt, sourceUpdatedAt)
+ * @returns {Date|string}
+ */
+function freshnessDate(document) {
+    return document.lastVerifiedAt || document.sourceUpdatedAt || document.updatedAt;
+}
+
 /**
  * Evaluate document freshness
+ * An explicit expiry date or per-document review interval
+ * takes precedence over the type thresholds.
  * @param {Object} document - Document with type and updatedAt
+ *   (optionally lastVerifiedAt, sourceUpdatedAt, reviewIntervalDays, expiresAt)
+ * @param {Object} thresholdsByType - Thresholds per document type (default: DECAY_THRESHOLDS)
  * @returns {Object} Freshness evaluation result
  */
-function evaluateFreshness(document) {
-    const { type, updatedAt, lastVerifiedAt } = document;
-    const thresholds = DECAY_THRESHOLDS[type] || DECAY_THRESHOLDS.Notes;
+function evaluateFreshness(document, thresholdsByType = DECAY_THRESHOLDS) {
+    const { type, reviewIntervalDays, expiresAt } = document;
 
-    // Use lastVerifiedAt if available, otherwise updatedAt
-    const referenceDate = lastVerifiedAt || updatedAt;
-    const ageDays = calculateAgeDays(referenceDate);
+    // Review interval: warning after one interval, critical after two
+    const thresholds = reviewIntervalDays
+        ? { warning: reviewIntervalDays, critical: reviewIntervalDays * 2 }
+        : getThresholds(type, thresholdsByType);
+    const thresholdLabel = reviewIntervalDays
+        ? `review interval ${reviewIntervalDays} days,`
+        : type;
+
+    const ageDays = calculateAgeDays(freshnessDate(document));
+
+    // Past its expiry date the document is invalid regardless of age
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+        const expiredDate = new Date(expiresAt).toISOString().slice(0, 10);
+        return {
+            status: 'expired',
+            ageDays,
+            thresholds,
+            penalty: 0.3, // Maximum age penalty
+            decayReason: {
+                type: 'expired',
+                description: `Document expired on ${expiredDate} (${calculateAgeDays(expiresAt)} days ago)`,
+                sources: [],
+            },
+        };
+    }
 
     // Calculate freshness status
     let status = 'fresh';
@@ -49,7 +85,7 @@ function evaluateFreshness(document) {
         penalty = 0.3; // Maximum age penalty
         decayReason = {
             type: 'time',
-            description: `Document last updated ${ageDays} days ago (${type} critical threshold: ${thresholds.critical} days)`,
+            description: `Document last updated ${ageDays} days ago (${thresholdLabel} critical threshold: ${thresholds.critical} days)`,
             sources: [],
         };
     } else if (ageDays >= thresholds.warning) {
@@ -60,7 +96,7 @@ function evaluateFreshness(document) {
         penalty = 0.1 + (0.2 * (overWarning / range));
         decayReason = {
             type: 'time',
-            description: `Document last updated ${ageDays} days ago (${type} warning threshold: ${thresholds.warning} days)`,
+            description: `Document last updated ${ageDays} days ago (${thresholdLabel} warning threshold: ${thresholds.warning} days)`,
             sources: [],
         };
     }
@@ -77,14 +113,16 @@ function evaluateFreshness(document) {
 /**
  * Get thresholds for a document type
  * @param {string} type - Document type
+ * @param {Object} thresholdsByType - Thresholds per document type (default: DECAY_THRESHOLDS)
  * @returns {Object} { warning, critical } thresholds
  */
-function getThresholds(type) {
-    return DECAY_THRESHOLDS[type] || DECAY_THRESHOLDS.Notes;
+function getThresholds(type, thresholdsByType = DECAY_THRESHOLDS) {
+    return thresholdsByType[type] || thresholdsByType.Notes || DECAY_THRESHOLDS.Notes;
 }
 
 module.exports = {
     evaluateFreshness,
+    freshnessDate,
     calculateAgeDays,
     getThresholds,
     DECAY_THRESHOLDS,
@@ -0,0 +1,115 @@
+/**
+ * Hybrid Search Service
+ * 
+ * Fuses BM25 (lexical) and embedding (vector) rankings with
+ * reciprocal rank fusion, then collapses chunks to documents.
+ */
+
+const { searchDocuments, searchChunks } = require('./vectorSearch');
+const { searchLexical } = require('./lexicalSearch');
+
+const SEARCH_MODES = ['lexical', 'vector', 'hybrid'];
+
+// RRF constant: dampens the advantage of top ranks (60 is the usual choice)
+const RRF_K = 60;
+
+// Candidates pulled from each ranker before fusion
+const CANDIDATE_POOL = 50;
+
+/**
+ * Fuse ranked lists with reciprocal rank fusion
+ * @param {Object} rankings - { name: Array<{ key }> } ranked best-first
+ * @returns {Map} key -> { fused, ranks: { name: rank } }
+ */
+function reciprocalRankFusion(rankings) {
+    const fused = new Map();
+
+    for (const [name, ranked] of Object.entries(rankings)) {
+        ranked.forEach((item, i) => {
+            const entry = fused.get(item.key) || { fused: 0, ranks: {} };
+            entry.fused += 1 / (RRF_K + i + 1);
+            entry.ranks[name] = i + 1;
+            fused.set(item.key, entry);
+        });
+    }
+
+    return fused;
+}
+
+/**
+ * Get vector candidates keyed the same way as lexical units
+ */
+async function vectorCandidates(query, workspaceId) {
+    let results = await searchChunks(query, workspaceId, CANDIDATE_POOL);
+
+    // Documents stored before chunking was introduced have no chunk rows
+    if (results.length === 0) {
+        results = await searchDocuments(query, workspaceId, CANDIDATE_POOL);
+    }
+
+    return results.map(r => ({
+        ...r,
+        key: r.chunkId || `document:${r.documentId}`,
+        chunkIndex: r.chunkIndex ?? null,
+    }));
+}
+
+/**
+ * Search documents lexically, by vector, or both
+ * @param {string} query - Search query
+ * @param {string} workspaceId - Workspace to search in
+ * @param {Object} options - Search options
+ * @param {string} options.mode - 'lexical' | 'vector' | 'hybrid'
+ * @param {number} options.topK - Number of documents to return
+ * @returns {Promise<Array>} Documents with score breakdowns
+ */
+async function hybridSearch(query, workspaceId, { mode = 'hybrid', topK = 5 } = {}) {
+    if (!SEARCH_MODES.includes(mode)) {
+        throw new Error(`Unknown search mode: ${mode}`);
+    }
+
+    const vector = mode === 'lexical' ? [] : await vectorCandidates(query, workspaceId);
+    const lexical = mode === 'vector' ? [] : await searchLexical(query, workspaceId, CANDIDATE_POOL);
+
+    const fused = reciprocalRankFusion({ vector, lexical });
+    const vectorByKey = new Map(vector.map(r => [r.key, r]));
+    const lexicalByKey = new Map(lexical.map(r => [r.key, r]));
+
+    const passages = [...fused.entries()].map(([key, { fused: fusedScore, ranks }]) => {
+        const v = vectorByKey.get(key);
+        const l = lexicalByKey.get(key);
+        const source = v || l;
+
+        return {
+            documentId: source.documentId,
+            title: source.title,
+            type: source.type,
+            chunkIndex: source.chunkIndex,
+            excerpt: source.excerpt,
+            updatedAt: source.updatedAt,
+            similarity: v ? v.similarity : null,
+            score: Math.round(fusedScore * 10000) / 10000,
+            scores: {
+                vector: v ? { score: v.similarity, rank: ranks.vector } : null,
+                lexical: l ? { score: l.score, rank: ranks.lexical } : null,
+                fused: Math.round(fusedScore * 10000) / 10000,
+            },
+        };
+    });
+
+    // Keep the best-scoring passage per document
+    const bestByDocument = new Map();
+    for (const passage of passages.sort((a, b) => b.score - a.score)) {
+        if (!bestByDocument.has(passage.documentId)) {
+            bestByDocument.set(passage.documentId, passage);
+        }
+    }
+
+    return [...bestByDocument.values()].slice(0, topK);
+}
+
+module.exports = {
+    hybridSearch,
+    reciprocalRankFusion,
+    SEARCH_MODES,
+};
@@ -0,0 +1,198 @@
+/**
+ * Lexical Search Service
+ * 
+ * BM25 inverted index over document chunks.
+ * Complements vector search for exact tokens that embeddings blur:
+ * error codes, policy numbers, tool names.
+ */
+
+const natural = require('natural');
+const { Document, DocumentChunk } = require('../models');
+const { notRetiredWhere } = require('./documentLifecycle');
+
+const stemmer = natural.PorterStemmer;
+const STOPWORDS = new Set(natural.stopwords);
+
+// BM25 parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Built indexes per workspace, dropped whenever workspace content changes
+const indexCache = new Map();
+
+/**
+ * Tokenize text for lexical matching
+ * Compound tokens such as "ERR-4012" or "POL-7.3" are kept whole
+ * (so exact codes match) and also split into their parts.
+ * @param {string} text - Input text
+ * @returns {Array<string>} Terms (with repeats)
+ */
+function tokenizeForSearch(text) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    const terms = [];
+    const matches = text.toLowerCase().match(/[a-z0-9]+(?:[-_.:/][a-z0-9]+)*/g) || [];
+
+    for (const token of matches) {
+        const parts = token.split(/[-_.:/]/);
+
+        if (parts.length > 1) {
+            terms.push(token);
+        }
+
+        for (const part of parts) {
+            if (STOPWORDS.has(part) || (part.length < 2 && !/\d/.test(part))) {
+                continue;
+            }
+            terms.push(/^[a-z]+$/.test(part) ? stemmer.stem(part) : part);
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Build a BM25 inverted index
+ * @param {Array<Object>} units - Searchable units { key, content, ... }
+ * @returns {Object} Index with postings and length statistics
+ */
+function buildIndex(units) {
+    const postings = new Map();
+    const lengths = new Map();
+    let totalLength = 0;
+
+    for (const unit of units) {
+        const terms = tokenizeForSearch(unit.content);
+        lengths.set(unit.key, terms.length);
+        totalLength += terms.length;
+
+        for (const term of terms) {
+            if (!postings.has(term)) {
+                postings.set(term, new Map());
+            }
+            const termPostings = postings.get(term);
+            termPostings.set(unit.key, (termPostings.get(unit.key) || 0) + 1);
+        }
+    }
+
+    return {
+        units: new Map(units.map(u => [u.key, u])),
+        postings,
+        lengths,
+        unitCount: units.length,
+        averageLength: units.length > 0 ? totalLength / units.length : 0,
+    };
+}
+
+/**
+ * Score index units against a query with BM25
+ * @param {Object} index - Index from buildIndex()
+ * @param {string} query - Search query
+ * @returns {Array<Object>} { unit, score } sorted by score descending
+ */
+function scoreBM25(index, query) {
+    const scores = new Map();
+    const queryTerms = [...new Set(tokenizeForSearch(query))];
+
+    for (const term of queryTerms) {
+        const termPostings = index.postings.get(term);
+        if (!termPostings) continue;
+
+        const df = termPostings.size;
+        const idf = Math.log(1 + (index.unitCount - df + 0.5) / (df + 0.5));
+
+        for (const [key, tf] of termPostings) {
+            const lengthRatio = index.averageLength > 0 ? index.lengths.get(key) / index.averageLength : 1;
+            const termScore = idf * (tf * (BM25_K1 + 1)) /
+                (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+            scores.set(key, (scores.get(key) || 0) + termScore);
+        }
+    }
+
+    return [...scores.entries()]
+        .map(([key, score]) => ({ unit: index.units.get(key), score: Math.round(score * 1000) / 1000 }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Load (or reuse) the lexical index for a workspace
+ * Chunks are indexed individually; documents without chunk rows
+ * are indexed whole. Retired documents are not indexed.
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} BM25 index
+ */
+async function getLexicalIndex(workspaceId) {
+    if (indexCache.has(workspaceId)) {
+        return indexCache.get(workspaceId);
+    }
+
+    const documents = await Document.findAll({
+        where: { workspaceId, ...notRetiredWhere() },
+        attributes: ['id', 'title', 'type', 'content', 'updatedAt'],
+        include: [{
+            model: DocumentChunk,
+            as: 'chunks',
+            attributes: ['id', 'chunkIndex', 'content'],
+        }],
+    });
+
+    const units = [];
+    for (const doc of documents) {
+        const base = { documentId: doc.id, title: doc.title, type: doc.type, updatedAt: doc.updatedAt };
+
+        if (doc.chunks && doc.chunks.length > 0) {
+            for (const chunk of doc.chunks) {
+                units.push({ ...base, key: chunk.id, chunkIndex: chunk.chunkIndex, content: chunk.content });
+            }
+        } else {
+            units.push({ ...base, key: `document:${doc.id}`, chunkIndex: null, content: doc.content });
+        }
+    }
+
+    const index = buildIndex(units);
+    indexCache.set(workspaceId, index);
+    return index;
+}
+
+/**
+ * Drop the cached lexical index of a workspace
+ * Call after any document create/update/delete.
+ * @param {string} workspaceId - Workspace ID
+ */
+function invalidateLexicalIndex(workspaceId) {
+    indexCache.delete(workspaceId);
+}
+
+/**
+ * Search a workspace with BM25
+ * @param {string} query - Search query
+ * @param {string} workspaceId - Workspace to search in
+ * @param {number} topK - Number of units to return
+ * @returns {Promise<Array>} Matching units with BM25 scores
+ */
+async function searchLexical(query, workspaceId, topK = 5) {
+    const index = await getLexicalIndex(workspaceId);
+
+    return scoreBM25(index, query)
+        .slice(0, topK)
+        .map(({ unit, score }) => ({
+            key: unit.key,
+            chunkIndex: unit.chunkIndex,
+            documentId: unit.documentId,
+            title: unit.title,
+            type: unit.type,
+            score,
+            excerpt: unit.content,
+            updatedAt: unit.updatedAt,
+        }));
+}
+
+module.exports = {
+    tokenizeForSearch,
+    buildIndex,
+    scoreBM25,
+    searchLexical,
+    invalidateLexicalIndex,
+};
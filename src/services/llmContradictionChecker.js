@@ -0,0 +1,210 @@
+/**
+ * LLM Contradiction Checker Service
+ *
+ * Optional provider-backed contradiction check. Candidate statement
+ * pairs (pre-filtered by similarity) are sent to the configured model
+ * for entail/contradict/neutral verdicts with a rationale. Verdicts are
+ * cached by statement hash, so a pair is only ever asked about once per
+ * model. Pairs without a verdict fall back to the rule-based detector.
+ *
+ * Configure with CONTRADICTION_PROVIDER ('rules' or 'gemini', default
+ * 'rules'), LLM_CONTRADICTION_MIN_SIMILARITY (default 0.3) and
+ * LLM_CONTRADICTION_MAX_PAIRS (default 20 per document).
+ */
+
+const { ContradictionVerdict } = require('../models');
+const { statementPairHash } = require('./contradictionDetector');
+const { generateTfIdfEmbedding, cosineSimilarity } = require('../utils/textAnalysis');
+
+const VERDICTS = ['entail', 'contradict', 'neutral'];
+
+const DEFAULT_MIN_SIMILARITY = 0.3;
+const DEFAULT_MAX_PAIRS = 20;
+
+/**
+ * Get Gemini client
+ * @param {string} modelName - Model to use
+ */
+function getGeminiClient(modelName) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const apiKey = process.env.GEMINI_API_KEY;
+
+    if (!apiKey) {
+        return null;
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    return genAI.getGenerativeModel({ model: modelName });
+}
+
+/**
+ * Pick the statement pairs worth asking the model about
+ * Pairs are deduplicated by statement hash, and only pairs about the
+ * same subject (similar enough to conflict) are kept, most similar first.
+ * @param {Array<Object>} pairs - From listStatementPairs()
+ * @param {Object} options - Selection options
+ * @param {number} options.minSimilarity - Minimum TF-IDF similarity of the two statements
+ * @param {number} options.maxPairs - Maximum pairs to keep
+ * @returns {Array<Object>} { hash, statementA, statementB, similarity }
+ */
+function selectCandidatePairs(pairs, {
+    minSimilarity = parseFloat(process.env.LLM_CONTRADICTION_MIN_SIMILARITY) || DEFAULT_MIN_SIMILARITY,
+    maxPairs = parseInt(process.env.LLM_CONTRADICTION_MAX_PAIRS, 10) || DEFAULT_MAX_PAIRS,
+} = {}) {
+    const candidates = new Map();
+
+    for (const { statement, relatedStatement } of pairs) {
+        const hash = statementPairHash(statement, relatedStatement);
+        if (candidates.has(hash)) continue;
+
+        const similarity = cosineSimilarity(
+            generateTfIdfEmbedding(statement),
+            generateTfIdfEmbedding(relatedStatement)
+        );
+        if (similarity >= minSimilarity) {
+            candidates.set(hash, { hash, statementA: statement, statementB: relatedStatement, similarity });
+        }
+    }
+
+    return [...candidates.values()]
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, maxPairs);
+}
+
+/**
+ * Build the verdict prompt for a batch of pairs
+ * @param {Array<Object>} candidates - From selectCandidatePairs()
+ * @returns {string} Prompt
+ */
+function buildVerdictPrompt(candidates) {
+    const pairs = candidates
+        .map((c, i) => `${i + 1}.\nA: ${c.statementA}\nB: ${c.statementB}`)
+        .join('\n\n');
+
+    return `You are checking internal company documents for conflicting guidance.
+For each numbered pair of statements, decide whether statement B entails statement A,
+contradicts it (both cannot be followed or be true at the same time), or is neutral
+(unrelated, or compatible without one implying the other).
+
+${pairs}
+
+Respond with ONLY a JSON array, one entry per pair:
+[{"pair": 1, "verdict": "entail" | "contradict" | "neutral", "confidence": 0.0-1.0, "rationale": "one sentence"}]`;
+}
+
+/**
+ * Parse a model response into verdicts
+ * Entries with an unknown pair number or verdict are dropped.
+ * @param {string} text - Raw model response
+ * @param {Array<Object>} candidates - Pairs the prompt was built from
+ * @returns {Map<string, Object>} { verdict, confidence, rationale } by statement hash
+ */
+function parseVerdictResponse(text, candidates) {
+    const cleaned = text
+        .replace(/```json\n?/g, '')
+        .replace(/```\n?/g, '')
+        .trim();
+
+    const parsed = JSON.parse(cleaned);
+    const entries = Array.isArray(parsed) ? parsed : parsed.verdicts || [];
+    const verdicts = new Map();
+
+    for (const entry of entries) {
+        const candidate = candidates[parseInt(entry.pair, 10) - 1];
+        const verdict = String(entry.verdict || '').toLowerCase();
+        if (!candidate || !VERDICTS.includes(verdict)) continue;
+
+        const confidence = Number(entry.confidence);
+        verdicts.set(candidate.hash, {
+            verdict,
+            confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+            rationale: entry.rationale ? String(entry.rationale).slice(0, 500) : null,
+        });
+    }
+
+    return verdicts;
+}
+
+/**
+ * Create a checker for the configured provider
+ * @returns {Object|null} { provider, model, checkPairs(pairs) },
+ *   or null when the rule-based detector should be used alone
+ */
+function getContradictionChecker() {
+    const provider = (process.env.CONTRADICTION_PROVIDER || 'rules').toLowerCase();
+    if (provider !== 'gemini') {
+        return null;
+    }
+
+    const modelName = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    const client = getGeminiClient(modelName);
+    if (!client) {
+        return null;
+    }
+
+    /**
+     * Get verdicts for statement pairs, from the cache or the model
+     * Model failures are logged; the affected pairs get no verdict and
+     * fall back to the rule-based detector.
+     * @param {Array<Object>} pairs - From listStatementPairs()
+     * @returns {Promise<Map<string, Object>>} { verdict, confidence, rationale, provider } by statement hash
+     */
+    async function checkPairs(pairs) {
+        const candidates = selectCandidatePairs(pairs);
+        const verdicts = new Map();
+        if (candidates.length === 0) {
+            return verdicts;
+        }
+
+        const cached = await ContradictionVerdict.findAll({
+            where: { statementHash: candidates.map(c => c.hash), model: modelName },
+        });
+        for (const record of cached) {
+            verdicts.set(record.statementHash, {
+                verdict: record.verdict,
+                confidence: record.confidence,
+                rationale: record.rationale,
+                provider,
+            });
+        }
+
+        const uncached = candidates.filter(c => !verdicts.has(c.hash));
+        if (uncached.length === 0) {
+            return verdicts;
+        }
+
+        try {
+            const result = await client.generateContent(buildVerdictPrompt(uncached));
+            const fresh = parseVerdictResponse(result.response.text(), uncached);
+
+            await ContradictionVerdict.bulkCreate(
+                uncached.filter(c => fresh.has(c.hash)).map(c => ({
+                    statementHash: c.hash,
+                    statementA: c.statementA,
+                    statementB: c.statementB,
+                    ...fresh.get(c.hash),
+                    provider,
+                    model: modelName,
+                })),
+                { ignoreDuplicates: true }
+            );
+
+            for (const [hash, verdict] of fresh) {
+                verdicts.set(hash, { ...verdict, provider });
+            }
+        } catch (error) {
+            console.error('LLM contradiction check failed, using rule-based detection:', error.message);
+        }
+
+        return verdicts;
+    }
+
+    return { provider, model: modelName, checkPairs };
+}
+
+module.exports = {
+    getContradictionChecker,
+    selectCandidatePairs,
+    buildVerdictPrompt,
+    parseVerdictResponse,
+};
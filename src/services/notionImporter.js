@@ -0,0 +1,155 @@
+/**
+ * Notion Importer
+ *
+ * Reads pages of a Notion Markdown or HTML export. Files and folders are
+ * named "<Page title> <32-hex page ID>", and a page's subpages sit in the
+ * folder named like it, so the page hierarchy comes from the folders.
+ * Page properties (a table in HTML, "Key: Value" lines under the title
+ * in Markdown) give the last-edited time and author.
+ */
+
+const path = require('path');
+const { parseHtml, findFirst, findAll, textContent, hasClass } = require('../utils/htmlText');
+
+const SOURCE = 'notion';
+
+const NOTION_ID = /\s+([0-9a-f]{32})$/i;
+
+// Wrapper folder some exports add around the workspace ("Export-<uuid>")
+const EXPORT_FOLDER = /^Export-[0-9a-f-]+$/i;
+
+const LAST_EDITED_KEYS = ['last edited time', 'last edited', 'last updated', 'updated'];
+const CREATED_KEYS = ['created time', 'created'];
+const AUTHOR_KEYS = ['last edited by', 'owner', 'created by', 'author'];
+
+// A property line under the title of a Markdown page
+const PROPERTY_LINE = /^([A-Za-z][\w ]{0,40}):\s+(.+)$/;
+
+function stripId(name) {
+    return name.replace(NOTION_ID, '').trim();
+}
+
+/**
+ * Check whether archive paths look like a Notion export
+ * @param {Array<string>} paths - File paths in the archive
+ * @returns {boolean}
+ */
+function isExport(paths) {
+    return paths.some(p =>
+        /\.(md|html?)$/i.test(p) && NOTION_ID.test(path.posix.basename(p, path.posix.extname(p)))
+    );
+}
+
+/**
+ * Parse a Notion date ("@March 3, 2023 2:15 PM" or "March 3, 2023")
+ * @returns {Date|null}
+ */
+function parseDate(text) {
+    const date = text ? new Date(text.replace(/^@/, '').replace(/\s*\(.*\)\s*$/, '').trim()) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+function pick(properties, keys) {
+    const key = keys.find(k => properties[k]);
+    return key ? properties[key] : null;
+}
+
+/**
+ * Read the title and properties of a Markdown page
+ * @param {string} markdown - Page content
+ * @returns {Object} { title, properties, content } where content has the property lines removed
+ */
+function readMarkdownPage(markdown) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const titleIndex = lines.findIndex(line => line.trim());
+    const titleMatch = titleIndex !== -1 ? lines[titleIndex].match(/^#\s+(.+)$/) : null;
+    if (!titleMatch) {
+        return { title: null, properties: {}, content: markdown };
+    }
+
+    // Properties are the "Key: Value" lines between the title and the first blank line after them
+    const properties = {};
+    let i = titleIndex + 1;
+    while (i < lines.length && !lines[i].trim()) i++;
+    const start = i;
+    while (i < lines.length && PROPERTY_LINE.test(lines[i])) {
+        const [, key, value] = lines[i].match(PROPERTY_LINE);
+        properties[key.trim().toLowerCase()] = value.trim();
+        i++;
+    }
+    const propertyBlock = i < lines.length && lines[i].trim() ? 0 : i - start;
+
+    const content = propertyBlock > 0
+        ? [...lines.slice(0, start), ...lines.slice(i)].join('\n')
+        : markdown;
+
+    return {
+        title: titleMatch[1].trim(),
+        properties: propertyBlock > 0 ? properties : {},
+        content: content.replace(/\n{3,}/g, '\n\n').trim(),
+    };
+}
+
+/**
+ * Read the title and properties of an HTML page
+ * @param {string} html - Page content
+ * @returns {Object} { title, properties }
+ */
+function readHtmlPage(html) {
+    const root = parseHtml(html);
+    const titleNode = findFirst(root, n => hasClass(n, 'page-title')) || findFirst(root, n => n.tag === 'title');
+
+    const properties = {};
+    const table = findFirst(root, n => n.tag === 'table' && hasClass(n, 'properties'));
+    if (table) {
+        for (const row of findAll(table, n => n.tag === 'tr')) {
+            const key = findFirst(row, n => n.tag === 'th');
+            const value = findFirst(row, n => n.tag === 'td');
+            if (key && value && textContent(key)) {
+                properties[textContent(key).toLowerCase()] = textContent(value);
+            }
+        }
+    }
+
+    return { title: titleNode ? textContent(titleNode) : null, properties };
+}
+
+/**
+ * Describe a file of a Notion export
+ * @param {string} filePath - Path within the export
+ * @param {string} text - File content
+ * @returns {Object|null} { source, sourceId, title, hierarchy, sourcePath, author, lastModified, content? }
+ *   (content: Markdown without the property lines), or null for files that are not pages
+ */
+function describePage(filePath, text) {
+    const ext = path.posix.extname(filePath).toLowerCase();
+    const stem = path.posix.basename(filePath, ext);
+    const idMatch = stem.match(NOTION_ID);
+    if (!['.md', '.html', '.htm'].includes(ext) || !idMatch) {
+        return null;
+    }
+
+    const page = ext === '.md' ? readMarkdownPage(text) : readHtmlPage(text);
+    const title = page.title || stripId(stem);
+    const hierarchy = path.posix.dirname(filePath).split('/')
+        .filter(folder => folder && folder !== '.' && !EXPORT_FOLDER.test(folder))
+        .map(stripId);
+
+    return {
+        source: SOURCE,
+        sourceId: idMatch[1].toLowerCase(),
+        title,
+        hierarchy,
+        sourcePath: [...hierarchy, title].join(' > '),
+        author: pick(page.properties, AUTHOR_KEYS),
+        lastModified: parseDate(pick(page.properties, LAST_EDITED_KEYS)) || parseDate(pick(page.properties, CREATED_KEYS)),
+        ...(ext === '.md' ? { content: page.content } : {}),
+    };
+}
+
+module.exports = {
+    SOURCE,
+    isExport,
+    describePage,
+    readMarkdownPage,
+};
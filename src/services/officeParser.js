@@ -0,0 +1,361 @@
+/**
+ * Office Parser Service
+ *
+ * Extracts text from PowerPoint (PPTX) and OpenDocument presentations
+ * (ODP) and OpenDocument text files (ODT). Each slide becomes a
+ * "# Slide N: Title" section holding its text and speaker notes; ODT
+ * headings, lists and tables keep their structure as Markdown, so the
+ * text splits into sections like a Markdown file.
+ */
+
+const fs = require('fs').promises;
+const {
+    parseXml,
+    elements,
+    childElements,
+    readZipText,
+    readRelationships,
+    odfText,
+    readPackageTitle,
+} = require('../utils/officeXml');
+const { loadZip } = require('../utils/zipArchive');
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+const BULLET_PLACEHOLDERS = ['body', 'obj'];
+
+// Slide number, date, header and footer placeholders repeat on every slide
+const SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'hdr', 'ftr', 'sldImg'];
+const SKIPPED_ODP_CLASSES = ['page-number', 'date-time', 'header', 'footer', 'notes'];
+
+// ODT indexes repeat the headings they list
+const SKIPPED_ODT_ELEMENTS = [
+    'text:table-of-content', 'text:alphabetical-index', 'text:illustration-index',
+    'text:table-index', 'text:object-index', 'text:user-index', 'text:bibliography',
+    'text:tracked-changes', 'text:sequence-decls', 'office:forms',
+];
+
+const SLIDE_RELATIONSHIP = /\/slide$/;
+const NOTES_RELATIONSHIP = /\/notesSlide$/;
+
+function elementChildren(node) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+}
+
+function clean(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render rows of cell text as a Markdown table
+ */
+function pipeTable(rows) {
+    const filled = rows.filter(row => row.some(Boolean));
+    if (filled.length === 0) return null;
+
+    const width = Math.max(...filled.map(row => row.length));
+    const lines = filled.map(row =>
+        `| ${Array.from({ length: width }, (_, i) => (row[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`);
+    lines.splice(1, 0, `| ${Array(width).fill('---').join(' | ')} |`);
+    return lines.join('\n');
+}
+
+/**
+ * Render OpenDocument text content (paragraphs, headings, lists, tables) as Markdown blocks
+ * @param {Element} node - Container element (office:text, draw:text-box, ...)
+ * @param {Array<string>} blocks - Output blocks
+ */
+function renderOdfBlocks(node, blocks) {
+    for (const child of elementChildren(node)) {
+        const name = child.nodeName;
+        if (SKIPPED_ODT_ELEMENTS.includes(name)) continue;
+
+        if (name === 'text:h') {
+            const text = clean(odfText(child));
+            const level = Math.min(6, Math.max(1, parseInt(child.getAttribute('text:outline-level') || '1', 10)));
+            if (text) blocks.push(`${'#'.repeat(level)} ${text}`);
+        } else if (name === 'text:p') {
+            const text = clean(odfText(child));
+            if (text) blocks.push(text);
+        } else if (name === 'text:list') {
+            const lines = [];
+            renderOdfList(child, lines, 0);
+            if (lines.length > 0) blocks.push(lines.join('\n'));
+        } else if (name === 'table:table') {
+            const table = pipeTable(elements(child, 'table:table-row').map(row =>
+                childElements(row, ['table:table-cell', 'table:covered-table-cell'])
+                    .map(cell => clean(elements(cell, 'text:p').map(odfText).join(' ')))));
+            if (table) blocks.push(table);
+        } else {
+            // Sections, frames and text boxes hold more blocks
+            renderOdfBlocks(child, blocks);
+        }
+    }
+}
+
+function renderOdfList(list, lines, level) {
+    for (const item of childElements(list, ['text:list-item', 'text:list-header'])) {
+        for (const child of elementChildren(item)) {
+            if (child.nodeName === 'text:list') {
+                renderOdfList(child, lines, level + 1);
+            } else if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+                const text = clean(odfText(child));
+                if (text) lines.push(`${'  '.repeat(level)}- ${text}`);
+            }
+        }
+    }
+}
+
+/**
+ * Text of a DrawingML paragraph (a:p)
+ */
+function drawingText(paragraph) {
+    return clean(elementChildren(paragraph)
+        .map((child) => {
+            if (child.nodeName === 'a:br') return ' ';
+            if (child.nodeName === 'a:r' || child.nodeName === 'a:fld') {
+                return elements(child, 'a:t').map(t => t.textContent).join('');
+            }
+            return '';
+        })
+        .join(''));
+}
+
+function placeholderType(shape) {
+    const ph = elements(shape, 'p:ph')[0];
+    if (!ph) return null;
+    return ph.getAttribute('type') || 'obj';
+}
+
+/**
+ * Read the shapes of a slide (or notes slide) in drawing order
+ * @returns {Array<Object>} { placeholder, paragraphs: [{ text, level }] } or { table }
+ */
+function readShapes(node) {
+    const shapes = [];
+    if (!node) return shapes;
+
+    for (const child of elementChildren(node)) {
+        if (child.nodeName === 'p:sp') {
+            const txBody = childElements(child, ['p:txBody'])[0];
+            if (!txBody) continue;
+            shapes.push({
+                placeholder: placeholderType(child),
+                paragraphs: childElements(txBody, ['a:p'])
+                    .map((p) => {
+                        const pPr = childElements(p, ['a:pPr'])[0];
+                        return { text: drawingText(p), level: pPr ? parseInt(pPr.getAttribute('lvl') || '0', 10) : 0 };
+                    })
+                    .filter(p => p.text),
+            });
+        } else if (child.nodeName === 'p:graphicFrame') {
+            const table = elements(child, 'a:tbl')[0];
+            const rendered = table && pipeTable(elements(table, 'a:tr').map(row =>
+                childElements(row, ['a:tc']).map(cell => clean(elements(cell, 'a:p').map(drawingText).join(' ')))));
+            if (rendered) {
+                shapes.push({ table: rendered });
+            }
+        } else if (child.nodeName === 'p:grpSp' || child.nodeName === 'p:spTree') {
+            shapes.push(...readShapes(child));
+        }
+    }
+    return shapes;
+}
+
+/**
+ * Read the slides of a PPTX presentation in show order
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} { title, slides: [{ number, title, blocks, notes }] }
+ */
+async function readPptx(buffer) {
+    const zip = await loadZip(buffer);
+    const presentationXml = await readZipText(zip, 'ppt/presentation.xml');
+    if (!presentationXml) {
+        throw new Error('Not a PPTX presentation');
+    }
+
+    const rels = await readRelationships(zip, 'ppt/presentation.xml');
+    const targets = new Map(rels.filter(r => SLIDE_RELATIONSHIP.test(r.type)).map(r => [r.id, r.target]));
+    const slideParts = elements(parseXml(presentationXml), 'p:sldId')
+        .map(node => targets.get(node.getAttribute('r:id')))
+        .filter(Boolean);
+
+    const slides = [];
+    for (const part of slideParts) {
+        const xml = await readZipText(zip, part);
+        if (!xml) continue;
+
+        const shapes = readShapes(elements(parseXml(xml), 'p:spTree')[0]);
+        let title = null;
+        const blocks = [];
+
+        for (const shape of shapes) {
+            if (shape.table) {
+                blocks.push(shape.table);
+            } else if (TITLE_PLACEHOLDERS.includes(shape.placeholder)) {
+                title = title || clean(shape.paragraphs.map(p => p.text).join(' ')) || null;
+            } else if (!SKIPPED_PLACEHOLDERS.includes(shape.placeholder) && shape.paragraphs.length > 0) {
+                blocks.push(BULLET_PLACEHOLDERS.includes(shape.placeholder)
+                    ? shape.paragraphs.map(p => `${'  '.repeat(p.level)}- ${p.text}`).join('\n')
+                    : shape.paragraphs.map(p => p.text).join('\n'));
+            }
+        }
+
+        const notesPart = (await readRelationships(zip, part)).find(r => NOTES_RELATIONSHIP.test(r.type));
+        const notesXml = notesPart ? await readZipText(zip, notesPart.target) : null;
+        const notes = notesXml
+            ? readShapes(elements(parseXml(notesXml), 'p:spTree')[0])
+                .filter(shape => shape.placeholder === 'body')
+                .flatMap(shape => shape.paragraphs.map(p => p.text))
+            : [];
+
+        slides.push({ number: slides.length + 1, title, blocks, notes });
+    }
+
+    return { title: await readPackageTitle(zip), slides };
+}
+
+/**
+ * Frames and shapes of a slide in drawing order, without its notes page
+ */
+function pageFrames(node) {
+    return elementChildren(node).flatMap((child) => {
+        if (child.nodeName === 'draw:frame' || child.nodeName === 'draw:custom-shape') return [child];
+        if (child.nodeName === 'draw:g') return pageFrames(child);
+        return [];
+    });
+}
+
+/**
+ * Read the slides (draw:page) of an ODP presentation
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} { title, slides: [{ number, title, blocks, notes }] }
+ */
+async function readOdp(buffer) {
+    const zip = await loadZip(buffer);
+    const contentXml = await readZipText(zip, 'content.xml');
+    const presentation = contentXml ? elements(parseXml(contentXml), 'office:presentation')[0] : null;
+    if (!presentation) {
+        throw new Error('Not an ODP presentation');
+    }
+
+    const slides = elements(presentation, 'draw:page').map((page, index) => {
+        let title = null;
+        const blocks = [];
+
+        for (const frame of pageFrames(page)) {
+            const presentationClass = frame.getAttribute('presentation:class');
+            if (SKIPPED_ODP_CLASSES.includes(presentationClass)) continue;
+
+            const frameBlocks = [];
+            renderOdfBlocks(frame, frameBlocks);
+            if (presentationClass === 'title') {
+                title = title || clean(frameBlocks.join(' ')) || null;
+            } else {
+                blocks.push(...frameBlocks);
+            }
+        }
+
+        const notes = elements(page, 'presentation:notes').flatMap(notesNode =>
+            elements(notesNode, 'draw:frame')
+                .filter(frame => frame.getAttribute('presentation:class') === 'notes')
+                .flatMap(frame => elements(frame, 'text:p').map(p => clean(odfText(p))).filter(Boolean)));
+
+        return { number: index + 1, title, blocks, notes };
+    });
+
+    return { title: await readPackageTitle(zip), slides };
+}
+
+
+/**
+ * Render slides as sections with their speaker notes
+ * @param {Array<Object>} slides - From readPptx() or readOdp()
+ * @returns {string}
+ */
+function renderSlides(slides) {
+    return slides.map((slide) => {
+        const parts = [slide.title ? `# Slide ${slide.number}: ${slide.title}` : `# Slide ${slide.number}`];
+        parts.push(...slide.blocks);
+        if (slide.notes.length > 0) {
+            parts.push(`Speaker notes:\n${slide.notes.join('\n')}`);
+        }
+        return parts.join('\n\n');
+    }).join('\n\n');
+}
+
+/**
+ * Parse a PPTX or ODP presentation
+ * @param {string} filePath - Path to the file
+ * @param {string} format - 'pptx' or 'odp'
+ * @returns {Promise<Object>} { content, metadata: { title, slideCount, slides: [{ number, title }], notesCount } }
+ */
+async function parsePresentation(filePath, format) {
+    const data = await fs.readFile(filePath);
+    const { title, slides } = format === 'odp' ? await readOdp(data) : await readPptx(data);
+    const firstTitled = slides.find(slide => slide.title);
+
+    return {
+        content: renderSlides(slides),
+        metadata: {
+            title: title || (firstTitled ? firstTitled.title : null),
+            slideCount: slides.length,
+            slides: slides.map(slide => ({ number: slide.number, title: slide.title })),
+            notesCount: slides.filter(slide => slide.notes.length > 0).length,
+        },
+    };
+}
+
+/**
+ * Read an ODT document as Markdown-style text
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Object>} { title, content, headingCount, pageCount }
+ */
+async function readOdt(buffer) {
+    const zip = await loadZip(buffer);
+    const contentXml = await readZipText(zip, 'content.xml');
+    const body = contentXml ? elements(parseXml(contentXml), 'office:text')[0] : null;
+    if (!body) {
+        throw new Error('Not an ODT document');
+    }
+
+    const blocks = [];
+    renderOdfBlocks(body, blocks);
+
+    const metaXml = await readZipText(zip, 'meta.xml');
+    const statistics = metaXml ? elements(parseXml(metaXml), 'meta:document-statistic')[0] : null;
+    const pageCount = statistics ? parseInt(statistics.getAttribute('meta:page-count'), 10) : NaN;
+
+    return {
+        title: await readPackageTitle(zip),
+        content: blocks.join('\n\n'),
+        headingCount: blocks.filter(block => /^#{1,6} /.test(block)).length,
+        pageCount: Number.isFinite(pageCount) ? pageCount : null,
+    };
+}
+
+/**
+ * Parse an ODT document
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} { content, metadata: { title, headingCount, pageCount? } }
+ */
+async function parseOpenDocumentText(filePath) {
+    const { title, content, headingCount, pageCount } = await readOdt(await fs.readFile(filePath));
+
+    return {
+        content,
+        metadata: {
+            title,
+            headingCount,
+            ...(pageCount !== null ? { pageCount } : {}),
+        },
+    };
+}
+
+module.exports = {
+    parsePresentation,
+    parseOpenDocumentText,
+    readPptx,
+    readOdp,
+    readOdt,
+    renderSlides,
+};
@@ -4,7 +4,14 @@
  * Retrieval Augmented Generation for document Q&A.
  */
 
-const { findRelevantContext } = require('./vectorSearch');
+const { findRelevantContext, buildContext } = require('./vectorSearch');
+const { applyFreshnessRanking } = require('./retrievalFreshness');
+
+// Passages given to the model as context
+const CONTEXT_SOURCES = 5;
+// Candidates retrieved per context passage, so re-ranking and exclusion
+// by freshness still leave enough relevant passages
+const CANDIDATES_PER_SOURCE = 3;
 
 /**
  * Get Gemini client for chat
@@ -31,9 +38,11 @@ function getGeminiClient() {
  */
 async function askQuestion(question, workspaceId) {
     // Find relevant context
-    const { context, sources } = await findRelevantContext(question, workspaceId);
+    const retrieved = await findRelevantContext(question, workspaceId, {
+        topK: CONTEXT_SOURCES * CANDIDATES_PER_SOURCE,
+    });
 
-    if (!context || sources.length === 0) {
+    if (!retrieved.context || retrieved.sources.length === 0) {
         return {
             answer: "I couldn't find any relevant documents in your workspace to answer this question. Please upload some documents first.",
             confidence: 0,
@@ -42,11 +51,31 @@ async function askQuestion(question, workspaceId) {
         };
     }
 
+    // Down-rank or exclude sources whose knowledge has decayed, then keep the best
+    const ranked = await applyFreshnessRanking(retrieved.sources, workspaceId);
+    const sources = ranked.sources.slice(0, CONTEXT_SOURCES);
+
+    // Only warn about exclusions that would otherwise have been in the context
+    const topIds = new Set(retrieved.sources.slice(0, CONTEXT_SOURCES).map(s => s.documentId));
+    const excluded = ranked.excluded.filter(s => topIds.has(s.documentId));
+    const freshnessWarnings = buildFreshnessWarnings(sources, excluded);
+
+    if (sources.length === 0) {
+        return {
+            answer: "The only relevant documents in your workspace are flagged as decayed or contradicted, so I can't give a reliable answer. Please review them first.",
+            confidence: 0,
+            sources: [],
+            warnings: freshnessWarnings,
+        };
+    }
+
+    const context = buildContext(sources);
+    const sourceConfidence = calculateSourceConfidence(sources);
     const model = getGeminiClient();
 
     // Fallback to simple response if Gemini not available
     if (!model) {
-        return generateBasicAnswer(question, sources);
+        return discountAnswer(generateBasicAnswer(question, sources), sourceConfidence, freshnessWarnings);
     }
 
     try {
@@ -81,33 +110,89 @@ Provide your response in JSON format:
 
         const parsed = JSON.parse(cleanedResponse);
 
-        // Check for stale sources
-        const warnings = [];
-        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-
-        for (const source of sources) {
-            if (new Date(source.updatedAt) < thirtyDaysAgo) {
-                const daysOld = Math.floor((Date.now() - new Date(source.updatedAt)) / (24 * 60 * 60 * 1000));
-                warnings.push({
-                    type: 'stale_source',
-                    message: `"${source.title}" was last updated ${daysOld} days ago`,
-                    documentId: source.documentId,
-                });
-            }
-        }
-
-        return {
+        return discountAnswer({
             answer: parsed.answer || "I couldn't generate an answer.",
             confidence: parsed.confidence || 0.5,
             sources: sources.slice(0, 3), // Top 3 sources
-            warnings,
-        };
+            warnings: [],
+        }, sourceConfidence, freshnessWarnings);
     } catch (error) {
         console.error('RAG engine error:', error.message);
-        return generateBasicAnswer(question, sources);
+        return discountAnswer(generateBasicAnswer(question, sources), sourceConfidence, freshnessWarnings);
     }
 }
 
+/**
+ * Similarity-weighted mean confidence of the sources behind an answer
+ * @param {Array<Object>} sources - Ranked sources with confidence
+ * @returns {number} 0.0 to 1.0
+ */
+function calculateSourceConfidence(sources) {
+    const top = sources.slice(0, 3);
+    const totalWeight = top.reduce((sum, s) => sum + (s.similarity || 0), 0);
+
+    if (totalWeight === 0) {
+        return 1;
+    }
+
+    const weighted = top.reduce((sum, s) => sum + (s.similarity || 0) * (s.confidence ?? 1), 0);
+    return weighted / totalWeight;
+}
+
+/**
+ * Scale answer confidence by source confidence and attach freshness warnings
+ */
+function discountAnswer(result, sourceConfidence, freshnessWarnings) {
+    return {
+        ...result,
+        confidence: Math.round(result.confidence * sourceConfidence * 100) / 100,
+        warnings: [...result.warnings, ...freshnessWarnings],
+    };
+}
+
+/**
+ * Build warnings for stale, decayed and excluded sources (one per document)
+ * @param {Array<Object>} sources - Sources used for the answer
+ * @param {Array<Object>} excluded - Sources dropped as decayed
+ * @returns {Array<Object>} Warnings
+ */
+function buildFreshnessWarnings(sources, excluded) {
+    const warnings = [];
+    const seen = new Set();
+
+    for (const source of sources) {
+        if (seen.has(source.documentId)) continue;
+        seen.add(source.documentId);
+
+        if (source.riskLevel === 'high' || source.contradicted) {
+            warnings.push({
+                type: 'decayed_source',
+                message: `"${source.title}" is flagged as ${source.contradicted ? 'contradicted by other documents' : 'high decay risk'} (confidence ${source.confidence})`,
+                documentId: source.documentId,
+            });
+        } else if (source.freshnessStatus === 'warning' || source.freshnessStatus === 'critical') {
+            warnings.push({
+                type: 'stale_source',
+                message: `"${source.title}" was last updated ${source.ageDays} days ago`,
+                documentId: source.documentId,
+            });
+        }
+    }
+
+    for (const source of excluded) {
+        if (seen.has(source.documentId)) continue;
+        seen.add(source.documentId);
+
+        warnings.push({
+            type: 'excluded_source',
+            message: `"${source.title}" was excluded because it is flagged as decayed (risk: ${source.riskLevel}, freshness: ${source.freshnessStatus})`,
+            documentId: source.documentId,
+        });
+    }
+
+    return warnings;
+}
+
 /**
  * Generate basic answer without AI
  */
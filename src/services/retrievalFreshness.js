@@ -0,0 +1,173 @@
+/**
+ * Retrieval Freshness Service
+ * 
+ * Scores retrieved RAG sources by how much their knowledge can be
+ * trusted (latest decay analysis + current freshness), then
+ * down-ranks or excludes decayed sources per workspace setting.
+ */
+
+const { Document, DecayAnalysis, WorkspaceSettings } = require('../models');
+const { evaluateFreshness } = require('./freshnessEvaluator');
+const { getActivePolicy } = require('./decayPolicy');
+const { latestAnalysisWhere } = require('./decayRunner');
+
+const RETRIEVAL_FRESHNESS_MODES = ['off', 'downrank', 'exclude'];
+const DEFAULT_RETRIEVAL_FRESHNESS_MODE = 'downrank';
+
+/**
+ * Get the retrieval freshness mode for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<string>} 'off' | 'downrank' | 'exclude'
+ */
+async function getRetrievalFreshnessMode(workspaceId) {
+    const settings = await WorkspaceSettings.findOne({ where: { workspaceId } });
+    return settings ? settings.retrievalFreshnessMode : DEFAULT_RETRIEVAL_FRESHNESS_MODE;
+}
+
+/**
+ * Assess trustworthiness of each source document
+ * @param {Array<string>} documentIds - Source document IDs
+ * @param {Object} thresholdsByType - Workspace freshness thresholds (optional)
+ * @returns {Promise<Map>} documentId -> assessment
+ */
+async function assessSourceDocuments(documentIds, thresholdsByType) {
+    const ids = [...new Set(documentIds)];
+
+    const [documents, analyses] = await Promise.all([
+        Document.findAll({
+            where: { id: ids },
+            attributes: ['id', 'type', 'updatedAt', 'lastVerifiedAt', 'sourceUpdatedAt', 'reviewIntervalDays', 'expiresAt'],
+        }),
+        DecayAnalysis.findAll({
+            where: { documentId: ids, ...latestAnalysisWhere() },
+            attributes: ['documentId', 'confidenceScore', 'riskLevel', 'decayReasons', 'analyzedAt'],
+            order: [['analyzedAt', 'DESC']],
+        }),
+    ]);
+
+    // Latest analysis per document
+    const latestByDoc = new Map();
+    for (const a of analyses) {
+        if (!latestByDoc.has(a.documentId)) {
+            latestByDoc.set(a.documentId, a);
+        }
+    }
+
+    const assessments = new Map();
+    for (const document of documents) {
+        assessments.set(document.id, assessSource(document, latestByDoc.get(document.id), thresholdsByType));
+    }
+
+    return assessments;
+}
+
+/**
+ * Combine the latest analysis with freshness evaluated now
+ * (the analysis may predate the document crossing a threshold)
+ * @param {Object} document - Document with type/updatedAt/lastVerifiedAt/sourceUpdatedAt
+ * @param {Object|null} analysis - Latest DecayAnalysis, if any
+ * @param {Object} thresholdsByType - Workspace freshness thresholds (optional)
+ * @returns {Object} Assessment
+ */
+function assessSource(document, analysis = null, thresholdsByType) {
+    const freshness = evaluateFreshness(document, thresholdsByType);
+    const freshnessConfidence = Math.round((1 - freshness.penalty) * 100) / 100;
+
+    const contradicted = analysis
+        ? (analysis.decayReasons || []).some(r => r.type === 'contradiction')
+        : false;
+
+    let riskLevel = freshness.status === 'critical' ? 'medium' : 'low';
+    if (analysis) {
+        riskLevel = analysis.riskLevel;
+    }
+    // Expiry is checked now and outranks an older analysis
+    if (freshness.status === 'expired') {
+        riskLevel = 'high';
+    }
+
+    return {
+        confidence: analysis
+            ? Math.min(analysis.confidenceScore, freshnessConfidence)
+            : freshnessConfidence,
+        riskLevel,
+        freshnessStatus: freshness.status,
+        ageDays: freshness.ageDays,
+        contradicted,
+        analyzedAt: analysis ? analysis.analyzedAt : null,
+    };
+}
+
+/**
+ * Check whether a source should be dropped in exclude mode
+ */
+function isDecayedSource(assessment) {
+    return assessment.riskLevel === 'high' ||
+        assessment.freshnessStatus === 'critical' ||
+        assessment.freshnessStatus === 'expired' ||
+        assessment.contradicted;
+}
+
+/**
+ * Re-rank sources by freshness
+ * @param {Array<Object>} sources - Retrieved sources (with similarity)
+ * @param {Map} assessments - documentId -> assessment
+ * @param {string} mode - 'off' | 'downrank' | 'exclude'
+ * @returns {Object} { sources, excluded }
+ */
+function rankSourcesByFreshness(sources, assessments, mode = DEFAULT_RETRIEVAL_FRESHNESS_MODE) {
+    const annotated = sources.map(source => {
+        const assessment = assessments.get(source.documentId) || {
+            confidence: 1,
+            riskLevel: 'low',
+            freshnessStatus: 'fresh',
+            ageDays: null,
+            contradicted: false,
+            analyzedAt: null,
+        };
+        const weight = mode === 'off' ? 1 : assessment.confidence;
+
+        return {
+            ...source,
+            confidence: assessment.confidence,
+            riskLevel: assessment.riskLevel,
+            freshnessStatus: assessment.freshnessStatus,
+            ageDays: assessment.ageDays,
+            contradicted: assessment.contradicted,
+            rankScore: Math.round(source.similarity * weight * 100) / 100,
+        };
+    });
+
+    const excluded = mode === 'exclude' ? annotated.filter(isDecayedSource) : [];
+    const kept = annotated
+        .filter(s => !excluded.includes(s))
+        .sort((a, b) => b.rankScore - a.rankScore);
+
+    return { sources: kept, excluded };
+}
+
+/**
+ * Apply the workspace's freshness policy to retrieved sources
+ * @param {Array<Object>} sources - Retrieved sources
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { sources, excluded, mode }
+ */
+async function applyFreshnessRanking(sources, workspaceId) {
+    const mode = await getRetrievalFreshnessMode(workspaceId);
+    const policy = await getActivePolicy(workspaceId);
+    const assessments = await assessSourceDocuments(sources.map(s => s.documentId), policy.thresholds);
+
+    return {
+        ...rankSourcesByFreshness(sources, assessments, mode),
+        mode,
+    };
+}
+
+module.exports = {
+    applyFreshnessRanking,
+    rankSourcesByFreshness,
+    assessSource,
+    getRetrievalFreshnessMode,
+    RETRIEVAL_FRESHNESS_MODES,
+    DEFAULT_RETRIEVAL_FRESHNESS_MODE,
+};
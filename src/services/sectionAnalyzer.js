@@ -0,0 +1,161 @@
+/**
+ * Section Analyzer Service
+ *
+ * Scores each section of a long document separately for
+ * contradictions, content staleness and version drift. The document's
+ * penalties for these signals are the section penalties weighted by
+ * section length, so one stale section in a long guide only costs its
+ * share of the document, and recommendations can name the section.
+ * Contradictions whose statement cannot be placed in a section are
+ * charged to the whole document.
+ */
+
+const { calculateContradictionPenalty } = require('./contradictionDetector');
+const { analyzeContentStaleness } = require('./contentStalenessAnalyzer');
+const { analyzeVersionDrift } = require('./versionDriftAnalyzer');
+const { DEFAULT_PENALTY_CAPS, determineRiskLevel } = require('./confidenceScorer');
+const { splitSections, findSectionOf, findSectionAt } = require('./sectionSplitter');
+
+function round(value, places = 1000) {
+    return Math.round(value * places) / places;
+}
+
+/**
+ * Most recent version before the current one
+ */
+function previousVersionOf(document, versions) {
+    return versions
+        .filter(v => v.versionNumber < (document.currentVersion || Infinity) && v.content)
+        .sort((a, b) => b.versionNumber - a.versionNumber)[0] || null;
+}
+
+/**
+ * Find the matching section in the previous version (by path, then title)
+ */
+function matchSection(section, previousSections) {
+    return previousSections.find(s => s.path === section.path) ||
+        previousSections.find(s => s.title === section.title) ||
+        null;
+}
+
+/**
+ * Analyze each section of a document
+ * @param {Object} document - Document being analyzed (content, outline, currentVersion)
+ * @param {Array<Object>} sections - From splitSections()
+ * @param {Object} params - Analysis inputs
+ * @param {Array<Object>} params.contradictions - Contradictions from detectContradictions()
+ * @param {Array<Object>} params.versions - Previous versions of the document
+ * @param {Object} params.contentStaleness - Content staleness options (horizonDays, fiscalYearEndMonth)
+ * @param {Object} params.penaltyCaps - Maximum penalty per signal (default: DEFAULT_PENALTY_CAPS)
+ * @param {Object} params.riskCutoffs - Confidence cutoffs for risk levels
+ * @returns {Object} { sections, penalties, hasSignificantDrift, decayReasons, contradictionSections }
+ */
+function analyzeSections(document, sections, {
+    contradictions = [],
+    versions = [],
+    contentStaleness = undefined,
+    penaltyCaps = DEFAULT_PENALTY_CAPS,
+    riskCutoffs = undefined,
+} = {}) {
+    const caps = { ...DEFAULT_PENALTY_CAPS, ...penaltyCaps };
+    const content = document.content || '';
+    const totalLength = sections.reduce((sum, s) => sum + s.content.length, 0) || 1;
+
+    const previous = previousVersionOf(document, versions);
+    const previousSections = previous
+        ? splitSections(previous.content, { outline: document.outline })
+        : [];
+
+    // Section of each contradiction, by where its statement sits
+    const contradictionSections = contradictions.map(c => (Number.isInteger(c.thisDocument.offset)
+        ? findSectionAt(sections, c.thisDocument.offset)
+        : findSectionOf(sections, content, c.thisDocument.statement)));
+
+    const penalties = { contradiction: 0, contentStaleness: 0, drift: 0 };
+    const decayReasons = [];
+    let hasSignificantDrift = false;
+
+    const scored = sections.map((section) => {
+        const sectionContradictions = contradictions.filter((c, i) => contradictionSections[i] === section);
+        const contradictionPenalty = calculateContradictionPenalty(sectionContradictions);
+
+        const staleness = analyzeContentStaleness(section.content, contentStaleness);
+        if (staleness.decayReason) {
+            decayReasons.push({ ...staleness.decayReason, section: section.path });
+        }
+
+        const previousSection = previous ? matchSection(section, previousSections) : null;
+        const drift = previousSection
+            ? analyzeVersionDrift(
+                { content: section.content, currentVersion: document.currentVersion },
+                [{ versionNumber: previous.versionNumber, content: previousSection.content, summary: previous.summary }]
+            )
+            : { driftScore: 0, penalty: 0, hasSignificantDrift: false, decayReason: null };
+        if (drift.decayReason) {
+            decayReasons.push({
+                ...drift.decayReason,
+                description: `Section "${section.path}": ${drift.decayReason.description}`,
+                section: section.path,
+            });
+        }
+        hasSignificantDrift = hasSignificantDrift || drift.hasSignificantDrift;
+
+        const applied = {
+            contradiction: Math.min(contradictionPenalty, caps.contradiction),
+            contentStaleness: Math.min(staleness.penalty, caps.contentStaleness),
+            drift: Math.min(drift.penalty, caps.drift),
+        };
+
+        const share = section.content.length / totalLength;
+        for (const key of Object.keys(penalties)) {
+            penalties[key] += applied[key] * share;
+        }
+
+        const confidence = Math.round(
+            Math.max(0, 1 - applied.contradiction - applied.contentStaleness - applied.drift) * 100
+        ) / 100;
+
+        return {
+            section: section.path,
+            title: section.title,
+            level: section.level,
+            confidence_score: confidence,
+            risk_level: determineRiskLevel(confidence, {
+                hasContradictions: sectionContradictions.length > 0,
+                hasSignificantDrift: drift.hasSignificantDrift,
+            }, riskCutoffs),
+            contradictions: sectionContradictions.length,
+            outdated_items: staleness.findings.length,
+            drift_score: drift.driftScore,
+            penalties: {
+                contradiction: round(applied.contradiction),
+                content_staleness: round(applied.contentStaleness),
+                drift: round(applied.drift),
+            },
+        };
+    });
+
+    // Statements not found word-for-word in the content (e.g. rebuilt
+    // spreadsheet rows) belong to no section; they count in full
+    const unplaced = contradictions.filter((c, i) => contradictionSections[i] === null);
+    penalties.contradiction = Math.min(
+        penalties.contradiction + calculateContradictionPenalty(unplaced),
+        caps.contradiction
+    );
+
+    return {
+        sections: scored,
+        penalties: {
+            contradiction: round(penalties.contradiction),
+            contentStaleness: round(penalties.contentStaleness),
+            drift: round(penalties.drift),
+        },
+        hasSignificantDrift,
+        decayReasons,
+        contradictionSections: contradictionSections.map(s => (s ? s.path : null)),
+    };
+}
+
+module.exports = {
+    analyzeSections,
+};
@@ -0,0 +1,168 @@
+/**
+ * Section Splitter Service
+ *
+ * Splits document content into sections by headings, so decay can be
+ * scored per section instead of for the whole document. Headings come
+ * from Markdown (# Heading) or, for DOCX and PDF uploads whose text has
+ * no markup, from the outline captured at parse time (heading styles,
+ * PDF bookmarks).
+ */
+
+const MARKDOWN_HEADING = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const CODE_FENCE = /^\s*(```|~~~)/;
+
+// Title of the text before the first heading
+const PREAMBLE_TITLE = 'Introduction';
+
+function normalizeHeading(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split content into lines with their offsets
+ */
+function linesOf(content) {
+    const lines = [];
+    const pattern = /[^\n]*(?:\n|$)/g;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null && match[0] !== '') {
+        lines.push({ text: match[0].replace(/\r?\n$/, ''), start: match.index });
+    }
+    return lines;
+}
+
+/**
+ * Find Markdown headings, ignoring fenced code blocks
+ * @param {string} content - Document content
+ * @returns {Array<Object>} { title, level, start }
+ */
+function findMarkdownHeadings(content) {
+    const headings = [];
+    let inFence = false;
+
+    for (const line of linesOf(content)) {
+        if (CODE_FENCE.test(line.text)) {
+            inFence = !inFence;
+            continue;
+        }
+        const match = !inFence && line.text.match(MARKDOWN_HEADING);
+        if (match) {
+            headings.push({ title: match[2].trim(), level: match[1].length, start: line.start });
+        }
+    }
+    return headings;
+}
+
+/**
+ * Locate outline headings in plain text
+ * Each heading is matched, in order, to the next line with the same text.
+ * Headings that cannot be found (e.g. edited away) are skipped.
+ * @param {string} content - Document content
+ * @param {Array<Object>} outline - { title, level } in document order
+ * @returns {Array<Object>} { title, level, start }
+ */
+function findOutlineHeadings(content, outline) {
+    const lines = linesOf(content);
+    const headings = [];
+    let next = 0;
+
+    for (const entry of outline) {
+        const wanted = normalizeHeading(entry.title || '');
+        if (!wanted) continue;
+
+        const index = lines.findIndex((line, i) => i >= next && normalizeHeading(line.text) === wanted);
+        if (index === -1) continue;
+
+        headings.push({ title: entry.title.trim(), level: entry.level || 1, start: lines[index].start });
+        next = index + 1;
+    }
+    return headings;
+}
+
+/**
+ * Split content into sections by headings
+ * @param {string} content - Document content
+ * @param {Object} options - Split options
+ * @param {Array<Object>} options.outline - Headings captured at parse time ({ title, level });
+ *   Markdown headings are used when there is no outline or none of it is found
+ * @returns {Array<Object>} { title, level, path, start, end, content } in document order,
+ *   or an empty list when the document has fewer than two sections
+ */
+function splitSections(content, { outline = null } = {}) {
+    if (!content || typeof content !== 'string') {
+        return [];
+    }
+
+    // A parsed outline wins: '#' lines in PDF or DOCX text are not Markdown
+    let headings = Array.isArray(outline) && outline.length > 0
+        ? findOutlineHeadings(content, outline)
+        : [];
+    if (headings.length === 0) {
+        headings = findMarkdownHeadings(content);
+    }
+
+    const sections = [];
+    if (headings.length > 0 && content.slice(0, headings[0].start).trim()) {
+        sections.push({ title: PREAMBLE_TITLE, level: 0, start: 0 });
+    }
+    sections.push(...headings);
+
+    if (sections.length < 2) {
+        return [];
+    }
+
+    // Breadcrumb of parent headings, to tell apart sections with the same title
+    const parents = [];
+
+    return sections.map((section, i) => {
+        while (parents.length > 0 && parents[parents.length - 1].level >= section.level) {
+            parents.pop();
+        }
+        const path = [...parents.map(p => p.title), section.title].join(' > ');
+        if (section.level > 0) {
+            parents.push(section);
+        }
+
+        const end = i + 1 < sections.length ? sections[i + 1].start : content.length;
+        return {
+            title: section.title,
+            level: section.level,
+            path,
+            start: section.start,
+            end,
+            content: content.slice(section.start, end).trim(),
+        };
+    });
+}
+
+/**
+ * Find the section containing a piece of text
+ * @param {Array<Object>} sections - From splitSections()
+ * @param {string} content - Content the sections were split from
+ * @param {string} text - Text to look for (e.g. a statement)
+ * @returns {Object|null} Section where the text starts, or null if not found
+ */
+function findSectionOf(sections, content, text) {
+    return findSectionAt(sections, text ? content.indexOf(text) : -1);
+}
+
+/**
+ * Find the section containing an offset of the content
+ * @param {Array<Object>} sections - From splitSections()
+ * @param {number} index - Offset into the content the sections were split from
+ * @returns {Object|null} Section containing the offset, or null if out of range
+ */
+function findSectionAt(sections, index) {
+    if (!Number.isInteger(index) || index < 0) return null;
+    return sections.find(s => index >= s.start && index < s.end) || null;
+}
+
+module.exports = {
+    splitSections,
+    findSectionOf,
+    findSectionAt,
+    findMarkdownHeadings,
+    findOutlineHeadings,
+    PREAMBLE_TITLE,
+};
@@ -0,0 +1,417 @@
+/**
+ * Spreadsheet Parser Service
+ *
+ * Reads XLSX, ODS and CSV files into sheets of rows and renders them as
+ * row-oriented text: each sheet becomes a "# Sheet" section and each row
+ * a line of "Header: value" pairs, so a row can be found by search and
+ * its numbers compared with statements in other documents. Units named
+ * in a header ("Price ($)", "Response time (hours)", "Seats") are added
+ * to the numbers in that column.
+ */
+
+const fs = require('fs').promises;
+const { parseCsv } = require('../utils/csv');
+const { parseXml, elements, childElements, readZipText, readRelationships, odfText } = require('../utils/officeXml');
+const { loadZip } = require('../utils/zipArchive');
+
+// Number formats built into Excel that are not plain numbers
+const BUILTIN_FORMATS = {
+    5: '$#,##0', 6: '$#,##0', 7: '$#,##0.00', 8: '$#,##0.00',
+    9: '0%', 10: '0.00%',
+    14: 'yyyy-mm-dd', 15: 'd-mmm-yy', 16: 'd-mmm', 17: 'mmm-yy',
+    18: 'h:mm AM/PM', 19: 'h:mm:ss AM/PM', 20: 'h:mm', 21: 'h:mm:ss', 22: 'yyyy-mm-dd h:mm',
+    45: 'mm:ss', 46: '[h]:mm:ss', 47: 'mm:ss.0',
+};
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const BARE_NUMBER = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?$/;
+const CURRENCY_SYMBOL = /^[$€£¥]/;
+
+/**
+ * Column index of a cell reference ("C7" -> 2)
+ */
+function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Column letters of an index (2 -> "C")
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Drop floating point noise ("0.30000000000000004" -> "0.3")
+ */
+function formatNumber(value, decimals = null) {
+    return decimals !== null ? value.toFixed(decimals) : String(Number(value.toPrecision(15)));
+}
+
+function isDateFormat(code) {
+    const stripped = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return /[dmyhs]/i.test(stripped) && !/[#0?]/.test(stripped.replace(/\.0+/, ''));
+}
+
+function excelDate(serial, code) {
+    const date = new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * 86400000));
+    const iso = date.toISOString();
+    const stripped = code.replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    const hasDate = /[dy]/i.test(stripped) || /m{3,}/i.test(stripped);
+    const hasTime = /h/i.test(stripped);
+
+    if (!hasDate && hasTime) return iso.slice(11, 16);
+    if (hasTime) return `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+    return iso.slice(0, 10);
+}
+
+/**
+ * Render a numeric cell with its number format (percentages, currency, dates)
+ * @param {number} value - Cell value
+ * @param {string|null} code - Number format code
+ * @returns {string}
+ */
+function formatXlsxNumber(value, code) {
+    if (!code || code === 'General') {
+        return formatNumber(value);
+    }
+    const section = code.split(';')[0];
+    const decimalsMatch = section.replace(/"[^"]*"/g, '').match(/\.(0+)/);
+    const decimals = decimalsMatch ? decimalsMatch[1].length : null;
+
+    if (isDateFormat(section)) {
+        return excelDate(value, section);
+    }
+    if (section.includes('%')) {
+        return `${formatNumber(value * 100, decimals)}%`;
+    }
+    const symbol = section.match(/\[\$([$€£¥])[^\]]*\]|([$€£¥])/);
+    if (symbol) {
+        return `${symbol[1] || symbol[2]}${formatNumber(value, decimals)}`;
+    }
+    return formatNumber(value, decimals);
+}
+
+/**
+ * Number format code of each cell style (the "s" attribute of a cell)
+ */
+function readXlsxStyles(xml) {
+    if (!xml) return [];
+    const doc = parseXml(xml);
+
+    const custom = {};
+    for (const numFmt of elements(doc, 'numFmt')) {
+        custom[numFmt.getAttribute('numFmtId')] = numFmt.getAttribute('formatCode');
+    }
+
+    const cellXfs = elements(doc, 'cellXfs')[0];
+    if (!cellXfs) return [];
+    return childElements(cellXfs, ['xf']).map((xf) => {
+        const id = xf.getAttribute('numFmtId') || '0';
+        return custom[id] || BUILTIN_FORMATS[id] || null;
+    });
+}
+
+function readSharedStrings(xml) {
+    if (!xml) return [];
+    return elements(parseXml(xml), 'si').map(si =>
+        elements(si, 't')
+            .filter(t => t.parentNode.nodeName !== 'rPh')
+            .map(t => t.textContent)
+            .join('')
+    );
+}
+
+function xlsxCellValue(cell, sharedStrings, formats) {
+    const type = cell.getAttribute('t') || 'n';
+    const v = elements(cell, 'v')[0];
+    const raw = v ? v.textContent : '';
+
+    switch (type) {
+        case 's':
+            return sharedStrings[parseInt(raw, 10)] || '';
+        case 'inlineStr':
+            return elements(cell, 't').map(t => t.textContent).join('');
+        case 'b':
+            return raw === '1' ? 'TRUE' : raw === '0' ? 'FALSE' : '';
+        case 'e':
+            return '';
+        case 'str':
+            return raw;
+        default: {
+            if (raw === '') return '';
+            const number = parseFloat(raw);
+            if (!Number.isFinite(number)) return raw;
+            return formatXlsxNumber(number, formats[parseInt(cell.getAttribute('s') || '0', 10)] || null);
+        }
+    }
+}
+
+/**
+ * Read the visible sheets of an XLSX workbook
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Array<Object>>} { name, rows: Array<Array<string>> }
+ */
+async function readXlsx(buffer) {
+    const zip = await loadZip(buffer);
+    const workbookXml = await readZipText(zip, 'xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not an XLSX workbook');
+    }
+
+    const sharedStrings = readSharedStrings(await readZipText(zip, 'xl/sharedStrings.xml'));
+    const formats = readXlsxStyles(await readZipText(zip, 'xl/styles.xml'));
+
+    const targets = {};
+    for (const rel of await readRelationships(zip, 'xl/workbook.xml')) {
+        targets[rel.id] = rel.target;
+    }
+
+    const sheets = [];
+    const sheetNodes = elements(parseXml(workbookXml), 'sheet');
+    for (let i = 0; i < sheetNodes.length; i++) {
+        const node = sheetNodes[i];
+        if (['hidden', 'veryHidden'].includes(node.getAttribute('state'))) continue;
+
+        const target = targets[node.getAttribute('r:id')] || `xl/worksheets/sheet${i + 1}.xml`;
+        const sheetXml = await readZipText(zip, target);
+        if (!sheetXml) continue;
+
+        const rows = [];
+        for (const row of elements(parseXml(sheetXml), 'row')) {
+            const rowIndex = row.getAttribute('r') ? parseInt(row.getAttribute('r'), 10) - 1 : rows.length;
+            const values = [];
+            let next = 0;
+            for (const cell of childElements(row, ['c'])) {
+                const ref = cell.getAttribute('r');
+                const column = ref ? columnIndex(ref) : next;
+                values[column] = xlsxCellValue(cell, sharedStrings, formats);
+                next = column + 1;
+            }
+            rows[rowIndex] = values;
+        }
+
+        sheets.push({ name: node.getAttribute('name'), rows });
+    }
+    return sheets;
+}
+
+/**
+ * Displayed text of an ODS cell
+ */
+function odsCellValue(cell) {
+    const paragraphs = elements(cell, 'text:p').map(odfText);
+    if (paragraphs.length > 0) {
+        return paragraphs.join(' ');
+    }
+    return cell.getAttribute('office:value') || cell.getAttribute('office:date-value') || '';
+}
+
+/**
+ * Read the sheets of an ODS spreadsheet
+ * Repeated empty rows and cells (ODS pads sheets with them) are skipped.
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Array<Object>>} { name, rows: Array<Array<string>> }
+ */
+async function readOds(buffer) {
+    const zip = await loadZip(buffer);
+    const contentXml = await readZipText(zip, 'content.xml');
+    if (!contentXml) {
+        throw new Error('Not an ODS spreadsheet');
+    }
+
+    const sheets = [];
+    for (const table of elements(parseXml(contentXml), 'table:table')) {
+        const rows = [];
+        let rowIndex = 0;
+
+        for (const row of elements(table, 'table:table-row')) {
+            const rowRepeat = parseInt(row.getAttribute('table:number-rows-repeated') || '1', 10);
+            const values = [];
+            let column = 0;
+
+            for (const cell of childElements(row, ['table:table-cell', 'table:covered-table-cell'])) {
+                const repeat = parseInt(cell.getAttribute('table:number-columns-repeated') || '1', 10);
+                const value = odsCellValue(cell);
+                if (value) {
+                    for (let k = 0; k < repeat; k++) values[column + k] = value;
+                }
+                column += repeat;
+            }
+
+            if (values.length > 0) {
+                for (let k = 0; k < rowRepeat; k++) rows[rowIndex + k] = values;
+            }
+            rowIndex += rowRepeat;
+        }
+
+        sheets.push({ name: table.getAttribute('table:name'), rows });
+    }
+    return sheets;
+}
+
+/**
+ * Read a CSV file as a single unnamed sheet
+ * @param {string} text - File content
+ * @returns {Array<Object>} { name: null, rows }
+ */
+function readCsv(text) {
+    return [{ name: null, rows: parseCsv(text) }];
+}
+
+/**
+ * Make rows dense, trim cells and drop empty rows and columns
+ */
+function tidyRows(rows) {
+    const dense = Array.from(rows, row => Array.from(row || [], value => (value || '').replace(/\s+/g, ' ').trim()))
+        .filter(row => row.some(Boolean));
+    const width = Math.max(0, ...dense.map(row => {
+        let last = row.length - 1;
+        while (last >= 0 && !row[last]) last--;
+        return last + 1;
+    }));
+    return dense.map(row => Array.from({ length: width }, (_, i) => row[i] || ''));
+}
+
+/**
+ * Unit named by a column header
+ * "Price ($)" -> '$', "Uptime %" -> '%', "Response time (hours)" -> 'hours', "Seats" -> 'seats'
+ * @param {string} header - Column header
+ * @returns {string|null}
+ */
+function headerUnit(header) {
+    const bracketed = header.match(/[([]\s*([^()[\]]+?)\s*[)\]]$/);
+    if (bracketed) {
+        return bracketed[1];
+    }
+    if (/%$/.test(header)) {
+        return '%';
+    }
+
+    // A plural noun names what the column counts ("Seats", "Max retries")
+    const lastWord = header.match(/([A-Za-z]{3,})$/);
+    if (lastWord && /s$/i.test(lastWord[1]) && !/(ss|us|is)$/i.test(lastWord[1])) {
+        return lastWord[1].toLowerCase();
+    }
+    return null;
+}
+
+/**
+ * Add the column's unit to a bare number
+ * @param {string} value - Cell text
+ * @param {string|null} unit - Unit from headerUnit()
+ * @returns {string}
+ */
+function applyUnit(value, unit) {
+    if (!unit || !BARE_NUMBER.test(value)) {
+        return value;
+    }
+    if (unit === '%') {
+        return `${value}%`;
+    }
+    if (CURRENCY_SYMBOL.test(unit)) {
+        return `${unit[0]}${value}${unit.slice(1)}`;
+    }
+    return `${value} ${unit}`;
+}
+
+function isHeaderRow(row) {
+    const filled = row.filter(Boolean);
+    return filled.length > 0 && filled.every(value => !BARE_NUMBER.test(value)) &&
+        new Set(filled).size === filled.length;
+}
+
+/**
+ * Render a sheet as one line of "Header: value" pairs per row
+ * The first row is the header unless it holds numbers; otherwise
+ * columns are named by letter ("Column B").
+ * @param {Object} sheet - { name, rows }
+ * @returns {Object} { lines, rows, columns }
+ */
+function renderSheet(sheet) {
+    const rows = tidyRows(sheet.rows);
+    if (rows.length === 0) {
+        return { lines: [], rows: 0, columns: 0 };
+    }
+
+    const hasHeader = rows.length > 1 && isHeaderRow(rows[0]);
+    const headers = rows[0].map((value, i) =>
+        (hasHeader && value ? value.replace(/[:;]/g, ' ').replace(/\s+/g, ' ').trim() : `Column ${columnName(i)}`));
+    const units = headers.map(headerUnit);
+    const body = hasHeader ? rows.slice(1) : rows;
+
+    const lines = body.map(row => row
+        .map((value, i) => (value ? `${headers[i]}: ${applyUnit(value.replace(/;/g, ','), units[i])}` : null))
+        .filter(Boolean)
+        .join('; '))
+        .filter(Boolean);
+
+    return { lines, rows: body.length, columns: headers.length };
+}
+
+/**
+ * Render sheets as text, one section per named sheet
+ * @param {Array<Object>} sheets - { name, rows }
+ * @returns {Object} { content, sheets: [{ name, rows, columns }] }
+ */
+function renderSheets(sheets) {
+    const blocks = [];
+    const summary = [];
+
+    for (const sheet of sheets) {
+        const { lines, rows, columns } = renderSheet(sheet);
+        summary.push({ name: sheet.name, rows, columns });
+        if (lines.length === 0) continue;
+
+        blocks.push(sheet.name ? `# ${sheet.name}\n\n${lines.join('\n')}` : lines.join('\n'));
+    }
+
+    return { content: blocks.join('\n\n'), sheets: summary };
+}
+
+/**
+ * Parse an XLSX, ODS or CSV file
+ * @param {string} filePath - Path to the file
+ * @param {string} format - 'xlsx', 'ods' or 'csv'
+ * @returns {Promise<Object>} { content, metadata: { sheets } }
+ */
+async function parseSpreadsheet(filePath, format) {
+    const data = await fs.readFile(filePath);
+
+    let sheets;
+    if (format === 'xlsx') {
+        sheets = await readXlsx(data);
+    } else if (format === 'ods') {
+        sheets = await readOds(data);
+    } else {
+        sheets = readCsv(data.toString('utf-8'));
+    }
+
+    const { content, sheets: summary } = renderSheets(sheets);
+    return {
+        content,
+        metadata: { sheets: summary },
+    };
+}
+
+module.exports = {
+    parseSpreadsheet,
+    readXlsx,
+    readOds,
+    readCsv,
+    renderSheets,
+    headerUnit,
+    applyUnit,
+    formatXlsxNumber,
+};
@@ -14,9 +14,11 @@ const { extractKeyStatements } = require('../utils/textAnalysis');
  * @param {Object} document - Document under review
  * @param {Object} decayAnalysis - Results from decay analysis
  * @param {Array<Object>} newerDocs - Newer related documents
+ * @param {Object} options - Generation options
+ * @param {Object} options.documentTypes - Workspace document types, for display names
  * @returns {Object} Update recommendations
  */
-function generateUpdateRecommendations(document, decayAnalysis, newerDocs = []) {
+function generateUpdateRecommendations(document, decayAnalysis, newerDocs = [], { documentTypes = {} } = {}) {
     const recommendations = [];
     const { decayReasons } = decayAnalysis;
 
@@ -24,7 +26,10 @@ function generateUpdateRecommendations(document, decayAnalysis, newerDocs = [])
     for (const reason of decayReasons) {
         switch (reason.type) {
             case 'time':
-                recommendations.push(generateTimeBasedUpdate(document, reason));
+                recommendations.push(generateTimeBasedUpdate(document, reason, documentTypes));
+                break;
+            case 'expired':
+                recommendations.push(generateExpiryUpdate(document, reason, documentTypes));
                 break;
             case 'contradiction':
                 recommendations.push(generateContradictionUpdate(document, reason, newerDocs));
@@ -35,6 +40,18 @@ function generateUpdateRecommendations(document, decayAnalysis, newerDocs = [])
             case 'low_support':
                 recommendations.push(generateSupportUpdate(document, reason));
                 break;
+            case 'content_staleness':
+                recommendations.push(generateContentStalenessUpdate(document, reason));
+                break;
+            case 'upstream_change':
+                recommendations.push(generateUpstreamUpdate(document, reason));
+                break;
+            case 'broken_reference':
+                recommendations.push(generateBrokenReferenceUpdate(document, reason));
+                break;
+            case 'superseded_reference':
+                recommendations.push(generateSupersededReferenceUpdate(document, reason));
+                break;
         }
     }
 
@@ -55,15 +72,27 @@ function generateUpdateRecommendations(document, decayAnalysis, newerDocs = [])
 /**
  * Generate update for time-based decay
  */
-function generateTimeBasedUpdate(document, reason) {
+function generateTimeBasedUpdate(document, reason, documentTypes) {
     return {
         section: 'Document Review Required',
-        suggested_text: `[REVIEW NEEDED] This ${document.type} was last updated ${extractDays(reason.description)} days ago. Please verify that all information is still current and accurate. Key areas to check:\n- Process steps and procedures\n- Referenced tools and versions\n- Contact information and responsible parties\n- Compliance requirements`,
+        suggested_text: `[REVIEW NEEDED] This ${typeDisplayName(document, documentTypes)} was last updated ${extractDays(reason.description)} days ago. Please verify that all information is still current and accurate. Key areas to check:\n- Process steps and procedures\n- Referenced tools and versions\n- Contact information and responsible parties\n- Compliance requirements`,
         reason: reason.description,
         priority: 'medium',
     };
 }
 
+/**
+ * Generate update for a document past its expiry date
+ */
+function generateExpiryUpdate(document, reason, documentTypes) {
+    return {
+        section: 'Expiry Date Passed',
+        suggested_text: `[EXPIRED] This ${typeDisplayName(document, documentTypes)} passed its expiry date (${formatDate(document.expiresAt)}) and should not be relied on. Either:\n- Renew it: confirm the content is still valid and set a new expiry date\n- Retire it: remove it or point readers to the document that replaces it`,
+        reason: reason.description,
+        priority: 'high',
+    };
+}
+
 /**
  * Generate update for contradiction
  */
@@ -84,7 +113,7 @@ function generateContradictionUpdate(document, reason, newerDocs) {
     }
 
     return {
-        section: extractSection(reason.description),
+        section: reason.section || extractSection(reason.description),
         suggested_text: suggestedText,
         reason: reason.description,
         priority: 'high',
@@ -95,6 +124,15 @@ function generateContradictionUpdate(document, reason, newerDocs) {
  * Generate update for version drift
  */
 function generateDriftUpdate(document, reason) {
+    if (reason.section) {
+        return {
+            section: reason.section,
+            suggested_text: `[SIGNIFICANT CHANGES] The "${reason.section}" section was substantially rewritten in v${document.currentVersion}. Check that other sections and linked documents still agree with it, and treat earlier versions of this section as historical reference only.`,
+            reason: reason.description,
+            priority: 'low',
+        };
+    }
+
     return {
         section: 'Version History Note',
         suggested_text: `[SIGNIFICANT CHANGES] This document has undergone substantial revisions. Previous versions may contain outdated information and should be considered historical reference only. Current version (v${document.currentVersion}) is the authoritative source.`,
@@ -115,6 +153,83 @@ function generateSupportUpdate(document, reason) {
     };
 }
 
+/**
+ * Generate update for stale dates, deadlines and versions in the content
+ */
+function generateContentStalenessUpdate(document, reason) {
+    const labels = {
+        past_deadline: 'deadline has passed',
+        end_of_life: 'version is end of life',
+        outdated_reference: 'date is well in the past',
+    };
+    const items = (reason.findings || [])
+        .map(f => `- "${f.text}": ${labels[f.type] || 'outdated'} (${f.date})`)
+        .join('\n');
+
+    return {
+        section: reason.section || 'Outdated References',
+        suggested_text: `[OUTDATED CONTENT] The text refers to dates or versions that are no longer current:\n${items}\nUpdate each reference to the current date, deadline or supported version, or remove it if it no longer applies.`,
+        reason: reason.description,
+        priority: reason.findings && reason.findings.some(f => f.type !== 'outdated_reference') ? 'high' : 'medium',
+    };
+}
+
+/**
+ * Generate update for upstream documents that changed since the last verification
+ */
+function generateUpstreamUpdate(document, reason) {
+    const items = (reason.upstream || [])
+        .map(u => `- "${u.title}" (v${u.version}, changed ${formatDate(u.changedAt)})`)
+        .join('\n');
+
+    return {
+        section: 'Upstream Changes',
+        suggested_text: `[UPSTREAM CHANGED] This document depends on documents that changed after it was last verified:\n${items}\nCompare against the new versions, update anything that no longer matches, then mark this document as verified.`,
+        reason: reason.description,
+        priority: 'high',
+    };
+}
+
+/**
+ * Generate update for references to deleted or renamed documents
+ */
+function generateBrokenReferenceUpdate(document, reason) {
+    const items = (reason.references || []).map(r => {
+        const label = r.text || r.targetTitle;
+        if (r.suggestedDocument) {
+            return `- Replace "${label}" with a reference to "${r.suggestedDocument.title}"`;
+        }
+        return `- Remove "${label}" or point it to the document that now covers this topic`;
+    }).join('\n');
+
+    return {
+        section: 'Broken References',
+        suggested_text: `[BROKEN REFERENCE] This document refers to documents that were deleted or renamed:\n${items}`,
+        reason: reason.description,
+        priority: 'medium',
+    };
+}
+
+/**
+ * Generate update for references to superseded or deprecated documents
+ */
+function generateSupersededReferenceUpdate(document, reason) {
+    const items = (reason.references || []).map(r => {
+        const label = r.text || r.title;
+        if (r.replacement) {
+            return `- Replace "${label}" with "${r.replacement.title}", which supersedes it`;
+        }
+        return `- "${label}" is ${r.state}; point to its current replacement or remove the reference`;
+    }).join('\n');
+
+    return {
+        section: 'Superseded References',
+        suggested_text: `[SUPERSEDED REFERENCE] This document relies on documents that are no longer current:\n${items}`,
+        reason: reason.description,
+        priority: 'medium',
+    };
+}
+
 /**
  * Generate summary of what changed
  */
@@ -126,8 +241,17 @@ function generateWhatChangedSummary(decayReasons, newerDocs) {
     const parts = [];
 
     const hasTime = decayReasons.some(r => r.type === 'time');
+    const hasExpired = decayReasons.some(r => r.type === 'expired');
     const hasContradiction = decayReasons.some(r => r.type === 'contradiction');
     const hasDrift = decayReasons.some(r => r.type === 'version_drift');
+    const hasStaleContent = decayReasons.some(r => r.type === 'content_staleness');
+    const upstreamChanges = decayReasons.filter(r => r.type === 'upstream_change');
+    const hasBrokenReferences = decayReasons.some(r => r.type === 'broken_reference');
+    const hasSupersededReferences = decayReasons.some(r => r.type === 'superseded_reference');
+
+    if (hasExpired) {
+        parts.push('The document has passed its expiry date and is no longer valid until renewed.');
+    }
 
     if (hasTime) {
         parts.push('The document has not been reviewed recently and may contain outdated information.');
@@ -150,9 +274,34 @@ function generateWhatChangedSummary(decayReasons, newerDocs) {
         parts.push('Significant semantic changes were made in recent versions.');
     }
 
+    if (upstreamChanges.length > 0) {
+        const titles = upstreamChanges.flatMap(r => (r.upstream || []).map(u => u.title));
+        parts.push(`Documents this one depends on have changed: ${titles.join(', ')}.`);
+    }
+
+    if (hasBrokenReferences) {
+        parts.push('Some referenced documents were deleted or renamed.');
+    }
+
+    if (hasSupersededReferences) {
+        parts.push('Some referenced documents have been superseded or deprecated.');
+    }
+
+    if (hasStaleContent) {
+        parts.push('The content refers to deadlines, dates or software versions that are no longer current.');
+    }
+
     return parts.join(' ') || 'Decay signals detected. Review recommended.';
 }
 
+/**
+ * Display name of the document's type (falls back to the type name)
+ */
+function typeDisplayName(document, documentTypes = {}) {
+    const type = documentTypes[document.type];
+    return type ? type.displayName : document.type;
+}
+
 /**
  * Extract days from description
  */
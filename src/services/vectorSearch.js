@@ -4,24 +4,33 @@
  * Finds similar documents/chunks using embeddings.
  */
 
-const { Document } = require('../models');
+const { Document, DocumentChunk } = require('../models');
 const { getEmbedding, calculateSimilarity } = require('../utils/vectorUtils');
+const { getCorpus } = require('./workspaceCorpus');
+const { notRetiredWhere } = require('./documentLifecycle');
 
 /**
  * Search for similar documents
  * @param {string} query - Search query
  * @param {string} workspaceId - Workspace to search in
  * @param {number} topK - Number of results to return
+ * @param {Object} options - Search options
+ * @param {boolean} options.unchunkedOnly - Only search documents without chunk rows
  * @returns {Promise<Array>} Similar documents with scores
  */
-async function searchDocuments(query, workspaceId, topK = 5) {
-    // Get query embedding
-    const queryEmbedding = await getEmbedding(query);
+async function searchDocuments(query, workspaceId, topK = 5, { unchunkedOnly = false } = {}) {
+    // Get query embedding, weighted by the workspace corpus
+    const queryEmbedding = await getEmbedding(query, { corpus: await getCorpus(workspaceId) });
 
-    // Get all documents in workspace
+    // Get all current documents in workspace
     const documents = await Document.findAll({
-        where: { workspaceId },
+        where: {
+            workspaceId,
+            ...notRetiredWhere(),
+            ...(unchunkedOnly ? { '$chunks.id$': null } : {}),
+        },
         attributes: ['id', 'title', 'type', 'content', 'embedding', 'updatedAt'],
+        include: unchunkedOnly ? [{ model: DocumentChunk, as: 'chunks', attributes: [], required: false }] : [],
     });
 
     if (documents.length === 0) {
@@ -50,40 +59,102 @@ async function searchDocuments(query, workspaceId, topK = 5) {
         .filter(doc => doc.similarity > 0.1); // Minimum threshold
 }
 
+/**
+ * Search for similar chunks across all documents in a workspace
+ * @param {string} query - Search query
+ * @param {string} workspaceId - Workspace to search in
+ * @param {number} topK - Number of chunks to return
+ * @returns {Promise<Array>} Matching chunks with scores
+ */
+async function searchChunks(query, workspaceId, topK = 5) {
+    const queryEmbedding = await getEmbedding(query, { corpus: await getCorpus(workspaceId) });
+
+    const chunks = await DocumentChunk.findAll({
+        attributes: ['id', 'documentId', 'chunkIndex', 'content', 'embedding'],
+        include: [{
+            model: Document,
+            as: 'document',
+            where: { workspaceId, ...notRetiredWhere() },
+            attributes: ['id', 'title', 'type', 'updatedAt'],
+        }],
+    });
+
+    const scored = chunks
+        .filter(chunk => chunk.embedding)
+        .map(chunk => ({
+            chunkId: chunk.id,
+            chunkIndex: chunk.chunkIndex,
+            documentId: chunk.documentId,
+            title: chunk.document.title,
+            type: chunk.document.type,
+            similarity: calculateSimilarity(queryEmbedding, chunk.embedding),
+            excerpt: chunk.content,
+            updatedAt: chunk.document.updatedAt,
+        }));
+
+    return scored
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, topK)
+        .filter(chunk => chunk.similarity > 0.1); // Minimum threshold
+}
+
+/**
+ * Build a prompt context block from retrieved passages
+ * @param {Array<Object>} passages - Passages with title and excerpt
+ * @returns {string} Numbered context
+ */
+function buildContext(passages) {
+    return passages
+        .map((passage, i) => `[Source ${i + 1}: ${passage.title}]\n${passage.excerpt}`)
+        .join('\n\n');
+}
+
 /**
  * Find most relevant content for a question
+ * Chunks compete with whole documents that have no chunks yet.
  * @param {string} question - User question
  * @param {string} workspaceId - Workspace ID
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Number of passages to return (default: 5)
  * @returns {Promise<Object>} Relevant context and sources
  */
-async function findRelevantContext(question, workspaceId) {
-    const documents = await searchDocuments(question, workspaceId, 5);
+async function findRelevantContext(question, workspaceId, { topK = 5 } = {}) {
+    const [chunkPassages, documentPassages] = await Promise.all([
+        searchChunks(question, workspaceId, topK),
+        // Documents stored before chunking was introduced have no chunk rows
+        searchDocuments(question, workspaceId, topK, { unchunkedOnly: true }),
+    ]);
+    const passages = [...chunkPassages, ...documentPassages]
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, topK);
 
-    if (documents.length === 0) {
+    if (passages.length === 0) {
         return {
             context: '',
             sources: [],
         };
     }
 
-    // Build context from top documents
-    const context = documents
-        .map((doc, i) => `[Source ${i + 1}: ${doc.title}]\n${doc.excerpt}`)
-        .join('\n\n');
+    // Build context from top passages
+    const context = buildContext(passages);
 
     return {
         context,
-        sources: documents.map(doc => ({
-            documentId: doc.documentId,
-            title: doc.title,
-            type: doc.type,
-            similarity: Math.round(doc.similarity * 100) / 100,
-            updatedAt: doc.updatedAt,
+        sources: passages.map(passage => ({
+            documentId: passage.documentId,
+            title: passage.title,
+            type: passage.type,
+            chunkIndex: passage.chunkIndex ?? null,
+            similarity: Math.round(passage.similarity * 100) / 100,
+            excerpt: passage.excerpt,
+            updatedAt: passage.updatedAt,
         })),
     };
 }
 
 module.exports = {
     searchDocuments,
+    searchChunks,
     findRelevantContext,
+    buildContext,
 };
@@ -0,0 +1,294 @@
+/**
+ * Version Diff Service
+ *
+ * Compares two versions of a document: an LCS line diff grouped into
+ * unified-diff hunks, word diffs for changed lines, detection of
+ * blocks that were moved rather than rewritten, a semantic drift score
+ * per hunk and a section-by-section summary.
+ */
+
+const { diffLines, diffWords, splitLines } = require('../utils/lineDiff');
+const { calculateSemanticDifference } = require('../utils/textAnalysis');
+const { SIGNIFICANT_DRIFT_THRESHOLD, MODERATE_DRIFT_THRESHOLD } = require('./versionDriftAnalyzer');
+const { splitSections } = require('./sectionSplitter');
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+// A moved block must carry at least this much text, so blank lines or
+// lone punctuation are not reported as moves
+const MIN_MOVED_CHARS = 20;
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function driftSeverity(score) {
+    if (score >= SIGNIFICANT_DRIFT_THRESHOLD) return 'significant';
+    if (score >= MODERATE_DRIFT_THRESHOLD) return 'moderate';
+    return 'minor';
+}
+
+/**
+ * Find deleted blocks that reappear unchanged elsewhere
+ * Marks the matching delete and insert operations with moveId.
+ * @param {Array<Object>} ops - Line operations from diffLines()
+ * @returns {Array<Object>} { id, fromLine, toLine, lines } (1-based line numbers)
+ */
+function detectMoves(ops) {
+    const deletes = new Map();
+    const deletedByText = new Map();
+    for (const op of ops) {
+        if (op.type !== 'delete' || !op.value.trim()) continue;
+        deletes.set(op.oldIndex, op);
+        if (!deletedByText.has(op.value)) deletedByText.set(op.value, []);
+        deletedByText.get(op.value).push(op);
+    }
+
+    const inserts = new Map(ops.filter(op => op.type === 'insert').map(op => [op.newIndex, op]));
+    const moves = [];
+
+    for (const insert of inserts.values()) {
+        if (insert.moveId || !deletedByText.has(insert.value)) continue;
+
+        const candidate = deletedByText.get(insert.value).find(d => !d.moveId);
+        if (!candidate) continue;
+
+        // Extend the block while the following lines also match
+        const block = [[candidate, insert]];
+        for (let k = 1; ; k++) {
+            const nextDelete = deletes.get(candidate.oldIndex + k);
+            const nextInsert = inserts.get(insert.newIndex + k);
+            if (!nextDelete || !nextInsert || nextDelete.moveId || nextInsert.moveId ||
+                nextDelete.value !== nextInsert.value) {
+                break;
+            }
+            block.push([nextDelete, nextInsert]);
+        }
+
+        const size = block.reduce((sum, [d]) => sum + d.value.trim().length, 0);
+        if (size < MIN_MOVED_CHARS) continue;
+
+        const id = moves.length + 1;
+        for (const [d, i] of block) {
+            d.moveId = id;
+            i.moveId = id;
+        }
+        moves.push({
+            id,
+            fromLine: candidate.oldIndex + 1,
+            toLine: insert.newIndex + 1,
+            lines: block.length,
+        });
+    }
+
+    return moves;
+}
+
+/**
+ * Line offsets, to find the section a line belongs to
+ */
+function lineOffsets(lines) {
+    const offsets = [];
+    let offset = 0;
+    for (const line of lines) {
+        offsets.push(offset);
+        offset += line.length + 1;
+    }
+    return offsets;
+}
+
+function sectionAt(sections, offset) {
+    const section = sections.find(s => offset >= s.start && offset < s.end);
+    return section ? section.path : null;
+}
+
+/**
+ * Group operations into hunks with surrounding context
+ * @param {Array<Object>} ops - Line operations (after detectMoves())
+ * @param {Object} options - { context, granularity, locate(op) => section path }
+ * @returns {Array<Object>} Hunks
+ */
+function buildHunks(ops, { context, granularity, locate }) {
+    const changed = ops.map((op, i) => (op.type !== 'equal' ? i : -1)).filter(i => i !== -1);
+    const ranges = [];
+
+    for (const index of changed) {
+        const last = ranges[ranges.length - 1];
+        if (last && index - last.end <= context * 2 + 1) {
+            last.end = index;
+        } else {
+            ranges.push({ start: index, end: index });
+        }
+    }
+
+    return ranges.map(({ start, end }) => {
+        const sliceStart = Math.max(0, start - context);
+        const slice = ops.slice(sliceStart, Math.min(ops.length, end + context + 1));
+        const before = ops.slice(0, sliceStart);
+
+        const lines = slice.map(op => ({
+            type: op.type === 'equal' ? 'context' : op.type,
+            text: op.value,
+            oldLine: op.oldIndex !== null ? op.oldIndex + 1 : null,
+            newLine: op.newIndex !== null ? op.newIndex + 1 : null,
+            ...(op.moveId ? { moveId: op.moveId } : {}),
+        }));
+
+        if (granularity === 'word') {
+            addWordDiffs(lines);
+        }
+
+        // Drift of what was actually rewritten (moved lines are unchanged text)
+        const removed = lines.filter(l => l.type === 'delete' && !l.moveId).map(l => l.text).join('\n');
+        const added = lines.filter(l => l.type === 'insert' && !l.moveId).map(l => l.text).join('\n');
+        let driftScore = 0;
+        if (removed.trim() && added.trim()) {
+            driftScore = calculateSemanticDifference(removed, added);
+        } else if (removed.trim() || added.trim()) {
+            driftScore = 1;
+        }
+
+        // Unified diff: a side with no lines in the hunk starts at the line before it
+        const oldLines = slice.filter(op => op.oldIndex !== null).length;
+        const newLines = slice.filter(op => op.newIndex !== null).length;
+        const oldBefore = before.filter(op => op.oldIndex !== null).length;
+        const newBefore = before.filter(op => op.newIndex !== null).length;
+
+        return {
+            oldStart: oldLines > 0 ? oldBefore + 1 : oldBefore,
+            oldLines,
+            newStart: newLines > 0 ? newBefore + 1 : newBefore,
+            newLines,
+            section: locate(ops[start]),
+            driftScore: round(driftScore),
+            severity: driftSeverity(driftScore),
+            lines,
+        };
+    });
+}
+
+/**
+ * Pair each run of deleted lines with the inserted lines after it and
+ * attach word diffs to the inserted lines
+ */
+function addWordDiffs(lines) {
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].type !== 'delete') continue;
+
+        const deleted = [];
+        while (i < lines.length && lines[i].type === 'delete') deleted.push(lines[i++]);
+        const inserted = [];
+        while (i < lines.length && lines[i].type === 'insert') inserted.push(lines[i++]);
+
+        for (let k = 0; k < Math.min(deleted.length, inserted.length); k++) {
+            if (!deleted[k].moveId && !inserted[k].moveId) {
+                inserted[k].words = diffWords(deleted[k].text, inserted[k].text);
+            }
+        }
+        i--;
+    }
+}
+
+/**
+ * Compare sections of two versions by heading path
+ * @returns {Array<Object>} { section, status: 'added'|'removed'|'modified'|'unchanged', driftScore }
+ */
+function compareSections(oldSections, newSections) {
+    const matched = new Set();
+    const summary = newSections.map((section) => {
+        const previous = oldSections.find(s => s.path === section.path && !matched.has(s)) ||
+            oldSections.find(s => s.title === section.title && !matched.has(s));
+        if (!previous) {
+            return { section: section.path, status: 'added', driftScore: 1 };
+        }
+        matched.add(previous);
+        if (previous.content === section.content) {
+            return { section: section.path, status: 'unchanged', driftScore: 0 };
+        }
+        return {
+            section: section.path,
+            status: 'modified',
+            driftScore: round(calculateSemanticDifference(previous.content, section.content)),
+        };
+    });
+
+    for (const section of oldSections) {
+        if (!matched.has(section)) {
+            summary.push({ section: section.path, status: 'removed', driftScore: 1 });
+        }
+    }
+    return summary;
+}
+
+/**
+ * Render hunks as a unified diff
+ * @param {Array<Object>} hunks - From buildHunks()
+ * @param {string} fromLabel - Label of the old version
+ * @param {string} toLabel - Label of the new version
+ * @returns {string}
+ */
+function formatUnifiedDiff(hunks, fromLabel, toLabel) {
+    const prefixes = { context: ' ', delete: '-', insert: '+' };
+    const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+    for (const hunk of hunks) {
+        out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.section ? ` ${hunk.section}` : ''}`);
+        out.push(...hunk.lines.map(l => prefixes[l.type] + l.text));
+    }
+    return out.join('\n');
+}
+
+/**
+ * Diff two versions of a document
+ * @param {Object} fromVersion - Older version ({ versionNumber, content })
+ * @param {Object} toVersion - Newer version ({ versionNumber, content })
+ * @param {Object} options - Diff options
+ * @param {number} options.context - Unchanged lines around each change (default 3)
+ * @param {string} options.granularity - 'line' or 'word' (adds word diffs to changed lines)
+ * @param {Array<Object>} options.outline - Document outline, for section names
+ * @returns {Object} { stats, sections, moves, hunks, unified }
+ */
+function diffVersions(fromVersion, toVersion, {
+    context = DEFAULT_CONTEXT_LINES,
+    granularity = 'line',
+    outline = null,
+} = {}) {
+    const oldContent = fromVersion.content || '';
+    const newContent = toVersion.content || '';
+
+    const ops = diffLines(oldContent, newContent);
+    const moves = detectMoves(ops);
+
+    const oldSections = splitSections(oldContent, { outline });
+    const newSections = splitSections(newContent, { outline });
+    const oldOffsets = lineOffsets(splitLines(oldContent));
+    const newOffsets = lineOffsets(splitLines(newContent));
+    const locate = op => (op.newIndex !== null
+        ? sectionAt(newSections, newOffsets[op.newIndex])
+        : sectionAt(oldSections, oldOffsets[op.oldIndex]));
+
+    const hunks = buildHunks(ops, { context, granularity, locate });
+
+    return {
+        stats: {
+            linesAdded: ops.filter(op => op.type === 'insert' && !op.moveId).length,
+            linesRemoved: ops.filter(op => op.type === 'delete' && !op.moveId).length,
+            linesMoved: ops.filter(op => op.type === 'insert' && op.moveId).length,
+            hunks: hunks.length,
+            driftScore: oldContent === newContent ? 0 : round(calculateSemanticDifference(oldContent, newContent)),
+        },
+        sections: newSections.length > 0 || oldSections.length > 0
+            ? compareSections(oldSections, newSections)
+            : [],
+        moves,
+        hunks,
+        unified: formatUnifiedDiff(hunks, `v${fromVersion.versionNumber}`, `v${toVersion.versionNumber}`),
+    };
+}
+
+module.exports = {
+    diffVersions,
+    detectMoves,
+    formatUnifiedDiff,
+    DEFAULT_CONTEXT_LINES,
+};
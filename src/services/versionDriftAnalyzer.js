@@ -6,6 +6,7 @@
  */
 
 const { calculateSemanticDifference, generateTfIdfEmbedding } = require('../utils/textAnalysis');
+const { diffLines } = require('../utils/lineDiff');
 
 // Threshold for significant drift (semantic difference > 0.4 = significant)
 const SIGNIFICANT_DRIFT_THRESHOLD = 0.4;
@@ -89,19 +90,16 @@ function analyzeVersionDrift(document, versions) {
 
 /**
  * Identify what specifically changed between versions
+ * Uses an LCS line diff; see versionDiff.diffVersions() for full hunks.
  * @param {string} oldContent - Previous content
  * @param {string} newContent - Current content
  * @returns {Object} Change summary
  */
 function identifyChanges(oldContent, newContent) {
-    const oldLines = oldContent.split('\n').filter(l => l.trim());
-    const newLines = newContent.split('\n').filter(l => l.trim());
+    const ops = diffLines(oldContent, newContent);
 
-    const oldSet = new Set(oldLines);
-    const newSet = new Set(newLines);
-
-    const added = newLines.filter(l => !oldSet.has(l));
-    const removed = oldLines.filter(l => !newSet.has(l));
+    const added = ops.filter(op => op.type === 'insert' && op.value.trim()).map(op => op.value);
+    const removed = ops.filter(op => op.type === 'delete' && op.value.trim()).map(op => op.value);
 
     return {
         linesAdded: added.length,
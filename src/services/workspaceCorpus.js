@@ -0,0 +1,163 @@
+/**
+ * Workspace Corpus Service
+ * 
+ * Maintains per-workspace document frequencies so TF-IDF vectors
+ * carry real IDF weights, and re-vectorizes stored embeddings
+ * when the corpus has drifted from the one they were built with.
+ */
+
+const { sequelize } = require('../config/database');
+const { Document, DocumentVersion, WorkspaceCorpus } = require('../models');
+const { tokenizeTerms } = require('../utils/textAnalysis');
+const { getEmbedding } = require('../utils/vectorUtils');
+const { replaceDocumentChunks } = require('./documentChunker');
+const { invalidateLexicalIndex } = require('./lexicalSearch');
+
+/**
+ * Convert a corpus record to the plain shape used by the embedders
+ * @param {Object|null} record - WorkspaceCorpus instance
+ * @returns {Object} { documentCount, documentFrequencies }
+ */
+function toCorpus(record) {
+    return {
+        documentCount: record ? record.documentCount : 0,
+        documentFrequencies: record ? record.documentFrequencies : {},
+    };
+}
+
+/**
+ * Get the corpus statistics for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { documentCount, documentFrequencies }
+ */
+async function getCorpus(workspaceId) {
+    const record = await WorkspaceCorpus.findOne({ where: { workspaceId } });
+    return toCorpus(record);
+}
+
+/**
+ * Apply a document change to the workspace document frequencies
+ * Create: { added }, update: { removed, added }, delete: { removed }.
+ * The corpus row is locked for the rest of the transaction, so pass the
+ * transaction that writes the document: concurrent changes then apply
+ * one after another, and a failed write rolls the count back with it.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} change - Content leaving and/or entering the corpus
+ * @param {string} change.added - Content of the new/updated document
+ * @param {string} change.removed - Previous content of the document
+ * @param {Object} options - Options
+ * @param {Object} options.transaction - Transaction to run in (default: a new one)
+ * @returns {Promise<Object>} Updated corpus
+ */
+async function updateCorpus(workspaceId, { added = null, removed = null } = {}, { transaction = null } = {}) {
+    if (!transaction) {
+        return sequelize.transaction(t => updateCorpus(workspaceId, { added, removed }, { transaction: t }));
+    }
+
+    const [record, created] = await WorkspaceCorpus.findOrCreate({
+        where: { workspaceId },
+        defaults: { workspaceId, documentCount: 0, documentFrequencies: {} },
+        transaction,
+    });
+    if (!created) {
+        await record.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    }
+
+    const frequencies = { ...record.documentFrequencies };
+    let documentCount = record.documentCount;
+
+    if (typeof removed === 'string') {
+        for (const term of new Set(tokenizeTerms(removed))) {
+            frequencies[term] = (frequencies[term] || 0) - 1;
+            if (frequencies[term] <= 0) {
+                delete frequencies[term];
+            }
+        }
+        documentCount = Math.max(0, documentCount - 1);
+    }
+
+    if (typeof added === 'string') {
+        for (const term of new Set(tokenizeTerms(added))) {
+            frequencies[term] = (frequencies[term] || 0) + 1;
+        }
+        documentCount += 1;
+    }
+
+    await record.update({ documentCount, documentFrequencies: frequencies }, { transaction });
+
+    return toCorpus(record);
+}
+
+/**
+ * Recount document frequencies from the documents in a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Rebuilt corpus
+ */
+async function rebuildCorpus(workspaceId) {
+    const documents = await Document.findAll({
+        where: { workspaceId },
+        attributes: ['id', 'content'],
+    });
+
+    const frequencies = {};
+    for (const document of documents) {
+        for (const term of new Set(tokenizeTerms(document.content))) {
+            frequencies[term] = (frequencies[term] || 0) + 1;
+        }
+    }
+
+    const [record] = await WorkspaceCorpus.findOrCreate({
+        where: { workspaceId },
+        defaults: { workspaceId },
+    });
+    await record.update({ documentCount: documents.length, documentFrequencies: frequencies });
+
+    return toCorpus(record);
+}
+
+/**
+ * Rebuild the corpus and recompute every stored embedding in a workspace
+ * (documents, their chunks and their versions).
+ * Timestamps are left untouched so freshness evaluation is unaffected.
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Counts of re-vectorized rows
+ */
+async function revectorizeWorkspace(workspaceId) {
+    const corpus = await rebuildCorpus(workspaceId);
+
+    const documents = await Document.findAll({
+        where: { workspaceId },
+        attributes: ['id', 'content'],
+    });
+
+    const counts = { documents: 0, chunks: 0, versions: 0 };
+
+    for (const document of documents) {
+        const embedding = await getEmbedding(document.content, { corpus });
+        await document.update({ embedding }, { silent: true });
+        counts.documents++;
+
+        const chunks = await replaceDocumentChunks(document.id, document.content, { corpus });
+        counts.chunks += chunks.length;
+
+        const versions = await DocumentVersion.findAll({
+            where: { documentId: document.id },
+            attributes: ['id', 'content'],
+        });
+        for (const version of versions) {
+            await version.update({ embedding: await getEmbedding(version.content, { corpus }) }, { silent: true });
+            counts.versions++;
+        }
+    }
+
+    invalidateLexicalIndex(workspaceId);
+
+    return counts;
+}
+
+module.exports = {
+    getCorpus,
+    updateCorpus,
+    rebuildCorpus,
+    revectorizeWorkspace,
+};
@@ -0,0 +1,199 @@
+/**
+ * Cron Utilities
+ *
+ * Minimal five-field cron parser (minute hour day-of-month month day-of-week)
+ * used by the decay scheduler. Supports *, lists, ranges and steps
+ * (e.g. "0 2 * * 1-5", "0 8-18/2 * * *") plus the @hourly, @daily,
+ * @weekly and @monthly shortcuts. Schedules are evaluated in UTC.
+ */
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+// Far enough to cover "29 February" style schedules
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Longest each month can be (February in leap years)
+const MONTH_LENGTHS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Parse a single cron field into the set of matching values
+ * @param {string} field - Field expression
+ * @param {Object} spec - Field name and bounds
+ * @returns {Set<number>} Matching values
+ */
+function parseField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron ${name} field: "${field}"`);
+        }
+
+        const [, range, stepText] = match;
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        let start = min;
+        let end = max;
+
+        if (range !== '*') {
+            const [from, to] = range.split('-').map(n => parseInt(n, 10));
+            start = from;
+            // "5/15" means from 5 to the end of the range
+            end = to !== undefined ? to : (stepText ? max : from);
+        }
+
+        if (step < 1 || start < min || end > max || start > end) {
+            throw new Error(`Invalid cron ${name} field: "${field}"`);
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression or macro
+ * @returns {Object} Parsed schedule with a Set per field
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression is required');
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`);
+    }
+
+    const parsed = {};
+    FIELDS.forEach((spec, i) => {
+        parsed[spec.name] = parseField(parts[i], spec);
+    });
+
+    // Both 0 and 7 mean Sunday
+    if (parsed.dayOfWeek.has(7)) {
+        parsed.dayOfWeek.add(0);
+        parsed.dayOfWeek.delete(7);
+    }
+
+    // Standard cron: when both day fields are restricted, either may match
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+    return parsed;
+}
+
+/**
+ * Check whether a parsed schedule has a day it can fire on
+ * A day-of-month restriction alone can rule out every selected month
+ * (e.g. "0 0 30 2 *"); a day-of-week restriction always matches some day.
+ * @param {Object} parsed - Parsed schedule
+ * @returns {boolean} True if some month contains a matching day
+ */
+function hasMatchingDay(parsed) {
+    if (parsed.dayOfWeekRestricted) {
+        return true;
+    }
+
+    const earliestDay = Math.min(...parsed.dayOfMonth);
+    return [...parsed.month].some(month => earliestDay <= MONTH_LENGTHS[month - 1]);
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if parseable and it fires on some day
+ */
+function isValidCron(expression) {
+    try {
+        return hasMatchingDay(parseCron(expression));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a date's day matches the day-of-month/day-of-week fields
+ * @param {Object} parsed - Parsed schedule
+ * @param {Date} date - Date to check (UTC)
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(parsed, date) {
+    const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+
+    if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Get the next time a cron expression fires, strictly after `from`
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Reference time (default: now)
+ * @returns {Date} Next occurrence
+ */
+function getNextRun(expression, from = new Date()) {
+    const parsed = parseCron(expression);
+
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+            continue;
+        }
+
+        if (!matchesDay(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+            continue;
+        }
+
+        if (!parsed.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+            continue;
+        }
+
+        if (!parsed.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+            continue;
+        }
+
+        return date;
+    }
+
+    throw new Error(`Cron expression never fires: "${expression}"`);
+}
+
+module.exports = {
+    parseCron,
+    isValidCron,
+    getNextRun,
+};
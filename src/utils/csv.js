@@ -0,0 +1,85 @@
+/**
+ * CSV Utilities
+ *
+ * Parses delimited text (RFC 4180): quoted fields may contain the
+ * delimiter, line breaks and doubled quotes. The delimiter is detected
+ * from the first line when not given (comma, semicolon or tab).
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line, ignoring quoted text
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+
+    for (const delimiter of DELIMITERS) {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field delimiter (default: detected)
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text, { delimiter = null } = {}) {
+    const input = (text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(input);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+module.exports = {
+    parseCsv,
+    detectDelimiter,
+};
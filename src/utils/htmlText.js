@@ -0,0 +1,400 @@
+/**
+ * HTML Text Utilities
+ *
+ * A small tolerant HTML parser and a converter from HTML to plain text
+ * that keeps document structure: headings become Markdown headings (so
+ * documents split into sections), lists keep their markers, tables
+ * become pipe tables and preformatted blocks become code fences.
+ * Page chrome (navigation, headers, footers, sidebars, scripts) is left
+ * out, and only the main content is kept when the page marks it.
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Elements whose content is text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these closes an open <p>
+const CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+// Elements that close an open sibling of the same kind
+const IMPLIED_END = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    option: ['option'],
+};
+
+// Containers that bound implied end tags
+const LIST_CONTAINERS = new Set(['ul', 'ol', 'dl', 'table', 'tbody', 'thead', 'tfoot', 'select']);
+
+// Separated from their surroundings by a blank line
+const PARAGRAPH_ELEMENTS = new Set(['p', 'blockquote', 'ul', 'ol', 'dl', 'section', 'article', 'main', 'figure']);
+
+// Separated from their surroundings by a line break
+const LINE_ELEMENTS = new Set([
+    'address', 'caption', 'dd', 'details', 'div', 'dt', 'fieldset', 'figcaption', 'header', 'summary', 'body',
+]);
+
+const CHROME_ELEMENTS = new Set([
+    'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'nav', 'footer', 'aside',
+    'form', 'button', 'select', 'textarea', 'input',
+]);
+const CHROME_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search']);
+const CHROME_PATTERN = /(?:^|[\s_-])(?:nav|navbar|navigation|menu|breadcrumbs?|sidebar|footer|cookies?|banner|toolbar|skip-link)(?:[\s_-]|$)/i;
+
+// Main content containers, most specific first (Confluence, Notion, HTML5)
+const MAIN_CONTENT_SELECTORS = [
+    node => node.attrs.id === 'main-content',
+    node => hasClass(node, 'page-body'),
+    node => node.tag === 'main',
+    node => node.attrs.role === 'main',
+    node => node.tag === 'article',
+    node => node.tag === 'body',
+];
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    bull: '•', middot: '·', times: '×', copy: '©', reg: '®', trade: '™', deg: '°',
+    euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', rarr: '→', larr: '←',
+    aacute: 'á', agrave: 'à', acirc: 'â', auml: 'ä', eacute: 'é', egrave: 'è', ecirc: 'ê', euml: 'ë',
+    iacute: 'í', icirc: 'î', iuml: 'ï', oacute: 'ó', ocirc: 'ô', ouml: 'ö', uacute: 'ú', ugrave: 'ù',
+    ucirc: 'û', uuml: 'ü', ccedil: 'ç', ntilde: 'ñ', szlig: 'ß', aring: 'å', oslash: 'ø',
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        const named = NAMED_ENTITIES[ref] !== undefined ? NAMED_ENTITIES[ref] : NAMED_ENTITIES[ref.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+function parseAttributes(text) {
+    const attrs = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+        attrs[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attrs;
+}
+
+/**
+ * Parse HTML into a tree
+ * Tolerates unclosed and stray tags the way browsers mostly do.
+ * @param {string} html - HTML source
+ * @returns {Object} Root node { tag: '#root', attrs, children }; elements are
+ *   { tag, attrs, children, parent }, text nodes { text, parent }
+ */
+function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const addText = (text) => {
+        if (text) current().children.push({ text, parent: current() });
+    };
+    const closeUntil = (tag) => {
+        const index = stack.map(n => n.tag).lastIndexOf(tag);
+        if (index > 0) stack.length = index;
+    };
+
+    const lowerHtml = html.toLowerCase();
+    const pattern = /<!--[\s\S]*?-->|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        addText(html.slice(last, match.index));
+        last = pattern.lastIndex;
+
+        if (match[1]) {
+            closeUntil(match[1].toLowerCase());
+            continue;
+        }
+        if (!match[2]) {
+            continue; // Comment, doctype or processing instruction
+        }
+
+        const tag = match[2].toLowerCase();
+        if (CLOSES_PARAGRAPH.has(tag) && stack.some(n => n.tag === 'p')) {
+            closeUntil('p');
+        }
+        const implied = IMPLIED_END[tag];
+        if (implied) {
+            // Close an open sibling, but not one outside the nearest list or table
+            let cut = 0;
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (LIST_CONTAINERS.has(stack[i].tag)) break;
+                if (implied.includes(stack[i].tag)) cut = i;
+            }
+            if (cut > 0) stack.length = cut;
+        }
+
+        const node = { tag, attrs: parseAttributes(match[3] || ''), children: [], parent: current() };
+        current().children.push(node);
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+            const end = lowerHtml.indexOf(`</${tag}`, last);
+            const stop = end === -1 ? html.length : end;
+            if (stop > last) node.children.push({ text: html.slice(last, stop), parent: node });
+            const close = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+            pattern.lastIndex = close;
+            last = close;
+        } else if (!VOID_ELEMENTS.has(tag) && !match[4]) {
+            stack.push(node);
+        }
+    }
+    addText(html.slice(last));
+
+    return root;
+}
+
+function hasClass(node, name) {
+    return Boolean(node.attrs && node.attrs.class) && node.attrs.class.split(/\s+/).includes(name);
+}
+
+/**
+ * Find all elements matching a predicate, in document order
+ * @param {Object} node - Tree node
+ * @param {Function} predicate - (element) => boolean
+ * @returns {Array<Object>}
+ */
+function findAll(node, predicate) {
+    const found = [];
+    const visit = (n) => {
+        for (const child of n.children || []) {
+            if (child.tag) {
+                if (predicate(child)) found.push(child);
+                visit(child);
+            }
+        }
+    };
+    visit(node);
+    return found;
+}
+
+/**
+ * Find the first element matching a predicate
+ * @returns {Object|null}
+ */
+function findFirst(node, predicate) {
+    for (const child of node.children || []) {
+        if (!child.tag) continue;
+        if (predicate(child)) return child;
+        const found = findFirst(child, predicate);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Text of a node with whitespace collapsed
+ * @param {Object} node - Tree node
+ * @returns {string}
+ */
+function textContent(node) {
+    const raw = node.text !== undefined
+        ? node.text
+        : (node.children || []).map(child => (child.tag === 'br' ? ' ' : textContent(child))).join('');
+    return decodeEntities(raw).replace(/\s+/g, ' ').trim();
+}
+
+function rawTextContent(node) {
+    if (node.text !== undefined) return decodeEntities(node.text);
+    return (node.children || []).map(child => (child.tag === 'br' ? '\n' : rawTextContent(child))).join('');
+}
+
+/**
+ * Check whether an element is page chrome rather than content
+ */
+function isChrome(node) {
+    if (CHROME_ELEMENTS.has(node.tag) || CHROME_ROLES.has(node.attrs.role)) {
+        return true;
+    }
+    if (node.attrs.hidden !== undefined || node.attrs['aria-hidden'] === 'true') {
+        return true;
+    }
+    if (CHROME_PATTERN.test(node.attrs.id || '') || CHROME_PATTERN.test(node.attrs.class || '')) {
+        return true;
+    }
+    // A page header is chrome; an article's or section's own header is content
+    if (node.tag === 'header') {
+        for (let p = node.parent; p; p = p.parent) {
+            if (['article', 'main', 'section'].includes(p.tag)) return false;
+        }
+        return true;
+    }
+    return false;
+}
+
+function renderTable(table) {
+    const rows = findAll(table, n => n.tag === 'tr')
+        .map(tr => tr.children.filter(c => c.tag === 'td' || c.tag === 'th'))
+        .filter(cells => cells.length > 0);
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${Array.from({ length: width }, (_, i) =>
+        (cells[i] ? textContent(cells[i]).replace(/\|/g, '\\|') : '')).join(' | ')} |`;
+
+    const lines = rows.map(line);
+    lines.splice(1, 0, `| ${Array(width).fill('---').join(' | ')} |`);
+    return lines.join('\n');
+}
+
+// Indentation marker for nested lists, kept through whitespace cleanup
+const INDENT = '\u0001';
+
+function renderNode(node, out, context) {
+    if (node.text !== undefined) {
+        out.push(context.pre ? decodeEntities(node.text) : decodeEntities(node.text).replace(/\s+/g, ' '));
+        return;
+    }
+    if (node.tag !== '#root' && isChrome(node)) {
+        return;
+    }
+
+    const tag = node.tag;
+    const children = () => node.children.forEach(child => renderNode(child, out, context));
+
+    if (/^h[1-6]$/.test(tag)) {
+        const title = textContent(node);
+        if (title) {
+            context.headings.push({ title, level: Number(tag[1]) });
+            out.push(`\n\n${'#'.repeat(Number(tag[1]))} ${title}\n\n`);
+        }
+    } else if (tag === 'br') {
+        out.push('\n');
+    } else if (tag === 'hr') {
+        out.push('\n\n---\n\n');
+    } else if (tag === 'pre') {
+        out.push(`\n\n\`\`\`\n${rawTextContent(node).replace(/^\n|\n$/g, '')}\n\`\`\`\n\n`);
+    } else if (tag === 'table') {
+        out.push(`\n\n${renderTable(node)}\n\n`);
+    } else if (tag === 'ul' || tag === 'ol') {
+        // Nested lists stay attached to their item
+        const depth = context.listDepth || 0;
+        const gap = depth > 0 ? '' : '\n\n';
+        out.push(gap);
+        let index = 0;
+        for (const child of node.children) {
+            if (child.tag === 'li') {
+                index++;
+                const marker = tag === 'ol' ? `${index}.` : '-';
+                out.push(`\n${INDENT.repeat(depth)}${marker} `);
+                child.children.forEach(c => renderNode(c, out, { ...context, listDepth: depth + 1, inItem: true }));
+            } else {
+                renderNode(child, out, context);
+            }
+        }
+        out.push(gap);
+    } else if (tag === 'li') {
+        out.push('\n- ');
+        children();
+    } else if (tag === 'img') {
+        if (node.attrs.alt) out.push(` ${node.attrs.alt} `);
+    } else if (PARAGRAPH_ELEMENTS.has(tag) && context.inItem) {
+        // Paragraphs inside list items stay on the item's line
+        out.push(' ');
+        children();
+    } else if (PARAGRAPH_ELEMENTS.has(tag)) {
+        out.push('\n\n');
+        children();
+        out.push('\n\n');
+    } else if (LINE_ELEMENTS.has(tag) || tag === 'tr') {
+        out.push('\n');
+        children();
+        out.push('\n');
+    } else if (tag === 'td' || tag === 'th') {
+        out.push(' ');
+        children();
+        out.push(' ');
+    } else {
+        children();
+    }
+}
+
+/**
+ * Tidy rendered text: trim lines, collapse spaces and blank lines
+ * (code fences are left alone)
+ */
+function tidy(text) {
+    let inFence = false;
+    const lines = text.split('\n').map((line) => {
+        if (/^\s*```/.test(line)) {
+            inFence = !inFence;
+            return line.trim();
+        }
+        if (inFence) return line.replace(/\s+$/, '');
+        return line.replace(/[ \t]+/g, ' ').trim().replace(new RegExp(INDENT, 'g'), '  ');
+    });
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Convert HTML to structured plain text
+ * @param {string} html - HTML source
+ * @returns {Object} { text, title, headings: [{ title, level }], meta: { name: content } }
+ */
+function htmlToText(html) {
+    const root = parseHtml(html || '');
+
+    let main = root;
+    for (const selector of MAIN_CONTENT_SELECTORS) {
+        const found = findFirst(root, selector);
+        if (found) {
+            main = found;
+            break;
+        }
+    }
+
+    const out = [];
+    const headings = [];
+    renderNode({ ...main, tag: '#root' }, out, { headings });
+
+    const titleNode = findFirst(root, n => n.tag === 'title');
+    const firstHeading = findFirst(main, n => n.tag === 'h1');
+    const meta = {};
+    for (const node of findAll(root, n => n.tag === 'meta')) {
+        const name = (node.attrs.name || node.attrs.property || node.attrs['http-equiv'] || '').toLowerCase();
+        if (name && node.attrs.content !== undefined) meta[name] = node.attrs.content;
+    }
+
+    return {
+        text: tidy(out.join('')),
+        title: (titleNode && textContent(titleNode)) || (firstHeading && textContent(firstHeading)) || null,
+        headings,
+        meta,
+    };
+}
+
+module.exports = {
+    parseHtml,
+    htmlToText,
+    findAll,
+    findFirst,
+    textContent,
+    hasClass,
+    decodeEntities,
+};
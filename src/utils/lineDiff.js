@@ -0,0 +1,125 @@
+/**
+ * Line and Word Diff Utilities
+ *
+ * Longest-common-subsequence diff of two token sequences, used for
+ * line diffs between document versions and word diffs within a
+ * changed line.
+ */
+
+// Largest LCS table (rows x columns) computed; beyond this the changed
+// middle is reported as a block replacement instead
+const MAX_TABLE_CELLS = 4000000;
+
+/**
+ * Diff two sequences
+ * Common prefix and suffix are matched first, then the rest by LCS.
+ * @param {Array<string>} a - Old sequence
+ * @param {Array<string>} b - New sequence
+ * @returns {Array<Object>} { type: 'equal'|'delete'|'insert', oldIndex, newIndex, value } in order
+ */
+function diffSequences(a, b) {
+    const ops = [];
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        ops.push({ type: 'equal', oldIndex: start, newIndex: start, value: a[start] });
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+
+    if (n * m > MAX_TABLE_CELLS) {
+        for (let i = start; i < endA; i++) ops.push({ type: 'delete', oldIndex: i, newIndex: null, value: a[i] });
+        for (let j = start; j < endB; j++) ops.push({ type: 'insert', oldIndex: null, newIndex: j, value: b[j] });
+    } else if (n > 0 || m > 0) {
+        // lcs[i * (m + 1) + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[start + i] === b[start + j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ type: 'equal', oldIndex: start + i, newIndex: start + j, value: a[start + i] });
+                i++;
+                j++;
+            } else if (j >= m || (i < n && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+                ops.push({ type: 'delete', oldIndex: start + i, newIndex: null, value: a[start + i] });
+                i++;
+            } else {
+                ops.push({ type: 'insert', oldIndex: null, newIndex: start + j, value: b[start + j] });
+                j++;
+            }
+        }
+    }
+
+    for (let k = 0; endA + k < a.length; k++) {
+        ops.push({ type: 'equal', oldIndex: endA + k, newIndex: endB + k, value: a[endA + k] });
+    }
+
+    return ops;
+}
+
+/**
+ * Split text into lines (CRLF and LF)
+ * @param {string} text - Input text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+    if (!text) return [];
+    return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array<Object>} Operations from diffSequences() (indexes are 0-based line numbers)
+ */
+function diffLines(oldText, newText) {
+    return diffSequences(splitLines(oldText), splitLines(newText));
+}
+
+/**
+ * Diff two lines word by word
+ * Whitespace is kept, so joining the segments rebuilds either line.
+ * @param {string} oldLine - Previous line
+ * @param {string} newLine - Current line
+ * @returns {Array<Object>} { type: 'equal'|'delete'|'insert', text } with runs of one type merged
+ */
+function diffWords(oldLine, newLine) {
+    const tokenize = text => text.split(/(\s+)/).filter(t => t !== '');
+    const segments = [];
+
+    for (const op of diffSequences(tokenize(oldLine), tokenize(newLine))) {
+        const last = segments[segments.length - 1];
+        if (last && last.type === op.type) {
+            last.text += op.value;
+        } else {
+            segments.push({ type: op.type, text: op.value });
+        }
+    }
+    return segments;
+}
+
+module.exports = {
+    diffSequences,
+    diffLines,
+    diffWords,
+    splitLines,
+};
@@ -0,0 +1,125 @@
+/**
+ * Office XML Utilities
+ *
+ * Helpers for the ZIP packages of Office Open XML (XLSX, PPTX) and
+ * OpenDocument (ODS, ODP, ODT) files: reading parts, resolving
+ * relationships and walking their XML.
+ */
+
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { readZipEntry } = require('./zipArchive');
+
+/**
+ * Parse XML, ignoring recoverable errors
+ * @param {string} text - XML source
+ * @returns {Document}
+ */
+function parseXml(text) {
+    const parser = new DOMParser({
+        errorHandler: {
+            warning: () => { },
+            error: () => { },
+            fatalError: (message) => { throw new Error(`Invalid XML: ${message}`); },
+        },
+    });
+    return parser.parseFromString(text, 'text/xml');
+}
+
+/**
+ * Descendant elements by qualified name ("row", "table:table-cell")
+ */
+function elements(node, tag) {
+    return Array.from(node.getElementsByTagName(tag));
+}
+
+/**
+ * Child elements whose qualified name is one of tags
+ */
+function childElements(node, tags) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1 && tags.includes(child.nodeName));
+}
+
+/**
+ * Read a part of the package as text, within the package's size budget
+ * @param {JSZip} zip - Package from loadZip()
+ * @param {string} name - Part path
+ * @returns {Promise<string|null>} null when the part does not exist
+ */
+async function readZipText(zip, name) {
+    const entry = zip.file(name);
+    return entry ? (await readZipEntry(zip, entry)).toString('utf-8') : null;
+}
+
+/**
+ * Read the relationships of an Office Open XML part
+ * @param {JSZip} zip - Package
+ * @param {string} partName - Part path, e.g. "ppt/slides/slide1.xml"
+ * @returns {Promise<Array<Object>>} { id, type, target } with targets resolved to package paths
+ */
+async function readRelationships(zip, partName) {
+    const dir = path.posix.dirname(partName);
+    const xml = await readZipText(zip, `${dir}/_rels/${path.posix.basename(partName)}.rels`);
+    if (!xml) return [];
+
+    return elements(parseXml(xml), 'Relationship').map((rel) => {
+        const target = rel.getAttribute('Target');
+        return {
+            id: rel.getAttribute('Id'),
+            type: rel.getAttribute('Type') || '',
+            target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(dir, target)),
+        };
+    });
+}
+
+/**
+ * Text of an OpenDocument paragraph, with its space, tab and line-break
+ * elements and without footnote bodies or tracked deletions
+ */
+function odfText(node) {
+    let text = '';
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === 3) {
+            text += child.nodeValue;
+        } else if (child.nodeType === 1) {
+            switch (child.nodeName) {
+                case 'text:s':
+                    text += ' '.repeat(parseInt(child.getAttribute('text:c') || '1', 10));
+                    break;
+                case 'text:tab':
+                case 'text:line-break':
+                    text += ' ';
+                    break;
+                case 'text:note':
+                case 'text:tracked-changes':
+                case 'office:annotation':
+                    break;
+                default:
+                    text += odfText(child);
+            }
+        }
+    }
+    return text;
+}
+
+/**
+ * Title from a package's metadata (docProps/core.xml or meta.xml)
+ * @returns {Promise<string|null>}
+ */
+async function readPackageTitle(zip) {
+    const xml = await readZipText(zip, 'docProps/core.xml') || await readZipText(zip, 'meta.xml');
+    if (!xml) return null;
+
+    const title = elements(parseXml(xml), 'dc:title')[0];
+    return title && title.textContent.trim() ? title.textContent.trim() : null;
+}
+
+module.exports = {
+    parseXml,
+    elements,
+    childElements,
+    readZipText,
+    readRelationships,
+    odfText,
+    readPackageTitle,
+};
@@ -0,0 +1,256 @@
+/**
+ * Quantity Extraction Utilities
+ *
+ * Finds durations, currency amounts, percentages, data sizes and
+ * counts in text and normalizes them to canonical units, so "24 hours"
+ * and "1 day" compare as equal while "$500" and "$1,000" do not.
+ *
+ * Canonical units: durations in hours, currency in whole units per
+ * currency code, sizes in MB (1 GB = 1024 MB), percentages in percent,
+ * counts per noun. Business days have no fixed length in calendar time,
+ * so a duration in business days never equals one in calendar units.
+ */
+
+// Relative difference below which two quantities are considered equal
+const DEFAULT_TOLERANCE = parseFloat(process.env.QUANTITY_TOLERANCE) || 0.01;
+
+// Percentage points below which two percentages are considered equal
+// (relative tolerance would call 99.9% and 99.5% the same)
+const DEFAULT_PERCENT_TOLERANCE = parseFloat(process.env.QUANTITY_PERCENT_TOLERANCE) || 0.01;
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)';
+
+// Hours per unit
+const DURATION_UNITS = [
+    { pattern: 'business\\s+days?|working\\s+days?|workdays?', unit: 'business day', hours: 24 },
+    { pattern: 'seconds?|secs?', unit: 'second', hours: 1 / 3600 },
+    { pattern: 'minutes?|mins?', unit: 'minute', hours: 1 / 60 },
+    { pattern: 'hours?|hrs?', unit: 'hour', hours: 1 },
+    { pattern: 'days?', unit: 'day', hours: 24 },
+    { pattern: 'weeks?', unit: 'week', hours: 24 * 7 },
+    { pattern: 'months?', unit: 'month', hours: 24 * 30 },
+    { pattern: 'years?', unit: 'year', hours: 24 * 365 },
+];
+
+// MB per unit
+const SIZE_UNITS = {
+    b: 1 / (1024 * 1024), bytes: 1 / (1024 * 1024),
+    kb: 1 / 1024, mb: 1, gb: 1024, tb: 1024 * 1024,
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_WORDS = {
+    usd: 'USD', dollars: 'USD', dollar: 'USD',
+    eur: 'EUR', euros: 'EUR', euro: 'EUR',
+    gbp: 'GBP', pounds: 'GBP',
+    jpy: 'JPY', yen: 'JPY',
+};
+const MAGNITUDES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9 };
+const MAGNITUDE = '(?:\\s*(k|m|bn|thousand|million|billion)\\b)?';
+
+// Words after a number that are not counted things
+const NOT_COUNTED = new Set([
+    'and', 'or', 'to', 'of', 'the', 'a', 'an', 'in', 'on', 'at', 'for', 'by', 'per', 'with',
+    'is', 'are', 'was', 'be', 'am', 'pm', 'st', 'nd', 'rd', 'th', 'time', 'x',
+]);
+
+/**
+ * Quantity patterns, most specific first. Each returns { value, unit, dimension, normalizedValue, normalizedUnit }.
+ */
+const QUANTITY_PATTERNS = [
+    {
+        regex: new RegExp(`([$€£¥])\\s?${NUMBER}${MAGNITUDE}`, 'gi'),
+        parse: m => currency(CURRENCY_SYMBOLS[m[1]], parseNumber(m[2]), m[3]),
+    },
+    {
+        regex: new RegExp(`\\b(usd|eur|gbp|jpy)\\s?${NUMBER}${MAGNITUDE}`, 'gi'),
+        parse: m => currency(CURRENCY_WORDS[m[1].toLowerCase()], parseNumber(m[2]), m[3]),
+    },
+    {
+        regex: new RegExp(`\\b${NUMBER}${MAGNITUDE}\\s?(usd|eur|gbp|jpy|dollars?|euros?|pounds|yen)\\b`, 'gi'),
+        parse: m => currency(CURRENCY_WORDS[m[3].toLowerCase()], parseNumber(m[1]), m[2]),
+    },
+    {
+        regex: new RegExp(`\\b${NUMBER}\\s?(%|percent\\b|per\\s+cent\\b)`, 'gi'),
+        parse: m => ({
+            value: parseNumber(m[1]),
+            unit: '%',
+            dimension: 'percentage',
+            normalizedValue: parseNumber(m[1]),
+            normalizedUnit: '%',
+        }),
+    },
+    {
+        regex: new RegExp(`\\b${NUMBER}\\s?(tb|gb|mb|kb|bytes|b)\\b`, 'gi'),
+        parse: m => {
+            const unit = m[2].toLowerCase();
+            return {
+                value: parseNumber(m[1]),
+                unit: unit === 'bytes' ? 'B' : unit.toUpperCase(),
+                dimension: 'size',
+                normalizedValue: parseNumber(m[1]) * SIZE_UNITS[unit],
+                normalizedUnit: 'MB',
+            };
+        },
+    },
+    {
+        regex: new RegExp(`\\b${NUMBER}[\\s-]?(${DURATION_UNITS.map(u => u.pattern).join('|')})\\b`, 'gi'),
+        parse: m => {
+            const { unit, hours } = DURATION_UNITS.find(u => new RegExp(`^(?:${u.pattern})$`, 'i').test(m[2]));
+            return {
+                value: parseNumber(m[1]),
+                unit,
+                dimension: 'duration',
+                normalizedValue: parseNumber(m[1]) * hours,
+                normalizedUnit: 'hour',
+            };
+        },
+    },
+    {
+        // Counts: a number followed by the thing counted ("3 approvers", "5 retries")
+        regex: new RegExp(`\\b${NUMBER}\\s+([a-z][a-z-]{2,})\\b`, 'gi'),
+        parse: m => {
+            const noun = singular(m[2].toLowerCase());
+            if (NOT_COUNTED.has(noun)) return null;
+            return {
+                value: parseNumber(m[1]),
+                unit: noun,
+                dimension: 'count',
+                normalizedValue: parseNumber(m[1]),
+                normalizedUnit: noun,
+            };
+        },
+    },
+];
+
+function parseNumber(text) {
+    return parseFloat(text.replace(/,/g, ''));
+}
+
+function singular(word) {
+    if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+    if (/(ss|us)$/.test(word)) return word;
+    return word.replace(/s$/, '');
+}
+
+function currency(code, amount, magnitude) {
+    const value = amount * (magnitude ? MAGNITUDES[magnitude.toLowerCase()] : 1);
+    return {
+        value,
+        unit: code,
+        dimension: 'currency',
+        normalizedValue: value,
+        normalizedUnit: code,
+    };
+}
+
+/**
+ * Extract quantities from text
+ * @param {string} text - Input text
+ * @returns {Array<Object>} { raw, value, unit, dimension, normalizedValue, normalizedUnit, index }
+ */
+function extractQuantities(text) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    const quantities = [];
+    const taken = [];
+    const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+
+    for (const pattern of QUANTITY_PATTERNS) {
+        pattern.regex.lastIndex = 0;
+        let match;
+
+        while ((match = pattern.regex.exec(text)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (overlaps(start, end)) continue;
+
+            const quantity = pattern.parse(match);
+            if (!quantity || !Number.isFinite(quantity.normalizedValue)) continue;
+
+            taken.push([start, end]);
+            quantities.push({ raw: match[0].trim(), ...quantity, index: start });
+        }
+    }
+
+    return quantities.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Check whether two quantities measure the same thing
+ * They must normalize to the same unit: any duration compares with any
+ * other duration, but currencies only within a currency code and
+ * counts only for the same noun.
+ * @param {Object} a - Quantity from extractQuantities()
+ * @param {Object} b - Quantity from extractQuantities()
+ * @returns {boolean}
+ */
+function areComparable(a, b) {
+    return a.dimension === b.dimension && a.normalizedUnit === b.normalizedUnit;
+}
+
+/**
+ * Check whether two comparable quantities differ beyond the tolerance
+ * Percentages are compared in percentage points; a duration in business
+ * days always differs from one in calendar units.
+ * @param {Object} a - Quantity from extractQuantities()
+ * @param {Object} b - Quantity from extractQuantities()
+ * @param {number} tolerance - Relative difference treated as equal (default: QUANTITY_TOLERANCE or 0.01)
+ * @param {number} percentTolerance - Percentage points treated as equal (default: QUANTITY_PERCENT_TOLERANCE or 0.01)
+ * @returns {boolean}
+ */
+function quantitiesDiffer(a, b, tolerance = DEFAULT_TOLERANCE, percentTolerance = DEFAULT_PERCENT_TOLERANCE) {
+    if (a.dimension === 'percentage') {
+        return Math.abs(a.normalizedValue - b.normalizedValue) > percentTolerance;
+    }
+
+    if (a.dimension === 'duration' && (a.unit === 'business day') !== (b.unit === 'business day')) {
+        return true;
+    }
+
+    const largest = Math.max(Math.abs(a.normalizedValue), Math.abs(b.normalizedValue));
+    if (largest === 0) return false;
+
+    return Math.abs(a.normalizedValue - b.normalizedValue) / largest > tolerance;
+}
+
+/**
+ * Remove quantities from text, to compare what two statements are about
+ * @param {string} text - Input text
+ * @returns {string} Text without quantities
+ */
+function stripQuantities(text) {
+    const quantities = extractQuantities(text);
+    let stripped = text;
+    for (const q of [...quantities].reverse()) {
+        stripped = stripped.slice(0, q.index) + stripped.slice(q.index + q.raw.length);
+    }
+    return stripped;
+}
+
+/**
+ * Describe a quantity with its normalized value ("1 day (24 hours)")
+ * @param {Object} quantity - Quantity from extractQuantities()
+ * @returns {string}
+ */
+function describeQuantity(quantity) {
+    const normalized = Math.round(quantity.normalizedValue * 1000) / 1000;
+    const sameAsRaw = quantity.unit === quantity.normalizedUnit && quantity.value === quantity.normalizedValue;
+    if (sameAsRaw) {
+        return quantity.raw;
+    }
+    const unit = quantity.normalizedUnit === 'hour' && normalized !== 1 ? 'hours' : quantity.normalizedUnit;
+    return `${quantity.raw} (${normalized} ${unit})`;
+}
+
+module.exports = {
+    extractQuantities,
+    areComparable,
+    quantitiesDiffer,
+    stripQuantities,
+    describeQuantity,
+    DEFAULT_TOLERANCE,
+    DEFAULT_PERCENT_TOLERANCE,
+};
@@ -12,9 +12,13 @@
  */
 
 const natural = require('natural');
-
-// TF-IDF for document vectorization
-const TfIdf = natural.TfIdf;
+const {
+    extractQuantities,
+    areComparable,
+    quantitiesDiffer,
+    stripQuantities,
+    describeQuantity,
+} = require('./quantityExtractor');
 
 // Tokenizer for text processing
 const tokenizer = new natural.WordTokenizer();
@@ -22,28 +26,58 @@ const tokenizer = new natural.WordTokenizer();
 // Stemmer for normalizing words
 const stemmer = natural.PorterStemmer;
 
+// Stopwords carry no topical signal and are dropped before weighting
+const STOPWORDS = new Set(natural.stopwords);
+
 /**
- * Generate TF-IDF embedding for text
- * @param {string} text - Document text
- * @returns {Object} TF-IDF vector as object {term: weight}
+ * Tokenize text into normalized index terms
+ * Lowercases, drops stopwords and single letters, and stems with Porter.
+ * @param {string} text - Input text
+ * @returns {Array<string>} Stemmed terms (with repeats)
  */
-function generateTfIdfEmbedding(text) {
+function tokenizeTerms(text) {
     if (!text || typeof text !== 'string') {
-        return {};
+        return [];
     }
 
-    const tfidf = new TfIdf();
-    const normalizedText = text.toLowerCase();
+    return tokenizer.tokenize(text.toLowerCase())
+        .filter(token => !STOPWORDS.has(token))
+        .filter(token => token.length > 1 || /\d/.test(token))
+        .map(token => stemmer.stem(token));
+}
+
+/**
+ * Inverse document frequency of a term
+ * Smoothed so unseen terms get the highest weight and no term gets zero.
+ * @param {string} term - Stemmed term
+ * @param {Object} corpus - { documentCount, documentFrequencies }
+ * @returns {number} IDF weight
+ */
+function inverseDocumentFrequency(term, corpus) {
+    const documentCount = corpus.documentCount || 0;
+    const df = (corpus.documentFrequencies || {})[term] || 0;
+    return Math.log((1 + documentCount) / (1 + df)) + 1;
+}
 
-    tfidf.addDocument(normalizedText);
+/**
+ * Generate TF-IDF embedding for text
+ * Term frequency is sublinear (1 + ln tf) so repeated boilerplate does not
+ * swamp the vector. Without a corpus every term gets an IDF of 1.
+ * @param {string} text - Document text
+ * @param {Object} [corpus] - Workspace corpus { documentCount, documentFrequencies }
+ * @returns {Object} TF-IDF vector as object {term: weight}
+ */
+function generateTfIdfEmbedding(text, corpus = null) {
+    const termCounts = {};
+    for (const term of tokenizeTerms(text)) {
+        termCounts[term] = (termCounts[term] || 0) + 1;
+    }
 
     const terms = {};
-    tfidf.listTerms(0).forEach((item) => {
-        // Only include terms with meaningful weight
-        if (item.tfidf > 0.1) {
-            terms[item.term] = Math.round(item.tfidf * 1000) / 1000;
-        }
-    });
+    for (const [term, count] of Object.entries(termCounts)) {
+        const idf = corpus ? inverseDocumentFrequency(term, corpus) : 1;
+        terms[term] = Math.round((1 + Math.log(count)) * idf * 1000) / 1000;
+    }
 
     return terms;
 }
@@ -82,21 +116,55 @@ function cosineSimilarity(vec1, vec2) {
     return Math.round((dotProduct / magnitude) * 1000) / 1000;
 }
 
+// A line of "Key: value; Key: value" fields, e.g. a spreadsheet row
+const RECORD_LINE = /^[^:;\n]{1,80}: [^;\n]+(?:; [^:;\n]{1,80}: [^;\n]+)+$/;
+
 /**
- * Extract key statements from text for contradiction detection
+ * Split a record line into one statement per field, each led by the
+ * first field so it keeps the row's context ("Plan: Basic, Seats: 5 seats")
+ */
+function recordStatements(line) {
+    const [key, ...fields] = line.split('; ');
+    return fields.map(field => `${key}, ${field}`);
+}
+
+/**
+ * Extract key statements from text with where each one starts
+ * Record lines (see RECORD_LINE) give a statement per field; record
+ * statements are not quoted from the text, so their offset is the start
+ * of their line.
  * @param {string} text - Document text
- * @returns {Array<string>} Array of key statements
+ * @returns {Array<Object>} { statement, offset } (offset is null when the statement cannot be located)
  */
-function extractKeyStatements(text) {
+function locateKeyStatements(text) {
     if (!text || typeof text !== 'string') {
         return [];
     }
 
-    // Split into sentences
-    const sentences = text
-        .split(/[.!?]+/)
+    const records = [];
+    const proseLines = [];
+    let lineStart = 0;
+    for (const line of text.split('\n')) {
+        if (RECORD_LINE.test(line.trim())) {
+            const offset = lineStart + line.search(/\S/);
+            records.push(...recordStatements(line.trim()).map(statement => ({ statement, offset })));
+        } else {
+            proseLines.push(line);
+        }
+        lineStart += line.length + 1;
+    }
+
+    // Split into sentences (a period inside a number such as "99.9%" does not end one)
+    let searchFrom = 0;
+    const sentences = proseLines.join('\n').split(/[.!?]+(?=\s|$)/)
         .map(s => s.trim())
-        .filter(s => s.length > 20); // Only meaningful sentences
+        .filter(s => s.length > 20) // Only meaningful sentences
+        .map((statement) => {
+            const index = text.indexOf(statement, searchFrom);
+            if (index === -1) return { statement, offset: null };
+            searchFrom = index + statement.length;
+            return { statement, offset: index };
+        });
 
     // Filter to statements that contain factual indicators
     const factualPatterns = [
@@ -106,16 +174,26 @@ function extractKeyStatements(text) {
         /\b(\d+\.?\d*)\b/, // Numbers
     ];
 
-    return sentences.filter(sentence =>
-        factualPatterns.some(pattern => pattern.test(sentence))
+    return [...sentences, ...records].filter(({ statement }) =>
+        factualPatterns.some(pattern => pattern.test(statement))
     );
 }
 
+/**
+ * Extract key statements from text for contradiction detection
+ * @param {string} text - Document text
+ * @returns {Array<string>} Array of key statements
+ */
+function extractKeyStatements(text) {
+    return locateKeyStatements(text).map(({ statement }) => statement);
+}
+
 /**
  * Compare two statements for potential contradiction
  * @param {string} stmt1 - First statement
  * @param {string} stmt2 - Second statement 
- * @returns {Object} { isContradiction: boolean, score: number, reason: string }
+ * @returns {Object} { isContradiction: boolean, score: number, reason: string, quantities? }
+ *   quantities holds both raw and normalized values for numerical conflicts
  */
 function detectStatementContradiction(stmt1, stmt2) {
     const s1 = stmt1.toLowerCase();
@@ -147,26 +225,29 @@ function detectStatementContradiction(stmt1, stmt2) {
         }
     }
 
-    // Check for numerical contradictions
-    const numPattern = /(\d+\.?\d*)\s*(days?|hours?|minutes?|weeks?|%|percent)/gi;
-    const nums1 = [...s1.matchAll(numPattern)];
-    const nums2 = [...s2.matchAll(numPattern)];
+    // Check for numerical contradictions (compared in canonical units)
+    const nums1 = extractQuantities(stmt1);
+    const nums2 = extractQuantities(stmt2);
 
     if (nums1.length > 0 && nums2.length > 0) {
         for (const n1 of nums1) {
             for (const n2 of nums2) {
-                // Same unit but different number
-                if (n1[2].toLowerCase().replace(/s$/, '') === n2[2].toLowerCase().replace(/s$/, '') &&
-                    n1[1] !== n2[1]) {
-                    const vec1 = generateTfIdfEmbedding(s1.replace(numPattern, ''));
-                    const vec2 = generateTfIdfEmbedding(s2.replace(numPattern, ''));
+                // Same kind of quantity but a different amount
+                if (areComparable(n1, n2) && quantitiesDiffer(n1, n2)) {
+                    const vec1 = generateTfIdfEmbedding(stripQuantities(s1));
+                    const vec2 = generateTfIdfEmbedding(stripQuantities(s2));
                     const similarity = cosineSimilarity(vec1, vec2);
 
                     if (similarity > 0.4) {
+                        // Normalized values only help when the units differ
+                        const describe = n1.unit === n2.unit ? (n => n.raw) : describeQuantity;
                         return {
                             isContradiction: true,
                             score: similarity,
-                            reason: `Numerical conflict: ${n1[1]} ${n1[2]} vs ${n2[1]} ${n2[2]}`,
+                            reason: `Numerical conflict: ${describe(n1)} vs ${describe(n2)}`,
+                            quantities: [n1, n2].map(({ raw, value, unit, dimension, normalizedValue, normalizedUnit }) => ({
+                                raw, value, unit, dimension, normalizedValue, normalizedUnit,
+                            })),
                         };
                     }
                 }
@@ -192,9 +273,12 @@ function calculateSemanticDifference(text1, text2) {
 }
 
 module.exports = {
+    tokenizeTerms,
+    inverseDocumentFrequency,
     generateTfIdfEmbedding,
     cosineSimilarity,
     extractKeyStatements,
+    locateKeyStatements,
     detectStatementContradiction,
     calculateSemanticDifference,
 };
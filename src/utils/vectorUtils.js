@@ -34,13 +34,15 @@ function getGeminiClient() {
 /**
  * Get embedding for text based on configured provider
  * @param {string} text - Text to embed
+ * @param {Object} options - Embedding options
+ * @param {Object} options.corpus - Workspace corpus for IDF weighting (TF-IDF only)
  * @returns {Promise<Object|Array>} Embedding vector
  */
-async function getEmbedding(text) {
+async function getEmbedding(text, { corpus = null } = {}) {
     const provider = process.env.EMBEDDING_PROVIDER || 'tfidf';
 
     if (provider === 'tfidf') {
-        return generateTfIdfEmbedding(text);
+        return generateTfIdfEmbedding(text, corpus);
     }
 
     // Gemini embedding support
@@ -53,7 +55,7 @@ async function getEmbedding(text) {
             console.error('Gemini embedding error:', error.message);
             // Fallback to TF-IDF if Gemini fails
             console.log('Falling back to TF-IDF embeddings');
-            return generateTfIdfEmbedding(text);
+            return generateTfIdfEmbedding(text, corpus);
         }
     }
 
@@ -0,0 +1,106 @@
+/**
+ * ZIP Archive Utilities
+ *
+ * Opens ZIP archives and Office packages without trusting their
+ * compression ratio: the sizes declared in the central directory are
+ * checked before anything is inflated, and entries are inflated as a
+ * stream that stops once it passes its byte limit, since a crafted
+ * archive can declare less than it holds.
+ */
+
+const JSZip = require('jszip');
+
+// Most a package may inflate to in total (Office documents are packages too)
+const MAX_UNCOMPRESSED_SIZE = parseInt(process.env.ZIP_MAX_UNCOMPRESSED_SIZE, 10) || 200 * 1024 * 1024; // 200MB
+
+// Bytes each loaded archive may still inflate to
+const budgets = new WeakMap();
+
+function formatSize(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+/**
+ * Uncompressed size of an entry as declared in the central directory
+ * @param {Object} entry - JSZip entry
+ * @returns {number} Bytes (0 when unknown)
+ */
+function declaredSize(entry) {
+    return (entry._data && entry._data.uncompressedSize) || 0;
+}
+
+/**
+ * Load a ZIP archive, rejecting it when its entries declare more than maxTotalSize
+ * Entries read with readZipEntry() then share maxTotalSize as their budget.
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} options - Limits
+ * @param {number} options.maxTotalSize - Bytes all entries may inflate to (default: ZIP_MAX_UNCOMPRESSED_SIZE or 200MB)
+ * @returns {Promise<JSZip>}
+ */
+async function loadZip(buffer, { maxTotalSize = MAX_UNCOMPRESSED_SIZE } = {}) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const total = Object.values(zip.files).reduce((sum, entry) => sum + declaredSize(entry), 0);
+    if (total > maxTotalSize) {
+        throw new Error(`Archive expands to ${formatSize(total)}; at most ${formatSize(maxTotalSize)} is allowed`);
+    }
+
+    budgets.set(zip, maxTotalSize);
+    return zip;
+}
+
+/**
+ * Inflate an entry, failing as soon as it passes maxSize bytes
+ * @param {Object} entry - JSZip entry
+ * @param {number} maxSize - Most bytes the entry may inflate to
+ * @returns {Promise<Buffer>}
+ */
+function inflateEntry(entry, maxSize) {
+    const tooLarge = () => new Error(`${entry.name} expands past ${formatSize(maxSize)}`);
+
+    if (declaredSize(entry) > maxSize) {
+        return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = entry.nodeStream('nodebuffer');
+
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxSize) {
+                // Stop reading; the inflater pauses once the stream's buffer is full
+                stream.removeAllListeners('data');
+                stream.pause();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks, size)));
+    });
+}
+
+/**
+ * Inflate an entry of an archive from loadZip() within what is left of its budget
+ * @param {JSZip} zip - Archive from loadZip()
+ * @param {Object} entry - JSZip entry of the archive
+ * @param {number} maxSize - Most bytes this entry may inflate to (default: no limit beyond the budget)
+ * @returns {Promise<Buffer>}
+ */
+async function readZipEntry(zip, entry, maxSize = Infinity) {
+    const remaining = budgets.has(zip) ? budgets.get(zip) : MAX_UNCOMPRESSED_SIZE;
+    const buffer = await inflateEntry(entry, Math.min(maxSize, remaining));
+    budgets.set(zip, remaining - buffer.length);
+    return buffer;
+}
+
+module.exports = {
+    loadZip,
+    readZipEntry,
+    inflateEntry,
+    declaredSize,
+    MAX_UNCOMPRESSED_SIZE,
+};
@@ -0,0 +1,342 @@
+/**
+ * Bulk Ingestion Unit Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const {
+    runIngestionJob,
+    recoverIngestionJobs,
+    ingestArchive,
+    readArchive,
+    parseManifest,
+    inferDocumentType,
+    countResults,
+    detectArchiveFormat,
+} = require('../../src/services/bulkIngestion');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: { findAll: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+    IngestionJob: { create: jest.fn(), findByPk: jest.fn(), findAll: jest.fn() },
+}));
+jest.mock('../../src/services/documentTypes', () => ({
+    DEFAULT_DOCUMENT_TYPE: 'Notes',
+    getDocumentTypes: jest.fn(async () => ({
+        Notes: { name: 'Notes', displayName: 'Notes' },
+        Policy: { name: 'Policy', displayName: 'Policy' },
+        SOP: { name: 'SOP', displayName: 'SOP' },
+        Runbook: { name: 'Runbook', displayName: 'Operations Runbook' },
+    })),
+}));
+jest.mock('../../src/services/documentVersions', () => ({
+    createDocument: jest.fn(async params => ({ id: `doc-${params.title}`, title: params.title })),
+    createVersion: jest.fn(async () => ({ versionNumber: 4 })),
+}));
+
+const { Document, IngestionJob } = require('../../src/models');
+const { getDocumentTypes } = require('../../src/services/documentTypes');
+const { createDocument, createVersion } = require('../../src/services/documentVersions');
+
+async function buildArchive(files) {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) {
+        zip.file(name, content);
+    }
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function writeArchive(files) {
+    const archivePath = path.join(os.tmpdir(), `bulk-test-${Date.now()}-${Math.random().toString(36).slice(2)}.zip`);
+    fs.writeFileSync(archivePath, await buildArchive(files));
+    return archivePath;
+}
+
+function mockJob(values) {
+    const job = {
+        id: 'job-1',
+        workspaceId: 'ws-1',
+        author: 'importer',
+        format: 'auto',
+        archiveName: 'kb.zip',
+        ...values,
+        update: jest.fn(async changes => Object.assign(job, changes)),
+    };
+    return job;
+}
+
+describe('Bulk Ingestion Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Document.findAll.mockResolvedValue([]);
+    });
+
+    describe('parseManifest', () => {
+        it('should reject invalid manifests', () => {
+            expect(() => parseManifest('{')).toThrow('Invalid manifest.json');
+            expect(() => parseManifest('[]')).toThrow('expected an object');
+            expect(() => parseManifest('{"files": []}')).toThrow('"files" must be an object');
+        });
+    });
+
+    describe('inferDocumentType', () => {
+        const types = {
+            Notes: { name: 'Notes' },
+            Policy: { name: 'Policy' },
+            Runbook: { name: 'Runbook', displayName: 'Operations Runbook' },
+        };
+
+        it('should match folder names to workspace types', () => {
+            expect(inferDocumentType('Policies/leave.pdf', { types })).toBe('Policy');
+            expect(inferDocumentType('ops/operations-runbooks/deploy.md', { types })).toBe('Runbook');
+            expect(inferDocumentType('misc/leave.pdf', { types, fallback: 'Notes' })).toBe('Notes');
+        });
+
+        it('should prefer the manifest over folder names', () => {
+            const manifest = parseManifest(JSON.stringify({
+                type: 'Notes',
+                folders: { Handbook: 'Policy' },
+                files: { 'Policies/travel.md': { type: 'Runbook' } },
+            }));
+
+            expect(inferDocumentType('Policies/travel.md', { manifest, types })).toBe('Runbook');
+            expect(inferDocumentType('handbook/leave.md', { manifest, types })).toBe('Policy');
+            expect(inferDocumentType('other/faq.md', { manifest, types, fallback: 'Policy' })).toBe('Notes');
+        });
+    });
+
+    describe('detectArchiveFormat', () => {
+        it('should recognise Confluence and Notion exports', () => {
+            expect(detectArchiveFormat(['ENG/index.html', 'ENG/Onboarding_1001.html'])).toBe('confluence');
+            expect(detectArchiveFormat(['Handbook 0123456789abcdef0123456789abcdef.md'])).toBe('notion');
+            expect(detectArchiveFormat(['docs/guide.md', 'docs/index.html'])).toBe('files');
+        });
+    });
+
+    describe('readArchive', () => {
+        it('should skip folders and archive noise and resolve paths against the manifest', async () => {
+            const buffer = await buildArchive({
+                'kb/manifest.json': '{"type": "Policy"}',
+                'kb/guides/setup.md': 'Setup',
+                'kb/.DS_Store': 'x',
+                '__MACOSX/kb/._setup.md': 'x',
+            });
+
+            const { files, manifest } = await readArchive(buffer);
+
+            expect(files.map(f => f.path)).toEqual(['guides/setup.md']);
+            expect(manifest.type).toBe('Policy');
+        });
+
+        it('should reject data that is not a ZIP archive', async () => {
+            await expect(readArchive(Buffer.from('not a zip'))).rejects.toThrow('Could not read ZIP archive');
+        });
+    });
+
+    describe('ingestArchive', () => {
+        it('should create, update, skip and fail files with a report', async () => {
+            Document.findAll.mockResolvedValue([
+                { id: 'doc-leave', title: 'Leave', content: 'Old leave policy.' },
+                { id: 'doc-faq', title: 'FAQ', content: 'Same answer everywhere.' },
+            ]);
+            const existing = { id: 'doc-leave', title: 'Leave', type: 'Policy' };
+            Document.findByPk.mockResolvedValue(existing);
+            const buffer = await buildArchive({
+                'Policies/Travel.md': 'Travel must be approved by finance.',
+                'Policies/Leave.md': 'Leave must be requested two weeks ahead.',
+                'misc/faq-copy.txt': 'Same answer everywhere.',
+                'misc/logo.png': 'png',
+                'misc/blank.txt': '  ',
+                'SOPs/unknown.md': 'x',
+            });
+            const onProgress = jest.fn();
+
+            const results = await ingestArchive(buffer, {
+                workspaceId: 'ws-1',
+                author: 'importer',
+                archiveName: 'kb.zip',
+                onProgress,
+            });
+
+            expect(results.map(r => [r.file, r.status])).toEqual([
+                ['Policies/Travel.md', 'created'],
+                ['Policies/Leave.md', 'updated'],
+                ['misc/faq-copy.txt', 'skipped'],
+                ['misc/logo.png', 'skipped'],
+                ['misc/blank.txt', 'failed'],
+                ['SOPs/unknown.md', 'created'],
+            ]);
+            expect(createDocument).toHaveBeenCalledWith(expect.objectContaining({
+                workspaceId: 'ws-1',
+                title: 'Travel',
+                type: 'Policy',
+                author: 'importer',
+                content: 'Travel must be approved by finance.',
+            }));
+            expect(createVersion).toHaveBeenCalledWith(existing, 'Leave must be requested two weeks ahead.', expect.objectContaining({
+                changeNotes: 'Uploaded Policies/Leave.md from kb.zip',
+            }));
+            expect(results[1].versionNumber).toBe(4);
+            expect(results[2].reason).toBe('Duplicate of "FAQ"');
+            expect(results[5].type).toBe('SOP');
+            expect(onProgress).toHaveBeenCalledTimes(6);
+            expect(countResults(results)).toEqual({ created: 2, updated: 1, skipped: 2, failed: 1 });
+        });
+
+        it('should report manifest types unknown to the workspace', async () => {
+            const buffer = await buildArchive({
+                'manifest.json': '{"files": {"a.md": {"type": "Contract", "title": "Terms"}}}',
+                'a.md': 'Terms of service.',
+            });
+
+            const [result] = await ingestArchive(buffer, { workspaceId: 'ws-1', author: 'importer' });
+
+            expect(result).toEqual({
+                file: 'a.md',
+                status: 'failed',
+                reason: 'Unknown document type "Contract" for this workspace',
+            });
+            expect(getDocumentTypes).toHaveBeenCalledWith('ws-1');
+            expect(createDocument).not.toHaveBeenCalled();
+        });
+
+        it('should skip files repeated within the archive', async () => {
+            const buffer = await buildArchive({
+                'one.md': 'Shared text.',
+                'two.md': 'Shared text.',
+            });
+
+            const results = await ingestArchive(buffer, { workspaceId: 'ws-1', author: 'importer' });
+
+            expect(results.map(r => r.status)).toEqual(['created', 'skipped']);
+            expect(results[1].reason).toBe('Duplicate of "one"');
+        });
+
+        it('should fail files larger than the upload limit without inflating them', async () => {
+            const buffer = await buildArchive({
+                'huge.txt': '0'.repeat(11 * 1024 * 1024),
+                'small.md': 'Small file.',
+            });
+
+            const results = await ingestArchive(buffer, { workspaceId: 'ws-1', author: 'importer' });
+
+            expect(results.map(r => r.status)).toEqual(['failed', 'created']);
+            expect(results[0].reason).toBe('File exceeds the 10MB limit');
+        });
+
+        it('should import Confluence pages with their source, hierarchy and dates', async () => {
+            Document.findAll.mockResolvedValue([
+                { id: 'doc-policies', title: 'Policies', content: 'Two reviewers.', source: 'confluence', sourceId: '1003' },
+            ]);
+            const page = (title, crumbs, body) => `
+                <html><body>
+                    <ol id="breadcrumbs">${crumbs.map(c => `<li>${c}</li>`).join('')}</ol>
+                    <span id="title-text">ENG : ${title}</span>
+                    <div class="page-metadata">Created by Jane Doe, last modified by Bob Roe on Mar 03, 2023</div>
+                    <div id="main-content"><p>${body}</p></div>
+                </body></html>
+            `;
+            const buffer = await buildArchive({
+                'ENG/index.html': '<html><body>Space index</body></html>',
+                'ENG/Deploy-Policy_1002.html': page('Deploy Policy', ['ENG', 'Policies'], 'Deploys need approval.'),
+                'ENG/Policies_1003.html': page('Policies', ['ENG'], 'Two reviewers.'),
+                'ENG/styles/site.css': 'body {}',
+            });
+            const onStart = jest.fn();
+
+            const results = await ingestArchive(buffer, { workspaceId: 'ws-1', author: 'importer', onStart });
+
+            expect(onStart).toHaveBeenCalledWith(4, 'confluence');
+            expect(results.map(r => [r.file, r.status, r.reason])).toEqual([
+                ['ENG/index.html', 'skipped', 'Confluence space index'],
+                ['ENG/Deploy-Policy_1002.html', 'created', undefined],
+                ['ENG/Policies_1003.html', 'skipped', 'Unchanged since the last import'],
+                ['ENG/styles/site.css', 'skipped', 'Unsupported file type'],
+            ]);
+            expect(results[1]).toMatchObject({ type: 'Policy', sourcePath: 'ENG > Policies > Deploy Policy' });
+            expect(createDocument).toHaveBeenCalledWith(expect.objectContaining({
+                title: 'Deploy Policy',
+                author: 'Bob Roe',
+                content: 'Deploys need approval.',
+                fields: expect.objectContaining({ source: 'confluence', sourceId: '1002', sourceUpdatedAt: expect.any(Date) }),
+            }));
+            // The document ages from the source date; its own timestamps are left alone
+            expect(Document.update).not.toHaveBeenCalled();
+        });
+
+        it('should update pages imported before by source page ID', async () => {
+            Document.findAll.mockResolvedValue([
+                { id: 'doc-old', title: 'Old Title', content: 'Old text.', source: 'notion', sourceId: 'abcdefabcdefabcdefabcdefabcdefab' },
+            ]);
+            const existing = { id: 'doc-old', title: 'Old Title', type: 'Notes' };
+            Document.findByPk.mockResolvedValue(existing);
+            const buffer = await buildArchive({
+                'Renamed abcdefabcdefabcdefabcdefabcdefab.md': '# Renamed\n\nNew text.',
+            });
+
+            const [result] = await ingestArchive(buffer, { workspaceId: 'ws-1', author: 'importer' });
+
+            expect(result).toMatchObject({ status: 'updated', title: 'Renamed' });
+            expect(createVersion).toHaveBeenCalledWith(existing, '# Renamed\n\nNew text.', expect.objectContaining({
+                fields: expect.objectContaining({ title: 'Renamed', sourcePath: 'Renamed' }),
+            }));
+            expect(createDocument).not.toHaveBeenCalled();
+        });
+
+        it('should import an export as plain files when asked to', async () => {
+            const buffer = await buildArchive({
+                'ENG/index.html': '<html><body><p>Space index</p></body></html>',
+                'ENG/Onboarding_1001.html': '<html><body><p>Start here.</p></body></html>',
+            });
+
+            const results = await ingestArchive(buffer, { workspaceId: 'ws-1', author: 'importer', format: 'files' });
+
+            expect(results.map(r => [r.title, r.status])).toEqual([
+                ['index', 'created'],
+                ['Onboarding_1001', 'created'],
+            ]);
+            expect(createDocument.mock.calls[1][0].fields).not.toHaveProperty('source');
+        });
+    });
+
+    describe('runIngestionJob', () => {
+        it('should record counts after each file and the report once finished', async () => {
+            const archivePath = await writeArchive({ 'a.md': 'First.', 'b.md': 'Second.' });
+            const job = mockJob({ archivePath });
+            IngestionJob.findByPk.mockResolvedValue(job);
+
+            await runIngestionJob('job-1');
+
+            const updates = job.update.mock.calls.map(([changes]) => changes);
+            const progress = updates.filter(changes => changes.processedFiles !== undefined && !changes.status);
+            expect(progress).toEqual([
+                { processedFiles: 1, created: 1, updated: 0, skipped: 0, failed: 0 },
+                { processedFiles: 2, created: 2, updated: 0, skipped: 0, failed: 0 },
+            ]);
+            expect(job).toMatchObject({ status: 'completed', processedFiles: 2, archivePath: null });
+            expect(job.results.map(r => r.file)).toEqual(['a.md', 'b.md']);
+            expect(fs.existsSync(archivePath)).toBe(false);
+        });
+    });
+
+    describe('recoverIngestionJobs', () => {
+        it('should fail interrupted jobs and delete their archives', async () => {
+            const archivePath = await writeArchive({ 'a.md': 'First.' });
+            const queued = mockJob({ status: 'queued', archivePath });
+            const running = mockJob({ id: 'job-2', status: 'running', archivePath: null });
+            IngestionJob.findAll.mockResolvedValue([queued, running]);
+
+            const count = await recoverIngestionJobs();
+
+            expect(count).toBe(2);
+            expect(IngestionJob.findAll).toHaveBeenCalledWith({ where: { status: ['queued', 'running'] } });
+            for (const job of [queued, running]) {
+                expect(job).toMatchObject({ status: 'failed', archivePath: null });
+                expect(job.errorMessage).toMatch(/server restart/);
+            }
+            expect(fs.existsSync(archivePath)).toBe(false);
+        });
+    });
+});
@@ -127,6 +127,27 @@ describe('ConfidenceScorer', () => {
             const result3 = calculateConfidence({ supportingDocsCount: 3 });
             expect(result3.breakdown.support_penalty).toBe(0);
         });
+
+        it('should use policy penalty caps when given', () => {
+            const result = calculateConfidence({
+                agePenalty: 0.5,
+                supportingDocsCount: 3,
+                penaltyCaps: { age: 0.45 },
+            });
+
+            expect(result.breakdown.age_penalty).toBe(0.45);
+            expect(result.confidence).toBe(0.55);
+        });
+
+        it('should cap the content staleness penalty', () => {
+            const result = calculateConfidence({
+                contentStalenessPenalty: 0.9,
+                supportingDocsCount: 3,
+            });
+
+            expect(result.breakdown.content_staleness_penalty).toBe(0.2);
+            expect(result.confidence).toBe(0.8);
+        });
     });
 
     describe('determineRiskLevel', () => {
@@ -140,6 +161,11 @@ describe('ConfidenceScorer', () => {
             expect(risk).toBe('high');
         });
 
+        it('should return high risk for expired documents', () => {
+            const risk = determineRiskLevel(0.9, { freshnessStatus: 'expired' });
+            expect(risk).toBe('high');
+        });
+
         it('should return medium risk for significant drift', () => {
             const risk = determineRiskLevel(0.7, { hasSignificantDrift: true });
             expect(risk).toBe('medium');
@@ -158,6 +184,12 @@ describe('ConfidenceScorer', () => {
             });
             expect(risk).toBe('low');
         });
+
+        it('should use policy risk cutoffs when given', () => {
+            expect(determineRiskLevel(0.45, {}, { high: 0.5, medium: 0.8 })).toBe('high');
+            expect(determineRiskLevel(0.75, {}, { high: 0.5, medium: 0.8 })).toBe('medium');
+            expect(determineRiskLevel(0.75, {})).toBe('low');
+        });
     });
 
     describe('shouldFlagDecay', () => {
@@ -173,5 +205,13 @@ describe('ConfidenceScorer', () => {
         it('should not flag decay for perfect document', () => {
             expect(shouldFlagDecay(1.0, 'low')).toBe(false);
         });
+
+        it('should use the policy flag rule when given', () => {
+            const rule = { belowConfidence: 0.8, riskLevels: ['high'] };
+
+            expect(shouldFlagDecay(0.9, 'medium', rule)).toBe(false);
+            expect(shouldFlagDecay(0.7, 'low', rule)).toBe(true);
+            expect(shouldFlagDecay(0.9, 'high', rule)).toBe(true);
+        });
     });
 });
@@ -0,0 +1,95 @@
+/**
+ * Confluence Importer Unit Tests
+ */
+
+const { isExport, describePage, parsePageMetadata } = require('../../src/services/confluenceImporter');
+
+function page({ space = 'Engineering', crumbs = ['Engineering'], title, metadata = '' }) {
+    return `
+        <html><head><title>${space} : ${title}</title></head><body>
+            <div id="breadcrumb-section"><ol id="breadcrumbs">
+                ${crumbs.map(c => `<li><a href="#">${c}</a></li>`).join('')}
+            </ol></div>
+            <h1 id="title-heading"><span id="title-text">${space} : ${title}</span></h1>
+            <div class="page-metadata">${metadata}</div>
+            <div id="main-content" class="wiki-content"><p>Body</p></div>
+        </body></html>
+    `;
+}
+
+describe('Confluence Importer', () => {
+    describe('isExport', () => {
+        it('should recognise space exports', () => {
+            expect(isExport(['ENG/index.html', 'ENG/Onboarding_1001.html', 'ENG/styles/site.css'])).toBe(true);
+            expect(isExport(['index.html', '1001.html'])).toBe(true);
+        });
+
+        it('should not match plain HTML archives', () => {
+            expect(isExport(['index.html', 'about.html'])).toBe(false);
+            expect(isExport(['docs/guide.md'])).toBe(false);
+        });
+    });
+
+    describe('parsePageMetadata', () => {
+        it('should read authors and the last-modified date', () => {
+            const metadata = parsePageMetadata('Created by Jane Doe, last modified by Bob Roe on Mar 03, 2023');
+
+            expect(metadata.createdBy).toBe('Jane Doe');
+            expect(metadata.modifiedBy).toBe('Bob Roe');
+            expect(metadata.lastModified.getFullYear()).toBe(2023);
+            expect(metadata.lastModified.getMonth()).toBe(2);
+            expect(metadata.lastModified.getDate()).toBe(3);
+        });
+
+        it('should handle pages that were never modified', () => {
+            const metadata = parsePageMetadata('Created by Jane Doe on Jan 10, 2022');
+
+            expect(metadata.createdBy).toBe('Jane Doe');
+            expect(metadata.modifiedBy).toBeNull();
+            expect(metadata.lastModified.getFullYear()).toBe(2022);
+        });
+
+        it('should return null for unreadable dates', () => {
+            expect(parsePageMetadata('Created by Jane Doe on someday').lastModified).toBeNull();
+        });
+    });
+
+    describe('describePage', () => {
+        it('should describe a page from its title, breadcrumbs and metadata', () => {
+            const html = page({
+                title: 'Laptop Setup',
+                crumbs: ['Engineering', 'Onboarding'],
+                metadata: 'Created by Jane Doe, last modified by Bob Roe on Mar 03, 2023',
+            });
+
+            const result = describePage('ENG/Laptop-Setup_1002.html', html);
+
+            expect(result).toMatchObject({
+                source: 'confluence',
+                sourceId: '1002',
+                title: 'Laptop Setup',
+                hierarchy: ['Engineering', 'Onboarding'],
+                sourcePath: 'Engineering > Onboarding > Laptop Setup',
+                author: 'Bob Roe',
+            });
+            expect(result.lastModified).toBeInstanceOf(Date);
+        });
+
+        it('should skip the space index and attachments', () => {
+            expect(describePage('ENG/index.html', '<html></html>')).toEqual({ skip: 'Confluence space index' });
+            expect(describePage('ENG/attachments/1002/diagram.png', '')).toEqual({ skip: 'Confluence attachment' });
+        });
+
+        it('should leave other files to the regular parsers', () => {
+            expect(describePage('ENG/styles/site.css', 'body {}')).toBeNull();
+        });
+
+        it('should fall back to the file name for the title', () => {
+            const result = describePage('ENG/Release-Notes_1005.html', '<html><body><p>x</p></body></html>');
+
+            expect(result.title).toBe('Release Notes');
+            expect(result.sourceId).toBe('1005');
+            expect(result.author).toBeNull();
+        });
+    });
+});
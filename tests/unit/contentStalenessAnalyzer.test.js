@@ -0,0 +1,84 @@
+/**
+ * Content Staleness Analyzer Unit Tests
+ */
+
+const {
+    analyzeContentStaleness,
+    extractTemporalReferences,
+    extractEndOfLifeVersions,
+} = require('../../src/services/contentStalenessAnalyzer');
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+describe('ContentStalenessAnalyzer', () => {
+    describe('extractTemporalReferences', () => {
+        it('should extract dates, quarters and fiscal years', () => {
+            const refs = extractTemporalReferences(
+                'Launched 2024-03-01, reviewed March 5, 2024, planned for Q3 2024 and FY2023.'
+            );
+
+            expect(refs.map(r => r.kind)).toEqual(['date', 'date', 'quarter', 'fiscal_year']);
+            expect(refs[2].date.toISOString().slice(0, 10)).toBe('2024-09-30');
+            expect(refs[3].date.toISOString().slice(0, 10)).toBe('2023-12-31');
+        });
+
+        it('should only treat bare years as references in a deadline phrase', () => {
+            expect(extractTemporalReferences('Founded in 2019 by the platform team.')).toEqual([]);
+
+            const refs = extractTemporalReferences('This policy is valid through 2023.');
+            expect(refs).toHaveLength(1);
+            expect(refs[0]).toMatchObject({ kind: 'year', text: '2023', isDeadline: true });
+        });
+
+        it('should place quarters and fiscal years on the fiscal calendar', () => {
+            const refs = extractTemporalReferences('Targets for Q1 FY2024 and FY2024.', { fiscalYearEndMonth: 6 });
+
+            expect(refs[0].date.toISOString().slice(0, 10)).toBe('2023-09-30');
+            expect(refs[1].date.toISOString().slice(0, 10)).toBe('2024-06-30');
+        });
+    });
+
+    describe('extractEndOfLifeVersions', () => {
+        it('should report versions past their end of life', () => {
+            const mentions = extractEndOfLifeVersions('Requires Node 14 and Python 3.12 on Ubuntu 18.04.', NOW);
+
+            expect(mentions.map(m => `${m.product} ${m.version}`)).toEqual(['Node.js 14', 'Ubuntu 18.04']);
+        });
+    });
+
+    describe('analyzeContentStaleness', () => {
+        it('should return no findings for current content', () => {
+            const result = analyzeContentStaleness('Deploy with Node 22. Next review due December 2025.', { now: NOW });
+
+            expect(result.findings).toEqual([]);
+            expect(result.penalty).toBe(0);
+            expect(result.decayReason).toBeNull();
+        });
+
+        it('should flag past deadlines, end-of-life versions and old references', () => {
+            const result = analyzeContentStaleness(
+                'Valid through 2023. Requires Node 14. Figures from Q1 2022.',
+                { now: NOW }
+            );
+
+            expect(result.findings.map(f => f.type)).toEqual(['past_deadline', 'outdated_reference', 'end_of_life']);
+            expect(result.penalty).toBeCloseTo(0.23, 5);
+            expect(result.decayReason.type).toBe('content_staleness');
+            expect(result.decayReason.findings[0]).toEqual({ type: 'past_deadline', text: '2023', date: '2023-12-31' });
+        });
+
+        it('should not flag recent mentions inside the horizon', () => {
+            expect(analyzeContentStaleness('Released in March 2025.', { now: NOW }).findings).toEqual([]);
+
+            const result = analyzeContentStaleness('Released in March 2025.', { now: NOW, horizonDays: 30 });
+            expect(result.findings).toHaveLength(1);
+            expect(result.findings[0].type).toBe('outdated_reference');
+        });
+
+        it('should report each reference once', () => {
+            const result = analyzeContentStaleness('Expires 2024-01-31. Reminder: expires 2024-01-31.', { now: NOW });
+
+            expect(result.findings).toHaveLength(1);
+        });
+    });
+});
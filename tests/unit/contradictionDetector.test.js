@@ -6,6 +6,8 @@ const {
     detectContradictions,
     findRelatedDocuments,
     isMoreAuthoritative,
+    contradictionPairKey,
+    statementPairHash,
 } = require('../../src/services/contradictionDetector');
 
 describe('ContradictionDetector', () => {
@@ -66,6 +68,31 @@ describe('ContradictionDetector', () => {
             expect(result).toHaveProperty('penalty');
         });
 
+        it('should skip deprecated, archived and superseded documents', () => {
+            const document = {
+                id: 'doc-1',
+                content: 'Deployments must complete within 5 minutes.',
+                updatedAt: new Date('2024-01-01'),
+            };
+            const newer = {
+                content: 'Deployments must complete within 15 minutes.',
+                updatedAt: new Date('2024-06-01'),
+            };
+
+            const result = detectContradictions(document, [
+                { ...newer, id: 'doc-2', lifecycleState: 'deprecated' },
+                { ...newer, id: 'doc-3', lifecycleState: 'archived' },
+                { ...newer, id: 'doc-4', lifecycleState: 'active', supersededBy: 'doc-5' },
+            ]);
+            expect(result.hasContradictions).toBe(false);
+
+            const retiredResult = detectContradictions(
+                { ...document, lifecycleState: 'archived' },
+                [{ ...newer, id: 'doc-2', lifecycleState: 'active' }]
+            );
+            expect(retiredResult.hasContradictions).toBe(false);
+        });
+
         it('should include source document IDs in decay reasons', () => {
             const document = {
                 id: 'doc-1',
@@ -110,6 +137,113 @@ describe('ContradictionDetector', () => {
             const result = detectContradictions(document, relatedDocs);
             expect(result.penalty).toBeLessThanOrEqual(0.4);
         });
+
+        it('should attach a pair key and skip suppressed pairs', () => {
+            const document = {
+                id: 'doc-1',
+                content: 'Deployments must complete within 5 minutes.',
+                updatedAt: new Date('2024-01-01'),
+            };
+
+            const relatedDocs = [{
+                id: 'doc-2',
+                title: 'New Deployment Guide',
+                content: 'Deployments must complete within 15 minutes.',
+                updatedAt: new Date('2024-06-01'),
+            }];
+
+            const first = detectContradictions(document, relatedDocs);
+            expect(first.contradictions[0].pairKey).toBeTruthy();
+
+            const suppressed = detectContradictions(document, relatedDocs, {
+                suppressedPairs: new Set([first.contradictions[0].pairKey]),
+            });
+            expect(suppressed.hasContradictions).toBe(false);
+            expect(suppressed.penalty).toBe(0);
+        });
+
+        it('should prefer model verdicts over the rule-based detector', () => {
+            const document = {
+                id: 'doc-1',
+                content: 'Expense reports must be approved by the CFO.',
+                updatedAt: new Date('2024-01-01'),
+            };
+            const relatedDocs = [{
+                id: 'doc-2',
+                title: 'Finance Handbook',
+                content: 'Expense reports must be approved by the finance lead.',
+                updatedAt: new Date('2024-06-01'),
+            }];
+
+            expect(detectContradictions(document, relatedDocs).hasContradictions).toBe(false);
+
+            const hash = statementPairHash(
+                'Expense reports must be approved by the CFO',
+                'Expense reports must be approved by the finance lead'
+            );
+            const verdicts = new Map([[hash, {
+                verdict: 'contradict',
+                confidence: 0.9,
+                rationale: 'Different approvers are required',
+                provider: 'gemini',
+            }]]);
+
+            const result = detectContradictions(document, relatedDocs, { verdicts });
+
+            expect(result.contradictions).toHaveLength(1);
+            expect(result.contradictions[0]).toMatchObject({
+                severity: 'high',
+                reason: 'Different approvers are required',
+                detectedBy: 'gemini',
+            });
+        });
+
+        it('should let a neutral verdict override a rule-based match', () => {
+            const document = {
+                id: 'doc-1',
+                content: 'Deployments must complete within 5 minutes.',
+                updatedAt: new Date('2024-01-01'),
+            };
+            const relatedDocs = [{
+                id: 'doc-2',
+                title: 'New Deployment Guide',
+                content: 'Deployments must complete within 15 minutes.',
+                updatedAt: new Date('2024-06-01'),
+            }];
+            const hash = statementPairHash(
+                'Deployments must complete within 5 minutes',
+                'Deployments must complete within 15 minutes'
+            );
+
+            const result = detectContradictions(document, relatedDocs, {
+                verdicts: new Map([[hash, { verdict: 'neutral', confidence: 0.7, provider: 'gemini' }]]),
+            });
+
+            expect(result.hasContradictions).toBe(false);
+        });
+    });
+
+    describe('statementPairHash', () => {
+        it('should not depend on order, case or document', () => {
+            expect(statementPairHash('Use 5 minutes.', 'Use 15  minutes.'))
+                .toBe(statementPairHash('use 15 minutes.', 'USE 5 minutes.'));
+        });
+    });
+
+    describe('contradictionPairKey', () => {
+        it('should not depend on which side was analyzed', () => {
+            const a = contradictionPairKey('doc-1', 'Use 5 minutes.', 'doc-2', 'Use 15 minutes.');
+            const b = contradictionPairKey('doc-2', 'Use 15 minutes.', 'doc-1', 'Use 5 minutes.');
+
+            expect(a).toBe(b);
+        });
+
+        it('should ignore case and whitespace differences', () => {
+            const a = contradictionPairKey('doc-1', 'Use  5 minutes.', 'doc-2', 'Use 15 minutes.');
+            const b = contradictionPairKey('doc-1', 'use 5 minutes.', 'doc-2', 'USE 15 minutes.');
+
+            expect(a).toBe(b);
+        });
     });
 
     describe('isMoreAuthoritative', () => {
@@ -127,6 +261,13 @@ describe('ContradictionDetector', () => {
 
             expect(isMoreAuthoritative(policy, guide)).toBe(true);
         });
+
+        it('should use workspace ranks for custom types', () => {
+            const ranks = { SOP: 5, Contract: 6, Notes: 1 };
+
+            expect(isMoreAuthoritative({ type: 'Contract' }, { type: 'SOP' }, ranks)).toBe(true);
+            expect(isMoreAuthoritative({ type: 'Contract' }, { type: 'SOP' })).toBe(false);
+        });
     });
 
     describe('findRelatedDocuments', () => {
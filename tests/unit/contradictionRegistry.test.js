@@ -0,0 +1,115 @@
+/**
+ * Contradiction Registry Unit Tests
+ */
+
+const {
+    getSuppressedPairKeys,
+    recordContradictions,
+} = require('../../src/services/contradictionRegistry');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Contradiction: {
+        findAll: jest.fn(),
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+const { Contradiction } = require('../../src/models');
+
+const detected = {
+    pairKey: 'key-1',
+    thisDocument: { statement: 'Approval by the CFO is required', documentId: 'doc-1' },
+    conflictsWith: { statement: 'Approval by the CFO is not required', documentId: 'doc-2', documentTitle: 'Policy' },
+    severity: 'high',
+    reason: 'Contradicting requirements detected',
+};
+
+function mockRecord(values) {
+    const record = {
+        ...values,
+        update: jest.fn(async (updates) => Object.assign(record, updates)),
+    };
+    return record;
+}
+
+describe('Contradiction Registry Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Contradiction.create.mockImplementation(async values => values);
+    });
+
+    describe('getSuppressedPairKeys', () => {
+        it('should return false-positive pair keys for the workspace', async () => {
+            Contradiction.findAll.mockResolvedValue([{ pairKey: 'a' }, { pairKey: 'b' }]);
+
+            const keys = await getSuppressedPairKeys('ws-001');
+
+            expect(Contradiction.findAll.mock.calls[0][0].where).toEqual({
+                workspaceId: 'ws-001',
+                status: 'false_positive',
+            });
+            expect(keys).toEqual(new Set(['a', 'b']));
+        });
+    });
+
+    describe('recordContradictions', () => {
+        it('should create a record for a new pair', async () => {
+            Contradiction.findOne.mockResolvedValue(null);
+
+            const [record] = await recordContradictions('ws-001', [detected]);
+
+            expect(record).toMatchObject({
+                workspaceId: 'ws-001',
+                pairKey: 'key-1',
+                documentId: 'doc-1',
+                conflictingDocumentId: 'doc-2',
+                conflictingStatement: 'Approval by the CFO is not required',
+                severity: 'high',
+            });
+        });
+
+        it('should store raw and normalized values of numerical conflicts', async () => {
+            Contradiction.findOne.mockResolvedValue(null);
+            const quantities = [
+                { raw: '$500', value: 500, unit: 'USD', dimension: 'currency', normalizedValue: 500, normalizedUnit: 'USD' },
+                { raw: '$1,000', value: 1000, unit: 'USD', dimension: 'currency', normalizedValue: 1000, normalizedUnit: 'USD' },
+            ];
+
+            const [record] = await recordContradictions('ws-001', [{ ...detected, quantities }]);
+
+            expect(record.quantities).toEqual(quantities);
+        });
+
+        it('should deduplicate a pair seen before', async () => {
+            const existing = mockRecord({ pairKey: 'key-1', status: 'open', occurrences: 2 });
+            Contradiction.findOne.mockResolvedValue(existing);
+
+            await recordContradictions('ws-001', [detected]);
+
+            expect(Contradiction.create).not.toHaveBeenCalled();
+            expect(existing.occurrences).toBe(3);
+            expect(existing.status).toBe('open');
+        });
+
+        it('should reopen a pair resolved by editing that reappears', async () => {
+            const existing = mockRecord({ pairKey: 'key-1', status: 'resolved_by_editing', occurrences: 1, resolvedBy: 'amy' });
+            Contradiction.findOne.mockResolvedValue(existing);
+
+            await recordContradictions('ws-001', [detected]);
+
+            expect(existing.status).toBe('open');
+            expect(existing.resolvedBy).toBeNull();
+        });
+
+        it('should keep accepted pairs accepted', async () => {
+            const existing = mockRecord({ pairKey: 'key-1', status: 'accepted_as_intended', occurrences: 1 });
+            Contradiction.findOne.mockResolvedValue(existing);
+
+            await recordContradictions('ws-001', [detected]);
+
+            expect(existing.status).toBe('accepted_as_intended');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Cron Utilities Unit Tests
+ */
+
+const { parseCron, isValidCron, getNextRun } = require('../../src/utils/cron');
+
+describe('Cron Utilities', () => {
+    describe('parseCron', () => {
+        it('should expand lists, ranges and steps', () => {
+            const parsed = parseCron('0,30 8-18/5 * * 1-5');
+
+            expect([...parsed.minute]).toEqual([0, 30]);
+            expect([...parsed.hour]).toEqual([8, 13, 18]);
+            expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+            expect(parsed.dayOfMonth.size).toBe(31);
+        });
+
+        it('should expand macros', () => {
+            const parsed = parseCron('@daily');
+
+            expect([...parsed.minute]).toEqual([0]);
+            expect([...parsed.hour]).toEqual([0]);
+        });
+
+        it('should treat 7 as Sunday', () => {
+            expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+        });
+
+        it('should reject malformed expressions', () => {
+            expect(() => parseCron('* * * *')).toThrow('5 fields');
+            expect(() => parseCron('60 * * * *')).toThrow('minute');
+            expect(() => parseCron('* * * 0 *')).toThrow('month');
+            expect(() => parseCron('*/0 * * * *')).toThrow();
+            expect(() => parseCron('')).toThrow('required');
+        });
+    });
+
+    describe('isValidCron', () => {
+        it('should validate without throwing', () => {
+            expect(isValidCron('*/15 * * * *')).toBe(true);
+            expect(isValidCron('every day')).toBe(false);
+        });
+
+        it('should reject schedules whose days never occur', () => {
+            expect(isValidCron('0 0 30 2 *')).toBe(false);
+            expect(isValidCron('0 0 31 4,6,9,11 *')).toBe(false);
+            expect(isValidCron('0 0 31 2,3 *')).toBe(true);
+            expect(isValidCron('0 0 29 2 *')).toBe(true);
+            // Either day field may match, so the weekday keeps it firing
+            expect(isValidCron('0 0 30 2 1')).toBe(true);
+        });
+    });
+
+    describe('getNextRun', () => {
+        it('should return the next matching minute strictly after the reference', () => {
+            const from = new Date('2024-03-10T02:00:00Z');
+
+            expect(getNextRun('0 2 * * *', from).toISOString()).toBe('2024-03-11T02:00:00.000Z');
+            expect(getNextRun('*/15 * * * *', from).toISOString()).toBe('2024-03-10T02:15:00.000Z');
+        });
+
+        it('should honour day-of-week', () => {
+            // 2024-03-10 is a Sunday
+            const next = getNextRun('30 9 * * 1-5', new Date('2024-03-10T12:00:00Z'));
+
+            expect(next.toISOString()).toBe('2024-03-11T09:30:00.000Z');
+        });
+
+        it('should match either day field when both are restricted', () => {
+            // 1st of the month or any Friday; 2024-03-15 is a Friday
+            const next = getNextRun('0 0 1 * 5', new Date('2024-03-10T00:00:00Z'));
+
+            expect(next.toISOString()).toBe('2024-03-15T00:00:00.000Z');
+        });
+
+        it('should roll over months and years', () => {
+            const next = getNextRun('0 0 29 2 *', new Date('2024-03-01T00:00:00Z'));
+
+            expect(next.toISOString()).toBe('2028-02-29T00:00:00.000Z');
+        });
+    });
+});
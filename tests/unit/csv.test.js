@@ -0,0 +1,35 @@
+/**
+ * CSV Utilities Unit Tests
+ */
+
+const { parseCsv, detectDelimiter } = require('../../src/utils/csv');
+
+describe('CSV Utilities', () => {
+    describe('detectDelimiter', () => {
+        it('should pick the most frequent delimiter outside quotes', () => {
+            expect(detectDelimiter('a,b,c\n1,2,3')).toBe(',');
+            expect(detectDelimiter('a;b;"c,d,e"\n1;2;3')).toBe(';');
+            expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('should parse quoted fields with delimiters, quotes and line breaks', () => {
+            const rows = parseCsv('name,note\r\n"Doe, Jane","Said ""hi""\nthen left"\r\nBob,\n');
+
+            expect(rows).toEqual([
+                ['name', 'note'],
+                ['Doe, Jane', 'Said "hi"\nthen left'],
+                ['Bob', ''],
+            ]);
+        });
+
+        it('should strip a byte order mark and keep a last line without newline', () => {
+            expect(parseCsv('\uFEFFa,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+        });
+
+        it('should use a given delimiter', () => {
+            expect(parseCsv('a;b,c', { delimiter: ';' })).toEqual([['a', 'b,c']]);
+        });
+    });
+});
@@ -2,7 +2,9 @@
  * Decay Engine Integration Tests
  */
 
-const { analyzeDocument, batchAnalyze } = require('../../src/services/decayEngine');
+const { analyzeDocument, batchAnalyze, computeInputFingerprint } = require('../../src/services/decayEngine');
+const { statementPairHash } = require('../../src/services/contradictionDetector');
+const { renderSheets } = require('../../src/services/spreadsheetParser');
 
 describe('DecayEngine', () => {
     describe('analyzeDocument', () => {
@@ -152,6 +154,302 @@ describe('DecayEngine', () => {
         });
     });
 
+    describe('expiry', () => {
+        it('should flag expired documents with a renewal recommendation', async () => {
+            const document = {
+                id: 'expired-doc',
+                title: 'Travel Policy FY24',
+                type: 'Policy',
+                content: 'Travel must be booked through the portal.',
+                currentVersion: 1,
+                updatedAt: new Date(),
+                expiresAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            };
+
+            const result = await analyzeDocument({ document });
+
+            expect(result.decay_detected).toBe(true);
+            expect(result.risk_level).toBe('high');
+            expect(result.decay_reasons.map(r => r.type)).toContain('expired');
+            expect(result.update_recommendations[0].section).toBe('Expiry Date Passed');
+            expect(result.what_changed_summary).toContain('expiry date');
+        });
+    });
+
+    describe('content staleness', () => {
+        it('should flag stale deadlines in recently edited documents', async () => {
+            const document = {
+                id: 'stale-content-doc',
+                title: 'Build Setup',
+                type: 'Guide',
+                content: 'This setup is valid through 2019. Install Node 8 before running the build.',
+                currentVersion: 1,
+                updatedAt: new Date(),
+            };
+
+            const result = await analyzeDocument({ document });
+            const reason = result.decay_reasons.find(r => r.type === 'content_staleness');
+
+            expect(result.decay_detected).toBe(true);
+            expect(reason.findings.map(f => f.type)).toEqual(['past_deadline', 'end_of_life']);
+            expect(result._internal.confidence_breakdown.content_staleness_penalty).toBeCloseTo(0.18, 5);
+            expect(result.update_recommendations.map(r => r.section)).toContain('Outdated References');
+            expect(result.what_changed_summary).toContain('no longer current');
+        });
+    });
+
+    describe('sections', () => {
+        const stale = 'This setup is valid through 2019. Install Node 8 before running the build.';
+        const current = 'Run the build with npm run build and publish the artifacts to the shared bucket. '.repeat(3);
+
+        it('should score sections and name them in recommendations', async () => {
+            const document = {
+                id: 'sectioned-doc',
+                title: 'Build Guide',
+                type: 'Guide',
+                content: `# Setup\n${stale}\n# Building\n${current}`,
+                currentVersion: 1,
+                updatedAt: new Date(),
+            };
+
+            const result = await analyzeDocument({ document });
+            const [setup, building] = result.section_scores;
+
+            expect(result.section_scores.map(s => s.section)).toEqual(['Setup', 'Building']);
+            expect(setup.confidence_score).toBeLessThan(1);
+            expect(setup.outdated_items).toBe(2);
+            expect(building.confidence_score).toBe(1);
+            expect(result.decay_reasons.find(r => r.type === 'content_staleness').section).toBe('Setup');
+            expect(result.update_recommendations.map(r => r.section)).toContain('Setup');
+        });
+
+        it('should only charge a stale section its share of the document', async () => {
+            const unsectioned = await analyzeDocument({
+                document: { id: 'flat-doc', title: 'Build Guide', type: 'Guide', content: `${stale} ${current}`, currentVersion: 1, updatedAt: new Date() },
+            });
+            const sectioned = await analyzeDocument({
+                document: { id: 'sectioned-doc', title: 'Build Guide', type: 'Guide', content: `# Setup\n${stale}\n# Building\n${current}`, currentVersion: 1, updatedAt: new Date() },
+            });
+
+            expect(unsectioned.section_scores).toEqual([]);
+            expect(sectioned._internal.confidence_breakdown.content_staleness_penalty)
+                .toBeLessThan(unsectioned._internal.confidence_breakdown.content_staleness_penalty);
+            expect(sectioned.confidence_score).toBeGreaterThan(unsectioned.confidence_score);
+        });
+
+        it('should report drift for the sections that changed', async () => {
+            const document = {
+                id: 'drift-doc',
+                title: 'Build Guide',
+                type: 'Guide',
+                content: `# Setup\nClone the repository and copy the example environment file.\n# Building\n${current}`,
+                currentVersion: 2,
+                updatedAt: new Date(),
+            };
+            const versions = [{
+                versionNumber: 1,
+                content: '# Setup\nOrder a laptop from procurement and wait for the security team to approve access.\n' +
+                    `# Building\n${current}`,
+            }];
+
+            const result = await analyzeDocument({ document, versions });
+            const drift = result.decay_reasons.filter(r => r.type === 'version_drift');
+
+            expect(drift.map(r => r.section)).toEqual(['Setup']);
+            expect(result.section_scores[1].drift_score).toBe(0);
+        });
+
+        it('should charge spreadsheet contradictions to the sheet they are on', async () => {
+            const { content } = renderSheets([
+                { name: 'Plans', rows: [['Plan', 'Seats', 'Price ($/month)'], ['Basic', '5', '10'], ['Team', '25', '40']] },
+                { name: 'Support', rows: [['Plan', 'Response time (hours)'], ['Basic', '48'], ['Team', '8']] },
+            ]);
+            const document = {
+                id: 'pricing-sheet',
+                title: 'Pricing',
+                type: 'Spec',
+                content,
+                currentVersion: 1,
+                updatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            };
+            const relatedDocs = [{
+                id: 'pricing-guide',
+                title: 'Pricing Guide',
+                type: 'Guide',
+                content: 'The Basic plan includes 10 seats.',
+                currentVersion: 1,
+                updatedAt: new Date(),
+            }];
+
+            const alone = await analyzeDocument({ document });
+            const result = await analyzeDocument({ document, relatedDocs });
+            const contradiction = result.decay_reasons.find(r => r.type === 'contradiction');
+
+            expect(contradiction.section).toBe('Plans');
+            expect(result._internal.confidence_breakdown.contradiction_penalty).toBeGreaterThan(0);
+            expect(result.confidence_score).toBeLessThan(alone.confidence_score);
+            expect(result.section_scores.find(s => s.section === 'Plans').confidence_score).toBeLessThan(1);
+        });
+    });
+
+    describe('upstream changes', () => {
+        it('should flag dependents of an upstream document that changed after verification', async () => {
+            const verifiedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+            const document = {
+                id: 'sop-doc',
+                title: 'Account Reset SOP',
+                type: 'SOP',
+                content: 'Reset accounts according to the Password Policy.',
+                currentVersion: 1,
+                updatedAt: verifiedAt,
+                lastVerifiedAt: verifiedAt,
+            };
+            const upstreamDocs = [{
+                id: 'policy-doc',
+                title: 'Password Policy',
+                currentVersion: 2,
+                versions: [
+                    { versionNumber: 1, createdAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
+                    { versionNumber: 2, createdAt: new Date() },
+                ],
+            }];
+
+            const result = await analyzeDocument({ document, upstreamDocs });
+            const reason = result.decay_reasons.find(r => r.type === 'upstream_change');
+
+            expect(result.decay_detected).toBe(true);
+            expect(reason.sources).toEqual(['policy-doc']);
+            expect(result.citations).toContain('policy-doc');
+            expect(result._internal.confidence_breakdown.upstream_penalty).toBe(0.1);
+            expect(result.update_recommendations.map(r => r.section)).toContain('Upstream Changes');
+            expect(result.what_changed_summary).toContain('Password Policy');
+        });
+
+        it('should re-analyze when an upstream document gets a new version', () => {
+            const document = { id: 'sop-doc', currentVersion: 1, updatedAt: new Date('2025-01-01') };
+            const before = computeInputFingerprint({ document, upstreamDocs: [{ id: 'policy-doc', currentVersion: 1 }] });
+            const after = computeInputFingerprint({ document, upstreamDocs: [{ id: 'policy-doc', currentVersion: 2 }] });
+
+            expect(after).not.toBe(before);
+        });
+    });
+
+    describe('broken references', () => {
+        it('should recommend replacing references to deleted documents', async () => {
+            const document = {
+                id: 'runbook-doc',
+                title: 'Database Runbook',
+                type: 'Guide',
+                content: 'Restore backups as described in the Backup Handbook.',
+                currentVersion: 1,
+                updatedAt: new Date(),
+            };
+            const references = [{
+                targetDocumentId: null,
+                targetTitle: 'Backup Handbook',
+                currentTitle: null,
+                matchedText: 'Backup Handbook',
+                origin: 'detected',
+            }];
+
+            const result = await analyzeDocument({ document, references });
+            const reason = result.decay_reasons.find(r => r.type === 'broken_reference');
+
+            expect(reason.references[0].text).toBe('Backup Handbook');
+            expect(result._internal.confidence_breakdown.broken_reference_penalty).toBe(0.05);
+            expect(result.update_recommendations.map(r => r.section)).toContain('Broken References');
+        });
+    });
+
+    describe('document lifecycle', () => {
+        it('should flag references to superseded documents and ignore retired related documents', async () => {
+            const document = {
+                id: 'sop-doc',
+                title: 'Deploy SOP',
+                type: 'SOP',
+                content: 'Deployments must complete within 5 minutes. See the Release Guide.',
+                currentVersion: 1,
+                updatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            };
+            const relatedDocs = [{
+                id: 'old-guide',
+                title: 'Release Guide',
+                type: 'Guide',
+                content: 'Deployments must complete within 15 minutes.',
+                updatedAt: new Date(),
+                lifecycleState: 'deprecated',
+                supersededBy: 'new-guide',
+            }];
+            const references = [{
+                targetDocumentId: 'old-guide',
+                targetTitle: 'Release Guide',
+                currentTitle: 'Release Guide',
+                matchedText: 'Release Guide',
+                origin: 'detected',
+                targetLifecycleState: 'deprecated',
+                supersededBy: { id: 'new-guide', title: 'Release Handbook' },
+            }];
+
+            const result = await analyzeDocument({ document, relatedDocs, references });
+            const types = result.decay_reasons.map(r => r.type);
+
+            expect(types).toContain('superseded_reference');
+            expect(types).not.toContain('contradiction');
+            expect(result.update_recommendations.map(r => r.section)).toContain('Superseded References');
+        });
+    });
+
+    describe('contradiction checker', () => {
+        const document = {
+            id: 'doc-1',
+            title: 'Expense Policy',
+            type: 'Policy',
+            content: 'Expense reports must be approved by the CFO.',
+            currentVersion: 1,
+            updatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        };
+        const relatedDocs = [{
+            id: 'doc-2',
+            title: 'Finance Handbook',
+            type: 'Guide',
+            content: 'Expense reports must be approved by the finance lead.',
+            currentVersion: 1,
+            updatedAt: new Date(),
+        }];
+
+        it('should use checker verdicts for contradictions', async () => {
+            const contradictionChecker = {
+                provider: 'gemini',
+                model: 'test-model',
+                checkPairs: jest.fn(async (pairs) => new Map(pairs.map(p => [
+                    statementPairHash(p.statement, p.relatedStatement),
+                    { verdict: 'contradict', confidence: 0.8, rationale: 'Different approvers', provider: 'gemini' },
+                ]))),
+            };
+
+            const result = await analyzeDocument({ document, relatedDocs, contradictionChecker });
+
+            expect(contradictionChecker.checkPairs).toHaveBeenCalledTimes(1);
+            expect(result.decay_reasons.map(r => r.type)).toContain('contradiction');
+            expect(result._internal.contradictions[0].detectedBy).toBe('gemini');
+        });
+
+        it('should fall back to rules when the checker returns no verdicts', async () => {
+            const contradictionChecker = { provider: 'gemini', model: 'test-model', checkPairs: async () => new Map() };
+
+            const result = await analyzeDocument({ document, relatedDocs, contradictionChecker });
+
+            expect(result.decay_reasons.map(r => r.type)).not.toContain('contradiction');
+        });
+
+        it('should change the fingerprint with the contradiction model', () => {
+            const rules = computeInputFingerprint({ document, relatedDocs });
+            const model = computeInputFingerprint({ document, relatedDocs, contradictionModel: 'test-model' });
+
+            expect(model).not.toBe(rules);
+        });
+    });
+
     describe('batchAnalyze', () => {
         it('should analyze multiple documents', async () => {
             const documents = [
@@ -205,4 +503,66 @@ describe('DecayEngine', () => {
             // Second might have error
         });
     });
+
+    describe('incremental analysis', () => {
+        const updatedAt = new Date('2024-01-01T00:00:00Z');
+        const document = {
+            id: 'inc-1',
+            title: 'Deploy SOP',
+            type: 'SOP',
+            content: 'Deployments must be approved.',
+            currentVersion: 2,
+            updatedAt,
+        };
+        const related = [{ id: 'inc-2', currentVersion: 1, updatedAt }];
+
+        it('should produce a stable fingerprint for the same inputs', () => {
+            const a = computeInputFingerprint({ document, relatedDocs: related });
+            const b = computeInputFingerprint({ document: { ...document }, relatedDocs: [...related] });
+
+            expect(a).toMatch(/^[0-9a-f]{64}$/);
+            expect(a).toBe(b);
+        });
+
+        it('should change the fingerprint when any input changes', () => {
+            const base = computeInputFingerprint({ document, relatedDocs: related });
+
+            expect(computeInputFingerprint({ document: { ...document, currentVersion: 3 }, relatedDocs: related })).not.toBe(base);
+            expect(computeInputFingerprint({ document: { ...document, lastVerifiedAt: new Date() }, relatedDocs: related })).not.toBe(base);
+            expect(computeInputFingerprint({ document: { ...document, type: 'Policy' }, relatedDocs: related })).not.toBe(base);
+            expect(computeInputFingerprint({ document, relatedDocs: [{ ...related[0], currentVersion: 2 }] })).not.toBe(base);
+            expect(computeInputFingerprint({ document, relatedDocs: related, suppressedPairs: new Set(['k']) })).not.toBe(base);
+        });
+
+        it('should skip analysis when the fingerprint matches', async () => {
+            const first = await analyzeDocument({ document: { ...document } });
+            const fingerprint = first._internal.input_fingerprint;
+
+            const second = await analyzeDocument({ document: { ...document }, previousFingerprint: fingerprint });
+
+            expect(second).toEqual({ unchanged: true, input_fingerprint: fingerprint });
+        });
+
+        it('should re-analyze when forced', async () => {
+            const first = await analyzeDocument({ document: { ...document } });
+
+            const forced = await analyzeDocument({
+                document: { ...document },
+                previousFingerprint: first._internal.input_fingerprint,
+                force: true,
+            });
+
+            expect(forced).toHaveProperty('decay_detected');
+        });
+
+        it('should mark unchanged documents in batch results', async () => {
+            const first = await analyzeDocument({ document: { ...document } });
+
+            const results = await batchAnalyze([{ ...document }], [], {
+                previousFingerprints: new Map([[document.id, first._internal.input_fingerprint]]),
+            });
+
+            expect(results[0]).toMatchObject({ documentId: 'inc-1', unchanged: true });
+        });
+    });
 });
@@ -0,0 +1,134 @@
+/**
+ * Decay Policy Unit Tests
+ */
+
+const {
+    getActivePolicy,
+    resolvePolicy,
+    validatePolicy,
+    savePolicy,
+} = require('../../src/services/decayPolicy');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    DecayPolicy: {
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+    DocumentType: {
+        findAll: jest.fn(),
+    },
+}));
+
+const { DecayPolicy, DocumentType } = require('../../src/models');
+const { DECAY_THRESHOLDS } = require('../../src/services/freshnessEvaluator');
+const { DEFAULT_PENALTY_CAPS } = require('../../src/services/confidenceScorer');
+
+describe('Decay Policy Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        DecayPolicy.create.mockImplementation(async values => values);
+    });
+
+    describe('resolvePolicy', () => {
+        it('should return the global defaults as version 0', () => {
+            const policy = resolvePolicy(null);
+
+            expect(policy.version).toBe(0);
+            expect(policy.thresholds).toEqual(DECAY_THRESHOLDS);
+            expect(policy.penaltyCaps).toEqual(DEFAULT_PENALTY_CAPS);
+            expect(policy.riskCutoffs).toEqual({ high: 0.4, medium: 0.7 });
+            expect(policy.flagRule).toEqual({ belowConfidence: 1.0, riskLevels: ['medium', 'high'] });
+        });
+
+        it('should merge partial overrides onto the defaults', () => {
+            const policy = resolvePolicy({
+                version: 3,
+                thresholds: { SOP: { warning: 14 }, Runbook: { warning: 7, critical: 21 } },
+                penaltyCaps: { age: 0.5 },
+                riskCutoffs: {},
+                flagRule: { riskLevels: ['high'] },
+            });
+
+            expect(policy.version).toBe(3);
+            expect(policy.thresholds.SOP).toEqual({ warning: 14, critical: 90 });
+            expect(policy.thresholds.Runbook).toEqual({ warning: 7, critical: 21 });
+            expect(policy.thresholds.Policy).toEqual(DECAY_THRESHOLDS.Policy);
+            expect(policy.penaltyCaps).toEqual({ ...DEFAULT_PENALTY_CAPS, age: 0.5 });
+            expect(policy.flagRule).toEqual({ belowConfidence: 1.0, riskLevels: ['high'] });
+        });
+    });
+
+    describe('getActivePolicy', () => {
+        it('should resolve the latest version for the workspace', async () => {
+            DecayPolicy.findOne.mockResolvedValue({ version: 2, penaltyCaps: { drift: 0.1 } });
+            DocumentType.findAll.mockResolvedValue([]);
+
+            const policy = await getActivePolicy('ws-001');
+
+            expect(DecayPolicy.findOne).toHaveBeenCalledWith({
+                where: { workspaceId: 'ws-001' },
+                order: [['version', 'DESC']],
+            });
+            expect(policy.version).toBe(2);
+            expect(policy.penaltyCaps.drift).toBe(0.1);
+        });
+
+        it('should include thresholds of workspace document types', async () => {
+            DecayPolicy.findOne.mockResolvedValue({ version: 1, thresholds: { Runbook: { warning: 5 } } });
+            DocumentType.findAll.mockResolvedValue([
+                { name: 'Runbook', displayName: 'Runbook', warningDays: 7, criticalDays: 21, authorityRank: 4 },
+            ]);
+
+            const policy = await getActivePolicy('ws-001');
+
+            expect(policy.thresholds.Runbook).toEqual({ warning: 5, critical: 21 });
+            expect(policy.documentTypes.Runbook.authorityRank).toBe(4);
+        });
+    });
+
+    describe('validatePolicy', () => {
+        it('should accept valid overrides', () => {
+            expect(validatePolicy({
+                thresholds: { SOP: { warning: 14, critical: 30 } },
+                penaltyCaps: { age: 0.5 },
+                riskCutoffs: { high: 0.5 },
+                flagRule: { belowConfidence: 0.9, riskLevels: ['high'] },
+            })).toEqual([]);
+        });
+
+        it('should reject inconsistent thresholds', () => {
+            const errors = validatePolicy({ thresholds: { SOP: { warning: 120 } } });
+
+            expect(errors).toEqual(['thresholds.SOP: warning must be less than critical']);
+        });
+
+        it('should reject unknown penalties and out-of-range values', () => {
+            const errors = validatePolicy({
+                penaltyCaps: { typo: 0.1, age: 2 },
+                riskCutoffs: { high: 0.9, medium: 0.5 },
+                flagRule: { riskLevels: ['critical'] },
+            });
+
+            expect(errors).toHaveLength(4);
+        });
+    });
+
+    describe('savePolicy', () => {
+        it('should start at version 1', async () => {
+            DecayPolicy.findOne.mockResolvedValue(null);
+
+            const record = await savePolicy('ws-001', { penaltyCaps: { age: 0.5 } }, 'amy');
+
+            expect(record).toMatchObject({ workspaceId: 'ws-001', version: 1, updatedBy: 'amy', thresholds: {} });
+        });
+
+        it('should increment the latest version', async () => {
+            DecayPolicy.findOne.mockResolvedValue({ version: 4 });
+
+            const record = await savePolicy('ws-001', {});
+
+            expect(record.version).toBe(5);
+        });
+    });
+});
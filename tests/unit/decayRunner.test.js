@@ -0,0 +1,86 @@
+/**
+ * Decay Runner Unit Tests
+ */
+
+const { runDecayAnalysis, getLatestAnalyses } = require('../../src/services/decayRunner');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: { findAll: jest.fn() },
+    DocumentVersion: {},
+    DecayAnalysis: {
+        findAll: jest.fn(),
+        name: 'DecayAnalysis',
+        getTableName: () => 'decay_analyses',
+        rawAttributes: { analyzedAt: { field: 'analyzed_at' }, documentId: { field: 'document_id' } },
+    },
+    DecayRun: { create: jest.fn() },
+}));
+jest.mock('../../src/config/database', () => ({
+    sequelize: { getQueryInterface: () => ({ quoteIdentifier: name => `"${name}"` }) },
+}));
+jest.mock('../../src/services/decayEngine', () => ({
+    batchAnalyze: jest.fn(async () => []),
+}));
+jest.mock('../../src/services/contradictionRegistry', () => ({
+    getSuppressedPairKeys: jest.fn(async () => new Set()),
+    recordContradictions: jest.fn(),
+}));
+jest.mock('../../src/services/decayPolicy', () => ({
+    getActivePolicy: jest.fn(async () => ({ version: 1 })),
+}));
+jest.mock('../../src/services/documentReferences', () => ({
+    getUpstreamDocuments: jest.fn(async () => new Map()),
+    getStoredReferences: jest.fn(async () => new Map()),
+}));
+jest.mock('../../src/services/llmContradictionChecker', () => ({
+    getContradictionChecker: jest.fn(() => null),
+}));
+
+const { Op } = require('sequelize');
+const { Document, DecayAnalysis, DecayRun } = require('../../src/models');
+
+function mockDocument(id, workspaceId) {
+    return { id, workspaceId, versions: [], toJSON: () => ({ id, workspaceId }) };
+}
+
+describe('Decay Runner Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        DecayAnalysis.findAll.mockResolvedValue([]);
+        DecayRun.create.mockImplementation(async values => ({ ...values, update: jest.fn() }));
+    });
+
+    describe('runDecayAnalysis', () => {
+        it('should only analyze the given documents within the workspace', async () => {
+            Document.findAll.mockResolvedValue([mockDocument('doc-1', 'ws-1')]);
+
+            await runDecayAnalysis({ workspaceId: 'ws-1', documentIds: ['doc-1', 'doc-2'] });
+
+            expect(Document.findAll.mock.calls[0][0].where).toEqual({ workspaceId: 'ws-1', id: ['doc-1', 'doc-2'] });
+            expect(DecayRun.create).toHaveBeenCalledWith(expect.objectContaining({ workspaceId: 'ws-1' }));
+        });
+
+        it('should reject documents from different workspaces', async () => {
+            Document.findAll.mockResolvedValue([mockDocument('doc-1', 'ws-1'), mockDocument('doc-2', 'ws-2')]);
+
+            await expect(runDecayAnalysis({ documentIds: ['doc-1', 'doc-2'] }))
+                .rejects.toThrow('different workspaces');
+            expect(DecayRun.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getLatestAnalyses', () => {
+        it('should only load the latest analysis of each document', async () => {
+            const latest = { documentId: 'doc-1', analyzedAt: new Date() };
+            DecayAnalysis.findAll.mockResolvedValue([latest]);
+
+            const latestByDoc = await getLatestAnalyses(['doc-1']);
+
+            const [{ where }] = DecayAnalysis.findAll.mock.calls[0];
+            expect(where.documentId).toEqual(['doc-1']);
+            expect(where.analyzedAt[Op.eq].val).toContain('SELECT MAX("latest"."analyzed_at") FROM "decay_analyses"');
+            expect(latestByDoc.get('doc-1')).toBe(latest);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Decay Scheduler Unit Tests
+ */
+
+const { runDueSchedules } = require('../../src/services/decayScheduler');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    DecaySchedule: {
+        findAll: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/decayRunner', () => ({
+    runDecayAnalysis: jest.fn(),
+}));
+
+const { DecaySchedule } = require('../../src/models');
+const { runDecayAnalysis } = require('../../src/services/decayRunner');
+
+function mockSchedule(values) {
+    const schedule = {
+        ...values,
+        update: jest.fn(async (updates) => Object.assign(schedule, updates)),
+    };
+    return schedule;
+}
+
+describe('Decay Scheduler Service', () => {
+    const now = new Date('2024-03-10T02:00:30Z');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('should only query enabled schedules that are due', async () => {
+        DecaySchedule.findAll.mockResolvedValue([]);
+
+        await runDueSchedules(now);
+
+        const { where } = DecaySchedule.findAll.mock.calls[0][0];
+        expect(where.enabled).toBe(true);
+        expect(Object.getOwnPropertySymbols(where.nextRunAt)[0].toString()).toContain('lte');
+    });
+
+    it('should run due schedules and advance nextRunAt', async () => {
+        const schedule = mockSchedule({ id: 's-1', workspaceId: 'ws-001', cronExpression: '0 2 * * *' });
+        DecaySchedule.findAll.mockResolvedValue([schedule]);
+        runDecayAnalysis.mockResolvedValue({ run: { id: 'run-1' }, results: [] });
+
+        const runs = await runDueSchedules(now);
+
+        expect(runDecayAnalysis).toHaveBeenCalledWith({
+            workspaceId: 'ws-001',
+            trigger: 'scheduled',
+            scheduleId: 's-1',
+        });
+        expect(runs).toEqual([{ id: 'run-1' }]);
+        expect(schedule.lastRunAt).toBe(now);
+        expect(schedule.nextRunAt.toISOString()).toBe('2024-03-11T02:00:00.000Z');
+    });
+
+    it('should keep running other workspaces when one run fails', async () => {
+        const failing = mockSchedule({ id: 's-1', workspaceId: 'ws-001', cronExpression: '@hourly' });
+        const healthy = mockSchedule({ id: 's-2', workspaceId: 'ws-002', cronExpression: '@hourly' });
+        DecaySchedule.findAll.mockResolvedValue([failing, healthy]);
+        runDecayAnalysis
+            .mockRejectedValueOnce(new Error('database unavailable'))
+            .mockResolvedValueOnce({ run: { id: 'run-2' }, results: [] });
+
+        const runs = await runDueSchedules(now);
+
+        expect(runs).toEqual([{ id: 'run-2' }]);
+        // Failed schedule still advances so it is not retried every tick
+        expect(failing.nextRunAt.toISOString()).toBe('2024-03-10T03:00:00.000Z');
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * Dependency Analyzer Unit Tests
+ */
+
+const {
+    detectReferences,
+    analyzeUpstreamChanges,
+    findBrokenReferences,
+    analyzeBrokenReferences,
+    analyzeSupersededReferences,
+} = require('../../src/services/dependencyAnalyzer');
+
+const POLICY_ID = '0b6f4c1e-2d3a-4f5b-8c9d-1e2f3a4b5c6d';
+const APPENDIX_ID = '7a8b9c0d-1e2f-4a3b-9c4d-5e6f7a8b9c0d';
+
+const workspaceDocs = [
+    { id: POLICY_ID, title: 'Password Policy' },
+    { id: APPENDIX_ID, title: 'Password Policy Appendix' },
+    { id: 'faq', title: 'FAQ' },
+];
+
+describe('DependencyAnalyzer', () => {
+    describe('detectReferences', () => {
+        it('should detect title mentions case-insensitively', () => {
+            const refs = detectReferences(
+                { id: 'sop', content: 'Reset steps follow the password policy.' },
+                workspaceDocs
+            );
+
+            expect(refs).toEqual([{
+                targetDocumentId: POLICY_ID,
+                targetTitle: 'Password Policy',
+                matchedText: 'password policy',
+            }]);
+        });
+
+        it('should prefer the longest matching title', () => {
+            const refs = detectReferences(
+                { id: 'sop', content: 'See the Password Policy Appendix for exceptions.' },
+                workspaceDocs
+            );
+
+            expect(refs.map(r => r.targetDocumentId)).toEqual([APPENDIX_ID, POLICY_ID]);
+        });
+
+        it('should detect links by document ID', () => {
+            const refs = detectReferences(
+                { id: 'sop', content: `Details: [policy](/api/documents/${POLICY_ID.toUpperCase()})` },
+                workspaceDocs
+            );
+
+            expect(refs).toHaveLength(1);
+            expect(refs[0].targetDocumentId).toBe(POLICY_ID);
+        });
+
+        it('should ignore short titles, partial words and the document itself', () => {
+            const refs = detectReferences(
+                { id: POLICY_ID, title: 'Password Policy', content: 'This Password Policy has a FAQ and Password Policyholders.' },
+                workspaceDocs.filter(d => d.id !== APPENDIX_ID)
+            );
+
+            expect(refs).toEqual([]);
+        });
+    });
+
+    describe('analyzeUpstreamChanges', () => {
+        const document = {
+            id: 'sop',
+            updatedAt: new Date('2025-01-01'),
+            lastVerifiedAt: new Date('2025-03-01'),
+        };
+
+        it('should flag upstream versions created after the last verification', () => {
+            const result = analyzeUpstreamChanges(document, [{
+                id: POLICY_ID,
+                title: 'Password Policy',
+                versions: [
+                    { versionNumber: 1, createdAt: new Date('2024-06-01') },
+                    { versionNumber: 2, createdAt: new Date('2025-02-01') },
+                    { versionNumber: 3, createdAt: new Date('2025-04-01'), changeNotes: 'Minimum length 14' },
+                ],
+            }]);
+
+            expect(result.changes).toHaveLength(1);
+            expect(result.changes[0]).toMatchObject({ version: 3, versionsSince: 1 });
+            expect(result.penalty).toBe(0.1);
+            expect(result.decayReason.type).toBe('upstream_change');
+            expect(result.decayReason.sources).toEqual([POLICY_ID]);
+            expect(result.decayReason.description).toContain('Minimum length 14');
+        });
+
+        it('should not flag upstream documents unchanged since verification', () => {
+            const result = analyzeUpstreamChanges(document, [{
+                id: POLICY_ID,
+                title: 'Password Policy',
+                versions: [{ versionNumber: 2, createdAt: new Date('2025-02-01') }],
+            }]);
+
+            expect(result.changes).toEqual([]);
+            expect(result.decayReason).toBeNull();
+        });
+
+        it('should not treat a newly created upstream document as a change', () => {
+            const result = analyzeUpstreamChanges(document, [{
+                id: POLICY_ID,
+                title: 'Password Policy',
+                versions: [{ versionNumber: 1, createdAt: new Date('2025-05-01') }],
+            }]);
+
+            expect(result.changes).toEqual([]);
+        });
+    });
+
+    describe('findBrokenReferences', () => {
+        const document = {
+            id: 'sop',
+            content: 'Follow the Password Policy. Escalate per the On-call Handbook.',
+        };
+
+        it('should report detected references to deleted documents with the text span', () => {
+            const broken = findBrokenReferences(document, [{
+                targetDocumentId: null,
+                targetTitle: 'On-call Handbook',
+                currentTitle: null,
+                matchedText: 'On-call Handbook',
+                origin: 'detected',
+            }]);
+
+            expect(broken).toEqual([{
+                status: 'deleted',
+                targetDocumentId: null,
+                targetTitle: 'On-call Handbook',
+                currentTitle: null,
+                span: { text: 'On-call Handbook', start: 45, end: 61 },
+            }]);
+        });
+
+        it('should report mentions of a renamed document under its old title', () => {
+            const broken = findBrokenReferences(document, [
+                {
+                    targetDocumentId: POLICY_ID,
+                    targetTitle: 'Password Policy',
+                    currentTitle: 'Credential Policy',
+                    matchedText: 'Password Policy',
+                    origin: 'detected',
+                },
+                {
+                    targetDocumentId: APPENDIX_ID,
+                    targetTitle: 'Old Appendix',
+                    currentTitle: 'Password Policy Appendix',
+                    matchedText: null,
+                    origin: 'declared',
+                },
+            ]);
+
+            expect(broken).toHaveLength(1);
+            expect(broken[0]).toMatchObject({ status: 'renamed', currentTitle: 'Credential Policy' });
+        });
+
+        it('should ignore references whose text was removed', () => {
+            const broken = findBrokenReferences(document, [{
+                targetDocumentId: null,
+                targetTitle: 'Travel Policy',
+                currentTitle: null,
+                matchedText: 'Travel Policy',
+                origin: 'detected',
+            }]);
+
+            expect(broken).toEqual([]);
+        });
+
+        it('should report links to unknown document IDs', () => {
+            const broken = findBrokenReferences(
+                { id: 'sop', content: `See /api/documents/${APPENDIX_ID} and /api/documents/${POLICY_ID}.` },
+                [],
+                [{ id: POLICY_ID, title: 'Password Policy' }]
+            );
+
+            expect(broken).toHaveLength(1);
+            expect(broken[0]).toMatchObject({ status: 'missing', span: { text: APPENDIX_ID } });
+        });
+    });
+
+    describe('analyzeBrokenReferences', () => {
+        it('should suggest the closest current document for a deleted reference', async () => {
+            const document = {
+                id: 'sop',
+                content: 'Escalate incidents per the On-call Handbook rotation schedule.',
+            };
+            const allDocs = [
+                { id: 'sop', title: 'Incident SOP', content: document.content },
+                { id: 'rotation', title: 'On-call Rotation', content: 'The on-call rotation schedule for incidents and escalation.' },
+                { id: 'travel', title: 'Travel Policy', content: 'Book flights through the travel portal.' },
+            ];
+
+            const result = await analyzeBrokenReferences(document, [{
+                targetDocumentId: null,
+                targetTitle: 'On-call Handbook',
+                currentTitle: null,
+                matchedText: 'On-call Handbook',
+                origin: 'detected',
+            }], allDocs);
+
+            expect(result.penalty).toBe(0.05);
+            expect(result.decayReason.type).toBe('broken_reference');
+            expect(result.decayReason.references[0]).toMatchObject({
+                status: 'deleted',
+                text: 'On-call Handbook',
+                suggestedDocument: { id: 'rotation', title: 'On-call Rotation' },
+            });
+        });
+
+        it('should suggest a renamed document under its new title', async () => {
+            const result = await analyzeBrokenReferences(
+                { id: 'sop', content: 'Follow the Password Policy.' },
+                [{
+                    targetDocumentId: POLICY_ID,
+                    targetTitle: 'Password Policy',
+                    currentTitle: 'Credential Policy',
+                    matchedText: 'Password Policy',
+                    origin: 'detected',
+                }]
+            );
+
+            expect(result.decayReason.references[0].suggestedDocument).toEqual({ id: POLICY_ID, title: 'Credential Policy' });
+            expect(result.decayReason.description).toContain('renamed to "Credential Policy"');
+        });
+
+        it('should not suggest retired documents', async () => {
+            const result = await analyzeBrokenReferences(
+                { id: 'sop', content: 'Escalate per the On-call Handbook rotation schedule.' },
+                [{
+                    targetDocumentId: null,
+                    targetTitle: 'On-call Handbook',
+                    matchedText: 'On-call Handbook',
+                    origin: 'detected',
+                }],
+                [{
+                    id: 'rotation',
+                    title: 'On-call Rotation',
+                    content: 'The on-call rotation schedule for incidents and escalation.',
+                    lifecycleState: 'archived',
+                }]
+            );
+
+            expect(result.decayReason.references[0].suggestedDocument).toBeNull();
+        });
+    });
+
+    describe('analyzeSupersededReferences', () => {
+        const document = { id: 'sop', content: 'Follow the Password Policy and the VPN Guide.' };
+
+        it('should report references to superseded and deprecated documents', () => {
+            const result = analyzeSupersededReferences(document, [
+                {
+                    targetDocumentId: POLICY_ID,
+                    currentTitle: 'Password Policy',
+                    matchedText: 'Password Policy',
+                    targetLifecycleState: 'deprecated',
+                    supersededBy: { id: 'cred', title: 'Credential Policy' },
+                },
+                {
+                    targetDocumentId: 'vpn',
+                    currentTitle: 'VPN Guide',
+                    matchedText: 'VPN Guide',
+                    targetLifecycleState: 'archived',
+                    supersededBy: null,
+                },
+                {
+                    targetDocumentId: APPENDIX_ID,
+                    currentTitle: 'Password Policy Appendix',
+                    matchedText: null,
+                    targetLifecycleState: 'active',
+                    supersededBy: null,
+                },
+            ]);
+
+            expect(result.penalty).toBe(0.1);
+            expect(result.decayReason.type).toBe('superseded_reference');
+            expect(result.decayReason.references.map(r => [r.state, r.replacement && r.replacement.title])).toEqual([
+                ['superseded', 'Credential Policy'],
+                ['archived', null],
+            ]);
+            expect(result.decayReason.sources).toEqual([POLICY_ID, 'cred', 'vpn']);
+        });
+
+        it('should ignore current and deleted targets', () => {
+            const result = analyzeSupersededReferences(document, [
+                { targetDocumentId: null, currentTitle: null, targetLifecycleState: null, supersededBy: null },
+                { targetDocumentId: POLICY_ID, currentTitle: 'Password Policy', targetLifecycleState: 'draft', supersededBy: null },
+            ]);
+
+            expect(result.decayReason).toBeNull();
+        });
+    });
+});
@@ -2,7 +2,20 @@
  * Document Chunker Unit Tests
  */
 
-const { chunkDocument } = require('../../src/services/documentChunker');
+const { chunkDocument, replaceDocumentChunks } = require('../../src/services/documentChunker');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    DocumentChunk: {
+        destroy: jest.fn(),
+        bulkCreate: jest.fn(),
+    },
+}));
+jest.mock('../../src/config/database', () => ({
+    sequelize: { transaction: jest.fn(async work => work('tx')) },
+}));
+
+const { DocumentChunk } = require('../../src/models');
 
 describe('Document Chunker Service', () => {
     describe('chunkDocument', () => {
@@ -48,5 +61,47 @@ describe('Document Chunker Service', () => {
                 expect(chunks[0].endPosition).toBeGreaterThan(0);
             }
         });
+
+        it('should keep a short document as a single chunk', () => {
+            const chunks = chunkDocument('Short. Very short.', { minChunkSize: 100 });
+
+            expect(chunks).toHaveLength(1);
+            expect(chunks[0].content).toBe('Short. Very short.');
+        });
+
+        it('should not drop a short trailing remainder', () => {
+            const content = 'First sentence is rather long here. Second sentence is long too. End.';
+            const chunks = chunkDocument(content, { chunkSize: 40, minChunkSize: 20, overlap: 5 });
+
+            expect(chunks[chunks.length - 1].content).toContain('End.');
+        });
+    });
+
+    describe('replaceDocumentChunks', () => {
+        beforeEach(() => {
+            jest.clearAllMocks();
+            DocumentChunk.bulkCreate.mockImplementation(async rows => rows);
+        });
+
+        it('should delete existing chunks before inserting new ones', async () => {
+            const content = 'Step one of the process. '.repeat(40);
+
+            const created = await replaceDocumentChunks('doc-1', content);
+
+            expect(DocumentChunk.destroy).toHaveBeenCalledWith({ where: { documentId: 'doc-1' }, transaction: 'tx' });
+            expect(DocumentChunk.bulkCreate).toHaveBeenCalledWith(expect.any(Array), { transaction: 'tx' });
+            expect(created.length).toBeGreaterThan(1);
+            expect(created[0]).toMatchObject({ documentId: 'doc-1', chunkIndex: 0 });
+            expect(created[0].embedding).toBeTruthy();
+            expect(created[0].tokenCount).toBeGreaterThan(0);
+        });
+
+        it('should only clear chunks for empty content', async () => {
+            const created = await replaceDocumentChunks('doc-1', '');
+
+            expect(DocumentChunk.destroy).toHaveBeenCalled();
+            expect(DocumentChunk.bulkCreate).not.toHaveBeenCalled();
+            expect(created).toEqual([]);
+        });
     });
 });
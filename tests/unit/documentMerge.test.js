@@ -0,0 +1,69 @@
+/**
+ * Document Merge Unit Tests
+ */
+
+const { Op } = require('sequelize');
+const { mergeDuplicates } = require('../../src/services/documentMerge');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: { update: jest.fn() },
+}));
+jest.mock('../../src/config/database', () => ({
+    sequelize: { transaction: jest.fn(async work => work('tx')) },
+}));
+jest.mock('../../src/services/lexicalSearch', () => ({
+    invalidateLexicalIndex: jest.fn(),
+}));
+
+const { Document } = require('../../src/models');
+const { invalidateLexicalIndex } = require('../../src/services/lexicalSearch');
+
+describe('Document Merge Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('mergeDuplicates', () => {
+        it('should supersede and deprecate the duplicates and re-index the workspace', async () => {
+            const canonical = { id: 'doc-1', workspaceId: 'ws-1' };
+
+            const { supersededAt } = await mergeDuplicates(canonical, [{ id: 'doc-2' }, { id: 'doc-3' }]);
+
+            expect(supersededAt).toBeInstanceOf(Date);
+            expect(Document.update).toHaveBeenCalledWith(
+                { supersededBy: 'doc-1', supersededAt },
+                { where: { id: ['doc-2', 'doc-3'] }, transaction: 'tx' }
+            );
+            expect(invalidateLexicalIndex).toHaveBeenCalledWith('ws-1');
+        });
+
+        it('should only deprecate duplicates that are not already retired', async () => {
+            await mergeDuplicates({ id: 'doc-1', workspaceId: 'ws-1' }, [{ id: 'doc-2' }]);
+
+            expect(Document.update).toHaveBeenCalledWith(
+                { lifecycleState: 'deprecated' },
+                { where: { id: ['doc-2'], lifecycleState: { [Op.notIn]: ['deprecated', 'archived'] } }, transaction: 'tx' }
+            );
+        });
+
+        it('should write nothing else once an update fails', async () => {
+            Document.update.mockRejectedValueOnce(new Error('database is locked'));
+
+            await expect(mergeDuplicates({ id: 'doc-1', workspaceId: 'ws-1' }, [{ id: 'doc-2' }]))
+                .rejects.toThrow('database is locked');
+
+            expect(Document.update).toHaveBeenCalledTimes(1);
+            expect(invalidateLexicalIndex).not.toHaveBeenCalled();
+        });
+
+        it('should re-point documents merged into a duplicate earlier', async () => {
+            await mergeDuplicates({ id: 'doc-1', workspaceId: 'ws-1' }, [{ id: 'doc-2' }]);
+
+            expect(Document.update).toHaveBeenCalledWith(
+                { supersededBy: 'doc-1' },
+                { where: { supersededBy: ['doc-2'], id: { [Op.ne]: 'doc-1' } }, transaction: 'tx' }
+            );
+        });
+    });
+});
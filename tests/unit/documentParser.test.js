@@ -7,6 +7,7 @@ const fs = require('fs').promises;
 const {
     parseDocument,
     parseText,
+    extractHTMLHeadings,
     isSupported,
     getSupportedExtensions,
     getMaxFileSize,
@@ -43,6 +44,23 @@ describe('Document Parser Service', () => {
             expect(isSupported('document.txt')).toBe(true);
         });
 
+        it('should return true for HTML files', () => {
+            expect(isSupported('page.html')).toBe(true);
+            expect(isSupported('page.htm')).toBe(true);
+        });
+
+        it('should return true for presentation and ODT files', () => {
+            expect(isSupported('deck.pptx')).toBe(true);
+            expect(isSupported('deck.odp')).toBe(true);
+            expect(isSupported('guide.odt')).toBe(true);
+        });
+
+        it('should return true for spreadsheet files', () => {
+            expect(isSupported('pricing.xlsx')).toBe(true);
+            expect(isSupported('pricing.ods')).toBe(true);
+            expect(isSupported('pricing.csv')).toBe(true);
+        });
+
         it('should return true for MD files', () => {
             expect(isSupported('README.md')).toBe(true);
         });
@@ -113,6 +131,26 @@ describe('Document Parser Service', () => {
             expect(result.content).toBe('# Heading\n\nParagraph text.');
         });
 
+        it('should parse HTML files into text with a title', async () => {
+            const testFile = path.join(testDir, 'page.html');
+            await fs.writeFile(testFile, '<html><head><title>Guide</title></head><body><nav>Menu</nav><h1>Setup</h1><p>Run it.</p></body></html>');
+
+            const result = await parseDocument(testFile, 'text/html');
+
+            expect(result.content).toBe('# Setup\n\nRun it.');
+            expect(result.metadata).toEqual({ title: 'Guide', headingCount: 1 });
+        });
+
+        it('should parse CSV files into rows with header context', async () => {
+            const testFile = path.join(testDir, 'rotation.csv');
+            await fs.writeFile(testFile, 'Team,On-call hours\nPlatform,24\n');
+
+            const result = await parseDocument(testFile, 'text/csv');
+
+            expect(result.content).toBe('Team: Platform; On-call hours: 24 hours');
+            expect(result.metadata.sheets).toEqual([{ name: null, rows: 1, columns: 2 }]);
+        });
+
         it('should throw for unsupported file types', async () => {
             const testFile = path.join(testDir, 'doc.xyz');
             await fs.writeFile(testFile, 'content');
@@ -121,4 +159,15 @@ describe('Document Parser Service', () => {
                 .rejects.toThrow('Unsupported file type');
         });
     });
+
+    describe('extractHTMLHeadings', () => {
+        it('should return heading titles and levels in order', () => {
+            const html = '<h1>Setup &amp; Install</h1><p>Text</p><h2 id="x">Node <strong>version</strong></h2><h3> </h3>';
+
+            expect(extractHTMLHeadings(html)).toEqual([
+                { title: 'Setup & Install', level: 1 },
+                { title: 'Node version', level: 2 },
+            ]);
+        });
+    });
 });
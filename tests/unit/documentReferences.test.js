@@ -0,0 +1,101 @@
+/**
+ * Document References Unit Tests
+ */
+
+const { Op } = require('sequelize');
+const { syncDetectedReferences } = require('../../src/services/documentReferences');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: { findAll: jest.fn() },
+    DocumentVersion: {},
+    DocumentReference: {
+        findAll: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+const { Document, DocumentReference } = require('../../src/models');
+
+const POLICY_ID = '0b6f4c1e-2d3a-4f5b-8c9d-1e2f3a4b5c6d';
+const GUIDE_ID = '7a8b9c0d-1e2f-4a3b-9c4d-5e6f7a8b9c0d';
+
+describe('Document References Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        DocumentReference.findAll.mockResolvedValue([]);
+    });
+
+    describe('syncDetectedReferences', () => {
+        it('should load titles to match and only the dependents that mention the document', async () => {
+            Document.findAll
+                .mockResolvedValueOnce([{ id: POLICY_ID, title: 'Password Policy' }])
+                .mockResolvedValueOnce([]);
+
+            await syncDetectedReferences({
+                id: GUIDE_ID,
+                workspaceId: 'ws-1',
+                title: 'Onboarding Guide',
+                content: 'Follow the password policy.',
+            });
+
+            expect(Document.findAll).toHaveBeenCalledTimes(2);
+            const [mentioned, mentioning] = Document.findAll.mock.calls.map(([options]) => options);
+            // Titles are matched against the content here, not in SQL
+            expect(mentioned.attributes).toEqual(['id', 'title']);
+            expect(mentioned.where).toEqual({ workspaceId: 'ws-1', id: { [Op.ne]: GUIDE_ID } });
+            // Dependents are loaded only when they mention the ID or the title
+            expect(mentioning.attributes).toEqual(['id', 'title', 'content']);
+            expect(mentioning.where.workspaceId).toBe('ws-1');
+            expect(mentioning.where[Op.or]).toHaveLength(2);
+        });
+
+        it('should match mentioned documents by ID or title', async () => {
+            Document.findAll
+                .mockResolvedValueOnce([
+                    { id: POLICY_ID, title: 'Password Policy' },
+                    { id: 'runbook', title: 'Incident Runbook' },
+                    { id: 'other', title: 'Travel Policy' },
+                ])
+                .mockResolvedValueOnce([]);
+
+            const detected = await syncDetectedReferences({
+                id: GUIDE_ID,
+                workspaceId: 'ws-1',
+                title: 'Onboarding Guide',
+                content: `Follow the PASSWORD POLICY (${POLICY_ID}) and the incident runbook.`,
+            });
+
+            expect(detected.map(d => d.targetDocumentId).sort()).toEqual([POLICY_ID, 'runbook'].sort());
+        });
+
+        it('should store outgoing mentions and references from dependents', async () => {
+            Document.findAll
+                .mockResolvedValueOnce([{ id: POLICY_ID, title: 'Password Policy' }])
+                .mockResolvedValueOnce([
+                    { id: 'faq', title: 'FAQ', content: 'New starters read the Onboarding Guide.' },
+                    { id: 'misc', title: 'Misc', content: 'An onboarding guidebook is elsewhere.' },
+                ]);
+
+            const detected = await syncDetectedReferences({
+                id: GUIDE_ID,
+                workspaceId: 'ws-1',
+                title: 'Onboarding Guide',
+                content: 'Follow the password policy.',
+            });
+
+            expect(detected).toEqual([{
+                targetDocumentId: POLICY_ID,
+                targetTitle: 'Password Policy',
+                matchedText: 'password policy',
+            }]);
+            expect(DocumentReference.create).toHaveBeenCalledTimes(2);
+            expect(DocumentReference.create).toHaveBeenCalledWith(expect.objectContaining({
+                documentId: 'faq',
+                targetDocumentId: GUIDE_ID,
+                matchedText: 'Onboarding Guide',
+                origin: 'detected',
+            }));
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Document Types Unit Tests
+ */
+
+const {
+    getDocumentTypes,
+    isValidDocumentType,
+    validateDocumentType,
+    BUILTIN_DOCUMENT_TYPES,
+} = require('../../src/services/documentTypes');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    DocumentType: {
+        findAll: jest.fn(),
+        count: jest.fn(),
+    },
+}));
+
+const { DocumentType } = require('../../src/models');
+
+const runbook = {
+    name: 'Runbook',
+    displayName: 'Operational Runbook',
+    warningDays: 14,
+    criticalDays: 45,
+    authorityRank: 4,
+};
+
+describe('Document Types Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('BUILTIN_DOCUMENT_TYPES', () => {
+        it('should carry the built-in thresholds and authority ranks', () => {
+            expect(BUILTIN_DOCUMENT_TYPES.SOP).toMatchObject({ warning: 30, critical: 90, authorityRank: 5, builtin: true });
+            expect(BUILTIN_DOCUMENT_TYPES.Notes).toMatchObject({ warning: 180, critical: 365, authorityRank: 1 });
+        });
+    });
+
+    describe('getDocumentTypes', () => {
+        it('should add workspace types to the built-in types', async () => {
+            DocumentType.findAll.mockResolvedValue([runbook]);
+
+            const types = await getDocumentTypes('ws-001');
+
+            expect(Object.keys(types)).toEqual(['SOP', 'Policy', 'Guide', 'Spec', 'Notes', 'Runbook']);
+            expect(types.Runbook).toEqual({
+                name: 'Runbook',
+                displayName: 'Operational Runbook',
+                warning: 14,
+                critical: 45,
+                authorityRank: 4,
+                builtin: false,
+            });
+        });
+    });
+
+    describe('isValidDocumentType', () => {
+        it('should accept built-in types without a lookup', async () => {
+            expect(await isValidDocumentType('ws-001', 'Policy')).toBe(true);
+            expect(DocumentType.count).not.toHaveBeenCalled();
+        });
+
+        it('should look up workspace types', async () => {
+            DocumentType.count.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+            expect(await isValidDocumentType('ws-001', 'Runbook')).toBe(true);
+            expect(await isValidDocumentType('ws-001', 'Memo')).toBe(false);
+            expect(DocumentType.count).toHaveBeenCalledWith({ where: { workspaceId: 'ws-001', name: 'Runbook' } });
+        });
+    });
+
+    describe('validateDocumentType', () => {
+        it('should accept a complete definition', () => {
+            expect(validateDocumentType(runbook)).toEqual([]);
+        });
+
+        it('should reject built-in names and bad thresholds', () => {
+            expect(validateDocumentType({ ...runbook, name: 'SOP' })).toEqual(['name "SOP" is a built-in type']);
+            expect(validateDocumentType({ ...runbook, warningDays: 60 })).toEqual(['warningDays must be less than criticalDays']);
+            expect(validateDocumentType({ ...runbook, criticalDays: undefined })).toHaveLength(1);
+            expect(validateDocumentType({ ...runbook, name: '1st', authorityRank: 0 })).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Document Versions Unit Tests
+ */
+
+const { createVersion, restoreNotes } = require('../../src/services/documentVersions');
+
+// Mock dependencies
+const mockTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+jest.mock('../../src/models', () => ({
+    DocumentVersion: { create: jest.fn(async values => ({ id: 'ver-3', ...values })) },
+}));
+jest.mock('../../src/config/database', () => ({
+    sequelize: { transaction: jest.fn(async work => work(mockTransaction)) },
+}));
+jest.mock('../../src/utils/vectorUtils', () => ({
+    getEmbedding: jest.fn(async () => [0.1, 0.2]),
+}));
+jest.mock('../../src/services/documentChunker', () => ({
+    replaceDocumentChunks: jest.fn(),
+}));
+jest.mock('../../src/services/workspaceCorpus', () => ({
+    updateCorpus: jest.fn(async () => ({ documentCount: 2 })),
+}));
+jest.mock('../../src/services/lexicalSearch', () => ({
+    invalidateLexicalIndex: jest.fn(),
+}));
+jest.mock('../../src/services/documentReferences', () => ({
+    syncDetectedReferences: jest.fn(),
+}));
+
+const { DocumentVersion } = require('../../src/models');
+const { getEmbedding } = require('../../src/utils/vectorUtils');
+const { replaceDocumentChunks } = require('../../src/services/documentChunker');
+const { updateCorpus } = require('../../src/services/workspaceCorpus');
+const { syncDetectedReferences } = require('../../src/services/documentReferences');
+
+function mockDocument() {
+    const document = {
+        id: 'doc-1',
+        workspaceId: 'ws-1',
+        author: 'alice',
+        content: 'Old content',
+        currentVersion: 2,
+        update: jest.fn(async values => Object.assign(document, values)),
+        reload: jest.fn(async () => document),
+    };
+    return document;
+}
+
+describe('Document Versions Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('createVersion', () => {
+        it('should record the next version and update the document', async () => {
+            const document = mockDocument();
+
+            const version = await createVersion(document, 'New content', {
+                author: 'bob',
+                changeNotes: 'Fix typo',
+                fields: { title: 'Renamed' },
+            });
+
+            expect(updateCorpus).toHaveBeenCalledWith(
+                'ws-1',
+                { removed: 'Old content', added: 'New content' },
+                { transaction: mockTransaction }
+            );
+            expect(DocumentVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+                documentId: 'doc-1',
+                versionNumber: 3,
+                content: 'New content',
+                summary: 'Fix typo',
+                author: 'bob',
+                changeNotes: 'Fix typo',
+                embedding: [0.1, 0.2],
+            }), { transaction: mockTransaction });
+            expect(document).toMatchObject({ title: 'Renamed', content: 'New content', currentVersion: 3, sourceUpdatedAt: null });
+            expect(version.versionNumber).toBe(3);
+        });
+
+        it('should record change stats and extra version fields', async () => {
+            const document = mockDocument();
+
+            const version = await createVersion(document, 'Old content\nMore content', {
+                versionFields: { originalFilename: 'guide-v3.pdf', fileSize: 1024 },
+            });
+
+            expect(version.changeStats).toMatchObject({ linesAdded: 1, linesRemoved: 0, linesMoved: 0, hunks: 1 });
+            expect(version.changeStats.driftScore).toBeGreaterThan(0);
+            expect(version).toMatchObject({ originalFilename: 'guide-v3.pdf', fileSize: 1024 });
+        });
+
+        it('should embed at most 5000 characters and continue when embedding fails', async () => {
+            const document = mockDocument();
+            const content = 'x'.repeat(6000);
+            getEmbedding.mockRejectedValueOnce(new Error('Embedding service unavailable'));
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const version = await createVersion(document, content);
+
+            expect(getEmbedding).toHaveBeenCalledWith('x'.repeat(5000), { corpus: { documentCount: 2 } });
+            expect(version).toMatchObject({ versionNumber: 3, embedding: null });
+            expect(document).toMatchObject({ content, embedding: null, currentVersion: 3 });
+            console.warn.mockRestore();
+        });
+
+        it('should number the version from the document as stored when the transaction starts', async () => {
+            const document = mockDocument();
+            // Another save made version 3 after this document was loaded
+            document.reload.mockImplementationOnce(async () => Object.assign(document, {
+                content: 'Concurrent content',
+                currentVersion: 3,
+            }));
+
+            const version = await createVersion(document, 'New content');
+
+            expect(document.reload).toHaveBeenCalledWith({ transaction: mockTransaction, lock: 'UPDATE' });
+            expect(updateCorpus).toHaveBeenCalledWith(
+                'ws-1',
+                { removed: 'Concurrent content', added: 'New content' },
+                { transaction: mockTransaction }
+            );
+            expect(version).toMatchObject({ versionNumber: 4, summary: 'Version 4' });
+            expect(document.currentVersion).toBe(4);
+        });
+
+        it('should not update the document when the version cannot be written', async () => {
+            const document = mockDocument();
+            DocumentVersion.create.mockRejectedValueOnce(new Error('constraint failed'));
+
+            await expect(createVersion(document, 'New content')).rejects.toThrow('constraint failed');
+
+            expect(document.update).not.toHaveBeenCalled();
+            expect(replaceDocumentChunks).not.toHaveBeenCalled();
+        });
+
+        it('should re-chunk the content and refresh references', async () => {
+            const document = mockDocument();
+
+            await createVersion(document, 'New content');
+
+            expect(replaceDocumentChunks).toHaveBeenCalledWith('doc-1', 'New content', { corpus: { documentCount: 2 } });
+            expect(syncDetectedReferences).toHaveBeenCalledWith(document);
+            expect(DocumentVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+                summary: 'Version 3',
+                author: 'alice',
+            }), { transaction: mockTransaction });
+        });
+    });
+
+    describe('restoreNotes', () => {
+        it('should name the restored version, who restored it and why', () => {
+            expect(restoreNotes(1, 'bob', 'Bad edit')).toBe('Restored version 1 by bob: Bad edit');
+            expect(restoreNotes(1, 'bob')).toBe('Restored version 1 by bob');
+        });
+    });
+});
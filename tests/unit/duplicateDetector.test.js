@@ -0,0 +1,91 @@
+/**
+ * Duplicate Detector Unit Tests
+ */
+
+const {
+    findDuplicateClusters,
+    computeShingles,
+    computeMinHash,
+    estimateSimilarity,
+    compareShingles,
+} = require('../../src/services/duplicateDetector');
+
+const RUNBOOK = 'Restart the payment service by draining traffic from the node, stopping the service, ' +
+    'clearing the cache directory, starting the service again and verifying the health endpoint returns ok ' +
+    'before routing traffic back to the node and closing the incident ticket.';
+
+describe('DuplicateDetector', () => {
+    describe('computeShingles', () => {
+        it('should ignore case and punctuation', () => {
+            const a = computeShingles('Drain the node. Restart it!');
+            const b = computeShingles('drain the NODE restart it');
+
+            expect([...a]).toEqual([...b]);
+            expect(a.size).toBe(3);
+        });
+
+        it('should handle texts shorter than a shingle', () => {
+            expect(computeShingles('Restart').size).toBe(1);
+            expect(computeShingles('').size).toBe(0);
+        });
+    });
+
+    describe('computeMinHash', () => {
+        it('should estimate similarity close to the exact Jaccard', () => {
+            const a = computeShingles(RUNBOOK);
+            const b = computeShingles(RUNBOOK.replace('clearing the cache directory', 'removing temporary files'));
+
+            const exact = compareShingles(a, b).jaccard;
+            const estimate = estimateSimilarity(computeMinHash(a), computeMinHash(b));
+
+            expect(Math.abs(estimate - exact)).toBeLessThan(0.2);
+            expect(estimateSimilarity(computeMinHash(a), computeMinHash(a))).toBe(1);
+        });
+    });
+
+    describe('findDuplicateClusters', () => {
+        it('should cluster near-duplicate documents', () => {
+            const clusters = findDuplicateClusters([
+                { id: 'a', content: RUNBOOK },
+                { id: 'b', content: RUNBOOK.replace('closing the incident ticket', 'closing the ticket') },
+                { id: 'c', content: 'Expense reports are due on the fifth business day of every month.' },
+            ]);
+
+            expect(clusters).toHaveLength(1);
+            expect(clusters[0].documentIds.sort()).toEqual(['a', 'b']);
+            expect(clusters[0].pairs[0].kind).toBe('duplicate');
+            expect(clusters[0].pairs[0].similarity).toBeGreaterThanOrEqual(0.8);
+        });
+
+        it('should report a document contained in another as an overlap', () => {
+            const clusters = findDuplicateClusters([
+                { id: 'full', content: `${RUNBOOK} ${RUNBOOK.split(' ').reverse().join(' ')}` },
+                { id: 'part', content: RUNBOOK },
+            ]);
+
+            expect(clusters).toHaveLength(1);
+            expect(clusters[0].pairs[0]).toMatchObject({ kind: 'overlap', containment: 1 });
+        });
+
+        it('should merge transitive matches into one cluster', () => {
+            const clusters = findDuplicateClusters([
+                { id: 'a', content: RUNBOOK },
+                { id: 'b', content: RUNBOOK },
+                { id: 'c', content: RUNBOOK },
+            ]);
+
+            expect(clusters).toHaveLength(1);
+            expect(clusters[0].documentIds.sort()).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should respect a custom threshold', () => {
+            const docs = [
+                { id: 'a', content: RUNBOOK },
+                { id: 'b', content: RUNBOOK.replace('verifying the health endpoint returns ok', 'checking dashboards') },
+            ];
+
+            expect(findDuplicateClusters(docs, { threshold: 0.99, overlapThreshold: 0.99 })).toEqual([]);
+            expect(findDuplicateClusters(docs, { threshold: 0.5 })).toHaveLength(1);
+        });
+    });
+});
@@ -109,6 +109,18 @@ describe('FreshnessEvaluator', () => {
             expect(result.penalty).toBe(0);
         });
 
+        it('should age imported documents from their source date', () => {
+            const now = new Date();
+            const hundredDaysAgo = new Date(now - 100 * 24 * 60 * 60 * 1000);
+
+            const imported = evaluateFreshness({ type: 'SOP', updatedAt: now, sourceUpdatedAt: hundredDaysAgo });
+            const verified = evaluateFreshness({ type: 'SOP', updatedAt: now, sourceUpdatedAt: hundredDaysAgo, lastVerifiedAt: now });
+
+            expect(imported.status).toBe('critical');
+            expect(imported.ageDays).toBe(100);
+            expect(verified.status).toBe('fresh');
+        });
+
         it('should apply different thresholds per document type', () => {
             const now = new Date();
             const fiftyDaysAgo = new Date(now - 50 * 24 * 60 * 60 * 1000);
@@ -125,5 +137,51 @@ describe('FreshnessEvaluator', () => {
             const notesResult = evaluateFreshness({ type: 'Notes', updatedAt: fiftyDaysAgo });
             expect(notesResult.status).toBe('fresh');
         });
+
+        it('should prefer the document review interval over type thresholds', () => {
+            const fortyDaysAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+
+            // Notes would be fresh at 40 days; a 30-day cadence is overdue
+            const warning = evaluateFreshness({ type: 'Notes', updatedAt: fortyDaysAgo, reviewIntervalDays: 30 });
+            expect(warning.status).toBe('warning');
+            expect(warning.thresholds).toEqual({ warning: 30, critical: 60 });
+            expect(warning.decayReason.description).toContain('review interval 30 days');
+
+            const critical = evaluateFreshness({ type: 'Notes', updatedAt: fortyDaysAgo, reviewIntervalDays: 14 });
+            expect(critical.status).toBe('critical');
+        });
+
+        it('should report expired documents regardless of age', () => {
+            const result = evaluateFreshness({
+                type: 'Policy',
+                updatedAt: new Date(),
+                expiresAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
+            });
+
+            expect(result.status).toBe('expired');
+            expect(result.penalty).toBe(0.3);
+            expect(result.decayReason.type).toBe('expired');
+            expect(result.decayReason.description).toContain('3 days ago');
+        });
+
+        it('should ignore an expiry date in the future', () => {
+            const result = evaluateFreshness({
+                type: 'Policy',
+                updatedAt: new Date(),
+                expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            });
+
+            expect(result.status).toBe('fresh');
+        });
+
+        it('should use workspace thresholds when given', () => {
+            const twentyDaysAgo = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000);
+            const thresholds = { SOP: { warning: 14, critical: 30 } };
+
+            const result = evaluateFreshness({ type: 'SOP', updatedAt: twentyDaysAgo }, thresholds);
+
+            expect(result.status).toBe('warning');
+            expect(result.thresholds).toEqual({ warning: 14, critical: 30 });
+        });
     });
 });
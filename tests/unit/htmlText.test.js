@@ -0,0 +1,124 @@
+/**
+ * HTML Text Extraction Unit Tests
+ */
+
+const {
+    parseHtml,
+    htmlToText,
+    findFirst,
+    textContent,
+    decodeEntities,
+} = require('../../src/utils/htmlText');
+
+describe('HTML Text Utilities', () => {
+    describe('decodeEntities', () => {
+        it('should decode named and numeric entities', () => {
+            expect(decodeEntities('Fish &amp; Chips &mdash; &#163;5 &#x2713; &nbsp;ok')).toBe('Fish & Chips — £5 ✓  ok');
+        });
+
+        it('should leave unknown entities alone', () => {
+            expect(decodeEntities('&bogus; &amp')).toBe('&bogus; &amp');
+        });
+    });
+
+    describe('parseHtml', () => {
+        it('should close implied ends of list items and paragraphs', () => {
+            const root = parseHtml('<ul><li>One<li>Two</ul><p>First<p>Second');
+            const list = findFirst(root, n => n.tag === 'ul');
+
+            expect(list.children.filter(n => n.tag === 'li').map(textContent)).toEqual(['One', 'Two']);
+            expect(root.children.filter(n => n.tag === 'p').map(textContent)).toEqual(['First', 'Second']);
+        });
+
+        it('should keep nested lists inside their item', () => {
+            const root = parseHtml('<ul><li>Outer<ul><li>Inner</ul><li>Next</ul>');
+            const outer = findFirst(root, n => n.tag === 'ul');
+
+            expect(outer.children.filter(n => n.tag === 'li')).toHaveLength(2);
+        });
+
+        it('should read attributes and ignore stray end tags', () => {
+            const root = parseHtml('<div id="main" class="a b" hidden></span>Text</div>');
+            const div = findFirst(root, n => n.tag === 'div');
+
+            expect(div.attrs).toEqual({ id: 'main', class: 'a b', hidden: '' });
+            expect(textContent(div)).toBe('Text');
+        });
+    });
+
+    describe('htmlToText', () => {
+        it('should render headings, lists and tables as Markdown', () => {
+            const { text, headings } = htmlToText(`
+                <h1>Guide</h1>
+                <p>Intro text.</p>
+                <h2>Steps</h2>
+                <ol><li>Open</li><li>Close<ul><li>Twice</li></ul></li></ol>
+                <table><tr><th>Tool</th><th>Version</th></tr><tr><td>Node</td><td>18</td></tr></table>
+            `);
+
+            expect(text).toBe([
+                '# Guide',
+                '',
+                'Intro text.',
+                '',
+                '## Steps',
+                '',
+                '1. Open',
+                '2. Close',
+                '  - Twice',
+                '',
+                '| Tool | Version |',
+                '| --- | --- |',
+                '| Node | 18 |',
+            ].join('\n'));
+            expect(headings).toEqual([
+                { title: 'Guide', level: 1 },
+                { title: 'Steps', level: 2 },
+            ]);
+        });
+
+        it('should keep preformatted text in fences', () => {
+            const { text } = htmlToText('<p>Run:</p><pre>npm  install\nnpm test</pre>');
+
+            expect(text).toBe('Run:\n\n```\nnpm  install\nnpm test\n```');
+        });
+
+        it('should strip navigation, scripts and other page chrome', () => {
+            const { text } = htmlToText(`
+                <body>
+                    <header><a href="/">Home</a></header>
+                    <nav>Menu</nav>
+                    <div class="sidebar">Related</div>
+                    <script>track()</script>
+                    <p>Only this.</p>
+                    <footer>Copyright</footer>
+                </body>
+            `);
+
+            expect(text).toBe('Only this.');
+        });
+
+        it('should prefer the main content element', () => {
+            const { text } = htmlToText('<div>Banner text</div><main><article><h2>Post</h2><p>Body</p></article></main>');
+
+            expect(text).toBe('## Post\n\nBody');
+        });
+
+        it('should return the title and meta tags', () => {
+            const result = htmlToText(`
+                <html><head>
+                    <title>Page Title</title>
+                    <meta name="author" content="Jane Doe">
+                </head><body><h1>Heading</h1></body></html>
+            `);
+
+            expect(result.title).toBe('Page Title');
+            expect(result.meta.author).toBe('Jane Doe');
+        });
+
+        it('should fall back to the first h1 for the title', () => {
+            expect(htmlToText('<h1>Heading</h1><p>x</p>').title).toBe('Heading');
+            expect(htmlToText('<p>x</p>').title).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Hybrid Search Unit Tests
+ */
+
+const { hybridSearch, reciprocalRankFusion } = require('../../src/services/hybridSearch');
+
+// Mock dependencies
+jest.mock('../../src/services/vectorSearch', () => ({
+    searchChunks: jest.fn(),
+    searchDocuments: jest.fn(),
+}));
+
+jest.mock('../../src/services/lexicalSearch', () => ({
+    searchLexical: jest.fn(),
+}));
+
+const { searchChunks, searchDocuments } = require('../../src/services/vectorSearch');
+const { searchLexical } = require('../../src/services/lexicalSearch');
+
+const vectorHit = (chunkId, documentId, similarity) => ({
+    chunkId, documentId, chunkIndex: 0, title: documentId, type: 'SOP', similarity, excerpt: `v ${chunkId}`,
+});
+const lexicalHit = (key, documentId, score) => ({
+    key, documentId, chunkIndex: 0, title: documentId, type: 'SOP', score, excerpt: `l ${key}`,
+});
+
+describe('Hybrid Search Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        searchChunks.mockResolvedValue([]);
+        searchDocuments.mockResolvedValue([]);
+        searchLexical.mockResolvedValue([]);
+    });
+
+    describe('reciprocalRankFusion', () => {
+        it('should reward items ranked by both lists', () => {
+            const fused = reciprocalRankFusion({
+                vector: [{ key: 'a' }, { key: 'b' }],
+                lexical: [{ key: 'b' }, { key: 'c' }],
+            });
+
+            expect(fused.get('b').fused).toBeGreaterThan(fused.get('a').fused);
+            expect(fused.get('b').ranks).toEqual({ vector: 2, lexical: 1 });
+        });
+    });
+
+    describe('hybridSearch', () => {
+        it('should reject unknown modes', async () => {
+            await expect(hybridSearch('q', 'ws-001', { mode: 'fuzzy' }))
+                .rejects.toThrow('Unknown search mode');
+        });
+
+        it('should only query the lexical index in lexical mode', async () => {
+            searchLexical.mockResolvedValue([lexicalHit('c-1', 'doc-1', 4.2)]);
+
+            const results = await hybridSearch('ERR-4012', 'ws-001', { mode: 'lexical' });
+
+            expect(searchChunks).not.toHaveBeenCalled();
+            expect(results[0].scores).toMatchObject({ vector: null, lexical: { score: 4.2, rank: 1 } });
+        });
+
+        it('should only query embeddings in vector mode', async () => {
+            searchChunks.mockResolvedValue([vectorHit('c-1', 'doc-1', 0.8)]);
+
+            const results = await hybridSearch('deploy', 'ws-001', { mode: 'vector' });
+
+            expect(searchLexical).not.toHaveBeenCalled();
+            expect(results[0]).toMatchObject({ documentId: 'doc-1', similarity: 0.8 });
+        });
+
+        it('should fuse both rankings and include score breakdowns', async () => {
+            searchChunks.mockResolvedValue([vectorHit('c-1', 'doc-1', 0.9), vectorHit('c-2', 'doc-2', 0.5)]);
+            searchLexical.mockResolvedValue([lexicalHit('c-2', 'doc-2', 7.1)]);
+
+            const results = await hybridSearch('ERR-4012 rollback', 'ws-001');
+
+            expect(results[0].documentId).toBe('doc-2');
+            expect(results[0].scores.vector).toEqual({ score: 0.5, rank: 2 });
+            expect(results[0].scores.lexical).toEqual({ score: 7.1, rank: 1 });
+            expect(results[0].scores.fused).toBe(results[0].score);
+        });
+
+        it('should return one result per document', async () => {
+            searchChunks.mockResolvedValue([vectorHit('c-1', 'doc-1', 0.9), vectorHit('c-2', 'doc-1', 0.7)]);
+
+            const results = await hybridSearch('query', 'ws-001', { mode: 'vector' });
+
+            expect(results).toHaveLength(1);
+            expect(results[0].excerpt).toBe('v c-1');
+        });
+
+        it('should fall back to document vectors when no chunks exist', async () => {
+            searchDocuments.mockResolvedValue([{ documentId: 'doc-9', title: 'Old', similarity: 0.6, excerpt: 'x' }]);
+
+            const results = await hybridSearch('query', 'ws-001', { mode: 'vector' });
+
+            expect(results[0].documentId).toBe('doc-9');
+        });
+    });
+});
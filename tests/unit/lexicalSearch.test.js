@@ -0,0 +1,113 @@
+/**
+ * Lexical Search Unit Tests
+ */
+
+const {
+    tokenizeForSearch,
+    buildIndex,
+    scoreBM25,
+    searchLexical,
+    invalidateLexicalIndex,
+} = require('../../src/services/lexicalSearch');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: {
+        findAll: jest.fn(),
+    },
+    DocumentChunk: {},
+}));
+
+const { Document } = require('../../src/models');
+
+describe('Lexical Search Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        invalidateLexicalIndex('ws-001');
+    });
+
+    describe('tokenizeForSearch', () => {
+        it('should keep compound codes whole and split into parts', () => {
+            const terms = tokenizeForSearch('Retry on ERR-4012 per POL-7.3');
+
+            expect(terms).toContain('err-4012');
+            expect(terms).toContain('4012');
+            expect(terms).toContain('pol-7.3');
+        });
+
+        it('should drop stopwords and stem words', () => {
+            const terms = tokenizeForSearch('The deployments are running');
+
+            expect(terms).toEqual(['deploy', 'run']);
+        });
+    });
+
+    describe('scoreBM25', () => {
+        const units = [
+            { key: 'a', content: 'Restart the worker when you see ERR-4012 in the logs.' },
+            { key: 'b', content: 'Restart the worker nightly. Restart the worker weekly.' },
+            { key: 'c', content: 'Vacation requests need manager approval.' },
+        ];
+
+        it('should rank exact code matches first', () => {
+            const results = scoreBM25(buildIndex(units), 'ERR-4012');
+
+            expect(results).toHaveLength(1);
+            expect(results[0].unit.key).toBe('a');
+        });
+
+        it('should not score units without query terms', () => {
+            const results = scoreBM25(buildIndex(units), 'restart worker');
+
+            expect(results.map(r => r.unit.key)).not.toContain('c');
+            expect(results[0].score).toBeGreaterThan(0);
+        });
+
+        it('should favour rare terms over common ones', () => {
+            const results = scoreBM25(buildIndex(units), 'restart logs');
+
+            expect(results[0].unit.key).toBe('a');
+        });
+    });
+
+    describe('searchLexical', () => {
+        it('should index chunks and whole documents without chunks', async () => {
+            Document.findAll.mockResolvedValue([
+                {
+                    id: 'doc-1',
+                    title: 'Runbook',
+                    type: 'Guide',
+                    content: 'ignored',
+                    updatedAt: new Date(),
+                    chunks: [{ id: 'chunk-1', chunkIndex: 0, content: 'Page on-call for ERR-4012.' }],
+                },
+                {
+                    id: 'doc-2',
+                    title: 'Legacy Notes',
+                    type: 'Notes',
+                    content: 'ERR-4012 was fixed in release 2.1.',
+                    updatedAt: new Date(),
+                    chunks: [],
+                },
+            ]);
+
+            const results = await searchLexical('ERR-4012', 'ws-001');
+
+            expect(results.map(r => r.key).sort()).toEqual(['chunk-1', 'document:doc-2']);
+            expect(results[0]).toHaveProperty('score');
+            expect(results[0]).toHaveProperty('excerpt');
+        });
+
+        it('should reuse the index until invalidated', async () => {
+            Document.findAll.mockResolvedValue([]);
+
+            await searchLexical('query', 'ws-001');
+            await searchLexical('query', 'ws-001');
+            expect(Document.findAll).toHaveBeenCalledTimes(1);
+
+            invalidateLexicalIndex('ws-001');
+            await searchLexical('query', 'ws-001');
+            expect(Document.findAll).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Line and Word Diff Unit Tests
+ */
+
+const { diffSequences, diffLines, diffWords } = require('../../src/utils/lineDiff');
+
+function render(ops) {
+    const prefixes = { equal: ' ', delete: '-', insert: '+' };
+    return ops.map(op => prefixes[op.type] + op.value);
+}
+
+describe('Line Diff Utilities', () => {
+    describe('diffSequences', () => {
+        it('should find the longest common subsequence', () => {
+            const ops = diffSequences(['a', 'b', 'c', 'd'], ['a', 'c', 'e', 'd']);
+
+            expect(render(ops)).toEqual([' a', '-b', ' c', '+e', ' d']);
+        });
+
+        it('should keep indexes into both sequences', () => {
+            const ops = diffSequences(['x', 'y'], ['y', 'z']);
+
+            expect(ops).toEqual([
+                { type: 'delete', oldIndex: 0, newIndex: null, value: 'x' },
+                { type: 'equal', oldIndex: 1, newIndex: 0, value: 'y' },
+                { type: 'insert', oldIndex: null, newIndex: 1, value: 'z' },
+            ]);
+        });
+
+        it('should handle empty sequences', () => {
+            expect(render(diffSequences([], ['a']))).toEqual(['+a']);
+            expect(render(diffSequences(['a'], []))).toEqual(['-a']);
+            expect(diffSequences([], [])).toEqual([]);
+        });
+    });
+
+    describe('diffLines', () => {
+        it('should treat CRLF and LF line endings alike', () => {
+            const ops = diffLines('one\r\ntwo\r\nthree', 'one\ntwo\nfour');
+
+            expect(render(ops)).toEqual([' one', ' two', '-three', '+four']);
+        });
+    });
+
+    describe('diffWords', () => {
+        it('should merge runs and rebuild both lines', () => {
+            const segments = diffWords('Install Node 18 and npm.', 'Install Node 22 and yarn.');
+            const side = type => segments.filter(s => s.type !== type).map(s => s.text).join('');
+
+            expect(segments).toContainEqual({ type: 'delete', text: '18' });
+            expect(segments).toContainEqual({ type: 'insert', text: '22' });
+            expect(side('insert')).toBe('Install Node 18 and npm.');
+            expect(side('delete')).toBe('Install Node 22 and yarn.');
+        });
+    });
+});
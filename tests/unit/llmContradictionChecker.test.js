@@ -0,0 +1,141 @@
+/**
+ * LLM Contradiction Checker Unit Tests
+ */
+
+const {
+    getContradictionChecker,
+    selectCandidatePairs,
+    parseVerdictResponse,
+} = require('../../src/services/llmContradictionChecker');
+const { statementPairHash } = require('../../src/services/contradictionDetector');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    ContradictionVerdict: {
+        findAll: jest.fn(),
+        bulkCreate: jest.fn(),
+    },
+}));
+
+const mockGenerateContent = jest.fn();
+jest.mock('@google/generative-ai', () => ({
+    GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+        getGenerativeModel: () => ({ generateContent: mockGenerateContent }),
+    })),
+}));
+
+const { ContradictionVerdict } = require('../../src/models');
+
+const approvalPair = {
+    statement: 'Expense reports must be approved by the CFO.',
+    relatedStatement: 'Expense reports must be approved by the finance lead.',
+};
+const unrelatedPair = {
+    statement: 'Expense reports must be approved by the CFO.',
+    relatedStatement: 'The office closes at six on Fridays.',
+};
+
+describe('LLMContradictionChecker', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.CONTRADICTION_PROVIDER = 'gemini';
+        process.env.GEMINI_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    describe('selectCandidatePairs', () => {
+        it('should keep similar pairs only, once per statement hash', () => {
+            const candidates = selectCandidatePairs([approvalPair, unrelatedPair, approvalPair]);
+
+            expect(candidates).toHaveLength(1);
+            expect(candidates[0].hash).toBe(statementPairHash(approvalPair.statement, approvalPair.relatedStatement));
+        });
+
+        it('should cap the number of pairs', () => {
+            const pairs = [1, 2, 3].map(n => ({
+                statement: `Backups run every ${n} hours on the primary cluster.`,
+                relatedStatement: `Backups run every ${n + 1} hours on the primary cluster.`,
+            }));
+
+            expect(selectCandidatePairs(pairs, { maxPairs: 2 })).toHaveLength(2);
+        });
+    });
+
+    describe('parseVerdictResponse', () => {
+        const candidates = [{ hash: 'h1' }, { hash: 'h2' }];
+
+        it('should map verdicts to statement hashes', () => {
+            const text = '```json\n[{"pair": 1, "verdict": "Contradict", "confidence": 0.9, "rationale": "Different approvers"},' +
+                '{"pair": 2, "verdict": "neutral", "confidence": 2}]\n```';
+
+            const verdicts = parseVerdictResponse(text, candidates);
+
+            expect(verdicts.get('h1')).toEqual({ verdict: 'contradict', confidence: 0.9, rationale: 'Different approvers' });
+            expect(verdicts.get('h2')).toEqual({ verdict: 'neutral', confidence: 1, rationale: null });
+        });
+
+        it('should drop unknown pairs and verdicts', () => {
+            const verdicts = parseVerdictResponse('[{"pair": 3, "verdict": "neutral"}, {"pair": 1, "verdict": "maybe"}]', candidates);
+
+            expect(verdicts.size).toBe(0);
+        });
+    });
+
+    describe('getContradictionChecker', () => {
+        it('should return null for the rules provider', () => {
+            process.env.CONTRADICTION_PROVIDER = 'rules';
+
+            expect(getContradictionChecker()).toBeNull();
+        });
+
+        it('should return null without an API key', () => {
+            delete process.env.GEMINI_API_KEY;
+
+            expect(getContradictionChecker()).toBeNull();
+        });
+
+        it('should use cached verdicts without calling the model', async () => {
+            const hash = statementPairHash(approvalPair.statement, approvalPair.relatedStatement);
+            ContradictionVerdict.findAll.mockResolvedValue([
+                { statementHash: hash, verdict: 'contradict', confidence: 0.8, rationale: 'Cached' },
+            ]);
+
+            const verdicts = await getContradictionChecker().checkPairs([approvalPair]);
+
+            expect(mockGenerateContent).not.toHaveBeenCalled();
+            expect(verdicts.get(hash)).toMatchObject({ verdict: 'contradict', rationale: 'Cached', provider: 'gemini' });
+        });
+
+        it('should ask the model about uncached pairs and cache the verdicts', async () => {
+            const hash = statementPairHash(approvalPair.statement, approvalPair.relatedStatement);
+            ContradictionVerdict.findAll.mockResolvedValue([]);
+            mockGenerateContent.mockResolvedValue({
+                response: { text: () => '[{"pair": 1, "verdict": "contradict", "confidence": 0.85, "rationale": "Different approvers"}]' },
+            });
+
+            const verdicts = await getContradictionChecker().checkPairs([approvalPair]);
+
+            expect(verdicts.get(hash)).toMatchObject({ verdict: 'contradict', confidence: 0.85 });
+            expect(ContradictionVerdict.bulkCreate).toHaveBeenCalledWith(
+                [expect.objectContaining({ statementHash: hash, verdict: 'contradict', provider: 'gemini' })],
+                { ignoreDuplicates: true }
+            );
+        });
+
+        it('should return no verdicts when the model fails', async () => {
+            ContradictionVerdict.findAll.mockResolvedValue([]);
+            mockGenerateContent.mockRejectedValue(new Error('quota exceeded'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const verdicts = await getContradictionChecker().checkPairs([approvalPair]);
+
+            expect(verdicts.size).toBe(0);
+            expect(ContradictionVerdict.bulkCreate).not.toHaveBeenCalled();
+        });
+    });
+});
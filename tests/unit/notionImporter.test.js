@@ -0,0 +1,96 @@
+/**
+ * Notion Importer Unit Tests
+ */
+
+const { isExport, describePage, readMarkdownPage } = require('../../src/services/notionImporter');
+
+const HANDBOOK_ID = '0123456789abcdef0123456789abcdef';
+const POLICIES_ID = '11111111111111111111111111111111';
+
+describe('Notion Importer', () => {
+    describe('isExport', () => {
+        it('should recognise files named with Notion page IDs', () => {
+            expect(isExport([`Handbook ${HANDBOOK_ID}.md`])).toBe(true);
+            expect(isExport([`Export-1a2b/Handbook ${HANDBOOK_ID}.html`])).toBe(true);
+        });
+
+        it('should not match other archives', () => {
+            expect(isExport(['Handbook.md', `image ${HANDBOOK_ID}.png`])).toBe(false);
+        });
+    });
+
+    describe('readMarkdownPage', () => {
+        it('should split the property block from the content', () => {
+            const page = readMarkdownPage([
+                '# Policies',
+                '',
+                'Owner: Sam',
+                'Last edited time: July 13, 2023 9:41 AM',
+                '',
+                'Expenses over $500 need approval.',
+            ].join('\n'));
+
+            expect(page.title).toBe('Policies');
+            expect(page.properties).toEqual({
+                'owner': 'Sam',
+                'last edited time': 'July 13, 2023 9:41 AM',
+            });
+            expect(page.content).toBe('# Policies\n\nExpenses over $500 need approval.');
+        });
+
+        it('should not treat a sentence after the title as properties', () => {
+            const markdown = '# Notes\n\nNote: this runs on to a paragraph\nthat keeps going.';
+            const page = readMarkdownPage(markdown);
+
+            expect(page.properties).toEqual({});
+            expect(page.content).toBe(markdown);
+        });
+
+        it('should handle pages without a title', () => {
+            expect(readMarkdownPage('Just text')).toEqual({ title: null, properties: {}, content: 'Just text' });
+        });
+    });
+
+    describe('describePage', () => {
+        it('should describe a Markdown page from its folders and properties', () => {
+            const markdown = '# Policies\n\nOwner: Sam\nLast edited time: July 13, 2023 9:41 AM\n\nBody';
+
+            const result = describePage(`Export-1a2b/Handbook ${HANDBOOK_ID}/Policies ${POLICIES_ID}.md`, markdown);
+
+            expect(result).toMatchObject({
+                source: 'notion',
+                sourceId: POLICIES_ID,
+                title: 'Policies',
+                hierarchy: ['Handbook'],
+                sourcePath: 'Handbook > Policies',
+                author: 'Sam',
+                content: '# Policies\n\nBody',
+            });
+            expect(result.lastModified.getFullYear()).toBe(2023);
+        });
+
+        it('should read the title and properties of an HTML page', () => {
+            const html = `
+                <html><body><article>
+                    <header><h1 class="page-title">Handbook</h1>
+                    <table class="properties"><tbody>
+                        <tr><th>Created by</th><td>Ann Lee</td></tr>
+                        <tr><th>Created</th><td><time>@March 3, 2023 2:15 PM</time></td></tr>
+                    </tbody></table></header>
+                    <p>Welcome</p>
+                </article></body></html>
+            `;
+
+            const result = describePage(`Handbook ${HANDBOOK_ID}.html`, html);
+
+            expect(result).toMatchObject({ title: 'Handbook', hierarchy: [], author: 'Ann Lee' });
+            expect(result.lastModified.getMonth()).toBe(2);
+            expect(result).not.toHaveProperty('content');
+        });
+
+        it('should ignore files that are not Notion pages', () => {
+            expect(describePage(`Handbook ${HANDBOOK_ID}/diagram.png`, '')).toBeNull();
+            expect(describePage('README.md', '# Readme')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * Office Parser Unit Tests
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const JSZip = require('jszip');
+const {
+    parsePresentation,
+    parseOpenDocumentText,
+    readPptx,
+    readOdp,
+    readOdt,
+    renderSlides,
+} = require('../../src/services/officeParser');
+
+const P = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const ODF = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+    'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0" ' +
+    'xmlns:presentation="urn:oasis:names:tc:opendocument:xmlns:presentation:1.0" ' +
+    'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"';
+
+function shape(type, paragraphs) {
+    const ph = type ? `<p:nvSpPr><p:cNvPr id="1" name="s"/><p:cNvSpPr/><p:nvPr><p:ph type="${type}"/></p:nvPr></p:nvSpPr>` : '';
+    const body = paragraphs.map(([text, lvl]) =>
+        `<a:p>${lvl ? `<a:pPr lvl="${lvl}"/>` : ''}<a:r><a:t>${text}</a:t></a:r></a:p>`).join('');
+    return `<p:sp>${ph}<p:txBody><a:bodyPr/>${body}</p:txBody></p:sp>`;
+}
+
+function slide(shapes) {
+    return `<?xml version="1.0"?><p:sld ${P}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+}
+
+async function buildPptx({ title = null } = {}) {
+    const zip = new JSZip();
+    zip.file('ppt/presentation.xml', `<?xml version="1.0"?>
+        <p:presentation ${P}><p:sldIdLst>
+            <p:sldId id="257" r:id="rId3"/>
+            <p:sldId id="256" r:id="rId2"/>
+        </p:sldIdLst></p:presentation>`);
+    zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?>
+        <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+            <Relationship Id="rId1" Type="${REL}/slideMaster" Target="slideMasters/slideMaster1.xml"/>
+            <Relationship Id="rId2" Type="${REL}/slide" Target="slides/slide2.xml"/>
+            <Relationship Id="rId3" Type="${REL}/slide" Target="slides/slide1.xml"/>
+        </Relationships>`);
+    zip.file('ppt/slides/slide1.xml', slide([
+        shape('ctrTitle', [['Welcome to Acme']]),
+        shape('subTitle', [['New hire onboarding']]),
+        shape('sldNum', [['1']]),
+    ]));
+    zip.file('ppt/slides/slide2.xml', slide([
+        shape('title', [['First week']]),
+        shape(null, [['Accounts are requested by IT'], ['Ask for a laptop']]),
+        shape('body', [['Meet your buddy'], ['Day 1', 1]]),
+        `<p:graphicFrame><a:graphic><a:graphicData><a:tbl>
+            <a:tr><a:tc><a:txBody><a:p><a:r><a:t>Day</a:t></a:r></a:p></a:txBody></a:tc><a:tc><a:txBody><a:p><a:r><a:t>Task</a:t></a:r></a:p></a:txBody></a:tc></a:tr>
+            <a:tr><a:tc><a:txBody><a:p><a:r><a:t>1</a:t></a:r></a:p></a:txBody></a:tc><a:tc><a:txBody><a:p><a:r><a:t>Security training</a:t></a:r></a:p></a:txBody></a:tc></a:tr>
+        </a:tbl></a:graphicData></a:graphic></p:graphicFrame>`,
+    ]));
+    zip.file('ppt/slides/_rels/slide2.xml.rels', `<?xml version="1.0"?>
+        <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+            <Relationship Id="rId2" Type="${REL}/notesSlide" Target="../notesSlides/notesSlide1.xml"/>
+        </Relationships>`);
+    zip.file('ppt/notesSlides/notesSlide1.xml', `<?xml version="1.0"?><p:notes ${P}><p:cSld><p:spTree>
+        ${shape('sldImg', [])}
+        ${shape('body', [['Mention the 2 week deadline.'], ['Hand out badges.']])}
+        ${shape('sldNum', [['2']])}
+    </p:spTree></p:cSld></p:notes>`);
+    if (title) {
+        zip.file('docProps/core.xml', `<?xml version="1.0"?>
+            <cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"
+                xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${title}</dc:title></cp:coreProperties>`);
+    }
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function buildOdp() {
+    const zip = new JSZip();
+    zip.file('content.xml', `<?xml version="1.0"?>
+        <office:document-content ${ODF}><office:body><office:presentation>
+            <draw:page draw:name="page1">
+                <draw:frame presentation:class="title"><draw:text-box><text:p>Escalation</text:p></draw:text-box></draw:frame>
+                <draw:frame presentation:class="outline"><draw:text-box>
+                    <text:list><text:list-item><text:p>Page the on-call</text:p>
+                        <text:list><text:list-item><text:p>Within<text:s/>15 minutes</text:p></text:list-item></text:list>
+                    </text:list-item></text:list>
+                </draw:text-box></draw:frame>
+                <draw:frame presentation:class="page-number"><draw:text-box><text:p>1</text:p></draw:text-box></draw:frame>
+                <presentation:notes>
+                    <draw:frame presentation:class="notes"><draw:text-box><text:p>Stress the response time.</text:p></draw:text-box></draw:frame>
+                </presentation:notes>
+            </draw:page>
+            <draw:page draw:name="page2">
+                <draw:g><draw:custom-shape><text:p>Questions?</text:p></draw:custom-shape></draw:g>
+            </draw:page>
+        </office:presentation></office:body></office:document-content>`);
+    zip.file('meta.xml', `<?xml version="1.0"?>
+        <office:document-meta ${ODF}><office:meta><dc:title>Incident training</dc:title></office:meta></office:document-meta>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function buildOdt() {
+    const zip = new JSZip();
+    zip.file('content.xml', `<?xml version="1.0"?>
+        <office:document-content ${ODF}><office:body><office:text>
+            <text:sequence-decls><text:sequence-decl text:name="Table"/></text:sequence-decls>
+            <text:table-of-content><text:index-body><text:p>Setup 1</text:p></text:index-body></text:table-of-content>
+            <text:h text:outline-level="1">Setup</text:h>
+            <text:p>Install<text:s text:c="2"/>Node<text:note><text:note-body><text:p>footnote</text:p></text:note-body></text:note> first.</text:p>
+            <text:section><text:h text:outline-level="2">Versions</text:h>
+                <table:table>
+                    <table:table-row><table:table-cell><text:p>Tool</text:p></table:table-cell><table:table-cell><text:p>Version</text:p></table:table-cell></table:table-row>
+                    <table:table-row><table:table-cell><text:p>Node</text:p></table:table-cell><table:table-cell><text:p>18</text:p></table:table-cell></table:table-row>
+                </table:table>
+            </text:section>
+            <text:list><text:list-item><text:p>Clone</text:p></text:list-item><text:list-item><text:p>Build</text:p></text:list-item></text:list>
+        </office:text></office:body></office:document-content>`);
+    zip.file('meta.xml', `<?xml version="1.0"?>
+        <office:document-meta ${ODF}><office:meta>
+            <dc:title>Developer setup</dc:title>
+            <meta:document-statistic meta:page-count="3" meta:word-count="12"/>
+        </office:meta></office:document-meta>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('Office Parser Service', () => {
+    describe('readPptx', () => {
+        it('should read slides in show order with titles, text, tables and notes', async () => {
+            const { title, slides } = await readPptx(await buildPptx());
+
+            expect(title).toBeNull();
+            expect(slides.map(s => [s.number, s.title])).toEqual([[1, 'Welcome to Acme'], [2, 'First week']]);
+            expect(slides[0].blocks).toEqual(['New hire onboarding']);
+            expect(slides[0].notes).toEqual([]);
+            expect(slides[1].blocks).toEqual([
+                'Accounts are requested by IT\nAsk for a laptop',
+                '- Meet your buddy\n  - Day 1',
+                '| Day | Task |\n| --- | --- |\n| 1 | Security training |',
+            ]);
+            expect(slides[1].notes).toEqual(['Mention the 2 week deadline.', 'Hand out badges.']);
+        });
+
+        it('should reject files that are not presentations', async () => {
+            const zip = new JSZip();
+            zip.file('xl/workbook.xml', '<workbook/>');
+
+            await expect(readPptx(await zip.generateAsync({ type: 'nodebuffer' }))).rejects.toThrow('Not a PPTX presentation');
+        });
+    });
+
+    describe('readOdp', () => {
+        it('should read pages with titles, outline lists and notes', async () => {
+            const { title, slides } = await readOdp(await buildOdp());
+
+            expect(title).toBe('Incident training');
+            expect(slides).toEqual([
+                {
+                    number: 1,
+                    title: 'Escalation',
+                    blocks: ['- Page the on-call\n  - Within 15 minutes'],
+                    notes: ['Stress the response time.'],
+                },
+                { number: 2, title: null, blocks: ['Questions?'], notes: [] },
+            ]);
+        });
+    });
+
+    describe('renderSlides', () => {
+        it('should render one section per slide with speaker notes', () => {
+            const content = renderSlides([
+                { number: 1, title: 'Intro', blocks: ['- One'], notes: ['Say hi.', 'Smile.'] },
+                { number: 2, title: null, blocks: ['Questions?'], notes: [] },
+            ]);
+
+            expect(content).toBe('# Slide 1: Intro\n\n- One\n\nSpeaker notes:\nSay hi.\nSmile.\n\n# Slide 2\n\nQuestions?');
+        });
+    });
+
+    describe('readOdt', () => {
+        it('should render headings, paragraphs, tables and lists without indexes or footnotes', async () => {
+            const result = await readOdt(await buildOdt());
+
+            expect(result.content).toBe([
+                '# Setup',
+                '',
+                'Install Node first.',
+                '',
+                '## Versions',
+                '',
+                '| Tool | Version |',
+                '| --- | --- |',
+                '| Node | 18 |',
+                '',
+                '- Clone',
+                '- Build',
+            ].join('\n'));
+            expect(result).toMatchObject({ title: 'Developer setup', headingCount: 2, pageCount: 3 });
+        });
+    });
+
+    describe('parse from file', () => {
+        let dir;
+
+        beforeAll(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'office-'));
+        });
+
+        afterAll(async () => {
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should report slide count and titles for presentations', async () => {
+            const file = path.join(dir, 'deck.pptx');
+            await fs.writeFile(file, await buildPptx({ title: 'Onboarding deck' }));
+
+            const { content, metadata } = await parsePresentation(file, 'pptx');
+
+            expect(content.startsWith('# Slide 1: Welcome to Acme\n\nNew hire onboarding\n\n# Slide 2: First week')).toBe(true);
+            expect(metadata).toEqual({
+                title: 'Onboarding deck',
+                slideCount: 2,
+                slides: [{ number: 1, title: 'Welcome to Acme' }, { number: 2, title: 'First week' }],
+                notesCount: 1,
+            });
+        });
+
+        it('should fall back to the first slide title', async () => {
+            const file = path.join(dir, 'untitled.pptx');
+            await fs.writeFile(file, await buildPptx());
+
+            const { metadata } = await parsePresentation(file, 'pptx');
+
+            expect(metadata.title).toBe('Welcome to Acme');
+        });
+
+        it('should report title and page count for ODT files', async () => {
+            const file = path.join(dir, 'setup.odt');
+            await fs.writeFile(file, await buildOdt());
+
+            const { metadata } = await parseOpenDocumentText(file);
+
+            expect(metadata).toEqual({ title: 'Developer setup', headingCount: 2, pageCount: 3 });
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Quantity Extraction Unit Tests
+ */
+
+const {
+    extractQuantities,
+    areComparable,
+    quantitiesDiffer,
+    stripQuantities,
+    describeQuantity,
+} = require('../../src/utils/quantityExtractor');
+const { detectStatementContradiction } = require('../../src/utils/textAnalysis');
+
+function only(text) {
+    const quantities = extractQuantities(text);
+    expect(quantities).toHaveLength(1);
+    return quantities[0];
+}
+
+describe('Quantity Extraction', () => {
+    describe('extractQuantities', () => {
+        it('should normalize durations to hours', () => {
+            expect(only('within 1 day')).toMatchObject({ raw: '1 day', normalizedValue: 24, normalizedUnit: 'hour' });
+            expect(only('every 30 minutes')).toMatchObject({ normalizedValue: 0.5, dimension: 'duration' });
+            expect(only('within 5 business days')).toMatchObject({ unit: 'business day', normalizedValue: 120 });
+        });
+
+        it('should parse currency amounts with separators and magnitudes', () => {
+            expect(only('above $1,000')).toMatchObject({ value: 1000, unit: 'USD', dimension: 'currency' });
+            expect(only('up to EUR 2.5k')).toMatchObject({ value: 2500, unit: 'EUR' });
+            expect(only('a budget of 2 million dollars')).toMatchObject({ value: 2000000, unit: 'USD' });
+        });
+
+        it('should normalize sizes to MB and read percentages', () => {
+            expect(only('limited to 2GB')).toMatchObject({ unit: 'GB', normalizedValue: 2048, normalizedUnit: 'MB' });
+            expect(only('at least 15 percent')).toMatchObject({ value: 15, dimension: 'percentage' });
+        });
+
+        it('should count nouns in singular form', () => {
+            expect(only('requires 3 approvers')).toMatchObject({ dimension: 'count', unit: 'approver', value: 3 });
+            expect(extractQuantities('retry 5 times')).toEqual([]);
+        });
+
+        it('should return an empty list for empty input', () => {
+            expect(extractQuantities('')).toEqual([]);
+            expect(extractQuantities(null)).toEqual([]);
+        });
+    });
+
+    describe('comparison', () => {
+        it('should treat equal durations in different units as equal', () => {
+            const [a, b] = [only('24 hours'), only('1 day')];
+
+            expect(areComparable(a, b)).toBe(true);
+            expect(quantitiesDiffer(a, b)).toBe(false);
+        });
+
+        it('should not compare different currencies or counted nouns', () => {
+            expect(areComparable(only('$500'), only('EUR 500'))).toBe(false);
+            expect(areComparable(only('3 approvers'), only('3 reviewers'))).toBe(false);
+        });
+
+        it('should allow a relative tolerance', () => {
+            expect(quantitiesDiffer(only('$1,000'), only('$1,005'), 0.01)).toBe(false);
+            expect(quantitiesDiffer(only('$1,000'), only('$1,050'), 0.01)).toBe(true);
+        });
+
+        it('should compare percentages in percentage points', () => {
+            expect(quantitiesDiffer(only('99.9% uptime'), only('99.5% uptime'))).toBe(true);
+            expect(quantitiesDiffer(only('99.95% uptime'), only('99.9% uptime'))).toBe(true);
+            expect(quantitiesDiffer(only('15%'), only('15.0%'))).toBe(false);
+            expect(quantitiesDiffer(only('99.9%'), only('99.5%'), 0.01, 0.5)).toBe(false);
+        });
+
+        it('should not equate business days with calendar days', () => {
+            expect(quantitiesDiffer(only('5 business days'), only('7 days'))).toBe(true);
+            expect(quantitiesDiffer(only('5 business days'), only('5 working days'))).toBe(false);
+        });
+
+        it('should strip and describe quantities', () => {
+            expect(stripQuantities('Refunds within 5 business days')).toBe('Refunds within ');
+            expect(describeQuantity(only('2 GB'))).toBe('2 GB (2048 MB)');
+            expect(describeQuantity(only('$500'))).toBe('$500');
+        });
+    });
+
+    describe('detectStatementContradiction', () => {
+        it('should not flag the same duration in different units', () => {
+            const result = detectStatementContradiction(
+                'Tickets must be answered within 24 hours',
+                'Tickets must be answered within 1 day'
+            );
+
+            expect(result.isContradiction).toBe(false);
+        });
+
+        it('should flag different currency amounts with raw and normalized values', () => {
+            const result = detectStatementContradiction(
+                'Purchases above $500 need manager approval',
+                'Purchases above $1,000 need manager approval'
+            );
+
+            expect(result.isContradiction).toBe(true);
+            expect(result.reason).toBe('Numerical conflict: $500 vs $1,000');
+            expect(result.quantities).toEqual([
+                { raw: '$500', value: 500, unit: 'USD', dimension: 'currency', normalizedValue: 500, normalizedUnit: 'USD' },
+                { raw: '$1,000', value: 1000, unit: 'USD', dimension: 'currency', normalizedValue: 1000, normalizedUnit: 'USD' },
+            ]);
+        });
+
+        it('should flag business days against calendar days', () => {
+            const result = detectStatementContradiction(
+                'Refunds are processed within 5 business days',
+                'Refunds are processed within 7 days'
+            );
+
+            expect(result.isContradiction).toBe(true);
+            expect(result.reason).toBe('Numerical conflict: 5 business days (120 hours) vs 7 days (168 hours)');
+        });
+
+        it('should flag uptime targets a fraction of a point apart', () => {
+            const result = detectStatementContradiction(
+                'The service must maintain 99.9% uptime',
+                'The service must maintain 99.5% uptime'
+            );
+
+            expect(result.isContradiction).toBe(true);
+            expect(result.reason).toBe('Numerical conflict: 99.9% vs 99.5%');
+        });
+    });
+});
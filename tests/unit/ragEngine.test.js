@@ -11,13 +11,24 @@ const {
 // Mock dependencies
 jest.mock('../../src/services/vectorSearch', () => ({
     findRelevantContext: jest.fn(),
+    buildContext: jest.fn(() => 'Rebuilt context'),
 }));
 
-const { findRelevantContext } = require('../../src/services/vectorSearch');
+jest.mock('../../src/services/retrievalFreshness', () => ({
+    applyFreshnessRanking: jest.fn(),
+}));
+
+const { findRelevantContext, buildContext } = require('../../src/services/vectorSearch');
+const { applyFreshnessRanking } = require('../../src/services/retrievalFreshness');
 
 describe('RAG Engine Service', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        applyFreshnessRanking.mockImplementation(async (sources) => ({
+            sources,
+            excluded: [],
+            mode: 'downrank',
+        }));
     });
 
     describe('isRAGAvailable', () => {
@@ -109,7 +120,34 @@ describe('RAG Engine Service', () => {
 
             await askQuestion('What is deployment?', 'ws-001');
 
-            expect(findRelevantContext).toHaveBeenCalledWith('What is deployment?', 'ws-001');
+            expect(findRelevantContext).toHaveBeenCalledWith('What is deployment?', 'ws-001', { topK: 15 });
+        });
+
+        it('should fill the context from candidates left after exclusion', async () => {
+            delete process.env.GEMINI_API_KEY;
+
+            const candidates = Array.from({ length: 15 }, (_, i) => ({
+                documentId: `doc-${i}`,
+                title: `Doc ${i}`,
+                excerpt: 'x',
+                similarity: 0.9 - i * 0.01,
+                riskLevel: i < 5 ? 'high' : 'low',
+                freshnessStatus: 'fresh',
+            }));
+            findRelevantContext.mockResolvedValue({ context: 'Some context', sources: candidates });
+            applyFreshnessRanking.mockResolvedValue({
+                sources: candidates.slice(5),
+                excluded: candidates.slice(0, 5),
+                mode: 'exclude',
+            });
+
+            const result = await askQuestion('question', 'ws-001');
+
+            expect(buildContext).toHaveBeenCalledWith(candidates.slice(5, 10));
+            expect(result.answer).toContain('Doc 5');
+            expect(result.sources.map(s => s.documentId)).toEqual(['doc-5', 'doc-6', 'doc-7']);
+            const excludedWarnings = result.warnings.filter(w => w.type === 'excluded_source');
+            expect(excludedWarnings.map(w => w.documentId)).toEqual(['doc-0', 'doc-1', 'doc-2', 'doc-3', 'doc-4']);
         });
 
         it('should return basic answer when Gemini not available', async () => {
@@ -125,5 +163,61 @@ describe('RAG Engine Service', () => {
             expect(result.answer).toContain('Test Doc');
             expect(result.warnings.some(w => w.type === 'basic_mode')).toBe(true);
         });
+
+        it('should discount confidence by source confidence', async () => {
+            delete process.env.GEMINI_API_KEY;
+
+            findRelevantContext.mockResolvedValue({
+                context: 'Some context',
+                sources: [{ documentId: 'doc-1', title: 'Old Policy', excerpt: 'Content', similarity: 0.8 }],
+            });
+            applyFreshnessRanking.mockResolvedValue({
+                sources: [{
+                    documentId: 'doc-1',
+                    title: 'Old Policy',
+                    excerpt: 'Content',
+                    similarity: 0.8,
+                    confidence: 0.5,
+                    riskLevel: 'medium',
+                    freshnessStatus: 'critical',
+                    ageDays: 200,
+                    contradicted: false,
+                }],
+                excluded: [],
+                mode: 'downrank',
+            });
+
+            const result = await askQuestion('question', 'ws-001');
+
+            expect(result.confidence).toBe(0.4);
+            expect(result.sources[0]).toMatchObject({ confidence: 0.5, riskLevel: 'medium' });
+            expect(result.warnings).toContainEqual(expect.objectContaining({
+                type: 'stale_source',
+                documentId: 'doc-1',
+            }));
+        });
+
+        it('should refuse to answer when every source is excluded', async () => {
+            const decayed = { documentId: 'doc-1', title: 'Contradicted SOP', similarity: 0.9, riskLevel: 'high', freshnessStatus: 'fresh' };
+            findRelevantContext.mockResolvedValue({ context: 'Some context', sources: [decayed] });
+            applyFreshnessRanking.mockResolvedValue({ sources: [], excluded: [decayed], mode: 'exclude' });
+
+            const result = await askQuestion('question', 'ws-001');
+
+            expect(result.confidence).toBe(0);
+            expect(result.sources).toEqual([]);
+            expect(result.warnings[0]).toMatchObject({ type: 'excluded_source', documentId: 'doc-1' });
+        });
+
+        it('should warn once per decayed document', async () => {
+            delete process.env.GEMINI_API_KEY;
+
+            const chunk = { documentId: 'doc-1', title: 'Doc', excerpt: 'x', similarity: 0.7, confidence: 0.6, riskLevel: 'high', freshnessStatus: 'fresh' };
+            findRelevantContext.mockResolvedValue({ context: 'Some context', sources: [chunk, { ...chunk }] });
+
+            const result = await askQuestion('question', 'ws-001');
+
+            expect(result.warnings.filter(w => w.type === 'decayed_source')).toHaveLength(1);
+        });
     });
 });
@@ -0,0 +1,123 @@
+/**
+ * Retrieval Freshness Unit Tests
+ */
+
+const {
+    assessSource,
+    rankSourcesByFreshness,
+    applyFreshnessRanking,
+} = require('../../src/services/retrievalFreshness');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: { findAll: jest.fn() },
+    DecayAnalysis: { findAll: jest.fn() },
+    WorkspaceSettings: { findOne: jest.fn() },
+    DecayPolicy: { findOne: jest.fn() },
+    DocumentType: { findAll: jest.fn().mockResolvedValue([]) },
+}));
+jest.mock('../../src/services/decayRunner', () => ({
+    latestAnalysisWhere: () => ({ analyzedAt: 'latest' }),
+}));
+
+const { Document, DecayAnalysis, WorkspaceSettings } = require('../../src/models');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Retrieval Freshness Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('assessSource', () => {
+        it('should derive confidence from freshness without an analysis', () => {
+            const assessment = assessSource({ type: 'SOP', updatedAt: new Date(Date.now() - 100 * DAY) });
+
+            expect(assessment.freshnessStatus).toBe('critical');
+            expect(assessment.confidence).toBe(0.7);
+            expect(assessment.riskLevel).toBe('medium');
+        });
+
+        it('should use the latest analysis risk and flag contradictions', () => {
+            const assessment = assessSource(
+                { type: 'Policy', updatedAt: new Date() },
+                {
+                    confidenceScore: 0.45,
+                    riskLevel: 'high',
+                    decayReasons: [{ type: 'contradiction', description: 'x', sources: ['doc-2'] }],
+                }
+            );
+
+            expect(assessment.confidence).toBe(0.45);
+            expect(assessment.riskLevel).toBe('high');
+            expect(assessment.contradicted).toBe(true);
+        });
+    });
+
+    describe('rankSourcesByFreshness', () => {
+        const sources = [
+            { documentId: 'stale', title: 'Stale', similarity: 0.9 },
+            { documentId: 'fresh', title: 'Fresh', similarity: 0.7 },
+        ];
+        const assessments = new Map([
+            ['stale', { confidence: 0.3, riskLevel: 'high', freshnessStatus: 'critical', contradicted: false }],
+            ['fresh', { confidence: 1, riskLevel: 'low', freshnessStatus: 'fresh', contradicted: false }],
+        ]);
+
+        it('should down-rank decayed sources', () => {
+            const { sources: ranked, excluded } = rankSourcesByFreshness(sources, assessments, 'downrank');
+
+            expect(ranked.map(s => s.documentId)).toEqual(['fresh', 'stale']);
+            expect(ranked[1].rankScore).toBe(0.27);
+            expect(excluded).toEqual([]);
+        });
+
+        it('should exclude decayed sources', () => {
+            const { sources: ranked, excluded } = rankSourcesByFreshness(sources, assessments, 'exclude');
+
+            expect(ranked.map(s => s.documentId)).toEqual(['fresh']);
+            expect(excluded.map(s => s.documentId)).toEqual(['stale']);
+        });
+
+        it('should keep retrieval order when off but still report confidence', () => {
+            const { sources: ranked } = rankSourcesByFreshness(sources, assessments, 'off');
+
+            expect(ranked.map(s => s.documentId)).toEqual(['stale', 'fresh']);
+            expect(ranked[0]).toMatchObject({ confidence: 0.3, riskLevel: 'high' });
+        });
+    });
+
+    describe('applyFreshnessRanking', () => {
+        it('should use the workspace mode and latest analysis per document', async () => {
+            WorkspaceSettings.findOne.mockResolvedValue({ retrievalFreshnessMode: 'exclude' });
+            Document.findAll.mockResolvedValue([
+                { id: 'doc-1', type: 'Policy', updatedAt: new Date() },
+            ]);
+            DecayAnalysis.findAll.mockResolvedValue([
+                { documentId: 'doc-1', confidenceScore: 0.3, riskLevel: 'high', decayReasons: [], analyzedAt: new Date() },
+                { documentId: 'doc-1', confidenceScore: 0.9, riskLevel: 'low', decayReasons: [], analyzedAt: new Date(Date.now() - DAY) },
+            ]);
+
+            const result = await applyFreshnessRanking([{ documentId: 'doc-1', similarity: 0.8 }], 'ws-001');
+
+            expect(result.mode).toBe('exclude');
+            expect(result.sources).toEqual([]);
+            expect(result.excluded[0].riskLevel).toBe('high');
+            // Only the latest analyses are queried
+            expect(DecayAnalysis.findAll).toHaveBeenCalledWith(expect.objectContaining({
+                where: { documentId: ['doc-1'], analyzedAt: 'latest' },
+            }));
+        });
+
+        it('should default to downrank when the workspace has no settings', async () => {
+            WorkspaceSettings.findOne.mockResolvedValue(null);
+            Document.findAll.mockResolvedValue([]);
+            DecayAnalysis.findAll.mockResolvedValue([]);
+
+            const result = await applyFreshnessRanking([{ documentId: 'doc-1', similarity: 0.8 }], 'ws-001');
+
+            expect(result.mode).toBe('downrank');
+            expect(result.sources[0].confidence).toBe(1);
+        });
+    });
+});
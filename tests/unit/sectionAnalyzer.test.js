@@ -0,0 +1,41 @@
+/**
+ * Section Analyzer Unit Tests
+ */
+
+const { analyzeSections } = require('../../src/services/sectionAnalyzer');
+const { splitSections } = require('../../src/services/sectionSplitter');
+
+const content = '# Setup\nInstall the agent on every laptop.\n# Billing\nInvoices are sent on the first of the month.';
+
+function contradiction(statement, severity = 'high') {
+    return { severity, thisDocument: { statement }, otherDocument: { statement: 'Other statement' } };
+}
+
+describe('Section Analyzer', () => {
+    describe('analyzeSections', () => {
+        it('should charge a contradiction to the section holding its statement', () => {
+            const sections = splitSections(content);
+
+            const result = analyzeSections({ content, currentVersion: 1 }, sections, {
+                contradictions: [contradiction('Invoices are sent on the first of the month.')],
+            });
+
+            expect(result.contradictionSections).toEqual(['Billing']);
+            expect(result.sections.map(s => s.contradictions)).toEqual([0, 1]);
+            expect(result.penalties.contradiction).toBeGreaterThan(0);
+            expect(result.penalties.contradiction).toBeLessThan(0.15);
+        });
+
+        it('should charge contradictions it cannot place to the whole document', () => {
+            const sections = splitSections(content);
+
+            const result = analyzeSections({ content, currentVersion: 1 }, sections, {
+                contradictions: [contradiction('Plan: Basic, Seats: 5 seats')],
+            });
+
+            expect(result.contradictionSections).toEqual([null]);
+            expect(result.sections.map(s => s.contradictions)).toEqual([0, 0]);
+            expect(result.penalties.contradiction).toBe(0.15);
+        });
+    });
+});
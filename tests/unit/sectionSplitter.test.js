@@ -0,0 +1,62 @@
+/**
+ * Section Splitter Unit Tests
+ */
+
+const {
+    splitSections,
+    findSectionOf,
+    PREAMBLE_TITLE,
+} = require('../../src/services/sectionSplitter');
+
+describe('Section Splitter Service', () => {
+    describe('splitSections', () => {
+        it('should split Markdown by headings with parent paths', () => {
+            const content = 'Intro text.\n# Setup\nInstall it.\n## Node\nUse Node 20.\n# Usage\nRun it.';
+
+            const sections = splitSections(content);
+
+            expect(sections.map(s => s.path)).toEqual([PREAMBLE_TITLE, 'Setup', 'Setup > Node', 'Usage']);
+            expect(sections[2]).toMatchObject({ title: 'Node', level: 2, content: '## Node\nUse Node 20.' });
+            expect(content.slice(sections[3].start, sections[3].end)).toBe('# Usage\nRun it.');
+        });
+
+        it('should ignore headings inside code fences', () => {
+            const content = '# Setup\n```\n# not a heading\n```\n# Usage\nRun it.';
+
+            expect(splitSections(content).map(s => s.title)).toEqual(['Setup', 'Usage']);
+        });
+
+        it('should use the parsed outline for plain text', () => {
+            const content = '1. Overview\nWhat this covers.\n2. Steps\n# run the script\nDone.';
+            const outline = [{ title: '1. Overview', level: 1 }, { title: '2. Steps', level: 1 }];
+
+            const sections = splitSections(content, { outline });
+
+            expect(sections.map(s => s.title)).toEqual(['1. Overview', '2. Steps']);
+            expect(sections[1].content).toContain('# run the script');
+        });
+
+        it('should skip outline headings that are not in the text', () => {
+            const content = 'Overview\nText.\nSteps\nMore text.';
+            const outline = [{ title: 'Overview' }, { title: 'Removed' }, { title: 'Steps' }];
+
+            expect(splitSections(content, { outline }).map(s => s.title)).toEqual(['Overview', 'Steps']);
+        });
+
+        it('should not split documents with fewer than two sections', () => {
+            expect(splitSections('# Title\nJust one section.')).toEqual([]);
+            expect(splitSections('No headings at all.')).toEqual([]);
+            expect(splitSections('')).toEqual([]);
+        });
+    });
+
+    describe('findSectionOf', () => {
+        it('should find the section where the text starts', () => {
+            const content = '# Setup\nInstall it.\n# Usage\nRun it daily.';
+            const sections = splitSections(content);
+
+            expect(findSectionOf(sections, content, 'Run it daily').title).toBe('Usage');
+            expect(findSectionOf(sections, content, 'missing')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Spreadsheet Parser Unit Tests
+ */
+
+const JSZip = require('jszip');
+const {
+    readXlsx,
+    readOds,
+    readCsv,
+    renderSheets,
+    headerUnit,
+    applyUnit,
+    formatXlsxNumber,
+} = require('../../src/services/spreadsheetParser');
+const { extractKeyStatements, detectStatementContradiction } = require('../../src/utils/textAnalysis');
+
+async function buildXlsx() {
+    const zip = new JSZip();
+    zip.file('xl/workbook.xml', `<?xml version="1.0"?>
+        <workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+                  xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+            <sheets>
+                <sheet name="Pricing" sheetId="1" r:id="rId1"/>
+                <sheet name="Lookup" sheetId="2" state="hidden" r:id="rId2"/>
+                <sheet name="SLA" sheetId="3" r:id="rId3"/>
+            </sheets>
+        </workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0"?>
+        <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+            <Relationship Id="rId1" Target="worksheets/sheet1.xml"/>
+            <Relationship Id="rId2" Target="worksheets/sheet2.xml"/>
+            <Relationship Id="rId3" Target="/xl/worksheets/sheet3.xml"/>
+        </Relationships>`);
+    zip.file('xl/sharedStrings.xml', `<?xml version="1.0"?>
+        <sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+            <si><t>Plan</t></si>
+            <si><t>Price ($/month)</t></si>
+            <si><t>Seats</t></si>
+            <si><r><t>Ba</t></r><r><t>sic</t></r></si>
+            <si><t>Service</t></si>
+            <si><t>Uptime</t></si>
+            <si><t>Reviewed</t></si>
+        </sst>`);
+    zip.file('xl/styles.xml', `<?xml version="1.0"?>
+        <styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+            <numFmts><numFmt numFmtId="164" formatCode="0.0%"/></numFmts>
+            <cellXfs>
+                <xf numFmtId="0"/>
+                <xf numFmtId="164"/>
+                <xf numFmtId="14"/>
+            </cellXfs>
+        </styleSheet>`);
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?>
+        <worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+            <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>
+            <row r="3"><c r="A3" t="s"><v>3</v></c><c r="B3"><v>10</v></c><c r="C3"><v>5</v></c></row>
+            <row r="4"><c r="A4" t="inlineStr"><is><t>Pro</t></is></c><c r="C4"><v>25</v></c></row>
+        </sheetData></worksheet>`);
+    zip.file('xl/worksheets/sheet2.xml', `<?xml version="1.0"?>
+        <worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+            <row r="1"><c r="A1" t="inlineStr"><is><t>secret</t></is></c></row>
+        </sheetData></worksheet>`);
+    zip.file('xl/worksheets/sheet3.xml', `<?xml version="1.0"?>
+        <worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+            <row r="1"><c r="A1" t="s"><v>4</v></c><c r="B1" t="s"><v>5</v></c><c r="C1" t="s"><v>6</v></c></row>
+            <row r="2"><c r="A2" t="str"><v>Payments API</v></c><c r="B2" s="1"><v>0.995</v></c><c r="C2" s="2"><v>45000</v></c></row>
+        </sheetData></worksheet>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function buildOds() {
+    const zip = new JSZip();
+    zip.file('content.xml', `<?xml version="1.0"?>
+        <office:document-content
+            xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+            xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+            xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+            <office:body><office:spreadsheet>
+                <table:table table:name="On-call">
+                    <table:table-row>
+                        <table:table-cell><text:p>Team</text:p></table:table-cell>
+                        <table:table-cell><text:p>Response time (minutes)</text:p></table:table-cell>
+                        <table:table-cell table:number-columns-repeated="1000"/>
+                    </table:table-row>
+                    <table:table-row>
+                        <table:table-cell><text:p>Platform</text:p></table:table-cell>
+                        <table:table-cell office:value-type="float" office:value="15"><text:p>15</text:p></table:table-cell>
+                    </table:table-row>
+                    <table:table-row table:number-rows-repeated="1048574">
+                        <table:table-cell table:number-columns-repeated="1024"/>
+                    </table:table-row>
+                </table:table>
+            </office:spreadsheet></office:body>
+        </office:document-content>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('Spreadsheet Parser Service', () => {
+    describe('headerUnit', () => {
+        it('should read units from headers', () => {
+            expect(headerUnit('Price ($)')).toBe('$');
+            expect(headerUnit('Response time [hours]')).toBe('hours');
+            expect(headerUnit('Uptime %')).toBe('%');
+            expect(headerUnit('Max retries')).toBe('retries');
+            expect(headerUnit('Status')).toBeNull();
+            expect(headerUnit('Owner')).toBeNull();
+        });
+    });
+
+    describe('applyUnit', () => {
+        it('should add the unit to bare numbers only', () => {
+            expect(applyUnit('10', '$/month')).toBe('$10/month');
+            expect(applyUnit('99.9', '%')).toBe('99.9%');
+            expect(applyUnit('1,500', 'USD')).toBe('1,500 USD');
+            expect(applyUnit('4', 'hours')).toBe('4 hours');
+            expect(applyUnit('4 days', 'hours')).toBe('4 days');
+            expect(applyUnit('Jane', 'seats')).toBe('Jane');
+        });
+    });
+
+    describe('formatXlsxNumber', () => {
+        it('should apply percent, currency and date formats', () => {
+            expect(formatXlsxNumber(0.1 + 0.2, null)).toBe('0.3');
+            expect(formatXlsxNumber(0.25, '0%')).toBe('25%');
+            expect(formatXlsxNumber(12.5, '[$€-407]#,##0.00')).toBe('€12.50');
+            expect(formatXlsxNumber(45000, 'yyyy-mm-dd')).toBe('2023-03-15');
+            expect(formatXlsxNumber(0.5, 'h:mm')).toBe('12:00');
+        });
+    });
+
+    describe('readXlsx', () => {
+        it('should read visible sheets with shared strings and number formats', async () => {
+            const sheets = await readXlsx(await buildXlsx());
+
+            expect(sheets.map(s => s.name)).toEqual(['Pricing', 'SLA']);
+            expect(sheets[0].rows[2]).toEqual(['Basic', '10', '5']);
+            expect(sheets[1].rows[1]).toEqual(['Payments API', '99.5%', '2023-03-15']);
+        });
+
+        it('should reject files that are not workbooks', async () => {
+            const zip = new JSZip();
+            zip.file('word/document.xml', '<document/>');
+
+            await expect(readXlsx(await zip.generateAsync({ type: 'nodebuffer' }))).rejects.toThrow('Not an XLSX workbook');
+        });
+    });
+
+    describe('readOds', () => {
+        it('should read sheets and skip repeated empty cells', async () => {
+            const sheets = await readOds(await buildOds());
+
+            expect(sheets).toHaveLength(1);
+            expect(sheets[0].name).toBe('On-call');
+            expect(renderSheets(sheets).content).toBe('# On-call\n\nTeam: Platform; Response time (minutes): 15 minutes');
+        });
+    });
+
+    describe('renderSheets', () => {
+        it('should render rows with header context under sheet headings', async () => {
+            const { content, sheets } = renderSheets(await readXlsx(await buildXlsx()));
+
+            expect(content).toBe([
+                '# Pricing',
+                '',
+                'Plan: Basic; Price ($/month): $10/month; Seats: 5 seats',
+                'Plan: Pro; Seats: 25 seats',
+                '',
+                '# SLA',
+                '',
+                'Service: Payments API; Uptime: 99.5%; Reviewed: 2023-03-15',
+            ].join('\n'));
+            expect(sheets).toEqual([
+                { name: 'Pricing', rows: 2, columns: 3 },
+                { name: 'SLA', rows: 1, columns: 3 },
+            ]);
+        });
+
+        it('should name columns by letter when there is no header row', () => {
+            const { content } = renderSheets(readCsv('Basic,10\nPro,25\n'));
+
+            expect(content).toBe('Column A: Basic; Column B: 10\nColumn A: Pro; Column B: 25');
+        });
+
+        it('should keep cell separators out of the row text', () => {
+            const { content } = renderSheets(readCsv('Step;Note\nDeploy;"Run tests; then tag"\n'));
+
+            expect(content).toBe('Step: Deploy; Note: Run tests, then tag');
+        });
+    });
+
+    describe('contradictions with other documents', () => {
+        it('should give one statement per cell that conflicts with prose', async () => {
+            const { content } = renderSheets(await readXlsx(await buildXlsx()));
+            const statements = extractKeyStatements(content);
+
+            expect(statements).toContain('Plan: Basic, Seats: 5 seats');
+            const conflicts = statements
+                .map(statement => detectStatementContradiction(statement, 'The Basic plan includes 10 seats'))
+                .filter(result => result.isContradiction);
+            expect(conflicts.map(c => c.reason)).toEqual(['Numerical conflict: 5 seats vs 10 seats']);
+        });
+    });
+});
@@ -2,13 +2,16 @@
  * Vector Search Unit Tests
  */
 
-const { searchDocuments, findRelevantContext } = require('../../src/services/vectorSearch');
+const { searchDocuments, searchChunks, findRelevantContext } = require('../../src/services/vectorSearch');
 
 // Mock dependencies
 jest.mock('../../src/models', () => ({
     Document: {
         findAll: jest.fn(),
     },
+    DocumentChunk: {
+        findAll: jest.fn(),
+    },
 }));
 
 jest.mock('../../src/utils/vectorUtils', () => ({
@@ -16,12 +19,17 @@ jest.mock('../../src/utils/vectorUtils', () => ({
     calculateSimilarity: jest.fn(),
 }));
 
-const { Document } = require('../../src/models');
+jest.mock('../../src/services/workspaceCorpus', () => ({
+    getCorpus: jest.fn(async () => ({ documentCount: 2, documentFrequencies: { deploy: 1 } })),
+}));
+
+const { Document, DocumentChunk } = require('../../src/models');
 const { getEmbedding, calculateSimilarity } = require('../../src/utils/vectorUtils');
 
 describe('Vector Search Service', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        DocumentChunk.findAll.mockResolvedValue([]);
     });
 
     describe('searchDocuments', () => {
@@ -52,7 +60,9 @@ describe('Vector Search Service', () => {
 
             const results = await searchDocuments('deployment', 'ws-001');
 
-            expect(getEmbedding).toHaveBeenCalledWith('deployment');
+            expect(getEmbedding).toHaveBeenCalledWith('deployment', {
+                corpus: { documentCount: 2, documentFrequencies: { deploy: 1 } },
+            });
             expect(calculateSimilarity).toHaveBeenCalled();
             expect(results).toHaveLength(1);
             expect(results[0].similarity).toBe(0.85);
@@ -147,6 +157,58 @@ describe('Vector Search Service', () => {
         });
     });
 
+    describe('searchChunks', () => {
+        const makeChunk = (id, documentId, title, content) => ({
+            id,
+            documentId,
+            chunkIndex: 0,
+            content,
+            embedding: [0.1],
+            document: { id: documentId, title, type: 'SOP', updatedAt: new Date() },
+        });
+
+        it('should score chunks across documents', async () => {
+            DocumentChunk.findAll.mockResolvedValue([
+                makeChunk('c-1', 'doc-1', 'Doc1', 'Intro paragraph'),
+                makeChunk('c-2', 'doc-2', 'Doc2', 'Rollback procedure'),
+            ]);
+            getEmbedding.mockResolvedValue([0.1]);
+            calculateSimilarity
+                .mockReturnValueOnce(0.3)
+                .mockReturnValueOnce(0.9);
+
+            const results = await searchChunks('rollback', 'ws-001');
+
+            expect(results).toHaveLength(2);
+            expect(results[0]).toMatchObject({
+                chunkId: 'c-2',
+                documentId: 'doc-2',
+                title: 'Doc2',
+                excerpt: 'Rollback procedure',
+            });
+        });
+
+        it('should restrict chunks to the workspace', async () => {
+            getEmbedding.mockResolvedValue([0.1]);
+
+            await searchChunks('query', 'ws-001');
+
+            const options = DocumentChunk.findAll.mock.calls[0][0];
+            expect(options.include[0].where).toMatchObject({ workspaceId: 'ws-001', supersededBy: null });
+        });
+
+        it('should leave out deprecated and archived documents', async () => {
+            getEmbedding.mockResolvedValue([0.1]);
+
+            await searchChunks('query', 'ws-001');
+
+            const { lifecycleState } = DocumentChunk.findAll.mock.calls[0][0].include[0].where;
+            expect(Object.getOwnPropertySymbols(lifecycleState).map(s => lifecycleState[s])).toEqual([
+                ['deprecated', 'archived'],
+            ]);
+        });
+    });
+
     describe('findRelevantContext', () => {
         it('should return empty context when no documents found', async () => {
             Document.findAll.mockResolvedValue([]);
@@ -199,5 +261,49 @@ describe('Vector Search Service', () => {
                 similarity: 0.85,
             });
         });
+        it('should build context from matching chunks instead of document openings', async () => {
+            DocumentChunk.findAll.mockResolvedValue([{
+                id: 'c-7',
+                documentId: 'doc-1',
+                chunkIndex: 3,
+                content: 'Step 4: Roll back the release if error rate exceeds 2%.',
+                embedding: [0.1],
+                document: { id: 'doc-1', title: 'Release SOP', type: 'SOP', updatedAt: new Date() },
+            }]);
+            getEmbedding.mockResolvedValue([0.1]);
+            calculateSimilarity.mockReturnValue(0.7);
+
+            const result = await findRelevantContext('when do we roll back?', 'ws-001');
+
+            expect(result.context).toContain('Roll back the release');
+            expect(result.sources[0]).toMatchObject({
+                documentId: 'doc-1',
+                chunkIndex: 3,
+                excerpt: 'Step 4: Roll back the release if error rate exceeds 2%.',
+            });
+        });
+
+        it('should rank documents without chunks alongside matching chunks', async () => {
+            DocumentChunk.findAll.mockResolvedValue([{
+                id: 'c-7',
+                documentId: 'doc-1',
+                chunkIndex: 3,
+                content: 'Step 4: Roll back the release if error rate exceeds 2%.',
+                embedding: [0.1],
+                document: { id: 'doc-1', title: 'Release SOP', type: 'SOP', updatedAt: new Date() },
+            }]);
+            Document.findAll.mockResolvedValue([
+                { id: 'legacy', title: 'Rollback Notes', type: 'Notes', content: 'Roll back within an hour.', embedding: [0.2], updatedAt: new Date() },
+            ]);
+            getEmbedding.mockResolvedValue([0.1]);
+            calculateSimilarity.mockImplementation((query, embedding) => (embedding[0] === 0.2 ? 0.9 : 0.7));
+
+            const result = await findRelevantContext('when do we roll back?', 'ws-001');
+
+            expect(result.sources.map(s => [s.documentId, s.chunkIndex])).toEqual([['legacy', null], ['doc-1', 3]]);
+            const [{ where, include }] = Document.findAll.mock.calls[0];
+            expect(where['$chunks.id$']).toBeNull();
+            expect(include).toEqual([expect.objectContaining({ as: 'chunks', required: false })]);
+        });
     });
 });
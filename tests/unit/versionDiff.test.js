@@ -0,0 +1,126 @@
+/**
+ * Version Diff Unit Tests
+ */
+
+const { diffVersions } = require('../../src/services/versionDiff');
+const { identifyChanges } = require('../../src/services/versionDriftAnalyzer');
+
+const v1 = {
+    versionNumber: 1,
+    content: [
+        '# Setup',
+        'Order a laptop from procurement.',
+        'Install Node 18 and npm.',
+        '',
+        '# Building',
+        'Run the build with npm run build.',
+        'Publish artifacts to the shared bucket every night.',
+        'Tag the release in git.',
+    ].join('\n'),
+};
+const v2 = {
+    versionNumber: 2,
+    content: [
+        '# Setup',
+        'Order a laptop from procurement.',
+        'Install Node 22 and npm.',
+        '',
+        '# Building',
+        'Run the build with npm run build.',
+        'Tag the release in git.',
+        'Publish artifacts to the shared bucket every night.',
+    ].join('\n'),
+};
+
+describe('Version Diff Service', () => {
+    describe('diffVersions', () => {
+        it('should produce a unified diff with section names', () => {
+            const diff = diffVersions(v1, v2, { context: 1 });
+
+            expect(diff.unified.split('\n').slice(0, 6)).toEqual([
+                '--- v1',
+                '+++ v2',
+                '@@ -2,3 +2,3 @@ Setup',
+                ' Order a laptop from procurement.',
+                '-Install Node 18 and npm.',
+                '+Install Node 22 and npm.',
+            ]);
+            expect(diff.hunks.map(h => h.section)).toEqual(['Setup', 'Building']);
+        });
+
+        it('should start an empty side of a hunk at the line before it', () => {
+            const lines = ['One', 'Two', 'Three'];
+            const inserted = diffVersions(
+                { versionNumber: 1, content: lines.join('\n') },
+                { versionNumber: 2, content: ['One', 'Two', 'New', 'Three'].join('\n') },
+                { context: 0 }
+            );
+            const deleted = diffVersions(
+                { versionNumber: 1, content: lines.join('\n') },
+                { versionNumber: 2, content: ['Two', 'Three'].join('\n') },
+                { context: 0 }
+            );
+
+            expect(inserted.unified.split('\n')[2]).toBe('@@ -2,0 +3,1 @@');
+            expect(deleted.unified.split('\n')[2]).toBe('@@ -1,1 +0,0 @@');
+        });
+
+        it('should report moved lines separately from edits', () => {
+            const diff = diffVersions(v1, v2);
+
+            expect(diff.moves).toEqual([{ id: 1, fromLine: 7, toLine: 8, lines: 1 }]);
+            expect(diff.stats).toMatchObject({ linesAdded: 1, linesRemoved: 1, linesMoved: 1 });
+        });
+
+        it('should score drift per hunk', () => {
+            const diff = diffVersions(v1, v2, { context: 0 });
+            const [edit, move] = diff.hunks;
+
+            expect(edit.driftScore).toBeGreaterThan(0);
+            expect(move.lines.filter(l => l.type !== 'context').every(l => l.moveId === 1)).toBe(true);
+            expect(move.driftScore).toBe(0);
+            expect(move.severity).toBe('minor');
+        });
+
+        it('should add word diffs at word granularity', () => {
+            const diff = diffVersions(v1, v2, { granularity: 'word' });
+            const changed = diff.hunks[0].lines.find(l => l.type === 'insert');
+
+            expect(changed.words).toEqual([
+                { type: 'equal', text: 'Install Node ' },
+                { type: 'delete', text: '18' },
+                { type: 'insert', text: '22' },
+                { type: 'equal', text: ' and npm.' },
+            ]);
+            expect(diffVersions(v1, v2).hunks[0].lines.some(l => l.words)).toBe(false);
+        });
+
+        it('should summarize sections', () => {
+            const v3 = { versionNumber: 3, content: `${v2.content}\n# Deploy\nUse the pipeline.` };
+
+            const diff = diffVersions(v2, v3);
+
+            expect(diff.sections).toEqual([
+                { section: 'Setup', status: 'unchanged', driftScore: 0 },
+                { section: 'Building', status: 'unchanged', driftScore: 0 },
+                { section: 'Deploy', status: 'added', driftScore: 1 },
+            ]);
+        });
+
+        it('should return no hunks for identical versions', () => {
+            const diff = diffVersions(v1, { ...v1, versionNumber: 2 });
+
+            expect(diff.hunks).toEqual([]);
+            expect(diff.stats.driftScore).toBe(0);
+        });
+    });
+
+    describe('identifyChanges', () => {
+        it('should count changed lines from the line diff', () => {
+            const changes = identifyChanges(v1.content, v2.content);
+
+            expect(changes).toMatchObject({ linesAdded: 2, linesRemoved: 2, netChange: 0 });
+            expect(changes.sampleAdditions).toContain('Install Node 22 and npm.');
+        });
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Workspace Corpus Unit Tests
+ */
+
+const { getCorpus, updateCorpus } = require('../../src/services/workspaceCorpus');
+const { generateTfIdfEmbedding, tokenizeTerms } = require('../../src/utils/textAnalysis');
+
+// Mock dependencies
+jest.mock('../../src/models', () => ({
+    Document: { findAll: jest.fn() },
+    DocumentVersion: { findAll: jest.fn() },
+    DocumentChunk: { destroy: jest.fn(), bulkCreate: jest.fn() },
+    WorkspaceCorpus: {
+        findOne: jest.fn(),
+        findOrCreate: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/database', () => ({
+    sequelize: {
+        transaction: jest.fn(async work => work({ LOCK: { UPDATE: 'UPDATE' } })),
+    },
+}));
+
+const { WorkspaceCorpus } = require('../../src/models');
+
+function mockRecord(documentCount, documentFrequencies) {
+    const record = {
+        documentCount,
+        documentFrequencies,
+        update: jest.fn(async (values) => Object.assign(record, values)),
+        reload: jest.fn(async () => record),
+    };
+    return record;
+}
+
+describe('Workspace Corpus Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('tokenizeTerms', () => {
+        it('should drop stopwords and stem terms', () => {
+            const terms = tokenizeTerms('The deployments must be approved by the managers');
+
+            expect(terms).toEqual(['deploy', 'approv', 'manag']);
+        });
+
+        it('should keep numbers', () => {
+            expect(tokenizeTerms('Retain logs for 90 days')).toContain('90');
+        });
+    });
+
+    describe('generateTfIdfEmbedding', () => {
+        it('should use sublinear term frequency without a corpus', () => {
+            const vector = generateTfIdfEmbedding('deploy deploy rollback');
+
+            expect(vector).toEqual({ deploi: 1.693, rollback: 1 });
+        });
+
+        it('should weight rare terms above common ones with a corpus', () => {
+            const corpus = {
+                documentCount: 10,
+                documentFrequencies: { deploi: 9, rollback: 1 },
+            };
+
+            const vector = generateTfIdfEmbedding('deploy rollback', corpus);
+
+            expect(vector.rollback).toBeGreaterThan(vector.deploi);
+        });
+    });
+
+    describe('getCorpus', () => {
+        it('should return an empty corpus for a new workspace', async () => {
+            WorkspaceCorpus.findOne.mockResolvedValue(null);
+
+            const corpus = await getCorpus('ws-new');
+
+            expect(corpus).toEqual({ documentCount: 0, documentFrequencies: {} });
+        });
+    });
+
+    describe('updateCorpus', () => {
+        it('should count each term once per added document', async () => {
+            const record = mockRecord(0, {});
+            WorkspaceCorpus.findOrCreate.mockResolvedValue([record, true]);
+
+            const corpus = await updateCorpus('ws-001', { added: 'Deploy and deploy again after review' });
+
+            expect(corpus.documentCount).toBe(1);
+            expect(corpus.documentFrequencies.deploi).toBe(1);
+            expect(corpus.documentFrequencies.review).toBe(1);
+        });
+
+        it('should swap old terms for new ones on update', async () => {
+            const record = mockRecord(2, { deploi: 2, rollback: 1 });
+            WorkspaceCorpus.findOrCreate.mockResolvedValue([record, false]);
+
+            const corpus = await updateCorpus('ws-001', {
+                removed: 'deploy rollback',
+                added: 'deploy canary',
+            });
+
+            expect(corpus.documentCount).toBe(2);
+            expect(corpus.documentFrequencies).toEqual({ deploi: 2, canari: 1 });
+        });
+
+        it('should lock an existing corpus row in the given transaction', async () => {
+            const record = mockRecord(1, { deploi: 1 });
+            WorkspaceCorpus.findOrCreate.mockResolvedValue([record, false]);
+            const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+            await updateCorpus('ws-001', { added: 'deploy' }, { transaction });
+
+            expect(WorkspaceCorpus.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({ transaction }));
+            expect(record.reload).toHaveBeenCalledWith({ transaction, lock: 'UPDATE' });
+            expect(record.update).toHaveBeenCalledWith(
+                { documentCount: 2, documentFrequencies: { deploi: 2 } },
+                { transaction }
+            );
+        });
+
+        it('should decrement counts when a document is removed', async () => {
+            const record = mockRecord(1, { deploi: 1 });
+            WorkspaceCorpus.findOrCreate.mockResolvedValue([record, false]);
+
+            const corpus = await updateCorpus('ws-001', { removed: 'deploy' });
+
+            expect(corpus).toEqual({ documentCount: 0, documentFrequencies: {} });
+        });
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * ZIP Archive Unit Tests
+ */
+
+const JSZip = require('jszip');
+const { loadZip, readZipEntry, inflateEntry, declaredSize } = require('../../src/utils/zipArchive');
+
+async function buildArchive(files) {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) {
+        zip.file(name, content);
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Rewrite the uncompressed size the central directory declares for an entry
+ */
+function declareSize(buffer, name, size) {
+    const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+    for (let i = buffer.indexOf(signature); i !== -1; i = buffer.indexOf(signature, i + 1)) {
+        const nameLength = buffer.readUInt16LE(i + 28);
+        if (buffer.toString('utf-8', i + 46, i + 46 + nameLength) === name) {
+            buffer.writeUInt32LE(size, i + 24);
+        }
+    }
+    return buffer;
+}
+
+describe('ZIP Archive Utilities', () => {
+    describe('loadZip', () => {
+        it('should reject archives declaring more than the total size', async () => {
+            const buffer = await buildArchive({ 'a.txt': 'a'.repeat(3 * 1024 * 1024) });
+
+            await expect(loadZip(buffer, { maxTotalSize: 2 * 1024 * 1024 }))
+                .rejects.toThrow('Archive expands to 3MB; at most 2MB is allowed');
+        });
+
+        it('should read the declared size of each entry without inflating it', async () => {
+            const zip = await loadZip(await buildArchive({ 'a.txt': 'hello' }));
+
+            expect(declaredSize(zip.file('a.txt'))).toBe(5);
+        });
+    });
+
+    describe('inflateEntry', () => {
+        it('should inflate entries within the limit', async () => {
+            const zip = await loadZip(await buildArchive({ 'a.txt': 'hello' }));
+
+            expect((await inflateEntry(zip.file('a.txt'), 5)).toString()).toBe('hello');
+        });
+
+        it('should stop inflating an entry that declares less than it holds', async () => {
+            const buffer = declareSize(await buildArchive({ 'bomb.txt': '0'.repeat(5 * 1024 * 1024) }), 'bomb.txt', 10);
+            const zip = await loadZip(buffer);
+
+            await expect(inflateEntry(zip.file('bomb.txt'), 1024 * 1024)).rejects.toThrow('bomb.txt expands past 1MB');
+        });
+
+        it('should reject an entry declaring more than the limit before inflating it', async () => {
+            const zip = await loadZip(await buildArchive({ 'a.txt': 'a'.repeat(2 * 1024 * 1024) }));
+            const entry = zip.file('a.txt');
+            const nodeStream = jest.spyOn(entry, 'nodeStream');
+
+            await expect(inflateEntry(entry, 1024 * 1024)).rejects.toThrow('a.txt expands past 1MB');
+            expect(nodeStream).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('readZipEntry', () => {
+        it('should share the total size between the entries read', async () => {
+            const buffer = await buildArchive({ 'a.txt': 'a'.repeat(600), 'b.txt': 'b'.repeat(600) });
+            const zip = await loadZip(declareSize(buffer, 'b.txt', 1), { maxTotalSize: 1000 });
+
+            await readZipEntry(zip, zip.file('a.txt'));
+
+            await expect(readZipEntry(zip, zip.file('b.txt'))).rejects.toThrow('b.txt expands past');
+        });
+    });
+});